@@ -0,0 +1,128 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const activitiesRoutes = require('../routes/activities');
+
+const app = buildApp('/api/activities', activitiesRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Activities API', () => {
+  let rep;
+  let other;
+
+  beforeAll(async () => {
+    rep = await createUser();
+    other = await createUser();
+  });
+
+  const create = (user, body) => request(app).post('/api/activities').set('Authorization', user.auth).send(body);
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/activities');
+    expect(res.status).toBe(401);
+  });
+
+  describe('POST /api/activities', () => {
+    it('creates a pending activity owned by the caller', async () => {
+      const res = await create(rep, { type: 'call', subject: 'Discovery call' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.activity).toMatchObject({ user_id: rep.id, status: 'pending' });
+    });
+
+    it('rejects unknown types', async () => {
+      const res = await create(rep, { type: 'fax', subject: 'Old school' });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/activities', () => {
+    beforeAll(async () => {
+      await create(rep, { type: 'task', subject: 'Overdue task', due_date: '2020-01-01T09:00:00Z' });
+      await create(rep, { type: 'meeting', subject: 'Future meeting', due_date: '2099-01-01T09:00:00Z' });
+      await create(other, { type: 'task', subject: 'Someone else', due_date: '2020-01-01T09:00:00Z' });
+    });
+
+    const list = (query) => request(app).get('/api/activities').set('Authorization', rep.auth).query(query);
+
+    it('filters by owner=me, type list and overdue', async () => {
+      const mine = await list({ owner: 'me', type: 'task,meeting' });
+      expect(mine.body.activities.map(a => a.subject).sort()).toEqual(['Future meeting', 'Overdue task']);
+
+      const overdue = await list({ owner: 'me', overdue: 'true' });
+      expect(overdue.body.activities.map(a => a.subject)).toEqual(['Overdue task']);
+      expect(overdue.body.activities[0].is_overdue).toBe(true);
+    });
+
+    it('filters by due date range', async () => {
+      const res = await list({ due_from: '2098-12-31', due_to: '2099-12-31' });
+      expect(res.body.activities.map(a => a.subject)).toEqual(['Future meeting']);
+    });
+
+    it.each([
+      ['owner', 'abc'],
+      ['due_from', 'foo'],
+      ['deal_id', '-3'],
+      ['overdue', 'maybe'],
+      ['page', '-1'],
+      ['limit', '0'],
+      ['limit', '1000']
+    ])('returns 400 for a malformed %s filter', async (filter, value) => {
+      const res = await list({ [filter]: value });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('status transitions', () => {
+    let activityId;
+
+    beforeAll(async () => {
+      activityId = (await create(rep, { type: 'task', subject: 'Send proposal' })).body.activity.id;
+    });
+
+    const transition = (action) => request(app)
+      .post(`/api/activities/${activityId}/${action}`)
+      .set('Authorization', rep.auth);
+
+    it('completes a pending activity and stamps completed_at', async () => {
+      const res = await transition('complete');
+
+      expect(res.status).toBe(200);
+      expect(res.body.activity.status).toBe('completed');
+      expect(res.body.activity.completed_at).not.toBeNull();
+    });
+
+    it('refuses transitions that are not allowed from the current status', async () => {
+      const res = await transition('cancel');
+      expect(res.status).toBe(409);
+    });
+
+    it('reopens a completed activity and clears completed_at', async () => {
+      const res = await transition('reopen');
+
+      expect(res.status).toBe(200);
+      expect(res.body.activity).toMatchObject({ status: 'pending', completed_at: null });
+    });
+  });
+
+  describe('PUT and DELETE /api/activities/:id', () => {
+    it('updates only the given fields and deletes', async () => {
+      const id = (await create(rep, { type: 'note', subject: 'Draft', description: 'keep me' })).body.activity.id;
+
+      const updated = await request(app).put(`/api/activities/${id}`).set('Authorization', rep.auth).send({ subject: 'Final' });
+      expect(updated.body.activity).toMatchObject({ subject: 'Final', description: 'keep me' });
+
+      const deleted = await request(app).delete(`/api/activities/${id}`).set('Authorization', rep.auth);
+      expect(deleted.status).toBe(200);
+
+      const missing = await request(app).get(`/api/activities/${id}`).set('Authorization', rep.auth);
+      expect(missing.status).toBe(404);
+    });
+  });
+});
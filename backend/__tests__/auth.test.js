@@ -0,0 +1,72 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp } = require('./helpers/api');
+const authRoutes = require('../routes/auth');
+
+const app = buildApp('/api/auth', authRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Auth API', () => {
+  const credentials = { email: 'ada@example.com', password: 'correct-horse-battery' };
+  let token;
+
+  it('registers a user and returns a token', async () => {
+    const res = await request(app).post('/api/auth/register').send({
+      ...credentials,
+      first_name: 'Ada',
+      last_name: 'Lovelace'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe('sales_rep');
+    expect(res.body.user.password_hash).toBeUndefined();
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  it('refuses a second registration for the same email', async () => {
+    const res = await request(app).post('/api/auth/register').send({
+      ...credentials,
+      first_name: 'Ada',
+      last_name: 'Again'
+    });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('logs in with the right password only', async () => {
+    const wrong = await request(app).post('/api/auth/login').send({ ...credentials, password: 'nope-nope-nope' });
+    expect(wrong.status).toBe(401);
+
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    expect(res.status).toBe(200);
+    token = res.body.token;
+  });
+
+  it('returns the profile of the token holder', async () => {
+    const res = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe(credentials.email);
+  });
+
+  it('changes the password after checking the current one', async () => {
+    const rejected = await request(app)
+      .put('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ current_password: 'wrong-password', new_password: 'a-new-password' });
+    expect(rejected.status).toBe(401);
+
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ current_password: credentials.password, new_password: 'a-new-password' });
+    expect(res.status).toBe(200);
+
+    const login = await request(app).post('/api/auth/login').send({ ...credentials, password: 'a-new-password' });
+    expect(login.status).toBe(200);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const automationRulesRoutes = require('../routes/automationRules');
+const automationService = require('../services/automationService');
+
+const app = buildApp('/api/automation/rules', automationRulesRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Automation rules API', () => {
+  let manager;
+  let stages;
+  let dealId;
+
+  beforeAll(async () => {
+    manager = await createUser({ role: 'manager' });
+    const result = await testDb.query('SELECT name, id FROM pipeline_stages');
+    stages = Object.fromEntries(result.rows.map(row => [row.name, row.id]));
+    dealId = (await testDb.query(
+      "INSERT INTO deals (title, value, probability, pipeline_stage_id) VALUES ('Automated', 500, 10, $1) RETURNING id",
+      [stages.Lead]
+    )).rows[0].id;
+  });
+
+  const api = (method, path) => request(app)[method](`/api/automation/rules${path}`).set('Authorization', manager.auth);
+
+  it('is limited to admins and managers', async () => {
+    const rep = await createUser();
+    const res = await request(app).get('/api/automation/rules').set('Authorization', rep.auth);
+    expect(res.status).toBe(403);
+  });
+
+  describe('creating rules', () => {
+    it('validates action_data for the action type', async () => {
+      const res = await api('post', '').send({
+        name: 'Broken email',
+        to_stage_id: stages.Proposal,
+        action_type: 'send_email',
+        action_data: {}
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toMatch(/template_name/);
+    });
+
+    it('creates a rule owned by the caller', async () => {
+      const res = await api('post', '').send({
+        name: 'Bump probability',
+        to_stage_id: stages.Proposal,
+        action_type: 'update_probability',
+        action_data: { probability: 60 }
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.rule.created_by_user_id).toBe(manager.id);
+    });
+  });
+
+  describe('POST /dry-run', () => {
+    let taskRuleId;
+
+    beforeAll(async () => {
+      taskRuleId = (await api('post', '').send({
+        name: 'Task after probability',
+        to_stage_id: stages.Proposal,
+        action_type: 'create_task',
+        action_data: { subject: 'Review pricing' },
+        priority: 5
+      })).body.rule.id;
+    });
+
+    it('plans the matching rules in order without side effects', async () => {
+      const res = await api('post', '/dry-run').send({ deal_id: dealId, to_stage_id: stages.Proposal });
+
+      expect(res.status).toBe(200);
+      expect(res.body.from_stage_id).toBe(stages.Lead);
+      expect(res.body.rules.map(rule => rule.name)).toEqual(['Bump probability', 'Task after probability']);
+      expect(res.body.rules[0].action).toMatchObject({ type: 'update_probability', from: 10, to: 60 });
+
+      const deal = await testDb.query('SELECT probability FROM deals WHERE id = $1', [dealId]);
+      expect(deal.rows[0].probability).toBe(10);
+      const tasks = await testDb.query('SELECT COUNT(*) FROM activities WHERE deal_id = $1', [dealId]);
+      expect(tasks.rows[0].count).toBe('0');
+    });
+
+    it('skips disabled rules', async () => {
+      await api('post', `/${taskRuleId}/disable`);
+
+      const res = await api('post', '/dry-run').send({ deal_id: dealId, to_stage_id: stages.Proposal });
+      expect(res.body.rules.map(rule => rule.name)).toEqual(['Bump probability']);
+
+      await api('post', `/${taskRuleId}/enable`);
+    });
+
+    it('applies reordered priorities', async () => {
+      const rules = (await api('get', '').query({ stage_id: stages.Proposal })).body.rules;
+      const reordered = rules.map(rule => rule.id).reverse();
+
+      const res = await api('put', '/reorder').send({ rule_ids: reordered });
+      expect(res.status).toBe(200);
+
+      const dryRun = await api('post', '/dry-run').send({ deal_id: dealId, to_stage_id: stages.Proposal });
+      expect(dryRun.body.rules.map(rule => rule.rule_id)).toEqual(reordered);
+    });
+  });
+
+  describe('execution history', () => {
+    it('lists the runs logged by a real stage move', async () => {
+      await automationService.moveDealStage(dealId, stages.Proposal, { userId: manager.id });
+
+      const res = await api('get', '/executions').query({ deal_id: dealId });
+
+      expect(res.status).toBe(200);
+      expect(res.body.executions).toHaveLength(2);
+      expect(res.body.executions.every(run => run.execution_result === 'success')).toBe(true);
+
+      const deal = await testDb.query('SELECT probability FROM deals WHERE id = $1', [dealId]);
+      expect(deal.rows[0].probability).toBe(60);
+    });
+
+    it('refuses to delete a rule that has run', async () => {
+      const ruleId = (await api('get', '/executions').query({ deal_id: dealId })).body.executions[0].rule_id;
+
+      const res = await api('delete', `/${ruleId}`);
+      expect(res.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp } = require('./helpers/api');
+const companiesRoutes = require('../routes/companies');
+
+const app = buildApp('/api/companies', companiesRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Companies API', () => {
+  let acme;
+  let globex;
+
+  beforeAll(async () => {
+    acme = (await request(app).post('/api/companies').send({
+      name: 'Acme Rockets',
+      industry: 'Aerospace',
+      country: 'US',
+      annual_revenue: 5000000,
+      employee_count: 250
+    })).body.company;
+
+    globex = (await request(app).post('/api/companies').send({
+      name: 'Globex Rockets',
+      industry: 'Aerospace',
+      country: 'DE',
+      annual_revenue: 200000,
+      employee_count: 12
+    })).body.company;
+  });
+
+  describe('POST /api/companies', () => {
+    it('creates a company from the writable fields only', async () => {
+      const res = await request(app).post('/api/companies').send({ name: 'Initech', id: 999, tenant: 'x' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.company.name).toBe('Initech');
+      expect(res.body.company.id).not.toBe(999);
+    });
+
+    it('requires a name', async () => {
+      const res = await request(app).post('/api/companies').send({ industry: 'Software' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('GET /api/companies', () => {
+    it('filters by industry list, country and revenue range', async () => {
+      const res = await request(app)
+        .get('/api/companies')
+        .query({ industry: 'Aerospace,Mining', min_revenue: 1000000 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.companies.map(c => c.id)).toEqual([acme.id]);
+      expect(res.body.total).toBe(1);
+
+      const byCountry = await request(app).get('/api/companies').query({ country: 'DE', search: 'rockets' });
+      expect(byCountry.body.companies.map(c => c.id)).toEqual([globex.id]);
+    });
+
+    it('sorts on whitelisted columns and ignores the rest', async () => {
+      const asc = await request(app)
+        .get('/api/companies')
+        .query({ search: 'Rockets', sort: 'employee_count', order: 'asc' });
+      expect(asc.body.companies.map(c => c.id)).toEqual([globex.id, acme.id]);
+
+      const injected = await request(app)
+        .get('/api/companies')
+        .query({ search: 'Rockets', sort: 'name; DROP TABLE companies' });
+      expect(injected.status).toBe(200);
+      expect(injected.body.total).toBe(2);
+    });
+
+    it('paginates', async () => {
+      const res = await request(app).get('/api/companies').query({ search: 'Rockets', limit: 1, page: 2 });
+
+      expect(res.body.companies).toHaveLength(1);
+      expect(res.body.totalPages).toBe(2);
+    });
+
+    it('keeps page and limit within range', async () => {
+      const negative = await request(app).get('/api/companies').query({ search: 'Rockets', limit: -5, page: -1 });
+      expect(negative.status).toBe(200);
+      expect(negative.body).toMatchObject({ page: 1, limit: 1, total: 2 });
+
+      const huge = await request(app).get('/api/companies').query({ limit: 1000000 });
+      expect(huge.body.limit).toBe(100);
+    });
+  });
+
+  describe('GET /api/companies/:id', () => {
+    it('rolls up contacts, open deals and the last activity', async () => {
+      await testDb.query('INSERT INTO contacts (first_name, last_name, company_id) VALUES ($1, $2, $3)', ['Wile', 'Coyote', acme.id]);
+      await testDb.query(
+        `INSERT INTO deals (title, company_id, value, status) VALUES
+         ('Open A', $1, 1000, 'open'), ('Open B', $1, 500, 'open'), ('Won', $1, 9000, 'closed_won')`,
+        [acme.id]
+      );
+      await testDb.query(
+        `INSERT INTO activities (type, subject, company_id, due_date) VALUES ('call', 'Intro', $1, '2030-01-02')`,
+        [acme.id]
+      );
+
+      const res = await request(app).get(`/api/companies/${acme.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.company.contact_count).toBe(1);
+      expect(res.body.company.open_deal_count).toBe(2);
+      expect(res.body.company.open_pipeline_value).toBe(1500);
+      expect(res.body.company.last_activity_date).not.toBeNull();
+    });
+
+    it('returns 404 for an unknown company', async () => {
+      const res = await request(app).get('/api/companies/999999');
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/companies/:id', () => {
+    it('updates only the provided fields', async () => {
+      const res = await request(app).put(`/api/companies/${globex.id}`).send({ city: 'Berlin' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.company.city).toBe('Berlin');
+      expect(res.body.company.name).toBe('Globex Rockets');
+    });
+
+    it('rejects an empty update', async () => {
+      const res = await request(app).put(`/api/companies/${globex.id}`).send({ unknown: 1 });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/companies/:id', () => {
+    it('deletes the company once', async () => {
+      const created = await request(app).post('/api/companies').send({ name: 'Short Lived' });
+
+      const first = await request(app).delete(`/api/companies/${created.body.company.id}`);
+      const second = await request(app).delete(`/api/companies/${created.body.company.id}`);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(404);
+    });
+  });
+});
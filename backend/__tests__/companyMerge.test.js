@@ -0,0 +1,126 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const companiesRoutes = require('../routes/companies');
+
+const app = buildApp('/api/companies', companiesRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+const createCompany = async (attributes) => {
+  const columns = Object.keys(attributes);
+  const result = await testDb.query(
+    `INSERT INTO companies (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    columns.map(column => attributes[column])
+  );
+  return result.rows[0];
+};
+
+const companyExists = async (id) =>
+  (await testDb.query('SELECT 1 FROM companies WHERE id = $1', [id])).rows.length === 1;
+
+describe('POST /api/companies/merge', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await createUser({ role: 'manager' });
+  });
+
+  it('merges companies, re-parents their records and audits the merge', async () => {
+    const survivor = await createCompany({ name: 'Merge Survivor', city: 'Austin', state: 'TX', industry: null });
+    const duplicate = await createCompany({
+      name: 'Merge Survivor Inc',
+      industry: 'Logistics',
+      address: '1 Dock Rd',
+      city: 'Houston',
+      state: 'TX',
+      postal_code: '77001'
+    });
+
+    await testDb.query('INSERT INTO contacts (first_name, last_name, company_id) VALUES ($1, $2, $3)', ['Ann', 'Dock', duplicate.id]);
+    await testDb.query('INSERT INTO deals (title, company_id, value) VALUES ($1, $2, 100)', ['Dock deal', duplicate.id]);
+    await testDb.query("INSERT INTO activities (type, subject, company_id) VALUES ('call', 'Dock call', $1)", [duplicate.id]);
+
+    const res = await request(app)
+      .post('/api/companies/merge')
+      .set('Authorization', manager.auth)
+      .send({ survivor_id: survivor.id, merged_ids: [duplicate.id], field_winners: { address: duplicate.id } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.company).toMatchObject({
+      name: 'Merge Survivor',
+      industry: 'Logistics',
+      address: '1 Dock Rd',
+      city: 'Houston',
+      postal_code: '77001'
+    });
+    expect(res.body.repointed).toEqual({ contacts: 1, deals: 1, activities: 1 });
+    expect(await companyExists(duplicate.id)).toBe(false);
+
+    const audit = await testDb.query(
+      "SELECT * FROM audit_logs WHERE action = 'MERGE' AND entity_type = 'company' AND entity_id = $1",
+      [survivor.id]
+    );
+    expect(audit.rows).toHaveLength(1);
+    expect(audit.rows[0].user_id).toBe(manager.id);
+    expect(audit.rows[0].details.mergedIds).toEqual([duplicate.id]);
+    expect(audit.rows[0].details.mergedRecords[0].name).toBe('Merge Survivor Inc');
+  });
+
+  it('rolls the merge back when the audit entry cannot be written', async () => {
+    const survivor = await createCompany({ name: 'Unaudited Survivor' });
+    const duplicate = await createCompany({ name: 'Unaudited Duplicate' });
+
+    await testDb.query('ALTER TABLE audit_logs RENAME TO audit_logs_offline');
+    let res;
+    try {
+      res = await request(app)
+        .post('/api/companies/merge')
+        .set('Authorization', manager.auth)
+        .send({ survivor_id: survivor.id, merged_ids: [duplicate.id] });
+    } finally {
+      await testDb.query('ALTER TABLE audit_logs_offline RENAME TO audit_logs');
+    }
+
+    expect(res.status).toBe(500);
+    expect(await companyExists(duplicate.id)).toBe(true);
+  });
+
+  it('rejects merging a company into itself', async () => {
+    const company = await createCompany({ name: 'Self Merge' });
+
+    const res = await request(app)
+      .post('/api/companies/merge')
+      .set('Authorization', manager.auth)
+      .send({ survivor_id: company.id, merged_ids: [company.id] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 404 when a company does not exist', async () => {
+    const company = await createCompany({ name: 'Lonely Survivor' });
+
+    const res = await request(app)
+      .post('/api/companies/merge')
+      .set('Authorization', manager.auth)
+      .send({ survivor_id: company.id, merged_ids: [999999] });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('is limited to admins and managers', async () => {
+    const rep = await createUser({ role: 'sales_rep' });
+
+    const res = await request(app)
+      .post('/api/companies/merge')
+      .set('Authorization', rep.auth)
+      .send({ survivor_id: 1, merged_ids: [2] });
+
+    expect(res.status).toBe(403);
+  });
+});
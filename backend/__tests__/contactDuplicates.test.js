@@ -0,0 +1,111 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const contactsRoutes = require('../routes/contacts');
+
+const app = buildApp('/api/contacts', contactsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Contact duplicates', () => {
+  let admin;
+  let companyId;
+  let ids;
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    companyId = (await testDb.query("INSERT INTO companies (name) VALUES ('Dup Co') RETURNING id")).rows[0].id;
+
+    const insert = async (first, last, email, phone, title) => (await testDb.query(
+      `INSERT INTO contacts (first_name, last_name, email, phone, job_title, company_id)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [first, last, email, phone, title, companyId]
+    )).rows[0].id;
+
+    ids = {
+      original: await insert('Dana', 'Scully', 'dana@fbi.example', null, null),
+      sameEmail: await insert('D.', 'Scully', ' DANA@fbi.example ', '(555) 010-2000', 'Special Agent'),
+      samePhone: await insert('Fox', 'Mulder', 'fox@fbi.example', '555.010.2000', null),
+      sameName: await insert('dana', 'scully ', null, null, null)
+    };
+  });
+
+  const api = (method, path) => request(app)[method](`/api/contacts${path}`).set('Authorization', admin.auth);
+
+  it('finds groups by email, phone digits and name within a company', async () => {
+    const scan = await api('post', '/duplicates/scan');
+    expect(scan.status).toBe(200);
+    expect(scan.body.groups).toBe(3);
+
+    const res = await api('get', '/duplicates');
+    const byReason = Object.fromEntries(res.body.groups.map(group => [group.match_reason, group.contacts.map(c => c.id)]));
+
+    expect(byReason).toEqual({
+      email: [ids.original, ids.sameEmail],
+      phone: [ids.sameEmail, ids.samePhone],
+      name_company: [ids.original, ids.sameName]
+    });
+  });
+
+  it('filters groups by match reason', async () => {
+    const res = await api('get', '/duplicates').query({ match_reason: 'phone' });
+    expect(res.body.groups.map(group => group.match_reason)).toEqual(['phone']);
+  });
+
+  describe('POST /api/contacts/merge', () => {
+    it('requires the contact update and delete permissions', async () => {
+      const rep = await createUser();
+      const res = await request(app)
+        .post('/api/contacts/merge')
+        .set('Authorization', rep.auth)
+        .send({ survivor_id: ids.original, merged_ids: [ids.sameEmail] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('rejects merging the survivor into itself', async () => {
+      const res = await api('post', '/merge').send({ survivor_id: ids.original, merged_ids: [ids.original] });
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 404 when a record is missing', async () => {
+      const res = await api('post', '/merge').send({ survivor_id: ids.original, merged_ids: [999999] });
+      expect(res.status).toBe(404);
+    });
+
+    it('merges fields, re-points deals and activities and resolves the groups', async () => {
+      const dealId = (await testDb.query(
+        "INSERT INTO deals (title, contact_id) VALUES ('Dup deal', $1) RETURNING id",
+        [ids.sameEmail]
+      )).rows[0].id;
+      await testDb.query("INSERT INTO activities (type, subject, contact_id) VALUES ('call', 'Dup call', $1)", [ids.sameName]);
+
+      const res = await api('post', '/merge').send({
+        survivor_id: ids.original,
+        merged_ids: [ids.sameEmail, ids.sameName],
+        field_winners: { phone: ids.sameEmail }
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.contact).toMatchObject({
+        id: ids.original,
+        first_name: 'Dana',
+        phone: '(555) 010-2000',
+        job_title: 'Special Agent'
+      });
+      expect(res.body.repointed).toEqual({ deals: 1, activities: 1 });
+
+      const deal = await testDb.query('SELECT contact_id FROM deals WHERE id = $1', [dealId]);
+      expect(deal.rows[0].contact_id).toBe(ids.original);
+
+      const remaining = await testDb.query('SELECT id FROM contacts WHERE id = ANY($1)', [Object.values(ids)]);
+      expect(remaining.rows.map(row => row.id).sort()).toEqual([ids.original, ids.samePhone].sort());
+
+      const open = await api('get', '/duplicates');
+      expect(open.body.groups).toEqual([]);
+    });
+  });
+});
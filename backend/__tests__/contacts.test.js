@@ -0,0 +1,41 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp } = require('./helpers/api');
+const contactsRoutes = require('../routes/contacts');
+
+const app = buildApp('/api/contacts', contactsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Contacts API', () => {
+  let companyId;
+
+  beforeAll(async () => {
+    const company = await testDb.query("INSERT INTO companies (name) VALUES ('Wayne Enterprises') RETURNING id");
+    companyId = company.rows[0].id;
+  });
+
+  it('creates a contact and lists it with its company name', async () => {
+    const created = await request(app).post('/api/contacts').send({
+      first_name: 'Lucius',
+      last_name: 'Fox',
+      email: 'lucius@wayne.example',
+      company_id: companyId
+    });
+    expect(created.status).toBe(201);
+
+    const res = await request(app).get('/api/contacts').query({ search: 'lucius' });
+    expect(res.status).toBe(200);
+    expect(res.body.contacts).toEqual([
+      expect.objectContaining({ name: 'Lucius Fox', company: 'Wayne Enterprises' })
+    ]);
+  });
+
+  it('requires first and last name', async () => {
+    const res = await request(app).post('/api/contacts').send({ first_name: 'Alfred' });
+    expect(res.status).toBe(400);
+  });
+});
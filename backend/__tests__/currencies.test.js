@@ -0,0 +1,185 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const { ReportService } = require('../services/reportService');
+const pipelineSnapshotService = require('../services/pipelineSnapshotService');
+const currenciesRoutes = require('../routes/currencies');
+const dealsRoutes = require('../routes/deals');
+const forecastRoutes = require('../routes/forecast');
+const quotasRoutes = require('../routes/quotas');
+const companiesRoutes = require('../routes/companies');
+
+const app = express();
+app.use(express.json());
+app.use('/api/currencies', currenciesRoutes);
+app.use('/api/deals', dealsRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/quotas', quotasRoutes);
+app.use('/api/companies', companiesRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Currency conversion', () => {
+  let admin;
+  let manager;
+  let rep;
+  let companyId;
+
+  const createDeal = async ({ value, currency, status = 'open', closeDate = '2025-03-01', closedAt = null }) => {
+    const result = await testDb.query(
+      `INSERT INTO deals (title, value, currency, status, expected_close_date, closed_at, assigned_user_id, company_id)
+       VALUES ('Currency deal', $1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [value, currency, status, closeDate, closedAt, rep.id, companyId]
+    );
+    return result.rows[0].id;
+  };
+
+  const addRate = (body, user = manager) =>
+    request(app).post('/api/currencies/rates').set('Authorization', user.auth).send({ to_currency: 'USD', ...body });
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    manager = await createUser({ role: 'manager' });
+    rep = await createUser({ first_name: 'Multi', last_name: 'Currency' });
+    companyId = (await testDb.query("INSERT INTO companies (name) VALUES ('Currency Co') RETURNING id")).rows[0].id;
+
+    // EUR won in March but closed in July, after the rate moved
+    await createDeal({ value: 1000, currency: 'EUR', status: 'closed_won', closedAt: '2025-07-15 10:00' });
+    await createDeal({ value: 500, currency: 'USD', status: 'closed_won', closedAt: '2025-02-20 10:00' });
+    await createDeal({ value: 1000, currency: 'EUR' });
+    await createDeal({ value: 300, currency: 'GBP' });
+  });
+
+  it('lets managers enter dated rates and lists currencies still missing one', async () => {
+    expect((await addRate({ from_currency: 'EUR', rate: 1.1, effective_date: '2025-01-01' })).status).toBe(201);
+    expect((await addRate({ from_currency: 'EUR', rate: 1.3, effective_date: '2025-06-01' })).status).toBe(201);
+    expect((await addRate({ from_currency: 'EUR', rate: 1.2, effective_date: '2025-06-01' }, rep)).status).toBe(403);
+
+    const missing = await request(app).get('/api/currencies/missing-rates').set('Authorization', rep.auth);
+    expect(missing.body).toEqual({
+      reporting_currency: 'USD',
+      missing: [{ currency: 'GBP', deal_count: 1, value: 300, earliest_close_date: '2025-03-01' }]
+    });
+  });
+
+  it('records when a deal is won or lost and clears it when reopened', async () => {
+    const dealId = await createDeal({ value: 100, currency: 'EUR' });
+    const closedWon = await testDb.query(`
+      SELECT ps.id FROM pipeline_stages ps JOIN pipelines p ON p.id = ps.pipeline_id
+      WHERE p.is_default AND ps.name = 'Closed Won'
+    `);
+
+    const moved = await request(app)
+      .post(`/api/deals/${dealId}/move-stage`)
+      .set('Authorization', rep.auth)
+      .send({ to_stage_id: closedWon.rows[0].id });
+    expect(moved.status).toBe(200);
+
+    const closedAt = async () => (await testDb.query('SELECT closed_at FROM deals WHERE id = $1', [dealId])).rows[0].closed_at;
+    const wonAt = await closedAt();
+    expect(Math.abs(Date.now() - wonAt.getTime())).toBeLessThan(60 * 60 * 1000);
+
+    await testDb.query("UPDATE deals SET status = 'closed_won', title = 'Renamed' WHERE id = $1", [dealId]);
+    expect(await closedAt()).toEqual(wonAt);
+
+    await testDb.query("UPDATE deals SET status = 'open' WHERE id = $1", [dealId]);
+    expect(await closedAt()).toBeNull();
+
+    await testDb.query("UPDATE deals SET status = 'closed_lost', closed_at = '2025-04-02 09:00' WHERE id = $1", [dealId]);
+    expect(await closedAt()).toEqual(new Date('2025-04-02T09:00:00'));
+    await testDb.query('DELETE FROM deals WHERE id = $1', [dealId]);
+  });
+
+  it('converts won deals at the rate on the day they closed', async () => {
+    await testDb.query(
+      "INSERT INTO quotas (user_id, period_start, period_end, amount) VALUES ($1, '2025-01-01', '2025-03-31', 3600)",
+      [rep.id]
+    );
+
+    const res = await request(app)
+      .get('/api/quotas/attainment')
+      .set('Authorization', rep.auth)
+      .query({ user_id: rep.id, date: '2025-02-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.currency).toBe('USD');
+    expect(res.body.quotas[0]).toMatchObject({
+      actual: 1800,
+      attainment: 50,
+      revenue_by_currency: [
+        { currency: 'EUR', deal_count: 1, value: 1000, converted_value: 1300, unconverted_deals: 0 },
+        { currency: 'USD', deal_count: 1, value: 500, converted_value: 500, unconverted_deals: 0 }
+      ]
+    });
+
+    const leaderboard = await request(app)
+      .get('/api/quotas/leaderboard')
+      .set('Authorization', rep.auth)
+      .query({ date: '2025-02-01' });
+    expect(leaderboard.body.entries.find(entry => entry.user_id === rep.id)).toMatchObject({
+      revenue: 1800,
+      revenue_by_currency: [
+        expect.objectContaining({ currency: 'EUR', value: 1000, converted_value: 1300 }),
+        expect.objectContaining({ currency: 'USD', value: 500, converted_value: 500 })
+      ]
+    });
+  });
+
+  it('forecasts in the reporting currency, leaving out deals without a rate', async () => {
+    const res = await request(app)
+      .get('/api/forecast')
+      .set('Authorization', admin.auth)
+      .query({ start_date: '2025-01-01', end_date: '2025-03-31', owner_id: rep.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({
+      closed_won: 1800,
+      pipeline: 1100,
+      value_by_currency: [
+        { currency: 'EUR', deal_count: 2, value: 2000, converted_value: 2400, unconverted_deals: 0 },
+        { currency: 'GBP', deal_count: 1, value: 300, converted_value: 0, unconverted_deals: 1 },
+        { currency: 'USD', deal_count: 1, value: 500, converted_value: 500, unconverted_deals: 0 }
+      ]
+    });
+  });
+
+  it('shows a company\'s open pipeline converted and per currency', async () => {
+    const res = await request(app).get(`/api/companies/${companyId}`).set('Authorization', rep.auth);
+
+    expect(res.body.company).toMatchObject({
+      reporting_currency: 'USD',
+      open_pipeline_value: 1100,
+      open_pipeline_by_currency: [
+        { currency: 'EUR', deal_count: 1, value: 1000, converted_value: 1100, unconverted_deals: 0 },
+        { currency: 'GBP', deal_count: 1, value: 300, converted_value: 0, unconverted_deals: 1 }
+      ]
+    });
+  });
+
+  it('converts snapshots and reports with the original amounts alongside', async () => {
+    await pipelineSnapshotService.takeSnapshot('2025-08-01');
+    const snapshot = await pipelineSnapshotService.getSnapshot('2025-08-01', { owner_id: rep.id });
+    expect(snapshot.totals).toMatchObject({ open_deals: 2, open_value: 1100 });
+    expect(snapshot.totals.value_by_currency.map(row => [row.currency, row.value, row.converted_value])).toEqual([
+      ['EUR', 1000, 1100],
+      ['GBP', 300, 0]
+    ]);
+
+    const report = await new ReportService().buildReport('sales-performance', {
+      owner_id: rep.id,
+      start_date: '2025-01-01',
+      end_date: '2025-03-31'
+    });
+    expect(report.currency).toBe('USD');
+    expect(report.summary.find(item => item.label === 'Revenue').value).toBe(1800);
+    expect(report.tables.find(table => table.title === 'Revenue by Currency').rows).toEqual([
+      { currency: 'EUR', deal_count: 1, value: 1000, converted_value: 1300, unconverted_deals: 0 },
+      { currency: 'USD', deal_count: 1, value: 500, converted_value: 500, unconverted_deals: 0 }
+    ]);
+  });
+});
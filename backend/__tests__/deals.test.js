@@ -0,0 +1,203 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const dealsRoutes = require('../routes/deals');
+
+const app = buildApp('/api/deals', dealsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Deals API', () => {
+  let companyId;
+
+  beforeAll(async () => {
+    const company = await testDb.query("INSERT INTO companies (name) VALUES ('Stark Industries') RETURNING id");
+    companyId = company.rows[0].id;
+  });
+
+  describe('POST /api/deals', () => {
+    it('creates a deal in the given stage', async () => {
+      const stage = await testDb.query("SELECT id FROM pipeline_stages WHERE name = 'Qualified'");
+      const res = await request(app).post('/api/deals').send({
+        title: 'Arc reactor',
+        company_id: companyId,
+        pipeline_stage_id: stage.rows[0].id,
+        value: 1200
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.deal.pipeline_stage_id).toBe(stage.rows[0].id);
+    });
+
+    it('requires a title and a company', async () => {
+      const res = await request(app).post('/api/deals').send({ title: 'Orphan' });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/deals', () => {
+    it('lists deals with their company and stage', async () => {
+      const res = await request(app).get('/api/deals').query({ search: 'Arc reactor' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.deals).toEqual([
+        expect.objectContaining({ title: 'Arc reactor', company_name: 'Stark Industries', value: 1200 })
+      ]);
+    });
+  });
+
+  describe('stage transitions', () => {
+    let rep;
+    let stages;
+
+    beforeAll(async () => {
+      rep = await createUser();
+      const result = await testDb.query(
+        `SELECT ps.name, ps.id FROM pipeline_stages ps JOIN pipelines p ON p.id = ps.pipeline_id WHERE p.is_default`
+      );
+      stages = Object.fromEntries(result.rows.map(row => [row.name, row.id]));
+
+      await testDb.query(
+        `INSERT INTO automation_rules (name, to_stage_id, action_type, action_data)
+         VALUES ('Proposal follow-up', $1, 'create_task', '{"subject": "Chase the proposal", "due_in_days": 2}')`,
+        [stages.Proposal]
+      );
+    });
+
+    const createDeal = async (attributes = {}) => {
+      const result = await testDb.query(
+        `INSERT INTO deals (title, company_id, value, pipeline_stage_id, status, discount_approval_status)
+         VALUES ($1, $2, 1000, $3, 'open', $4) RETURNING id`,
+        [attributes.title || 'Deal', companyId, stages.Lead, attributes.discount_approval_status || null]
+      );
+      return result.rows[0].id;
+    };
+
+    const history = async (dealId) => (await testDb.query(
+      'SELECT from_stage_id, to_stage_id, changed_by_user_id FROM deal_stage_history WHERE deal_id = $1 ORDER BY id',
+      [dealId]
+    )).rows;
+
+    describe('POST /api/deals/:id/move-stage', () => {
+      it('records the move in history and runs the matching automation rules', async () => {
+        const dealId = await createDeal();
+
+        const res = await request(app)
+          .post(`/api/deals/${dealId}/move-stage`)
+          .set('Authorization', rep.auth)
+          .send({ to_stage_id: stages.Proposal, notes: 'Sent v1' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.deal.pipeline_stage_id).toBe(stages.Proposal);
+        expect(res.body.history).toMatchObject({ from_stage_id: stages.Lead, changed_by_user_id: rep.id, notes: 'Sent v1' });
+        expect(res.body.automation).toEqual([expect.objectContaining({ name: 'Proposal follow-up', result: 'success' })]);
+
+        const tasks = await testDb.query('SELECT subject FROM activities WHERE deal_id = $1', [dealId]);
+        expect(tasks.rows).toEqual([{ subject: 'Chase the proposal' }]);
+      });
+
+      it('closes the deal when it enters Closed Won and reopens it when it leaves', async () => {
+        const dealId = await createDeal();
+        const move = (stageId) => request(app)
+          .post(`/api/deals/${dealId}/move-stage`)
+          .set('Authorization', rep.auth)
+          .send({ to_stage_id: stageId });
+
+        expect((await move(stages['Closed Won'])).body.deal.status).toBe('closed_won');
+        expect((await move(stages.Negotiation)).body.deal.status).toBe('open');
+      });
+
+      it('refuses to win a deal whose discount is awaiting approval', async () => {
+        const dealId = await createDeal({ discount_approval_status: 'pending' });
+
+        const res = await request(app)
+          .post(`/api/deals/${dealId}/move-stage`)
+          .set('Authorization', rep.auth)
+          .send({ to_stage_id: stages['Closed Won'] });
+
+        expect(res.status).toBe(409);
+        expect(await history(dealId)).toEqual([]);
+      });
+
+      it('rejects a move to the current stage', async () => {
+        const dealId = await createDeal();
+
+        const res = await request(app)
+          .post(`/api/deals/${dealId}/move-stage`)
+          .set('Authorization', rep.auth)
+          .send({ to_stage_id: stages.Lead });
+
+        expect(res.status).toBe(409);
+      });
+    });
+
+    describe('PUT /api/deals/:id', () => {
+      const update = (dealId, body) => request(app)
+        .put(`/api/deals/${dealId}`)
+        .set('Authorization', rep.auth)
+        .send({ title: 'Deal', company_id: companyId, value: 1000, ...body });
+
+      it('requires authentication', async () => {
+        const dealId = await createDeal();
+
+        const res = await request(app).put(`/api/deals/${dealId}`).send({ title: 'Anonymous' });
+        expect(res.status).toBe(401);
+      });
+
+      it('applies a stage change like move-stage: status, history with the user, automation', async () => {
+        const dealId = await createDeal();
+
+        const res = await update(dealId, { pipeline_stage_id: stages['Closed Won'] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.deal).toMatchObject({ pipeline_stage_id: stages['Closed Won'], status: 'closed_won' });
+        expect(await history(dealId)).toEqual([
+          { from_stage_id: stages.Lead, to_stage_id: stages['Closed Won'], changed_by_user_id: rep.id }
+        ]);
+      });
+
+      it('cannot bypass the discount approval gate by sending only the stage', async () => {
+        const dealId = await createDeal({ discount_approval_status: 'rejected' });
+
+        const res = await update(dealId, { pipeline_stage_id: stages['Closed Won'], title: 'Renamed' });
+
+        expect(res.status).toBe(409);
+        const deal = await testDb.query('SELECT title, status, pipeline_stage_id FROM deals WHERE id = $1', [dealId]);
+        expect(deal.rows[0]).toEqual({ title: 'Deal', status: 'open', pipeline_stage_id: stages.Lead });
+      });
+
+      it('keeps the status when none is sent and the stage is unchanged', async () => {
+        const dealId = await createDeal();
+
+        const res = await update(dealId, { pipeline_stage_id: stages.Lead, title: 'Renamed' });
+
+        expect(res.body.deal).toMatchObject({ title: 'Renamed', status: 'open' });
+        expect(await history(dealId)).toEqual([]);
+      });
+
+      it('only changes the status through a matching stage change', async () => {
+        const dealId = await createDeal();
+
+        const statusOnly = await update(dealId, { status: 'closed_won' });
+        expect(statusOnly.status).toBe(400);
+        expect((await update(dealId, { status: 'closed_won', pipeline_stage_id: stages['Closed Lost'] })).status).toBe(400);
+        expect((await update(dealId, { status: 'won' })).status).toBe(400);
+
+        const deal = await testDb.query('SELECT status, pipeline_stage_id FROM deals WHERE id = $1', [dealId]);
+        expect(deal.rows[0]).toEqual({ status: 'open', pipeline_stage_id: stages.Lead });
+        expect(await history(dealId)).toEqual([]);
+
+        const unchanged = await update(dealId, { status: 'open', title: 'Renamed' });
+        expect(unchanged.body.deal).toMatchObject({ title: 'Renamed', status: 'open' });
+
+        const won = await update(dealId, { status: 'closed_won', pipeline_stage_id: stages['Closed Won'] });
+        expect(won.status).toBe(200);
+        expect(won.body.deal).toMatchObject({ status: 'closed_won', pipeline_stage_id: stages['Closed Won'] });
+        expect(await history(dealId)).toHaveLength(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,225 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const dealsRoutes = require('../routes/deals');
+const priceBooksRoutes = require('../routes/priceBooks');
+const discountApprovalsRoutes = require('../routes/discountApprovals');
+
+const app = express();
+app.use(express.json());
+app.use('/api/deals', dealsRoutes);
+app.use('/api/price-books', priceBooksRoutes);
+app.use('/api/discount-approvals', discountApprovalsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Price books and discount approvals', () => {
+  let admin;
+  let manager;
+  let rep;
+  let seat;
+  let support;
+  let closedWonStageId;
+
+  const createProduct = async (name, unitPrice) => (await testDb.query(
+    'INSERT INTO products (name, unit_price) VALUES ($1, $2) RETURNING id',
+    [name, unitPrice]
+  )).rows[0];
+
+  const createDeal = async () => (await testDb.query(`
+    INSERT INTO deals (title, currency, status, pipeline_id, pipeline_stage_id)
+    SELECT 'Discounted deal', 'USD', 'open', p.id, ps.id
+    FROM pipelines p JOIN pipeline_stages ps ON ps.pipeline_id = p.id
+    WHERE p.is_default AND ps.name = 'Lead'
+    RETURNING id
+  `)).rows[0].id;
+
+  const addLineItem = (dealId, body, user = rep) =>
+    request(app).post(`/api/deals/${dealId}/products`).set('Authorization', user.auth).send(body);
+
+  const closeWon = (dealId) =>
+    request(app).post(`/api/deals/${dealId}/move-stage`).set('Authorization', rep.auth).send({ to_stage_id: closedWonStageId });
+
+  const pendingApproval = async (dealId) => {
+    const res = await request(app)
+      .get('/api/discount-approvals')
+      .set('Authorization', manager.auth)
+      .query({ deal_id: dealId, status: 'pending' });
+    return res.body.approvals[0];
+  };
+
+  const decide = (approvalId, decision, user = manager) =>
+    request(app)
+      .post(`/api/discount-approvals/${approvalId}/${decision}`)
+      .set('Authorization', user.auth)
+      .send({ comment: 'Reviewed' });
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    manager = await createUser({ role: 'manager' });
+    rep = await createUser({ role: 'sales_rep' });
+    seat = await createProduct('Discount Seat', 100);
+    support = await createProduct('Discount Support', 40);
+
+    closedWonStageId = (await testDb.query(`
+      SELECT ps.id FROM pipeline_stages ps JOIN pipelines p ON p.id = ps.pipeline_id
+      WHERE p.is_default AND ps.name = 'Closed Won'
+    `)).rows[0].id;
+  });
+
+  describe('price books', () => {
+    let priceBook;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/price-books')
+        .set('Authorization', manager.auth)
+        .send({ name: 'Partner prices' });
+      priceBook = created.body;
+    });
+
+    it('prices line items from the deal\'s price book, falling back to the catalog', async () => {
+      const entries = await request(app)
+        .put(`/api/price-books/${priceBook.id}/entries`)
+        .set('Authorization', manager.auth)
+        .send({ entries: [{ product_id: seat.id, unit_price: 80 }] });
+      expect(entries.status).toBe(200);
+      expect(entries.body.entries).toEqual([
+        expect.objectContaining({ product_id: seat.id, list_price: 100, unit_price: 80 })
+      ]);
+
+      const dealId = await createDeal();
+      const assigned = await request(app)
+        .put(`/api/deals/${dealId}/price-book`)
+        .set('Authorization', rep.auth)
+        .send({ price_book_id: priceBook.id });
+      expect(assigned.body.deal).toEqual({ id: dealId, price_book_id: priceBook.id });
+
+      await addLineItem(dealId, { product_id: seat.id, quantity: 2 });
+      const res = await addLineItem(dealId, { product_id: support.id });
+
+      const byProduct = Object.fromEntries(res.body.line_items.map(item => [item.product_id, item]));
+      expect(byProduct[seat.id]).toMatchObject({ list_price: 80, unit_price: 80, discount_percent: 0 });
+      expect(byProduct[support.id]).toMatchObject({ list_price: 40, unit_price: 40 });
+      expect(res.body.value).toBe(200);
+      expect(res.body.discount_approval_status).toBeNull();
+    });
+
+    it('only assigns active price books and is managed by managers', async () => {
+      await request(app).put(`/api/price-books/${priceBook.id}`).set('Authorization', manager.auth).send({ is_active: false });
+
+      const dealId = await createDeal();
+      const inactive = await request(app)
+        .put(`/api/deals/${dealId}/price-book`)
+        .set('Authorization', rep.auth)
+        .send({ price_book_id: priceBook.id });
+      expect(inactive.status).toBe(400);
+
+      const byRep = await request(app).post('/api/price-books').set('Authorization', rep.auth).send({ name: 'Rep prices' });
+      expect(byRep.status).toBe(403);
+    });
+  });
+
+  describe('discount approvals', () => {
+    it('holds a deal above the threshold until a manager approves the discount', async () => {
+      const policy = await request(app).get('/api/discount-approvals/policy').set('Authorization', rep.auth);
+      expect(policy.body).toEqual({ threshold_percent: 20, is_default: true });
+
+      const dealId = await createDeal();
+      const added = await addLineItem(dealId, { product_id: seat.id, discount_percent: 30 });
+      expect(added.body.discount_approval_status).toBe('pending');
+
+      const approval = await pendingApproval(dealId);
+      expect(approval).toMatchObject({ max_discount_percent: 30, threshold_percent: 20, requested_by: rep.id });
+
+      const blocked = await closeWon(dealId);
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.error).toBe('Deal discount approval is pending');
+
+      const approved = await decide(approval.id, 'approve');
+      expect(approved.status).toBe(200);
+      expect(approved.body).toMatchObject({ status: 'approved', decided_by: manager.id, comment: 'Reviewed' });
+
+      expect((await closeWon(dealId)).status).toBe(200);
+
+      const audit = await testDb.query(
+        "SELECT details FROM audit_logs WHERE action = 'APPROVE' AND entity_type = 'deal' AND entity_id = $1",
+        [dealId]
+      );
+      expect(audit.rows[0].details).toMatchObject({ approvalId: approval.id, decision: 'approved', maxDiscountPercent: 30 });
+    });
+
+    it('covers discounts up to the approved percentage only', async () => {
+      const dealId = await createDeal();
+      const added = await addLineItem(dealId, { product_id: seat.id, discount_percent: 30 });
+      await decide((await pendingApproval(dealId)).id, 'approve');
+
+      const item = added.body.line_items[0];
+      const smaller = await request(app)
+        .put(`/api/deals/${dealId}/products/${item.id}`)
+        .set('Authorization', rep.auth)
+        .send({ discount_percent: 25 });
+      expect(smaller.body.discount_approval_status).toBe('approved');
+
+      const larger = await request(app)
+        .put(`/api/deals/${dealId}/products/${item.id}`)
+        .set('Authorization', rep.auth)
+        .send({ discount_percent: 35 });
+      expect(larger.body.discount_approval_status).toBe('pending');
+      expect((await pendingApproval(dealId)).max_discount_percent).toBe(35);
+    });
+
+    it('cancels a pending request when the discount comes back within the threshold', async () => {
+      const dealId = await createDeal();
+      const added = await addLineItem(dealId, { product_id: seat.id, unit_price: 70 });
+      const approval = await pendingApproval(dealId);
+
+      const reduced = await request(app)
+        .put(`/api/deals/${dealId}/products/${added.body.line_items[0].id}`)
+        .set('Authorization', rep.auth)
+        .send({ unit_price: 90 });
+      expect(reduced.body.discount_approval_status).toBeNull();
+
+      const cancelled = await request(app).get(`/api/discount-approvals/${approval.id}`).set('Authorization', manager.auth);
+      expect(cancelled.body.status).toBe('cancelled');
+      expect((await decide(approval.id, 'approve')).status).toBe(409);
+    });
+
+    it('keeps rejected deals from closing and stops managers deciding their own requests', async () => {
+      const rejectedDeal = await createDeal();
+      await addLineItem(rejectedDeal, { product_id: seat.id, discount_percent: 50 });
+      const rejected = await decide((await pendingApproval(rejectedDeal)).id, 'reject');
+      expect(rejected.body.status).toBe('rejected');
+      expect((await closeWon(rejectedDeal)).body.error).toBe('Deal discount approval is rejected');
+
+      const ownDeal = await createDeal();
+      await addLineItem(ownDeal, { product_id: seat.id, discount_percent: 40 }, manager);
+      const own = await pendingApproval(ownDeal);
+      expect((await decide(own.id, 'approve')).status).toBe(403);
+      expect((await decide(own.id, 'approve', rep)).status).toBe(403);
+      expect((await decide(own.id, 'approve', admin)).status).toBe(200);
+    });
+
+    it('applies a new threshold to later line item changes', async () => {
+      const denied = await request(app)
+        .put('/api/discount-approvals/policy')
+        .set('Authorization', manager.auth)
+        .send({ threshold_percent: 40 });
+      expect(denied.status).toBe(403);
+
+      const saved = await request(app)
+        .put('/api/discount-approvals/policy')
+        .set('Authorization', admin.auth)
+        .send({ threshold_percent: 40 });
+      expect(saved.body).toMatchObject({ threshold_percent: 40, is_default: false });
+
+      const dealId = await createDeal();
+      const added = await addLineItem(dealId, { product_id: seat.id, discount_percent: 30 });
+      expect(added.body.discount_approval_status).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,38 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp } = require('./helpers/api');
+const companiesRoutes = require('../routes/companies');
+const contactsRoutes = require('../routes/contacts');
+
+const app = buildApp('/api', require('express').Router()
+  .use('/companies', companiesRoutes)
+  .use('/contacts', contactsRoutes));
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Error responses', () => {
+  it('returns 400 with the first validation message', async () => {
+    const res = await request(app).post('/api/companies').send({ name: 'Bad Revenue', annual_revenue: -1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Validation Error',
+      details: expect.stringContaining('annual_revenue')
+    });
+  });
+
+  it('returns 404 for missing records', async () => {
+    expect((await request(app).get('/api/companies/424242')).status).toBe(404);
+    expect((await request(app).get('/api/contacts/424242')).status).toBe(404);
+  });
+
+  it('returns 500 without leaking the database error', async () => {
+    const res = await request(app).get('/api/contacts/not-a-number');
+
+    expect(res.status).toBe(500);
+    expect(JSON.stringify(res.body)).not.toMatch(/syntax|integer/i);
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const exportsRoutes = require('../routes/exports');
+
+const app = buildApp('/api/exports', exportsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+// Collects binary bodies (XLSX) into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/exports/:entity', () => {
+  let admin;
+
+  // The export tier allows 5 requests per user per hour
+  beforeEach(async () => {
+    admin = await createUser({ role: 'admin' });
+  });
+
+  beforeAll(async () => {
+    await testDb.query(`
+      INSERT INTO companies (name, industry, country, annual_revenue)
+      SELECT 'Bulk Export ' || n, 'BulkExport', 'NZ', n * 10
+      FROM generate_series(1, 1205) as n
+    `);
+    await testDb.query(`
+      INSERT INTO companies (name, industry, country, annual_revenue) VALUES
+      ('Export, "Quoted" Ltd', 'ExportCsv', 'NZ', 1500.5),
+      ('Export Plain', 'ExportCsv', 'AU', 20)
+    `);
+  });
+
+  it('streams every matching record across keyset batches as NDJSON', async () => {
+    const res = await request(app)
+      .get('/api/exports/companies')
+      .query({ format: 'ndjson', industry: 'BulkExport' })
+      .set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="companies-\d{4}-\d{2}-\d{2}\.ndjson"/);
+
+    const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows).toHaveLength(1205);
+    expect(new Set(rows.map(row => row.id)).size).toBe(1205);
+    expect(rows.every((row, index) => index === 0 || row.id > rows[index - 1].id)).toBe(true);
+    expect(typeof rows[0].annual_revenue).toBe('number');
+  });
+
+  it('exports CSV with the same filters as the list endpoint', async () => {
+    const res = await request(app)
+      .get('/api/exports/companies')
+      .query({ industry: 'ExportCsv', country: 'NZ' })
+      .set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+    const lines = res.text.split('\n');
+    expect(lines[0]).toMatch(/^"ID","Name","Industry"/);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('"Export, ""Quoted"" Ltd"');
+    expect(lines[1]).toContain('1500.5');
+  });
+
+  it('writes only the header row when nothing matches', async () => {
+    const res = await request(app)
+      .get('/api/exports/companies')
+      .query({ industry: 'NoSuchIndustry' })
+      .set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.text.split('\n')).toHaveLength(1);
+    expect(res.text).toMatch(/^"ID","Name"/);
+  });
+
+  it('exports XLSX with a header row', async () => {
+    const res = await request(app)
+      .get('/api/exports/companies')
+      .query({ format: 'xlsx', industry: 'ExportCsv' })
+      .set('Authorization', admin.auth)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const worksheet = workbook.getWorksheet('Export');
+    expect(worksheet.getRow(1).getCell(2).value).toBe('Name');
+    expect(worksheet.rowCount).toBe(3);
+  });
+
+  it('rejects unknown entities, formats and malformed filters before streaming', async () => {
+    const entity = await request(app).get('/api/exports/users').set('Authorization', admin.auth);
+    expect(entity.status).toBe(400);
+
+    const format = await request(app)
+      .get('/api/exports/companies')
+      .query({ format: 'pdf' })
+      .set('Authorization', admin.auth);
+    expect(format.status).toBe(400);
+
+    const filter = await request(app)
+      .get('/api/exports/activities')
+      .query({ owner: 'someone' })
+      .set('Authorization', admin.auth);
+    expect(filter.status).toBe(400);
+    expect(filter.headers['content-disposition']).toBeUndefined();
+  });
+
+  it('requires the export:data permission', async () => {
+    const rep = await createUser({ role: 'sales_rep' });
+
+    const res = await request(app).get('/api/exports/companies').set('Authorization', rep.auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rate limits exports per user', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const res = await request(app)
+        .get('/api/exports/products')
+        .query({ category: 'NoSuchCategory' })
+        .set('Authorization', admin.auth);
+      statuses.push(res.status);
+    }
+
+    expect(statuses.slice(0, 5)).toEqual([200, 200, 200, 200, 200]);
+    expect(statuses[5]).toBe(429);
+  });
+
+  it('reports the tier limit in the rate limit headers', async () => {
+    const res = await request(app)
+      .get('/api/exports/products')
+      .query({ category: 'NoSuchCategory' })
+      .set('Authorization', admin.auth);
+
+    expect(res.headers['x-ratelimit-limit']).toBe('5');
+    expect(res.headers['x-ratelimit-remaining']).toBe('4');
+  });
+});
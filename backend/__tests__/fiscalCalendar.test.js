@@ -0,0 +1,135 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const fiscalCalendarRoutes = require('../routes/fiscalCalendar');
+const salesPerformanceRoutes = require('../routes/salesPerformance');
+
+const app = express();
+app.use(express.json());
+app.use('/api/fiscal-calendar', fiscalCalendarRoutes);
+app.use('/api/sales-performance', salesPerformanceRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Fiscal calendar', () => {
+  let admin;
+  let rep;
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    rep = await createUser({ role: 'sales_rep' });
+  });
+
+  const save = (body, user = admin) =>
+    request(app).put('/api/fiscal-calendar').set('Authorization', user.auth).send(body);
+
+  const periods = (query) =>
+    request(app).get('/api/fiscal-calendar/periods').set('Authorization', rep.auth).query(query);
+
+  const labels = (res) => res.body.periods.map(period => [period.label, period.start_date, period.end_date]);
+
+  it('defaults to calendar months', async () => {
+    const res = await request(app).get('/api/fiscal-calendar').set('Authorization', rep.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ calendar_type: 'monthly', start_month: 1 });
+
+    const quarters = await periods({ start_date: '2026-01-01', end_date: '2026-06-30', granularity: 'quarter' });
+    expect(labels(quarters)).toEqual([
+      ['FY2026 Q1', '2026-01-01', '2026-03-31'],
+      ['FY2026 Q2', '2026-04-01', '2026-06-30']
+    ]);
+  });
+
+  it('labels a February year by the calendar year it ends in', async () => {
+    const saved = await save({ calendar_type: 'monthly', start_month: 2 });
+    expect(saved.status).toBe(200);
+
+    const months = await periods({ start_date: '2026-01-01', end_date: '2026-02-28', granularity: 'month' });
+    expect(labels(months)).toEqual([
+      ['FY2026 P12', '2026-01-01', '2026-01-31'],
+      ['FY2027 P01', '2026-02-01', '2026-02-28']
+    ]);
+
+    const quarter = await periods({ start_date: '2026-03-15', end_date: '2026-03-15', granularity: 'quarter' });
+    expect(labels(quarter)).toEqual([['FY2027 Q1', '2026-02-01', '2026-04-30']]);
+  });
+
+  it('generates 4-4-5 periods from a week pattern', async () => {
+    const saved = await save({
+      calendar_type: 'custom',
+      years: [{ fiscal_year: 2027, start_date: '2026-02-01', pattern: '4-4-5' }]
+    });
+    expect(saved.status).toBe(200);
+    expect(saved.body.periods).toHaveLength(12);
+
+    const months = await periods({ start_date: '2026-02-01', end_date: '2026-05-02', granularity: 'month' });
+    expect(labels(months)).toEqual([
+      ['FY2027 P01', '2026-02-01', '2026-02-28'],
+      ['FY2027 P02', '2026-03-01', '2026-03-28'],
+      ['FY2027 P03', '2026-03-29', '2026-05-02']
+    ]);
+
+    const year = await periods({ start_date: '2026-06-01', end_date: '2026-06-01', granularity: 'year' });
+    expect(labels(year)).toEqual([['FY2027', '2026-02-01', '2027-01-30']]);
+
+    const uncovered = await periods({ start_date: '2027-03-01', end_date: '2027-03-31' });
+    expect(uncovered.status).toBe(400);
+    expect(uncovered.body.error).toMatch(/no period covering 2027-03-01/);
+  });
+
+  it('buckets reporting by the fiscal periods', async () => {
+    const company = (await testDb.query(
+      "INSERT INTO companies (name, industry) VALUES ('Fiscal Co', 'Fiscal Testing') RETURNING id"
+    )).rows[0];
+    await testDb.query(
+      `INSERT INTO deals (title, company_id, value, currency, status, expected_close_date)
+       VALUES ('Late March win', $1, 700, 'USD', 'closed_won', '2026-03-29')`,
+      [company.id]
+    );
+
+    const res = await request(app).get('/api/sales-performance').query({
+      industry: 'Fiscal Testing',
+      start_date: '2026-02-01',
+      end_date: '2026-05-02',
+      compare: 'none'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.period.fiscal_calendar).toBe('custom');
+    expect(res.body.data.series.map(bucket => [bucket.label, bucket.revenue])).toEqual([
+      ['FY2027 P01', 0],
+      ['FY2027 P02', 0],
+      ['FY2027 P03', 700]
+    ]);
+  });
+
+  it('rejects overlapping or duplicated custom periods', async () => {
+    const overlapping = await save({
+      calendar_type: 'custom',
+      periods: [
+        { fiscal_year: 2027, period_number: 1, start_date: '2026-02-01', end_date: '2026-02-28' },
+        { fiscal_year: 2027, period_number: 2, start_date: '2026-02-20', end_date: '2026-03-28' }
+      ]
+    });
+    expect(overlapping.status).toBe(400);
+
+    const duplicated = await save({
+      calendar_type: 'custom',
+      periods: [
+        { fiscal_year: 2027, period_number: 1, start_date: '2026-02-01', end_date: '2026-02-28' },
+        { fiscal_year: 2027, period_number: 1, start_date: '2026-03-01', end_date: '2026-03-28' }
+      ]
+    });
+    expect(duplicated.status).toBe(400);
+    expect(duplicated.body.error).toMatch(/defined more than once/);
+  });
+
+  it('can only be changed by admins', async () => {
+    expect((await save({ calendar_type: 'monthly', start_month: 4 }, rep)).status).toBe(403);
+  });
+});
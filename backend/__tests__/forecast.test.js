@@ -0,0 +1,167 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const teamService = require('../services/teamService');
+const forecastRoutes = require('../routes/forecast');
+const dealsRoutes = require('../routes/deals');
+
+const app = express();
+app.use(express.json());
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/deals', dealsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Forecast', () => {
+  let admin;
+  let manager;
+  let firstRep;
+  let secondRep;
+  let outsideRep;
+  let team;
+  let bestCaseDealId;
+
+  const forecast = (query, user = admin) =>
+    request(app)
+      .get('/api/forecast')
+      .set('Authorization', user.auth)
+      .query({ start_date: '2027-01-01', end_date: '2027-03-31', ...query });
+
+  const rollup = (query, user = admin) =>
+    request(app)
+      .get('/api/forecast/rollup')
+      .set('Authorization', user.auth)
+      .query({ date: '2027-02-01', ...query });
+
+  const createDeal = async (ownerId, value, status, stageName, probability, category, closeDate) => {
+    const result = await testDb.query(
+      `INSERT INTO deals (title, value, currency, status, pipeline_stage_id, probability, forecast_category,
+         expected_close_date, assigned_user_id)
+       VALUES ('Forecast deal', $1, 'USD', $2, (SELECT id FROM pipeline_stages WHERE name = $3 ORDER BY id LIMIT 1),
+         $4, $5, $6, $7)
+       RETURNING id`,
+      [value, status, stageName, probability, category, closeDate, ownerId]
+    );
+    return result.rows[0].id;
+  };
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    manager = await createUser({ role: 'manager' });
+    firstRep = await createUser({ first_name: 'First', last_name: 'Rep' });
+    secondRep = await createUser({ first_name: 'Second', last_name: 'Rep' });
+    outsideRep = await createUser();
+
+    team = await teamService.createTeam({
+      name: 'Forecast Team',
+      manager_id: manager.id,
+      member_ids: [firstRep.id, secondRep.id]
+    }, null);
+    await teamService.createTeam({ name: 'Other Team', member_ids: [outsideRep.id] }, null);
+
+    await testDb.query(
+      "INSERT INTO quotas (user_id, period_start, period_end, amount) VALUES ($1, '2027-01-01', '2027-03-31', 5000)",
+      [firstRep.id]
+    );
+
+    await createDeal(firstRep.id, 1000, 'closed_won', 'Closed Won', 100, null, '2027-01-15');
+    await createDeal(firstRep.id, 2000, 'open', 'Proposal', 80, 'commit', '2027-02-10');
+    bestCaseDealId = await createDeal(firstRep.id, 1000, 'open', 'Qualified', 40, 'best_case', '2027-03-05');
+    await createDeal(secondRep.id, 4000, 'open', 'Lead', 20, null, '2027-02-20');
+    await createDeal(secondRep.id, 500, 'open', 'Negotiation', 90, 'omitted', '2027-03-20');
+    await createDeal(firstRep.id, 9999, 'open', 'Proposal', 80, 'commit', '2027-04-02');
+    await createDeal(outsideRep.id, 700, 'open', 'Proposal', 50, 'commit', '2027-02-14');
+  });
+
+  it('weights open deals by stage probability and groups them by forecast category', async () => {
+    const res = await forecast({ team_id: team.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.probability_source).toBe('stage');
+    expect(res.body.summary).toEqual({
+      won_deals: 1,
+      open_deals: 4,
+      closed_won: 1000,
+      commit: 2000,
+      best_case: 1000,
+      pipeline: 4000,
+      omitted: 500,
+      weighted_pipeline: 1650,
+      forecast: { commit: 3000, best_case: 4000, weighted: 2650 },
+      value_by_currency: [{ currency: 'USD', deal_count: 5, value: 8500, converted_value: 8500, unconverted_deals: 0 }]
+    });
+  });
+
+  it('can weight by the probability set on each deal instead', async () => {
+    const res = await forecast({ team_id: team.id, probability_source: 'deal' });
+
+    expect(res.body.summary.weighted_pipeline).toBe(2800);
+    expect(res.body.summary.forecast.weighted).toBe(3800);
+  });
+
+  it('buckets deals by fiscal close period and filters by owner', async () => {
+    const monthly = await forecast({ team_id: team.id, granularity: 'month' });
+    expect(monthly.body.series.map(bucket => [bucket.start_date, bucket.closed_won, bucket.commit, bucket.pipeline]))
+      .toEqual([
+        ['2027-01-01', 1000, 0, 0],
+        ['2027-02-01', 0, 2000, 4000],
+        ['2027-03-01', 0, 0, 0]
+      ]);
+
+    const owner = await forecast({ owner_id: secondRep.id });
+    expect(owner.body.summary).toMatchObject({ open_deals: 2, pipeline: 4000, omitted: 500, weighted_pipeline: 400 });
+  });
+
+  it('rolls reps up into teams against quota', async () => {
+    const res = await rollup({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.period).toMatchObject({ start_date: '2027-01-01', end_date: '2027-03-31', granularity: 'quarter' });
+
+    const forecastTeam = res.body.teams.find(row => row.team_id === team.id);
+    expect(forecastTeam).toMatchObject({ quota: 5000, closed_won: 1000 });
+    expect(forecastTeam.attainment).toEqual({ closed_won: 20, commit: 60, best_case: 80, weighted: 53 });
+
+    const first = forecastTeam.members.find(member => member.user_id === firstRep.id);
+    expect(first).toMatchObject({ name: 'First Rep', quota: 5000, commit: 2000 });
+    const second = forecastTeam.members.find(member => member.user_id === secondRep.id);
+    expect(second).toMatchObject({ quota: null, attainment: null, pipeline: 4000 });
+  });
+
+  it('limits managers to the teams they manage', async () => {
+    const res = await rollup({}, manager);
+
+    expect(res.status).toBe(200);
+    expect(res.body.teams.map(row => row.team_id)).toEqual([team.id]);
+    expect(res.body.unassigned).toBeNull();
+    expect(res.body.totals.commit).toBe(2000);
+
+    expect((await rollup({}, firstRep)).status).toBe(403);
+  });
+
+  it('lets sales reps set the forecast category only on their own deals', async () => {
+    const url = `/api/deals/${bestCaseDealId}/forecast-category`;
+
+    const other = await request(app).put(url).set('Authorization', secondRep.auth).send({ forecast_category: 'commit' });
+    expect(other.status).toBe(403);
+
+    const invalid = await request(app).put(url).set('Authorization', firstRep.auth).send({ forecast_category: 'maybe' });
+    expect(invalid.status).toBe(400);
+
+    const owner = await request(app).put(url).set('Authorization', firstRep.auth).send({ forecast_category: 'commit' });
+    expect(owner.status).toBe(200);
+    expect(owner.body.deal.forecast_category).toBe('commit');
+
+    const res = await forecast({ team_id: team.id });
+    expect(res.body.summary).toMatchObject({ commit: 3000, best_case: 0 });
+  });
+
+  it('rejects inverted ranges and unknown probability sources', async () => {
+    expect((await forecast({ end_date: '2026-12-01' })).status).toBe(400);
+    expect((await forecast({ probability_source: 'gut' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const searchRoutes = require('../routes/search');
+
+const app = buildApp('/api/search', searchRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Fuzzy lookups', () => {
+  let user;
+  let quillId;
+  let otherId;
+
+  beforeAll(async () => {
+    user = await createUser();
+    quillId = (await testDb.query("INSERT INTO companies (name) VALUES ('Quillfeather Logistics, Inc.') RETURNING id")).rows[0].id;
+    otherId = (await testDb.query("INSERT INTO companies (name) VALUES ('Zenith Holdings') RETURNING id")).rows[0].id;
+    await testDb.query(
+      `INSERT INTO contacts (first_name, last_name, email, company_id) VALUES
+       ('Katherine', 'Johnson', 'kjohnson@quill.example', $1),
+       ('Catherine', 'Jonson', 'cj@zenith.example', $2)`,
+      [quillId, otherId]
+    );
+  });
+
+  const lookup = (entity, query) => request(app)
+    .get(`/api/search/lookup/${entity}`)
+    .set('Authorization', user.auth)
+    .query(query);
+
+  describe('GET /api/search/lookup/companies', () => {
+    it('finds a company despite typos and legal suffixes', async () => {
+      const res = await lookup('companies', { q: 'quilfeather logistics' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.candidates[0]).toMatchObject({ id: quillId, name: 'Quillfeather Logistics, Inc.' });
+      expect(res.body.candidates[0].score).toBeGreaterThan(0.5);
+
+      const typo = await lookup('companies', { q: 'quillfether' });
+      expect(typo.body.candidates.map(candidate => candidate.id)).toContain(quillId);
+    });
+
+    it('drops candidates under min_score', async () => {
+      const res = await lookup('companies', { q: 'quillfether', min_score: 0.95 });
+      expect(res.body.candidates).toEqual([]);
+    });
+
+    it('requires a query', async () => {
+      const res = await lookup('companies', {});
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/search/lookup/contacts', () => {
+    it('matches misspelled names, best first', async () => {
+      const res = await lookup('contacts', { q: 'katherin johnson' });
+
+      expect(res.body.candidates.map(candidate => candidate.last_name)).toEqual(['Johnson', 'Jonson']);
+      expect(res.body.candidates[0].company_name).toBe('Quillfeather Logistics, Inc.');
+    });
+
+    it('matches emails and narrows to one company', async () => {
+      const byEmail = await lookup('contacts', { q: 'kjohnson@quill' });
+      expect(byEmail.body.candidates[0].last_name).toBe('Johnson');
+
+      const inCompany = await lookup('contacts', { q: 'catherine jonson', company_id: otherId });
+      expect(inCompany.body.candidates.map(candidate => candidate.company_id)).toEqual([otherId]);
+    });
+  });
+});
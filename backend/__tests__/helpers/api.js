@@ -0,0 +1,58 @@
+/**
+ * Route test helpers
+ *
+ * Mounts a router on a bare Express app the way server.js does and creates
+ * users with a signed token for the authenticated endpoints. Requires the
+ * test file to have mocked ../db with testDb first.
+ */
+const express = require('express');
+const middleware = require('../../middleware');
+const testDb = require('./testDb');
+
+/**
+ * Builds an app serving a single router
+ *
+ * @param {string} mountPath - Path the router is mounted on, e.g. '/api/companies'
+ * @param {Object} router - Express router
+ * @returns {Object} Express app
+ */
+const buildApp = (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  return app;
+};
+
+let userCount = 0;
+
+/**
+ * Inserts an active user and signs a token for it
+ *
+ * @param {Object} [attributes] - Column overrides (role, first_name, ...)
+ * @returns {Promise<Object>} User row plus token and an Authorization header value
+ */
+const createUser = async (attributes = {}) => {
+  userCount += 1;
+  const user = {
+    email: `user${userCount}.${Date.now()}@example.com`,
+    password_hash: 'not-a-real-hash',
+    first_name: 'Test',
+    last_name: `User${userCount}`,
+    role: 'sales_rep',
+    ...attributes
+  };
+
+  const columns = Object.keys(user);
+  const result = await testDb.query(
+    `INSERT INTO users (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    columns.map(column => user[column])
+  );
+
+  const row = result.rows[0];
+  const token = middleware.generateToken(row.id, row.email, row.role);
+  return { ...row, token, auth: `Bearer ${token}` };
+};
+
+module.exports = { buildApp, createUser };
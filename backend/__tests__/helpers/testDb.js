@@ -0,0 +1,116 @@
+/**
+ * Test database
+ *
+ * An in-memory PostgreSQL (PGlite) behind the same interface as the pg Pool
+ * in db.js, so routes and services run their real SQL. Each test file gets
+ * its own database:
+ *
+ *   jest.mock('../db', () => require('./helpers/testDb').pool);
+ *   beforeAll(() => testDb.migrate());
+ *
+ * Parameters are prepared and results parsed with node-postgres' own
+ * conversions, so numerics and counts come back as strings, dates as Date
+ * objects, exactly as in production. Every client shares one session:
+ * transactions work, but tests must not run them concurrently.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const { types } = require('pg');
+const { prepareValue } = require('pg/lib/utils');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Text parsers node-postgres applies to built-in types
+const parsers = {};
+Object.values(types.builtins).forEach((oid) => {
+  parsers[oid] = (text) => types.getTypeParser(oid, 'text')(text);
+});
+
+const db = new PGlite({ extensions: { pg_trgm }, parsers });
+
+// Queries still running, e.g. audit logs written without being awaited
+const pending = new Set();
+
+/**
+ * Runs a query like pg's Pool#query: several statements are allowed
+ * without parameters
+ *
+ * @param {string|Object} text - SQL, or { text, values }
+ * @param {Array} [values] - Parameters
+ * @returns {Promise<Object>} { rows, rowCount, fields }
+ */
+const run = async (text, values) => {
+  if (typeof text === 'object') {
+    return run(text.text, text.values);
+  }
+
+  if (!values || values.length === 0) {
+    const results = await db.exec(text);
+    const last = results[results.length - 1] || { rows: [], fields: [] };
+    return { rows: last.rows, rowCount: Math.max(last.affectedRows || 0, last.rows.length), fields: last.fields };
+  }
+
+  const result = await db.query(text, values.map(value => prepareValue(value)));
+  return {
+    rows: result.rows,
+    rowCount: Math.max(result.affectedRows || 0, result.rows.length),
+    fields: result.fields
+  };
+};
+
+/**
+ * Pool#query for the code under test, tracking the query until it settles
+ *
+ * @param {string|Object} text - SQL, or { text, values }
+ * @param {Array} [values] - Parameters
+ * @returns {Promise<Object>} { rows, rowCount, fields }
+ */
+const query = (text, values) => {
+  const running = run(text, values);
+  pending.add(running);
+  const settle = () => pending.delete(running);
+  running.then(settle, settle);
+  return running;
+};
+
+const pool = {
+  query,
+  connect: async () => ({ query, release: () => {} }),
+  on: () => {},
+  end: async () => {}
+};
+
+/**
+ * Creates the schema the application code targets: the tables of
+ * migrations/complete_schema.sql, the ones only schema.sql defines, and
+ * everything migration.js applies on top
+ */
+const migrate = async () => {
+  const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+  await db.exec(read('migrations/complete_schema.sql'));
+  await db.exec('ALTER TABLE deals ADD COLUMN IF NOT EXISTS assigned_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  await db.exec(read('schema.sql')
+    .replace(/CREATE TABLE (?!IF NOT EXISTS)/g, 'CREATE TABLE IF NOT EXISTS ')
+    .replace(/CREATE INDEX (?!IF NOT EXISTS)/g, 'CREATE INDEX IF NOT EXISTS '));
+  await db.exec(read('search_enhancement.sql'));
+
+  const { runMigrations } = require('../../migration');
+  await runMigrations();
+};
+
+/**
+ * Shuts the database down at the end of a test file, once queries fired
+ * and forgotten by the code under test have finished
+ */
+const close = async () => {
+  while (pending.size > 0) {
+    await Promise.allSettled([...pending]);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await db.close();
+};
+
+module.exports = { db, pool, query, migrate, close };
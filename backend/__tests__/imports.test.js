@@ -0,0 +1,145 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const importsRoutes = require('../routes/imports');
+
+const app = buildApp('/api/imports', importsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+const COMPANY_MAPPING = { Company: 'name', Industry: 'industry', City: 'city' };
+
+describe('Imports API', () => {
+  let admin;
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+  });
+
+  const upload = (csv, entityType = 'companies') =>
+    request(app)
+      .post('/api/imports')
+      .query({ entity_type: entityType, file_name: 'companies.csv' })
+      .set('Authorization', admin.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+  const preview = (batchId, mapping = COMPANY_MAPPING) =>
+    request(app)
+      .post(`/api/imports/${batchId}/preview`)
+      .set('Authorization', admin.auth)
+      .send({ mapping });
+
+  const commit = (batchId, body = {}) =>
+    request(app)
+      .post(`/api/imports/${batchId}/commit`)
+      .set('Authorization', admin.auth)
+      .send(body);
+
+  const rollback = (batchId) =>
+    request(app)
+      .post(`/api/imports/${batchId}/rollback`)
+      .set('Authorization', admin.auth)
+      .send({});
+
+  const findCompany = async (name) =>
+    (await testDb.query('SELECT * FROM companies WHERE name = $1', [name])).rows[0];
+
+  /**
+   * Uploads, previews and commits a companies file, returning the batch id
+   */
+  const importCompanies = async (csv) => {
+    const uploaded = await upload(csv);
+    const batchId = uploaded.body.batch.id;
+    await preview(batchId);
+    const committed = await commit(batchId);
+    expect(committed.status).toBe(200);
+    return batchId;
+  };
+
+  it('uploads a file and suggests a mapping from the headers', async () => {
+    const res = await upload('Company,Industry,City\nSuggest Co,Retail,Reno\n');
+
+    expect(res.status).toBe(201);
+    expect(res.body.batch.status).toBe('uploaded');
+    expect(res.body.batch.total_rows).toBe(1);
+    expect(res.body.suggested_mapping).toMatchObject({ Company: 'name', Industry: 'industry', City: 'city' });
+  });
+
+  it('previews creates, updates and row errors without writing', async () => {
+    await testDb.query("INSERT INTO companies (name, city) VALUES ('Preview Existing', 'Old Town')");
+    const uploaded = await upload('Company,Industry,City\nPreview Existing,Retail,New Town\nPreview New,Retail,Reno\n,Retail,Nowhere\n');
+
+    const res = await preview(uploaded.body.batch.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 3, create: 1, update: 1, error: 1 });
+    expect(res.body.rows.map(row => row.action)).toEqual(['update', 'create', 'error']);
+    expect((await findCompany('Preview Existing')).city).toBe('Old Town');
+    expect(await findCompany('Preview New')).toBeUndefined();
+
+    const strict = await commit(uploaded.body.batch.id);
+    expect(strict.status).toBe(400);
+
+    const lenient = await commit(uploaded.body.batch.id, { skip_invalid: true });
+    expect(lenient.status).toBe(200);
+    expect(lenient.body.batch).toMatchObject({ status: 'committed', created_count: 1, updated_count: 1, skipped_count: 1 });
+    expect((await findCompany('Preview Existing')).city).toBe('New Town');
+  });
+
+  it('rolls back created and updated records', async () => {
+    await testDb.query("INSERT INTO companies (name, industry, city) VALUES ('Rollback Existing', 'Mining', 'Elko')");
+    const batchId = await importCompanies('Company,Industry,City\nRollback Existing,Retail,Reno\nRollback New,Retail,Reno\n');
+
+    const res = await rollback(batchId);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ deleted: 1, restored: 1 });
+    expect(res.body.batch.status).toBe('rolled_back');
+    expect(await findCompany('Rollback New')).toBeUndefined();
+    expect(await findCompany('Rollback Existing')).toMatchObject({ industry: 'Mining', city: 'Elko' });
+
+    const again = await rollback(batchId);
+    expect(again.status).toBe(409);
+  });
+
+  it('refuses to roll back created records that later records reference', async () => {
+    const batchId = await importCompanies('Company,Industry,City\nReferenced Import,Retail,Reno\n');
+    const company = await findCompany('Referenced Import');
+    await testDb.query("INSERT INTO activities (type, subject, company_id) VALUES ('call', 'Follow up', $1)", [company.id]);
+    await testDb.query("INSERT INTO deals (title, company_id, value) VALUES ('Later deal', $1, 100)", [company.id]);
+
+    const res = await rollback(batchId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/deals: 1, activities: 1/);
+    expect(await findCompany('Referenced Import')).toBeDefined();
+    expect((await testDb.query('SELECT COUNT(*) FROM activities WHERE company_id = $1', [company.id])).rows[0].count).toBe('1');
+  });
+
+  it('refuses to roll back records edited after the import', async () => {
+    await testDb.query("INSERT INTO companies (name, city) VALUES ('Edited Later', 'Elko')");
+    const batchId = await importCompanies('Company,Industry,City\nEdited Later,Retail,Reno\n');
+    await testDb.query("UPDATE companies SET city = 'Carson City' WHERE name = 'Edited Later'");
+
+    const res = await rollback(batchId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/edited after the import/);
+    expect((await findCompany('Edited Later')).city).toBe('Carson City');
+
+    const batch = await request(app).get(`/api/imports/${batchId}`).set('Authorization', admin.auth);
+    expect(batch.body.import.status).toBe('committed');
+  });
+
+  it('requires the import:data permission', async () => {
+    const rep = await createUser({ role: 'sales_rep' });
+
+    const res = await request(app).get('/api/imports').set('Authorization', rep.auth);
+
+    expect(res.status).toBe(403);
+  });
+});
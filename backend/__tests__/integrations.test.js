@@ -0,0 +1,23 @@
+const express = require('express');
+const request = require('supertest');
+const integrationsRoutes = require('../routes/integrations');
+
+const app = express();
+app.use(express.json());
+app.use('/api/integrations', integrationsRoutes);
+
+describe('Integrations API', () => {
+  it('reports the available integrations', async () => {
+    const res = await request(app).get('/api/integrations/status');
+
+    expect(res.status).toBe(200);
+    expect(res.body.integrations).toEqual(['zapier', 'slack']);
+  });
+
+  it.each(['zapier', 'slack'])('acknowledges %s webhooks with the received payload', async (name) => {
+    const res = await request(app).post(`/api/integrations/${name}`).send({ event: 'deal.won', id: 7 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'success', received: { event: 'deal.won', id: 7 } });
+  });
+});
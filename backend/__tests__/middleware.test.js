@@ -0,0 +1,72 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const middleware = require('../middleware');
+
+const app = express();
+app.get('/me', middleware.authenticateToken, (req, res) => res.json({ id: req.user.id, permissions: req.user.permissions }));
+app.get('/managers', middleware.authenticateToken, middleware.authorizeRoles('admin', 'manager'), (req, res) => res.json({ ok: true }));
+app.get('/exports', middleware.authenticateToken, middleware.authorizePermissions('export:data'), (req, res) => res.json({ ok: true }));
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('authenticateToken', () => {
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get('/me');
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const jwt = require('jsonwebtoken');
+    const forged = jwt.sign({ userId: 1 }, 'not-the-secret');
+
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${forged}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('loads the user behind a valid token', async () => {
+    const user = await createUser();
+
+    const res = await request(app).get('/me').set('Authorization', user.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(user.id);
+  });
+
+  it('rejects deactivated users', async () => {
+    const user = await createUser({ is_active: false });
+
+    const res = await request(app).get('/me').set('Authorization', user.auth);
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('authorizeRoles', () => {
+  it('lets listed roles through and refuses the rest', async () => {
+    const manager = await createUser({ role: 'manager' });
+    const rep = await createUser({ role: 'sales_rep' });
+
+    expect((await request(app).get('/managers').set('Authorization', manager.auth)).status).toBe(200);
+    expect((await request(app).get('/managers').set('Authorization', rep.auth)).status).toBe(403);
+  });
+});
+
+describe('authorizePermissions', () => {
+  it('requires the permission unless the user is an admin', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const rep = await createUser({ role: 'sales_rep' });
+    const exporter = await createUser({ role: 'sales_rep' });
+    await testDb.query(
+      `INSERT INTO user_permissions (user_id, permission_id)
+       SELECT $1, id FROM permissions WHERE permission_name = 'export:data'`,
+      [exporter.id]
+    );
+
+    expect((await request(app).get('/exports').set('Authorization', admin.auth)).status).toBe(200);
+    expect((await request(app).get('/exports').set('Authorization', rep.auth)).status).toBe(403);
+    expect((await request(app).get('/exports').set('Authorization', exporter.auth)).status).toBe(200);
+  });
+});
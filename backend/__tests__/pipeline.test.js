@@ -0,0 +1,24 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp } = require('./helpers/api');
+const pipelineAnalyticsRoutes = require('../routes/pipelineAnalytics');
+
+const app = buildApp('/api/pipeline/analytics', pipelineAnalyticsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('GET /api/pipeline/analytics/overview', () => {
+  it('summarises deals per stage of the default pipeline', async () => {
+    const res = await request(app).get('/api/pipeline/analytics/overview');
+
+    expect(res.status).toBe(200);
+    const deals = await testDb.query('SELECT COUNT(*) FROM deals');
+    expect(res.body.pipeline_summary.total_deals).toBe(parseInt(deals.rows[0].count));
+    expect(res.body.pipeline_stages.length).toBeGreaterThan(0);
+    expect(res.body.pipeline_stages.reduce((sum, stage) => sum + stage.deal_count, 0))
+      .toBe(res.body.pipeline_summary.total_deals);
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const pipelineAnalyticsRoutes = require('../routes/pipelineAnalytics');
+
+const app = buildApp('/api/pipeline/analytics', pipelineAnalyticsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Pipeline conversion analytics', () => {
+  let owner;
+  let stages;
+
+  // Every query is limited to this owner's March 2025 cohort so sample data stays out
+  const get = (metric, query) =>
+    request(app)
+      .get(`/api/pipeline/analytics/${metric}`)
+      .query({ cohort_start: '2025-03-01', cohort_end: '2025-03-31', owner_id: owner.id, ...query });
+
+  const createDeal = async (title, status, stageName) => {
+    const result = await testDb.query(
+      `INSERT INTO deals (title, value, currency, status, pipeline_id, pipeline_stage_id, assigned_user_id, created_at)
+       SELECT $1, 1000, 'USD', $2, ps.pipeline_id, ps.id, $3, '2025-03-01 00:00:00'
+       FROM pipeline_stages ps WHERE ps.id = $4
+       RETURNING id`,
+      [title, status, owner.id, stages[stageName]]
+    );
+    return result.rows[0].id;
+  };
+
+  const move = (dealId, from, to, at) =>
+    testDb.query(
+      'INSERT INTO deal_stage_history (deal_id, from_stage_id, to_stage_id, created_at) VALUES ($1, $2, $3, $4)',
+      [dealId, stages[from], stages[to], at]
+    );
+
+  beforeAll(async () => {
+    owner = await createUser();
+
+    const result = await testDb.query(`
+      SELECT ps.id, ps.name
+      FROM pipeline_stages ps
+      JOIN pipelines p ON p.id = ps.pipeline_id
+      WHERE p.is_default
+    `);
+    stages = Object.fromEntries(result.rows.map(row => [row.name, row.id]));
+
+    const won = await createDeal('Won deal', 'closed_won', 'Closed Won');
+    await move(won, 'Lead', 'Qualified', '2025-03-03');
+    await move(won, 'Qualified', 'Proposal', '2025-03-08');
+    await move(won, 'Proposal', 'Closed Won', '2025-03-18');
+
+    const lost = await createDeal('Lost deal', 'closed_lost', 'Closed Lost');
+    await move(lost, 'Lead', 'Qualified', '2025-03-05');
+    await move(lost, 'Qualified', 'Closed Lost', '2025-03-10');
+
+    const qualified = await createDeal('Open qualified deal', 'open', 'Qualified');
+    await move(qualified, 'Lead', 'Qualified', '2025-03-11');
+
+    await createDeal('Open lead', 'open', 'Lead');
+  });
+
+  it('counts how far each deal reached and where lost deals dropped off', async () => {
+    const res = await get('funnel');
+
+    expect(res.status).toBe(200);
+    expect(res.body.filters).toMatchObject({ cohort_start: '2025-03-01', cohort_end: '2025-03-31', owner_id: owner.id });
+    expect(res.body.stages.map(stage => [stage.stage_name, stage.reached, stage.conversion_rate, stage.open, stage.lost]))
+      .toEqual([
+        ['Lead', 4, 75, 1, 0],
+        ['Qualified', 3, 33.33, 1, 1],
+        ['Proposal', 1, 100, 0, 0],
+        ['Negotiation', 1, 100, 0, 0]
+      ]);
+    expect(res.body).toMatchObject({ won_deals: 1, lost_deals: 1, overall_conversion_rate: 25 });
+    expect(res.body.largest_drop_off).toMatchObject({ stage_name: 'Qualified', lost: 1, drop_off_rate: 33.33 });
+  });
+
+  it('measures time spent in each stage and flags deals stuck past the median', async () => {
+    const res = await get('velocity');
+
+    expect(res.status).toBe(200);
+    const byName = Object.fromEntries(res.body.stages.map(stage => [stage.stage_name, stage]));
+    expect(byName.Lead).toMatchObject({ completed_stays: 3, avg_days: 5.33, median_days: 4, current_deals: 1, stalled_deals: 1 });
+    expect(byName.Qualified).toMatchObject({ completed_stays: 2, avg_days: 5, median_days: 5, current_deals: 1, stalled_deals: 1 });
+    expect(byName.Proposal).toMatchObject({ completed_stays: 1, avg_days: 10, current_deals: 0 });
+  });
+
+  it('measures the sales cycle from creation to the move into a closed stage', async () => {
+    const res = await get('sales-cycle');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({
+      created_deals: 4,
+      closed_deals: 2,
+      won_deals: 1,
+      win_rate: 50,
+      avg_days: 13,
+      median_days: 13,
+      avg_won_days: 17,
+      avg_lost_days: 9
+    });
+    expect(res.body.by_cohort).toHaveLength(1);
+    expect(res.body.by_cohort[0]).toMatchObject({ start_date: '2025-03-01', end_date: '2025-03-31', created_deals: 4 });
+  });
+
+  it('filters by deal size band', async () => {
+    const res = await get('funnel', { size_band: 'enterprise' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.stages[0].reached).toBe(0);
+    expect(res.body.filters.size_band).toBe('enterprise');
+  });
+
+  it('rejects unknown size bands and inverted cohorts', async () => {
+    expect((await get('funnel', { size_band: 'huge' })).status).toBe(400);
+    expect((await get('sales-cycle', { cohort_start: '2025-04-01' })).status).toBe(400);
+  });
+});
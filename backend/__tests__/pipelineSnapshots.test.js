@@ -0,0 +1,128 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const pipelineSnapshotService = require('../services/pipelineSnapshotService');
+const pipelineAnalyticsRoutes = require('../routes/pipelineAnalytics');
+
+const app = buildApp('/api/pipeline/analytics', pipelineAnalyticsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Pipeline snapshots', () => {
+  let owner;
+  const deals = {};
+
+  const createDeal = async (title, value, stageName, probability, closeDate) => {
+    const result = await testDb.query(
+      `INSERT INTO deals (title, value, currency, status, pipeline_stage_id, probability, expected_close_date, assigned_user_id)
+       VALUES ($1, $2, 'USD', 'open', (SELECT id FROM pipeline_stages WHERE name = $3 ORDER BY id LIMIT 1), $4, $5, $6)
+       RETURNING id`,
+      [title, value, stageName, probability, closeDate, owner.id]
+    );
+    return result.rows[0].id;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser();
+
+    deals.won = await createDeal('Closing deal', 1000, 'Proposal', 50, '2026-02-01');
+    deals.slipping = await createDeal('Slipping deal', 2000, 'Negotiation', 60, '2026-02-15');
+    deals.removed = await createDeal('Removed deal', 300, 'Lead', 10, '2026-02-20');
+    await pipelineSnapshotService.takeSnapshot('2026-01-01');
+
+    await testDb.query("UPDATE deals SET status = 'closed_won' WHERE id = $1", [deals.won]);
+    await testDb.query(
+      `UPDATE deals
+       SET value = 2500, expected_close_date = '2026-03-01',
+         pipeline_stage_id = (SELECT id FROM pipeline_stages WHERE name = 'Qualified' ORDER BY id LIMIT 1)
+       WHERE id = $1`,
+      [deals.slipping]
+    );
+    await testDb.query('DELETE FROM deals WHERE id = $1', [deals.removed]);
+    deals.added = await createDeal('New deal', 400, 'Lead', 10, '2026-03-10');
+    await pipelineSnapshotService.takeSnapshot('2026-01-08');
+  });
+
+  it('reports open pipeline by stage as of the latest snapshot on or before a date', async () => {
+    const res = await request(app)
+      .get('/api/pipeline/analytics/snapshots/2026-01-05')
+      .query({ owner_id: owner.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.snapshot_date).toBe('2026-01-01');
+    expect(res.body.totals).toEqual({
+      open_deals: 3,
+      open_value: 3300,
+      weighted_value: 1730,
+      value_by_currency: [{ currency: 'USD', deal_count: 3, value: 3300, converted_value: 3300, unconverted_deals: 0 }]
+    });
+    expect(res.body.stages.map(stage => [stage.stage_name, stage.deal_count, stage.value, stage.weighted_value])).toEqual([
+      ['Lead', 1, 300, 30],
+      ['Proposal', 1, 1000, 500],
+      ['Negotiation', 1, 2000, 1200]
+    ]);
+  });
+
+  it('classifies what changed between two snapshots', async () => {
+    const res = await request(app)
+      .get('/api/pipeline/analytics/changes')
+      .query({ from: '2026-01-01', to: '2026-01-08', owner_id: owner.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({
+      from: { open_deals: 3, open_value: 3300 },
+      to: { open_deals: 2, open_value: 2900 },
+      open_value_change: -400
+    });
+
+    const ids = (category) => res.body[category].deals.map(deal => deal.deal_id);
+    expect(ids('new_deals')).toEqual([deals.added]);
+    expect(ids('removed_deals')).toEqual([deals.removed]);
+    expect(ids('closed_deals')).toEqual([deals.won]);
+    expect(ids('stage_regressions')).toEqual([deals.slipping]);
+    expect(res.body.closed_deals).toMatchObject({ won: 1, lost: 0, won_value: 1000 });
+    expect(res.body.slipped_deals.deals[0]).toMatchObject({ deal_id: deals.slipping, days_slipped: 14 });
+    expect(res.body.value_changes).toMatchObject({ count: 1, net_change: 500 });
+  });
+
+  it('compares the latest snapshot with the one a week earlier by default', async () => {
+    const res = await request(app).get('/api/pipeline/analytics/changes').query({ owner_id: owner.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ from: '2026-01-01', to: '2026-01-08' });
+  });
+
+  it('replaces the day\'s snapshot when taken again', async () => {
+    await testDb.query('UPDATE deals SET value = 450 WHERE id = $1', [deals.added]);
+    await pipelineSnapshotService.takeSnapshot('2026-01-08');
+
+    const res = await request(app)
+      .get('/api/pipeline/analytics/snapshots/2026-01-08')
+      .query({ owner_id: owner.id });
+    expect(res.body.totals).toMatchObject({ open_deals: 2, open_value: 2950 });
+
+    const list = await request(app).get('/api/pipeline/analytics/snapshots');
+    expect(list.body.snapshots.map(snapshot => snapshot.snapshot_date)).toEqual(['2026-01-08', '2026-01-01']);
+  });
+
+  it('lets only admins capture a snapshot on demand', async () => {
+    const rep = await createUser({ role: 'sales_rep' });
+    const admin = await createUser({ role: 'admin' });
+
+    const denied = await request(app).post('/api/pipeline/analytics/snapshots').set('Authorization', rep.auth);
+    expect(denied.status).toBe(403);
+
+    const res = await request(app).post('/api/pipeline/analytics/snapshots').set('Authorization', admin.auth);
+    expect(res.status).toBe(201);
+    expect(res.body.deal_count).toBeGreaterThan(0);
+  });
+
+  it('rejects malformed dates and dates before the first snapshot', async () => {
+    expect((await request(app).get('/api/pipeline/analytics/snapshots/01-05-2026')).status).toBe(400);
+    expect((await request(app).get('/api/pipeline/analytics/snapshots/2020-01-01')).status).toBe(404);
+    expect((await request(app).get('/api/pipeline/analytics/changes').query({ limit: 0 })).status).toBe(400);
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const pipelinesRoutes = require('../routes/pipeline');
+const dealsRoutes = require('../routes/deals');
+const pipelineAnalyticsRoutes = require('../routes/pipelineAnalytics');
+
+const app = express();
+app.use(express.json());
+app.use('/api/pipelines', pipelinesRoutes);
+app.use('/api/deals', dealsRoutes);
+app.use('/api/pipeline/analytics', pipelineAnalyticsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Pipelines', () => {
+  let admin;
+  let rep;
+  let companyId;
+
+  const RENEWAL_STAGES = [
+    { name: 'Due', probability: 60 },
+    { name: 'Quoted', probability: 80 },
+    { name: 'Closed Won', probability: 100 },
+    { name: 'Closed Lost', probability: 0 }
+  ];
+
+  const createPipeline = (body, user = admin) =>
+    request(app).post('/api/pipelines').set('Authorization', user.auth).send(body);
+
+  const updateStage = (pipelineId, stageId, body) =>
+    request(app).put(`/api/pipelines/${pipelineId}/stages/${stageId}`).set('Authorization', admin.auth).send(body);
+
+  const createDeal = (body) =>
+    request(app).post('/api/deals').set('Authorization', admin.auth).send({ title: 'Pipeline deal', company_id: companyId, ...body });
+
+  const stageNames = (pipeline) => pipeline.stages.map(stage => stage.name);
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    rep = await createUser({ role: 'sales_rep' });
+    companyId = (await testDb.query("INSERT INTO companies (name) VALUES ('Pipeline Co') RETURNING id")).rows[0].id;
+  });
+
+  it('creates pipelines with their own stages, or a copy of the default ones', async () => {
+    const renewals = await createPipeline({ name: 'Renewals', stages: RENEWAL_STAGES });
+    expect(renewals.status).toBe(201);
+    expect(renewals.body).toMatchObject({ name: 'Renewals', is_default: false, is_active: true });
+    expect(renewals.body.stages.map(stage => [stage.name, stage.probability, stage.display_order, stage.is_closed_stage])).toEqual([
+      ['Due', 60, 1, false],
+      ['Quoted', 80, 2, false],
+      ['Closed Won', 100, 3, true],
+      ['Closed Lost', 0, 4, true]
+    ]);
+
+    const partners = await createPipeline({ name: 'Partners' });
+    expect(stageNames(partners.body)).toEqual(['Lead', 'Qualified', 'Proposal', 'Negotiation', 'Closed Won', 'Closed Lost']);
+
+    const list = await request(app).get('/api/pipelines').set('Authorization', rep.auth);
+    expect(list.body.pipelines[0]).toMatchObject({ is_default: true, stage_count: 6 });
+    expect(list.body.pipelines.map(pipeline => pipeline.name)).toEqual(expect.arrayContaining(['Renewals', 'Partners']));
+  });
+
+  it('requires an admin, unique stage names and both closed stages', async () => {
+    expect((await createPipeline({ name: 'Rep pipeline' }, rep)).status).toBe(403);
+
+    const noClosedLost = await createPipeline({ name: 'Broken', stages: [{ name: 'Open' }, { name: 'Closed Won' }] });
+    expect(noClosedLost.status).toBe(400);
+    expect(noClosedLost.body.error).toBe('A pipeline needs a "Closed Won" and a "Closed Lost" stage');
+
+    const duplicate = await createPipeline({ name: 'Broken', stages: [...RENEWAL_STAGES, { name: 'due' }] });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toBe('Stage names must be unique; "due" is used twice');
+  });
+
+  it('adds, renames, reorders and archives stages', async () => {
+    const pipeline = (await createPipeline({ name: 'Expansion', stages: RENEWAL_STAGES })).body;
+    const [due, quoted, won, lost] = pipeline.stages;
+
+    const added = await request(app)
+      .post(`/api/pipelines/${pipeline.id}/stages`)
+      .set('Authorization', admin.auth)
+      .send({ name: 'Scoping', probability: 40, position: 2 });
+    expect(added.status).toBe(201);
+    expect(stageNames(added.body)).toEqual(['Due', 'Scoping', 'Quoted', 'Closed Won', 'Closed Lost']);
+    const scoping = added.body.stages[1];
+
+    const renamed = await updateStage(pipeline.id, due.id, { name: 'Up for renewal', probability: 55 });
+    expect(renamed.body.stages[0]).toMatchObject({ name: 'Up for renewal', probability: 55 });
+    expect((await updateStage(pipeline.id, quoted.id, { name: 'scoping' })).status).toBe(409);
+    expect((await updateStage(pipeline.id, won.id, { name: 'Signed' })).status).toBe(409);
+    expect((await updateStage(pipeline.id, lost.id, { is_active: false })).status).toBe(409);
+
+    const reordered = await request(app)
+      .put(`/api/pipelines/${pipeline.id}/stages/order`)
+      .set('Authorization', admin.auth)
+      .send({ stage_ids: [scoping.id, due.id, quoted.id, won.id, lost.id] });
+    expect(stageNames(reordered.body)).toEqual(['Scoping', 'Up for renewal', 'Quoted', 'Closed Won', 'Closed Lost']);
+
+    const incomplete = await request(app)
+      .put(`/api/pipelines/${pipeline.id}/stages/order`)
+      .set('Authorization', admin.auth)
+      .send({ stage_ids: [scoping.id, due.id] });
+    expect(incomplete.status).toBe(400);
+
+    const deal = (await createDeal({ pipeline_id: pipeline.id, pipeline_stage_id: quoted.id })).body.deal;
+    const blocked = await updateStage(pipeline.id, quoted.id, { is_active: false });
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.error).toBe('Stage has 1 open deal; move them first');
+
+    await request(app).post(`/api/deals/${deal.id}/move-stage`).set('Authorization', admin.auth).send({ to_stage_id: due.id });
+    const archived = await updateStage(pipeline.id, quoted.id, { is_active: false });
+    expect(archived.status).toBe(200);
+    expect(archived.body.stages.find(stage => stage.id === quoted.id).is_active).toBe(false);
+  });
+
+  it('puts deals in a pipeline\'s first stage and keeps stage moves within the pipeline', async () => {
+    const pipeline = (await createPipeline({ name: 'Upsell', stages: RENEWAL_STAGES })).body;
+    const other = (await createPipeline({ name: 'Other', stages: RENEWAL_STAGES })).body;
+
+    const created = await createDeal({ pipeline_id: pipeline.id });
+    expect(created.status).toBe(201);
+    expect(created.body.deal).toMatchObject({ pipeline_id: pipeline.id, pipeline_stage_id: pipeline.stages[0].id });
+    const dealId = created.body.deal.id;
+
+    const wrongStage = await createDeal({ pipeline_id: pipeline.id, pipeline_stage_id: other.stages[0].id });
+    expect(wrongStage.status).toBe(400);
+    expect(wrongStage.body.error).toBe('Pipeline stage not found in this pipeline');
+
+    const crossing = await request(app)
+      .post(`/api/deals/${dealId}/move-stage`)
+      .set('Authorization', admin.auth)
+      .send({ to_stage_id: other.stages[1].id });
+    expect(crossing.status).toBe(400);
+
+    const moved = await request(app)
+      .put(`/api/deals/${dealId}`)
+      .set('Authorization', admin.auth)
+      .send({ title: 'Pipeline deal', company_id: companyId, pipeline_id: other.id });
+    expect(moved.status).toBe(200);
+    expect(moved.body.deal).toMatchObject({ pipeline_id: other.id, pipeline_stage_id: other.stages[0].id });
+  });
+
+  it('archives pipelines only once they have no open deals and are not the default', async () => {
+    const pipeline = (await createPipeline({ name: 'Seasonal', stages: RENEWAL_STAGES })).body;
+    const deal = (await createDeal({ pipeline_id: pipeline.id })).body.deal;
+    const archive = () => request(app).put(`/api/pipelines/${pipeline.id}`).set('Authorization', admin.auth).send({ is_active: false });
+
+    const withDeals = await archive();
+    expect(withDeals.status).toBe(409);
+    expect(withDeals.body.error).toBe('Pipeline has 1 open deal; move or close them first');
+
+    await testDb.query("UPDATE deals SET status = 'closed_lost' WHERE id = $1", [deal.id]);
+    expect((await archive()).body.is_active).toBe(false);
+    expect((await createDeal({ pipeline_id: pipeline.id })).status).toBe(400);
+
+    const defaultPipeline = (await request(app).get('/api/pipelines').set('Authorization', admin.auth)).body.pipelines[0];
+    const archiveDefault = await request(app)
+      .put(`/api/pipelines/${defaultPipeline.id}`)
+      .set('Authorization', admin.auth)
+      .send({ is_active: false });
+    expect(archiveDefault.status).toBe(409);
+  });
+
+  it('filters the analytics overview by pipeline', async () => {
+    const pipeline = (await createPipeline({ name: 'Analytics', stages: RENEWAL_STAGES })).body;
+    await createDeal({ pipeline_id: pipeline.id, value: 1000 });
+    await createDeal({ pipeline_id: pipeline.id, pipeline_stage_id: pipeline.stages[1].id, value: 500 });
+
+    const res = await request(app).get('/api/pipeline/analytics/overview').query({ pipeline_id: pipeline.id });
+    expect(res.status).toBe(200);
+    expect(res.body.pipeline_summary).toMatchObject({ total_deals: 2, total_value: 1500 });
+    expect(res.body.pipeline_stages.map(stage => [stage.stage_name, stage.deal_count])).toEqual([
+      ['Due', 1],
+      ['Quoted', 1],
+      ['Closed Won', 0],
+      ['Closed Lost', 0]
+    ]);
+
+    expect((await request(app).get('/api/pipeline/analytics/overview').query({ pipeline_id: 'all' })).status).toBe(400);
+  });
+});
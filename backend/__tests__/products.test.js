@@ -0,0 +1,162 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const express = require('express');
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { createUser } = require('./helpers/api');
+const productsRoutes = require('../routes/products');
+const dealsRoutes = require('../routes/deals');
+
+const app = express();
+app.use(express.json());
+app.use('/api/products', productsRoutes);
+app.use('/api/deals', dealsRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Products and deal line items', () => {
+  let manager;
+  let rep;
+
+  // Revenue queries are limited to this category so sample data stays out
+  const CATEGORY = 'Line Item Testing';
+
+  const createProduct = (body, user = manager) =>
+    request(app).post('/api/products').set('Authorization', user.auth).send({ category: CATEGORY, ...body });
+
+  const createDeal = async (value = null) => {
+    const result = await testDb.query(
+      "INSERT INTO deals (title, value, currency, status, expected_close_date) VALUES ('Line item deal', $1, 'USD', 'open', '2026-06-15') RETURNING id",
+      [value]
+    );
+    return result.rows[0].id;
+  };
+
+  const lineItems = (dealId) => ({
+    add: (body) => request(app).post(`/api/deals/${dealId}/products`).set('Authorization', rep.auth).send(body),
+    update: (itemId, body) => request(app).put(`/api/deals/${dealId}/products/${itemId}`).set('Authorization', rep.auth).send(body),
+    remove: (itemId) => request(app).delete(`/api/deals/${dealId}/products/${itemId}`).set('Authorization', rep.auth)
+  });
+
+  beforeAll(async () => {
+    manager = await createUser({ role: 'manager' });
+    rep = await createUser({ role: 'sales_rep' });
+  });
+
+  it('lets managers maintain the catalog', async () => {
+    const res = await createProduct({ name: 'Catalog Widget', unit_price: 19.99 });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'Catalog Widget', unit_price: 19.99, is_active: true });
+
+    expect((await createProduct({ unit_price: 10 })).status).toBe(400);
+    expect((await createProduct({ name: 'Rep Widget' }, rep)).status).toBe(403);
+
+    const categories = await request(app).get('/api/products/categories').set('Authorization', rep.auth);
+    expect(categories.body.categories).toContainEqual({ category: CATEGORY, product_count: 1, active_count: 1 });
+  });
+
+  it('recomputes the deal value whenever a line item changes', async () => {
+    const seat = (await createProduct({ name: 'Seat', unit_price: 100 })).body;
+    const addon = (await createProduct({ name: 'Add-on', unit_price: 50 })).body;
+    const dealId = await createDeal(99999);
+    const items = lineItems(dealId);
+
+    const added = await items.add({ product_id: seat.id, quantity: 3 });
+    expect(added.status).toBe(201);
+    expect(added.body.value).toBe(300);
+    expect(added.body.line_items[0]).toMatchObject({ list_price: 100, unit_price: 100, discount_percent: 0, total_price: 300 });
+
+    const discounted = await items.add({ product_id: addon.id, quantity: 2, discount_percent: 10 });
+    expect(discounted.body.value).toBe(390);
+    const addonItem = discounted.body.line_items.find(item => item.product_id === addon.id);
+    expect(addonItem).toMatchObject({ unit_price: 45, total_price: 90 });
+
+    const seatItem = discounted.body.line_items.find(item => item.product_id === seat.id);
+    const updated = await items.update(seatItem.id, { quantity: 1 });
+    expect(updated.body.value).toBe(190);
+
+    const removed = await items.remove(addonItem.id);
+    expect(removed.body.value).toBe(100);
+    expect(removed.body.line_items).toHaveLength(1);
+
+    const deal = await testDb.query('SELECT value FROM deals WHERE id = $1', [dealId]);
+    expect(parseFloat(deal.rows[0].value)).toBe(100);
+  });
+
+  it('measures discounts against the list price and keeps prices on existing line items', async () => {
+    const product = (await createProduct({ name: 'Licence', unit_price: 200 })).body;
+    const dealId = await createDeal();
+    const items = lineItems(dealId);
+
+    const added = await items.add({ product_id: product.id, unit_price: 190 });
+    expect(added.body.line_items[0]).toMatchObject({ quantity: 1, list_price: 200, unit_price: 190, discount_percent: 5 });
+
+    await request(app).put(`/api/products/${product.id}`).set('Authorization', manager.auth).send({ unit_price: 300 });
+    const item = added.body.line_items[0];
+    const repriced = await items.update(item.id, { discount_percent: 10 });
+    expect(repriced.body.line_items[0]).toMatchObject({ list_price: 200, unit_price: 180 });
+    expect(repriced.body.value).toBe(180);
+
+    expect((await items.update(item.id, { unit_price: 150, discount_percent: 5 })).status).toBe(400);
+    expect((await items.update(item.id, { product_id: product.id })).status).toBe(400);
+  });
+
+  it('rejects duplicate, inactive and unpriced products', async () => {
+    const product = (await createProduct({ name: 'Once only', unit_price: 10 })).body;
+    const inactive = (await createProduct({ name: 'Retired', unit_price: 10, is_active: false })).body;
+    const unpriced = (await createProduct({ name: 'Custom work' })).body;
+    const items = lineItems(await createDeal());
+
+    await items.add({ product_id: product.id });
+    expect((await items.add({ product_id: product.id })).status).toBe(409);
+    expect((await items.add({ product_id: inactive.id })).status).toBe(400);
+
+    const withoutPrice = await items.add({ product_id: unpriced.id });
+    expect(withoutPrice.status).toBe(400);
+    expect(withoutPrice.body.error).toMatch(/unit_price is required/);
+    expect((await items.add({ product_id: unpriced.id, unit_price: 500 })).body.value).toBe(510);
+
+    expect((await lineItems(999999).add({ product_id: product.id })).status).toBe(404);
+  });
+
+  it('only deletes products that are not on any deal', async () => {
+    const used = (await createProduct({ name: 'In use', unit_price: 10 })).body;
+    const unused = (await createProduct({ name: 'Never sold', unit_price: 10 })).body;
+    await lineItems(await createDeal()).add({ product_id: used.id });
+
+    const inUse = await request(app).delete(`/api/products/${used.id}`).set('Authorization', manager.auth);
+    expect(inUse.status).toBe(409);
+
+    const deleted = await request(app).delete(`/api/products/${unused.id}`).set('Authorization', manager.auth);
+    expect(deleted.status).toBe(200);
+  });
+
+  it('reports revenue per product from closed-won line items', async () => {
+    const product = (await createProduct({ name: 'Revenue Seat', unit_price: 100, category: 'Revenue Testing' })).body;
+
+    const wonDeal = await createDeal();
+    await lineItems(wonDeal).add({ product_id: product.id, quantity: 4 });
+    await testDb.query("UPDATE deals SET status = 'closed_won' WHERE id = $1", [wonDeal]);
+    await lineItems(await createDeal()).add({ product_id: product.id, quantity: 2 });
+
+    const res = await request(app)
+      .get('/api/products/revenue')
+      .set('Authorization', rep.auth)
+      .query({ category: 'Revenue Testing', start_date: '2026-06-01', end_date: '2026-06-30' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.products).toEqual([
+      expect.objectContaining({
+        product_id: product.id,
+        won_deals: 1,
+        quantity_sold: 4,
+        revenue: 400,
+        open_pipeline: 200,
+        average_selling_price: 100,
+        revenue_share: 100
+      })
+    ]);
+    expect(res.body.summary).toEqual({ revenue: 400, quantity_sold: 4, open_pipeline: 200, products_sold: 1 });
+  });
+});
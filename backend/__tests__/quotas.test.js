@@ -0,0 +1,131 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const teamService = require('../services/teamService');
+const quotaRoutes = require('../routes/quotas');
+
+const app = buildApp('/api/quotas', quotaRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Quotas', () => {
+  let manager;
+  let firstRep;
+  let secondRep;
+  let team;
+
+  const setQuota = (body, user = manager) =>
+    request(app).put('/api/quotas').set('Authorization', user.auth).send(body);
+
+  const get = (path, query) =>
+    request(app).get(`/api/quotas${path}`).set('Authorization', firstRep.auth).query({ date: '2025-05-01', ...query });
+
+  const createDeal = (ownerId, value, status, closeDate) =>
+    testDb.query(
+      `INSERT INTO deals (title, value, currency, status, expected_close_date, assigned_user_id)
+       VALUES ('Quota deal', $1, 'USD', $2, $3, $4)`,
+      [value, status, closeDate, ownerId]
+    );
+
+  beforeAll(async () => {
+    manager = await createUser({ role: 'manager' });
+    firstRep = await createUser({ first_name: 'First', last_name: 'Quota' });
+    secondRep = await createUser({ first_name: 'Second', last_name: 'Quota' });
+    team = await teamService.createTeam({ name: 'Quota Team', member_ids: [firstRep.id, secondRep.id] }, null);
+
+    await createDeal(firstRep.id, 6000, 'closed_won', '2025-04-10');
+    await createDeal(firstRep.id, 2000, 'closed_won', '2025-06-20');
+    await createDeal(firstRep.id, 5000, 'open', '2025-05-15');
+    await createDeal(firstRep.id, 9999, 'closed_won', '2025-07-01');
+    await createDeal(secondRep.id, 5000, 'closed_won', '2025-05-05');
+  });
+
+  it('sets a quota for a fiscal period and replaces it when set again', async () => {
+    const first = await setQuota({ user_id: firstRep.id, period: 'quarter', date: '2025-05-01', amount: 10000 });
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({
+      user_id: firstRep.id,
+      metric: 'revenue',
+      period_start: '2025-04-01',
+      period_end: '2025-06-30',
+      amount: 10000,
+      owner_name: 'First Quota'
+    });
+
+    const second = await setQuota({ user_id: firstRep.id, period: 'quarter', date: '2025-06-30', amount: 8000 });
+    expect(second.body).toMatchObject({ id: first.body.id, amount: 8000 });
+
+    await setQuota({ user_id: secondRep.id, period_start: '2025-04-01', period_end: '2025-04-30', amount: 2000 });
+    await setQuota({ user_id: secondRep.id, period_start: '2025-05-01', period_end: '2025-05-31', amount: 2000 });
+    await setQuota({ user_id: secondRep.id, metric: 'deal_count', period: 'quarter', date: '2025-05-01', amount: 3 });
+
+    const list = await request(app).get('/api/quotas').set('Authorization', firstRep.auth).query({ user_id: secondRep.id });
+    expect(list.body.quotas).toHaveLength(3);
+  });
+
+  it('measures attainment over each quota\'s own dates', async () => {
+    const first = await get('/attainment', { user_id: firstRep.id });
+    expect(first.status).toBe(200);
+    expect(first.body.period).toMatchObject({ start_date: '2025-04-01', end_date: '2025-06-30', granularity: 'quarter' });
+    expect(first.body.quotas).toEqual([
+      expect.objectContaining({ actual: 8000, attainment: 100, period_elapsed: 100, on_track: true })
+    ]);
+
+    const second = await get('/attainment', { user_id: secondRep.id });
+    const byQuota = Object.fromEntries(second.body.quotas.map(quota => [`${quota.metric} ${quota.period_start}`, quota]));
+    expect(byQuota['revenue 2025-04-01']).toMatchObject({ actual: 0, attainment: 0, on_track: false });
+    expect(byQuota['revenue 2025-05-01']).toMatchObject({ actual: 5000, attainment: 250, on_track: true });
+    expect(byQuota['deal_count 2025-04-01']).toMatchObject({ actual: 1, attainment: 33.33, on_track: false });
+  });
+
+  it('ranks reps by attainment with monthly quotas adding up to the quarter', async () => {
+    const res = await get('/leaderboard', { rank_by: 'attainment' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.entries.slice(0, 2)).toEqual([
+      expect.objectContaining({ rank: 1, user_id: secondRep.id, revenue: 5000, quota: 4000, attainment: 125 }),
+      expect.objectContaining({ rank: 2, user_id: firstRep.id, revenue: 8000, quota: 8000, attainment: 100 })
+    ]);
+  });
+
+  it('measures teams without their own quota against their members\' quotas', async () => {
+    const res = await get('/leaderboard', { scope: 'teams' });
+
+    expect(res.body.entries.find(entry => entry.team_id === team.id)).toMatchObject({
+      member_count: 2,
+      revenue: 13000,
+      deal_count: 3,
+      quota: 12000,
+      attainment: 108.33
+    });
+
+    await setQuota({ team_id: team.id, period: 'quarter', date: '2025-05-01', amount: 26000 });
+    const withTeamQuota = await get('/leaderboard', { scope: 'teams' });
+    expect(withTeamQuota.body.entries.find(entry => entry.team_id === team.id)).toMatchObject({ quota: 26000, attainment: 50 });
+  });
+
+  it('validates quotas and limits changes to admins and managers', async () => {
+    const both = await setQuota({ user_id: firstRep.id, team_id: team.id, period: 'quarter', amount: 1 });
+    expect(both.status).toBe(400);
+
+    const fractional = await setQuota({ user_id: firstRep.id, metric: 'deal_count', period: 'quarter', amount: 2.5 });
+    expect(fractional.status).toBe(400);
+
+    const unknownUser = await setQuota({ user_id: 999999, period: 'quarter', amount: 100 });
+    expect(unknownUser.status).toBe(400);
+    expect(unknownUser.body.error).toBe('User or team not found');
+
+    expect((await setQuota({ user_id: firstRep.id, period: 'quarter', amount: 100 }, firstRep)).status).toBe(403);
+  });
+
+  it('deletes quotas', async () => {
+    const created = await setQuota({ user_id: firstRep.id, period: 'month', date: '2025-01-15', amount: 100 });
+    const url = `/api/quotas/${created.body.id}`;
+
+    expect((await request(app).delete(url).set('Authorization', manager.auth)).status).toBe(200);
+    expect((await request(app).delete(url).set('Authorization', manager.auth)).status).toBe(404);
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const quotesRoutes = require('../routes/quotes');
+
+const app = buildApp('/api/quotes', quotesRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Quotes', () => {
+  let rep;
+  let productId;
+
+  const createDeal = async ({ discountApprovalStatus = null } = {}) => {
+    const deal = (await testDb.query(`
+      INSERT INTO deals (title, currency, status, pipeline_id, pipeline_stage_id, discount_approval_status)
+      SELECT 'Quoted deal', 'USD', 'open', p.id, ps.id, $1
+      FROM pipelines p JOIN pipeline_stages ps ON ps.pipeline_id = p.id
+      WHERE p.is_default AND ps.name = 'Proposal'
+      RETURNING id
+    `, [discountApprovalStatus])).rows[0];
+    await testDb.query(
+      `INSERT INTO deal_products (deal_id, product_id, quantity, list_price, discount_percent, unit_price, total_price)
+       VALUES ($1, $2, 2, 100, 10, 90, 180)`,
+      [deal.id, productId]
+    );
+    return deal.id;
+  };
+
+  // Creates and sends a quote, returning it with the token from its public link
+  const sendQuote = async (dealId) => {
+    const created = await request(app).post('/api/quotes').set('Authorization', rep.auth).send({ deal_id: dealId });
+    const sent = await request(app).post(`/api/quotes/${created.body.id}/send`).set('Authorization', rep.auth).send({});
+    return { quote: sent.body.quote, token: sent.body.accept_url.split('/').pop() };
+  };
+
+  const respond = (token, decision) =>
+    request(app).post(`/api/quotes/public/${token}/${decision}`).send({ name: 'Pat Buyer' });
+
+  const dealState = async (dealId) => {
+    const deal = (await testDb.query(`
+      SELECT d.status, ps.name as stage_name
+      FROM deals d JOIN pipeline_stages ps ON ps.id = d.pipeline_stage_id
+      WHERE d.id = $1
+    `, [dealId])).rows[0];
+    const history = await testDb.query('SELECT notes FROM deal_stage_history WHERE deal_id = $1', [dealId]);
+    return { ...deal, history: history.rows.map(row => row.notes) };
+  };
+
+  beforeAll(async () => {
+    rep = await createUser({ role: 'sales_rep' });
+    productId = (await testDb.query("INSERT INTO products (name, unit_price) VALUES ('Quoted Seat', 100) RETURNING id")).rows[0].id;
+  });
+
+  it('snapshots the deal\'s line items into a numbered draft', async () => {
+    const dealId = await createDeal();
+
+    const res = await request(app).post('/api/quotes').set('Authorization', rep.auth).send({ deal_id: dealId });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ version: 1, status: 'draft', quote_number: `Q-${String(dealId).padStart(5, '0')}-1` });
+    expect(parseFloat(res.body.subtotal)).toBe(200);
+    expect(parseFloat(res.body.discount_total)).toBe(20);
+    expect(parseFloat(res.body.total)).toBe(180);
+  });
+
+  it('moves the deal to Closed Won when the customer accepts', async () => {
+    const dealId = await createDeal();
+    const { quote, token } = await sendQuote(dealId);
+
+    const viewed = await request(app).get(`/api/quotes/public/${token}`);
+    expect(viewed.body).toMatchObject({ status: 'sent', deal_title: 'Quoted deal' });
+
+    const res = await respond(token, 'accept');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'accepted', responded_by_name: 'Pat Buyer' });
+
+    expect(await dealState(dealId)).toEqual({
+      status: 'closed_won',
+      stage_name: 'Closed Won',
+      history: [`Quote ${quote.quote_number} accepted by Pat Buyer`]
+    });
+
+    const again = await respond(token, 'decline');
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('Quote is already accepted');
+  });
+
+  it('leaves the quote sent and the deal open when the deal cannot be won', async () => {
+    const dealId = await createDeal({ discountApprovalStatus: 'pending' });
+    const { token } = await sendQuote(dealId);
+
+    const res = await respond(token, 'accept');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Deal discount approval is pending');
+
+    expect((await request(app).get(`/api/quotes/public/${token}`)).body.status).toBe('sent');
+    expect(await dealState(dealId)).toEqual({ status: 'open', stage_name: 'Proposal', history: [] });
+  });
+
+  it('rolls back the stage move when recording the acceptance fails', async () => {
+    const dealId = await createDeal();
+    const { quote, token } = await sendQuote(dealId);
+
+    await testDb.query(`
+      CREATE FUNCTION fail_quote_acceptance() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'quote update failed';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await testDb.query(`
+      CREATE TRIGGER fail_quote_acceptance BEFORE UPDATE ON quotes
+      FOR EACH ROW WHEN (NEW.id = ${quote.id}) EXECUTE FUNCTION fail_quote_acceptance()
+    `);
+    try {
+      expect((await respond(token, 'accept')).status).toBe(500);
+    } finally {
+      await testDb.query('DROP TRIGGER fail_quote_acceptance ON quotes');
+      await testDb.query('DROP FUNCTION fail_quote_acceptance()');
+    }
+
+    expect(await dealState(dealId)).toEqual({ status: 'open', stage_name: 'Proposal', history: [] });
+  });
+
+  it('only accepts the latest version of a quote', async () => {
+    const dealId = await createDeal();
+    const { token } = await sendQuote(dealId);
+    await request(app).post('/api/quotes').set('Authorization', rep.auth).send({ deal_id: dealId });
+
+    const res = await respond(token, 'accept');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('A newer version of this quote exists');
+  });
+
+  it('rejects tampered links and deals without line items', async () => {
+    expect((await request(app).get('/api/quotes/public/not-a-token')).status).toBe(404);
+
+    const emptyDeal = (await testDb.query("INSERT INTO deals (title) VALUES ('Empty deal') RETURNING id")).rows[0].id;
+    const res = await request(app).post('/api/quotes').set('Authorization', rep.auth).send({ deal_id: emptyDeal });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Deal has no line items to quote');
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Generated files go to a scratch directory, read when the routes load
+const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-report-templates-'));
+process.env.REPORTS_DIR = reportsDir;
+
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const reportRoutes = require('../routes/reportRoutes');
+
+const app = buildApp('/api/reports', reportRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(async () => {
+  await testDb.close();
+  fs.rmSync(reportsDir, { recursive: true, force: true });
+});
+
+const LOGO = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('Report templates', () => {
+  let admin;
+  let rep;
+
+  beforeAll(async () => {
+    admin = await createUser({ role: 'admin' });
+    rep = await createUser({ role: 'sales_rep' });
+  });
+
+  const createTemplate = (body, user = admin) =>
+    request(app).post('/api/reports/templates').set('Authorization', user.auth).send(body);
+
+  it('creates a branded template and lists it without the logo', async () => {
+    const res = await createTemplate({
+      name: 'Board pack',
+      reportType: 'sales-performance',
+      orientation: 'landscape',
+      sections: ['header', 'tables'],
+      logo: LOGO,
+      primaryColor: '#1D4ED8',
+      headerText: 'Prepared for the board'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      name: 'Board pack',
+      report_type: 'sales-performance',
+      orientation: 'landscape',
+      sections: ['header', 'tables'],
+      primary_color: '#1D4ED8'
+    });
+
+    const list = await request(app)
+      .get('/api/reports/templates')
+      .query({ reportType: 'sales-performance' })
+      .set('Authorization', rep.auth);
+    const listed = list.body.templates.find(template => template.id === res.body.data.id);
+    expect(listed).toBeDefined();
+    expect(listed.logo).toBeUndefined();
+  });
+
+  it('validates colors, logos, report types and Handlebars source', async () => {
+    expect((await createTemplate({ name: 'Bad color', primaryColor: 'blue' })).status).toBe(400);
+    expect((await createTemplate({ name: 'Bad logo', logo: 'data:image/gif;base64,R0lG' })).status).toBe(400);
+    expect((await createTemplate({ name: 'Bad type', reportType: 'horoscope' })).status).toBe(400);
+
+    const badSource = await createTemplate({ name: 'Bad source', htmlTemplate: '{{#each tables}}<p>' });
+    expect(badSource.status).toBe(400);
+    expect(badSource.body.error).toMatch(/not valid Handlebars/);
+  });
+
+  it('is managed by admins only', async () => {
+    expect((await createTemplate({ name: 'Rep template' }, rep)).status).toBe(403);
+  });
+
+  it('previews a custom layout against live data with escaped branding text', async () => {
+    const res = await request(app)
+      .post('/api/reports/templates/preview')
+      .set('Authorization', admin.auth)
+      .send({
+        reportType: 'pipeline-analysis',
+        format: 'html',
+        template: {
+          headerText: '<script>alert(1)</script>',
+          htmlTemplate: '<h1>{{title}}</h1><p>{{branding.headerText}}</p><p>{{tables.length}} tables</p>'
+        }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toMatch(/^<h1>Pipeline Analysis<\/h1>/);
+    expect(res.text).toContain('&lt;script&gt;');
+    expect(res.text).not.toContain('<script>');
+  });
+
+  it('renders reports with the default template for their type, one default per type', async () => {
+    const first = await createTemplate({
+      name: 'Insights v1',
+      reportType: 'customer-insights',
+      headerText: 'Insights version one',
+      isDefault: true
+    });
+    const second = await createTemplate({
+      name: 'Insights v2',
+      reportType: 'customer-insights',
+      headerText: 'Insights version two',
+      isDefault: true
+    });
+
+    const previous = await request(app)
+      .get(`/api/reports/templates/${first.body.data.id}`)
+      .set('Authorization', admin.auth);
+    expect(previous.body.data.is_default).toBe(false);
+    expect(second.body.data.is_default).toBe(true);
+
+    const generated = await request(app)
+      .post('/api/reports/generate')
+      .set('Authorization', admin.auth)
+      .send({ reportType: 'customer-insights', format: 'html' });
+    expect(generated.status).toBe(201);
+
+    const file = await request(app).get(generated.body.data.download_url).set('Authorization', admin.auth);
+    expect(file.text).toContain('Insights version two');
+  });
+
+  it('updates and deletes templates', async () => {
+    const created = await createTemplate({ name: 'Short lived' });
+    const url = `/api/reports/templates/${created.body.data.id}`;
+
+    const updated = await request(app).put(url).set('Authorization', admin.auth).send({ footerText: 'Confidential' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.footer_text).toBe('Confidential');
+
+    expect((await request(app).put(url).set('Authorization', admin.auth).send({})).status).toBe(400);
+    expect((await request(app).delete(url).set('Authorization', admin.auth)).status).toBe(200);
+    expect((await request(app).get(url).set('Authorization', admin.auth)).status).toBe(404);
+  });
+});
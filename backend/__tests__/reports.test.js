@@ -0,0 +1,120 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+
+// Generated files go to a scratch directory, read when the routes load
+const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-reports-'));
+process.env.REPORTS_DIR = reportsDir;
+
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const reportRoutes = require('../routes/reportRoutes');
+
+const app = buildApp('/api/reports', reportRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(async () => {
+  await testDb.close();
+  fs.rmSync(reportsDir, { recursive: true, force: true });
+});
+
+// Collects binary bodies (XLSX, PDF) into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/reports/types', () => {
+  it('lists the report types the generator supports', async () => {
+    const res = await request(app).get('/api/reports/types');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: expect.any(String), name: expect.any(String) })
+    ]));
+  });
+});
+
+describe('POST /api/reports/generate', () => {
+  let rep;
+
+  beforeAll(async () => {
+    rep = await createUser({ role: 'sales_rep' });
+  });
+
+  const generate = (body, user = rep) =>
+    request(app).post('/api/reports/generate').set('Authorization', user.auth).send(body);
+
+  const download = (handle, user = rep) =>
+    request(app)
+      .get(handle.download_url)
+      .set('Authorization', user.auth)
+      .buffer(true)
+      .parse(binaryParser);
+
+  it('renders a CSV report and returns a download handle', async () => {
+    const res = await generate({
+      reportType: 'sales-performance',
+      format: 'csv',
+      filters: { start_date: '2026-01-01', end_date: '2026-03-31' }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      report_type: 'sales-performance',
+      format: 'csv',
+      download_url: `/api/reports/files/${res.body.data.id}/download`
+    });
+    expect(res.body.data.filters).toMatchObject({ start_date: '2026-01-01', end_date: '2026-03-31' });
+
+    const file = await download(res.body.data);
+    expect(file.status).toBe(200);
+    expect(file.headers['content-disposition']).toMatch(/\.csv"?$/);
+    expect(file.body.toString()).toMatch(/^"Sales Performance/);
+  });
+
+  it('renders XLSX workbooks and PDF documents', async () => {
+    const xlsx = await generate({ reportType: 'pipeline-analysis', format: 'xlsx' });
+    expect(xlsx.status).toBe(201);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load((await download(xlsx.body.data)).body);
+    expect(workbook.worksheets.length).toBeGreaterThan(0);
+
+    const pdf = await generate({ reportType: 'dashboard-summary' });
+    expect(pdf.status).toBe(201);
+    expect(pdf.body.data.format).toBe('pdf');
+    expect((await download(pdf.body.data)).body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('rejects unknown report types, formats and malformed filters', async () => {
+    expect((await generate({ reportType: 'horoscope', format: 'csv' })).status).toBe(400);
+    expect((await generate({ reportType: 'sales-performance', format: 'docx' })).status).toBe(400);
+
+    const backwards = await generate({
+      reportType: 'sales-performance',
+      format: 'csv',
+      filters: { start_date: '2026-03-01', end_date: '2026-01-01' }
+    });
+    expect(backwards.status).toBe(400);
+  });
+
+  it('only lets the owner, managers and admins download a report', async () => {
+    const res = await generate({ reportType: 'customer-insights', format: 'csv' });
+    const otherRep = await createUser({ role: 'sales_rep' });
+    const manager = await createUser({ role: 'manager' });
+
+    expect((await download(res.body.data, otherRep)).status).toBe(404);
+    expect((await download(res.body.data, manager)).status).toBe(200);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).post('/api/reports/generate').send({ reportType: 'sales-performance' });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const salesPerformanceRoutes = require('../routes/salesPerformance');
+
+const app = buildApp('/api/sales-performance', salesPerformanceRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('GET /api/sales-performance', () => {
+  let alice;
+  let bob;
+
+  // Every query is limited to this industry so sample data stays out
+  const INDUSTRY = 'Performance Testing';
+
+  const get = (query) =>
+    request(app)
+      .get('/api/sales-performance')
+      .query({ industry: INDUSTRY, start_date: '2026-01-01', end_date: '2026-02-28', ...query });
+
+  beforeAll(async () => {
+    alice = await createUser({ first_name: 'Alice', last_name: 'Seller' });
+    bob = await createUser({ first_name: 'Bob', last_name: 'Seller' });
+
+    const company = (await testDb.query(
+      'INSERT INTO companies (name, industry) VALUES ($1, $2) RETURNING id',
+      ['Performance Co', INDUSTRY]
+    )).rows[0];
+
+    const deals = [
+      ['Jan won', 1000, 'closed_won', '2026-01-10', alice.id],
+      ['Jan lost', 500, 'closed_lost', '2026-01-20', bob.id],
+      ['Feb won', 3000, 'closed_won', '2026-02-05', bob.id],
+      ['Feb open', 2000, 'open', '2026-02-15', alice.id],
+      ['Dec won', 2000, 'closed_won', '2025-12-10', alice.id],
+      ['Last Feb won', 500, 'closed_won', '2025-02-01', bob.id]
+    ];
+    for (const [title, value, status, closeDate, ownerId] of deals) {
+      await testDb.query(
+        `INSERT INTO deals (title, company_id, value, currency, status, expected_close_date, assigned_user_id)
+         VALUES ($1, $2, $3, 'USD', $4, $5, $6)`,
+        [title, company.id, value, status, closeDate, ownerId]
+      );
+    }
+  });
+
+  it('summarizes the range and counts won deals separately from all deals', async () => {
+    const res = await get({ compare: 'none' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.period).toMatchObject({ start_date: '2026-01-01', end_date: '2026-02-28', granularity: 'month' });
+    expect(res.body.data.summary).toEqual({
+      total_deals: 4,
+      won_deals: 2,
+      lost_deals: 1,
+      open_deals: 1,
+      revenue: 4000,
+      pipeline_value: 2000,
+      win_rate: 66.67,
+      avg_deal_size: 2000
+    });
+    expect(res.body.data.comparison).toBeNull();
+  });
+
+  it('buckets the range by month, including empty months', async () => {
+    const res = await get({ start_date: '2025-12-01', compare: 'none' });
+
+    expect(res.body.data.series.map(bucket => [bucket.start_date, bucket.won_deals, bucket.revenue])).toEqual([
+      ['2025-12-01', 1, 2000],
+      ['2026-01-01', 1, 1000],
+      ['2026-02-01', 1, 3000]
+    ]);
+
+    const weekly = await get({ start_date: '2026-01-05', end_date: '2026-01-18', granularity: 'week', compare: 'none' });
+    expect(weekly.body.data.series).toHaveLength(2);
+    expect(weekly.body.data.series[0].revenue).toBe(1000);
+  });
+
+  it('compares against the previous period and the same period last year', async () => {
+    const previous = await get({ compare: 'previous_period' });
+    expect(previous.body.data.comparison).toMatchObject({
+      type: 'previous_period',
+      start_date: '2025-11-01',
+      end_date: '2025-12-31'
+    });
+    expect(previous.body.data.comparison.summary.revenue).toBe(2000);
+    expect(previous.body.data.comparison.change.revenue).toEqual({ absolute: 2000, percent: 100 });
+    expect(previous.body.data.series[1].comparison.revenue).toBe(2000);
+
+    const lastYear = await get({ compare: 'previous_year' });
+    expect(lastYear.body.data.comparison).toMatchObject({ start_date: '2025-01-01', end_date: '2025-02-28' });
+    expect(lastYear.body.data.comparison.change.revenue).toEqual({ absolute: 3500, percent: 700 });
+  });
+
+  it('breaks results down by rep and industry', async () => {
+    const res = await get({ compare: 'none', breakdown: 'rep,industry' });
+
+    const byRep = res.body.data.breakdowns.rep;
+    expect(byRep.find(row => row.id === alice.id)).toMatchObject({ revenue: 1000, pipeline_value: 2000, revenue_share: 25 });
+    expect(byRep.find(row => row.id === bob.id)).toMatchObject({ revenue: 3000, lost_deals: 1, win_rate: 50, revenue_share: 75 });
+    expect(res.body.data.breakdowns.industry).toEqual([
+      expect.objectContaining({ name: INDUSTRY, revenue: 4000 })
+    ]);
+  });
+
+  it('rejects unknown granularities, breakdowns and inverted ranges', async () => {
+    expect((await get({ granularity: 'hour' })).status).toBe(400);
+    expect((await get({ breakdown: 'rep,horoscope' })).status).toBe(400);
+    expect((await get({ start_date: '2026-03-01', end_date: '2026-01-01' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+jest.mock('../services/emailService', () => ({ sendEmail: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Generated files go to a scratch directory, read when the routes load
+const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-saved-reports-'));
+process.env.REPORTS_DIR = reportsDir;
+
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const emailService = require('../services/emailService');
+const { ReportService } = require('../services/reportService');
+const reportRoutes = require('../routes/reportRoutes');
+
+const app = buildApp('/api/reports', reportRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(async () => {
+  await testDb.close();
+  fs.rmSync(reportsDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  emailService.sendEmail.mockReset();
+  emailService.sendEmail.mockResolvedValue({ messageId: 'test' });
+});
+
+describe('Saved and scheduled reports', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await createUser({ role: 'sales_rep' });
+    await testDb.query(
+      "INSERT INTO user_settings (user_id, timezone) VALUES ($1, 'America/New_York')",
+      [owner.id]
+    );
+  });
+
+  const save = (body, user = owner) =>
+    request(app)
+      .post('/api/reports/saved')
+      .set('Authorization', user.auth)
+      .send({ name: 'Weekly pipeline', reportType: 'pipeline-analysis', format: 'csv', ...body });
+
+  it('schedules in the owner timezone', async () => {
+    const res = await save({ schedule: { type: 'weekly', time: '08:00' } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      schedule_type: 'weekly',
+      cron_expression: '0 8 * * 1',
+      timezone: 'America/New_York'
+    });
+
+    const nextRun = new Date(res.body.data.next_run_at);
+    const local = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(nextRun);
+    expect(local).toBe('Mon 08:00');
+    expect(nextRun.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('clears the next run when a report is deactivated and restores it on reactivation', async () => {
+    const created = await save({ schedule: { type: 'daily', time: '06:30' } });
+    const url = `/api/reports/saved/${created.body.data.id}`;
+
+    const paused = await request(app).put(url).set('Authorization', owner.auth).send({ isActive: false });
+    expect(paused.status).toBe(200);
+    expect(paused.body.data.next_run_at).toBeNull();
+
+    const resumed = await request(app).put(url).set('Authorization', owner.auth).send({ isActive: true });
+    expect(resumed.body.data.next_run_at).not.toBeNull();
+    expect(resumed.body.data.cron_expression).toBe('30 6 * * *');
+  });
+
+  it('rejects invalid schedules', async () => {
+    expect((await save({ schedule: { type: 'hourly' } })).status).toBe(400);
+    expect((await save({ schedule: { type: 'monthly', dayOfMonth: 31 } })).status).toBe(400);
+    expect((await save({ schedule: { type: 'cron', cron: '* * * * * *' } })).status).toBe(400);
+  });
+
+  it('runs a saved report now and emails the file to the owner', async () => {
+    const created = await save({});
+
+    const res = await request(app)
+      .post(`/api/reports/saved/${created.body.data.id}/run`)
+      .set('Authorization', owner.auth);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'success', trigger: 'manual', recipients: [owner.email] });
+
+    expect(emailService.sendEmail).toHaveBeenCalledTimes(1);
+    const email = emailService.sendEmail.mock.calls[0][0];
+    expect(email.to).toEqual([owner.email]);
+    expect(email.attachments[0].filename).toMatch(/\.csv$/);
+    expect(fs.existsSync(email.attachments[0].path)).toBe(true);
+
+    const runs = await request(app)
+      .get(`/api/reports/saved/${created.body.data.id}/runs`)
+      .set('Authorization', owner.auth);
+    expect(runs.body.data).toHaveLength(1);
+    expect(runs.body.data[0].download_url).toBe(`/api/reports/files/${res.body.data.report_id}/download`);
+  });
+
+  it('records failed deliveries in the run history', async () => {
+    emailService.sendEmail.mockRejectedValue(new Error('SMTP unavailable'));
+    const created = await save({ name: 'Failing delivery', recipients: ['boss@example.com'] });
+
+    const res = await request(app)
+      .post(`/api/reports/saved/${created.body.data.id}/run`)
+      .set('Authorization', owner.auth);
+
+    expect(res.body.data).toMatchObject({ status: 'failed', error_message: 'SMTP unavailable' });
+
+    const failures = await request(app)
+      .get('/api/reports/saved/runs')
+      .query({ status: 'failed' })
+      .set('Authorization', owner.auth);
+    expect(failures.body.data.map(run => run.saved_report_name)).toContain('Failing delivery');
+  });
+
+  it('delivers due scheduled reports once and moves the next run forward', async () => {
+    const created = await save({ name: 'Due now', schedule: { type: 'daily', time: '07:00' } });
+    await testDb.query(
+      "UPDATE saved_reports SET next_run_at = NOW() - INTERVAL '1 hour' WHERE id = $1",
+      [created.body.data.id]
+    );
+
+    const reportService = new ReportService({ reportsDir });
+    expect(await reportService.processScheduledReports()).toBe(1);
+    expect(await reportService.processScheduledReports()).toBe(0);
+
+    const saved = (await testDb.query('SELECT * FROM saved_reports WHERE id = $1', [created.body.data.id])).rows[0];
+    expect(saved.next_run_at.getTime()).toBeGreaterThan(Date.now());
+    expect(saved.last_run_at).not.toBeNull();
+
+    const runs = await testDb.query('SELECT * FROM saved_report_runs WHERE saved_report_id = $1', [saved.id]);
+    expect(runs.rows.map(run => [run.trigger, run.status])).toEqual([['schedule', 'success']]);
+    expect(emailService.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('hides other users\' saved reports from sales reps', async () => {
+    const created = await save({ name: 'Private' });
+    const otherRep = await createUser({ role: 'sales_rep' });
+
+    const res = await request(app)
+      .get(`/api/reports/saved/${created.body.data.id}`)
+      .set('Authorization', otherRep.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Saved report schedules', () => {
+  let rep;
+
+  beforeAll(async () => {
+    rep = await createUser({ role: 'sales_rep' });
+  });
+
+  const save = (schedule) =>
+    request(app)
+      .post('/api/reports/saved')
+      .set('Authorization', rep.auth)
+      .send({ name: 'Scheduled', reportType: 'sales-performance', format: 'csv', schedule });
+
+  it('computes the next run of a cron schedule', async () => {
+    const res = await save({ type: 'cron', cron: '30 9 * * 1' });
+
+    expect(res.status).toBe(201);
+    const nextRun = new Date(res.body.data.next_run_at);
+    expect(nextRun.getTime()).toBeGreaterThan(Date.now());
+    expect(nextRun.getTime() - Date.now()).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    expect([nextRun.getUTCDay(), nextRun.getUTCHours(), nextRun.getUTCMinutes()]).toEqual([1, 9, 30]);
+  });
+
+  it('rejects a cron expression that never runs, without searching minute by minute', async () => {
+    const startedAt = Date.now();
+    const res = await save({ type: 'cron', cron: '0 0 30 2 *' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/never runs/);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp, createUser } = require('./helpers/api');
+const searchRoutes = require('../routes/search');
+
+const app = buildApp('/api/search', searchRoutes);
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('GET /api/search', () => {
+  let manager;
+  let rep;
+
+  beforeAll(async () => {
+    manager = await createUser({ role: 'manager' });
+    rep = await createUser();
+    const other = await createUser();
+
+    const companyId = (await testDb.query(
+      "INSERT INTO companies (name, industry) VALUES ('Quetzal Robotics', 'Robotics') RETURNING id"
+    )).rows[0].id;
+    await testDb.query(
+      "INSERT INTO contacts (first_name, last_name, email, company_id) VALUES ('Quinn', 'Quetzal', 'quinn@quetzal.example', $1)",
+      [companyId]
+    );
+    await testDb.query(
+      `INSERT INTO deals (title, description, company_id, assigned_user_id) VALUES
+       ('Quetzal arm upgrade', 'Robotics retrofit', $1, $2),
+       ('Quetzal service plan', NULL, $1, $3)`,
+      [companyId, rep.id, other.id]
+    );
+    await testDb.query(
+      "INSERT INTO activities (type, subject, user_id) VALUES ('call', 'Quetzal pricing call', $1)",
+      [other.id]
+    );
+  });
+
+  const search = (user, query) => request(app).get('/api/search').set('Authorization', user.auth).query(query);
+
+  it('requires a query', async () => {
+    const res = await search(manager, { q: '  ' });
+    expect(res.status).toBe(400);
+  });
+
+  it('matches word prefixes across every entity with facet counts', async () => {
+    const res = await search(manager, { q: 'quetz' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.facets).toEqual({ company: 1, contact: 1, deal: 2, activity: 1 });
+    expect(res.body.total).toBe(5);
+    expect(res.body.results[0].snippet).toMatch(/<mark>Quetzal<\/mark>/);
+  });
+
+  it('ranks and filters by type while keeping every facet', async () => {
+    const res = await search(manager, { q: 'quetzal robotics', types: 'company,deal' });
+
+    expect(res.body.results.map(result => result.type)).toEqual(['company', 'deal']);
+    expect(res.body.results[0].title).toBe('Quetzal Robotics');
+    expect(res.body.facets.contact).toBe(0);
+  });
+
+  it('shows sales reps only their own deals and activities', async () => {
+    const res = await search(rep, { q: 'quetzal' });
+
+    expect(res.body.facets).toEqual({ company: 1, contact: 1, deal: 1, activity: 0 });
+    expect(res.body.results.filter(result => result.type === 'deal').map(result => result.title))
+      .toEqual(['Quetzal arm upgrade']);
+  });
+
+  it('paginates', async () => {
+    const res = await search(manager, { q: 'quetzal', limit: 2, page: 3 });
+
+    expect(res.body.results).toHaveLength(1);
+    expect(res.body.totalPages).toBe(3);
+  });
+});
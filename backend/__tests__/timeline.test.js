@@ -0,0 +1,85 @@
+jest.mock('../db', () => require('./helpers/testDb').pool);
+
+const request = require('supertest');
+const testDb = require('./helpers/testDb');
+const { buildApp } = require('./helpers/api');
+const companiesRoutes = require('../routes/companies');
+const dealsRoutes = require('../routes/deals');
+
+const app = buildApp('/api', require('express').Router()
+  .use('/companies', companiesRoutes)
+  .use('/deals', dealsRoutes));
+
+beforeAll(() => testDb.migrate());
+afterAll(() => testDb.close());
+
+describe('Record timelines', () => {
+  let companyId;
+  let dealId;
+
+  beforeAll(async () => {
+    companyId = (await testDb.query("INSERT INTO companies (name) VALUES ('Tyrell Corp') RETURNING id")).rows[0].id;
+    dealId = (await testDb.query(
+      "INSERT INTO deals (title, company_id, value) VALUES ('Replicants', $1, 100) RETURNING id",
+      [companyId]
+    )).rows[0].id;
+
+    // Events a few microseconds apart, and two at exactly the same instant
+    await testDb.query(`
+      INSERT INTO activities (type, subject, deal_id, created_at) VALUES
+        ('call', 'First', $1, '2024-03-01 10:00:00.000001'),
+        ('note', 'Second', $1, '2024-03-01 10:00:00.000002'),
+        ('task', 'Third', $1, '2024-03-01 10:00:00.000003'),
+        ('email', 'Fourth', $1, '2024-03-01 10:00:00.000003')
+    `, [dealId]);
+    await testDb.query(
+      "INSERT INTO activities (type, subject, company_id, created_at) VALUES ('meeting', 'Company kickoff', $1, '2024-02-01 09:00:00')",
+      [companyId]
+    );
+  });
+
+  const readAll = async (path, limit) => {
+    const titles = [];
+    let cursor;
+    do {
+      const res = await request(app).get(path).query({ limit, ...(cursor ? { cursor } : {}) });
+      expect(res.status).toBe(200);
+      titles.push(...res.body.events.map(event => event.title));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+    return titles;
+  };
+
+  it('returns events newest first', async () => {
+    const res = await request(app).get(`/api/deals/${dealId}/timeline`);
+
+    expect(res.body.events.map(event => event.title)).toEqual(['Fourth', 'Third', 'Second', 'First']);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('pages through events microseconds apart without skipping or repeating any', async () => {
+    expect(await readAll(`/api/deals/${dealId}/timeline`, 1)).toEqual(['Fourth', 'Third', 'Second', 'First']);
+  });
+
+  it('rolls deal events up into the company timeline', async () => {
+    expect(await readAll(`/api/companies/${companyId}/timeline`, 2))
+      .toEqual(['Fourth', 'Third', 'Second', 'First', 'Company kickoff']);
+  });
+
+  it('filters by event type', async () => {
+    const res = await request(app).get(`/api/deals/${dealId}/timeline`).query({ types: 'note' });
+    expect(res.body.events.map(event => event.title)).toEqual(['Second']);
+  });
+
+  it('rejects a malformed cursor', async () => {
+    const cursor = Buffer.from('yesterday|activity:1').toString('base64url');
+    const res = await request(app).get(`/api/deals/${dealId}/timeline`).query({ cursor });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 404 for an unknown record', async () => {
+    const res = await request(app).get('/api/deals/999999/timeline');
+    expect(res.status).toBe(404);
+  });
+});
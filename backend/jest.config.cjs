@@ -9,7 +9,8 @@ module.exports = {
     'node_modules/(?!(esm-module-name)/)'
   ],
   maxWorkers: '50%',
-  testPathIgnorePatterns: ['/node_modules/'],
+  testTimeout: 30000,
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
   collectCoverageFrom: ['backend/**/*.js'],
   setupFilesAfterEnv: ['./setupTests.cjs']
 };
\ No newline at end of file
@@ -6,7 +6,6 @@
  */
 const redis = require('redis');
 const { RateLimiterRedis } = require('rate-limiter-flexible');
-const config = require('../config');
 
 // Create Redis client
 let redisClient;
@@ -130,6 +129,12 @@ const getTierForRequest = (req) => {
  */
 const rateLimiter = (options = {}) => {
   return async (req, res, next) => {
+    // Get the tier to use (from options or auto-detect)
+    const tier = options.tier || getTierForRequest(req);
+
+    // Get the appropriate limiter; its points are the limit reported in the headers
+    const limiter = limiters[tier] || limiters.standard;
+
     try {
       // Determine which key to use for rate limiting
       // Use API key if available, otherwise IP address
@@ -137,17 +142,11 @@ const rateLimiter = (options = {}) => {
                  req.user?.id?.toString() || 
                  req.ip.replace(/::ffff:/, '');
                  
-      // Get the tier to use (from options or auto-detect)
-      const tier = options.tier || getTierForRequest(req);
-      
-      // Get the appropriate limiter
-      const limiter = limiters[tier] || limiters.standard;
-      
       // Try to consume a point
       const rateLimitResult = await limiter.consume(key, options.points || 1);
       
       // Add rate limit headers
-      res.setHeader('X-RateLimit-Limit', rateLimitResult.limit);
+      res.setHeader('X-RateLimit-Limit', limiter.points);
       res.setHeader('X-RateLimit-Remaining', rateLimitResult.remainingPoints);
       res.setHeader('X-RateLimit-Reset', new Date(Date.now() + rateLimitResult.msBeforeNext).toISOString());
       
@@ -156,7 +155,7 @@ const rateLimiter = (options = {}) => {
       if (error.remainingPoints !== undefined) {
         // This is a rate limit error
         res.setHeader('Retry-After', Math.ceil(error.msBeforeNext / 1000));
-        res.setHeader('X-RateLimit-Limit', error.limit);
+        res.setHeader('X-RateLimit-Limit', limiter.points);
         res.setHeader('X-RateLimit-Remaining', 0);
         res.setHeader('X-RateLimit-Reset', new Date(Date.now() + error.msBeforeNext).toISOString());
         
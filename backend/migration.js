@@ -5,9 +5,27 @@
  * the database schema for the SalesBase application.
  */
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const pool = require('./db');
 const logger = require('./utils/logger');
 const { migrateReportsFeature } = require('./migrations/reportsMigration');
+const { migrateFuzzyMatching } = require('./migrations/fuzzyMatchingMigration');
+const { migrateDeduplication } = require('./migrations/deduplicationMigration');
+const { migrateAuditLogs } = require('./migrations/auditLogsMigration');
+const { migrateImports } = require('./migrations/importMigration');
+const { migrateScheduledReports } = require('./migrations/scheduledReportsMigration');
+const { migrateReportTemplates } = require('./migrations/reportTemplatesMigration');
+const { migrateFiscalCalendar } = require('./migrations/fiscalCalendarMigration');
+const { migrateForecasting } = require('./migrations/forecastingMigration');
+const { migratePipelineSnapshots } = require('./migrations/pipelineSnapshotsMigration');
+const { migrateQuotaMetrics } = require('./migrations/quotaMetricsMigration');
+const { migrateProducts } = require('./migrations/productsMigration');
+const { migratePriceBooks } = require('./migrations/priceBooksMigration');
+const { migrateQuotes } = require('./migrations/quotesMigration');
+const { migrateExchangeRates } = require('./migrations/exchangeRatesMigration');
+const { migratePipelines } = require('./migrations/pipelinesMigration');
+const { migrateDealCloseDates } = require('./migrations/dealCloseDatesMigration');
 
 /**
  * Run all migrations in sequence
@@ -110,6 +128,94 @@ async function runMigrations() {
             ON CONFLICT (permission_name) DO NOTHING
           `);
         }
+      },
+      {
+        name: 'search_enhancement',
+        description: 'Full-text search indexes for deals and activities',
+        execute: async (client) => {
+          const sql = fs.readFileSync(path.join(__dirname, 'search_enhancement.sql'), 'utf8');
+          await client.query(sql);
+        }
+      },
+      {
+        name: 'fuzzy_matching',
+        description: 'Trigram indexes for fuzzy company and contact lookup',
+        execute: migrateFuzzyMatching
+      },
+      {
+        name: 'deduplication',
+        description: 'Duplicate candidate groups for contact and company dedup',
+        execute: migrateDeduplication
+      },
+      {
+        name: 'audit_logs',
+        description: 'Entity columns on audit_logs for audit entries and record merges',
+        execute: migrateAuditLogs
+      },
+      {
+        name: 'imports',
+        description: 'Tracked import batches for CSV/XLSX bulk import',
+        execute: migrateImports
+      },
+      {
+        name: 'scheduled_reports',
+        description: 'Saved report definitions, schedules and run history',
+        execute: migrateScheduledReports
+      },
+      {
+        name: 'report_templates',
+        description: 'Per-tenant report templates with branding and layout',
+        execute: migrateReportTemplates
+      },
+      {
+        name: 'fiscal_calendar',
+        description: 'Tenant fiscal calendars and custom fiscal periods',
+        execute: migrateFiscalCalendar
+      },
+      {
+        name: 'forecasting',
+        description: 'Deal forecast categories, sales teams and quotas',
+        execute: migrateForecasting
+      },
+      {
+        name: 'pipeline_snapshots',
+        description: 'Daily deal snapshots for pipeline history',
+        execute: migratePipelineSnapshots
+      },
+      {
+        name: 'quota_metrics',
+        description: 'Revenue or deal count quotas',
+        execute: migrateQuotaMetrics
+      },
+      {
+        name: 'products',
+        description: 'Product catalog and deal line items',
+        execute: migrateProducts
+      },
+      {
+        name: 'price_books',
+        description: 'Price books, line-item discounts and discount approvals',
+        execute: migratePriceBooks
+      },
+      {
+        name: 'quotes',
+        description: 'Versioned quotes generated from deals',
+        execute: migrateQuotes
+      },
+      {
+        name: 'exchange_rates',
+        description: 'Exchange rates, tenant reporting currency and currency conversion',
+        execute: migrateExchangeRates
+      },
+      {
+        name: 'pipelines',
+        description: 'Multiple pipelines with their own stages',
+        execute: migratePipelines
+      },
+      {
+        name: 'deal_close_dates',
+        description: 'Date each deal was won or lost, used for currency conversion',
+        execute: migrateDealCloseDates
       }
     ];
 
@@ -0,0 +1,60 @@
+/**
+ * Audit Logs Migration
+ *
+ * Brings audit_logs to the layout auditService and record merges write:
+ * entity_type, entity_id and a details document. Databases built from
+ * schema.sql carry an older table_name/record_id/old_values/new_values
+ * layout; its rows are copied into the new columns and its columns kept.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateAuditLogs(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      action VARCHAR(100) NOT NULL,
+      entity_type VARCHAR(100),
+      entity_id INTEGER,
+      details JSONB,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE audit_logs
+    ADD COLUMN IF NOT EXISTS entity_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS entity_id INTEGER,
+    ADD COLUMN IF NOT EXISTS details JSONB
+  `);
+
+  const { rows: legacyColumns } = await client.query(`
+    SELECT column_name FROM information_schema.columns
+    WHERE table_name = 'audit_logs'
+      AND column_name IN ('table_name', 'record_id', 'old_values', 'new_values')
+  `);
+
+  if (legacyColumns.length === 4) {
+    await client.query(`
+      UPDATE audit_logs
+      SET entity_type = table_name,
+          entity_id = CASE WHEN record_id::text ~ '^[0-9]{1,9}$' THEN record_id::text::integer END,
+          details = jsonb_strip_nulls(jsonb_build_object('old_values', old_values, 'new_values', new_values))
+      WHERE entity_type IS NULL
+    `);
+
+    // New entries only fill the entity columns
+    await client.query('ALTER TABLE audit_logs ALTER COLUMN table_name DROP NOT NULL');
+  }
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_entity
+    ON audit_logs(entity_type, entity_id)
+  `);
+}
+
+module.exports = { migrateAuditLogs };
@@ -0,0 +1,69 @@
+/**
+ * Deal Close Dates Migration
+ *
+ * When each deal was actually won or lost. Closed deals convert into the
+ * reporting currency at the rate on that date rather than their expected
+ * close date. A trigger records it whichever code path closes the deal, and
+ * pipeline snapshots copy it along with the deal's currency.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateDealCloseDates(client) {
+  await client.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP');
+
+  // Deals closed before this migration: when they entered their current
+  // stage if the history has it, otherwise their last update
+  await client.query(`
+    UPDATE deals d
+    SET closed_at = COALESCE((
+      SELECT MAX(h.created_at) FROM deal_stage_history h
+      WHERE h.deal_id = d.id AND h.to_stage_id = d.pipeline_stage_id
+    ), d.updated_at, d.created_at)
+    WHERE d.status IN ('closed_won', 'closed_lost') AND d.closed_at IS NULL
+  `);
+
+  // A deal closes when its status becomes won or lost, unless the update
+  // sets closed_at itself (e.g. an import carrying the real date)
+  await client.query(`
+    CREATE OR REPLACE FUNCTION set_deal_closed_at()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      IF NEW.status IN ('closed_won', 'closed_lost') THEN
+        IF TG_OP = 'INSERT' THEN
+          NEW.closed_at := COALESCE(NEW.closed_at, CURRENT_TIMESTAMP);
+        ELSIF NEW.status IS DISTINCT FROM OLD.status AND NEW.closed_at IS NOT DISTINCT FROM OLD.closed_at THEN
+          NEW.closed_at := CURRENT_TIMESTAMP;
+        END IF;
+      ELSE
+        NEW.closed_at := NULL;
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await client.query('DROP TRIGGER IF EXISTS set_deals_closed_at ON deals');
+  await client.query(`
+    CREATE TRIGGER set_deals_closed_at
+    BEFORE INSERT OR UPDATE OF status ON deals
+    FOR EACH ROW
+    EXECUTE FUNCTION set_deal_closed_at()
+  `);
+
+  await client.query(`
+    ALTER TABLE pipeline_snapshots
+    ADD COLUMN IF NOT EXISTS currency VARCHAR(3),
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP
+  `);
+
+  await client.query(`
+    UPDATE pipeline_snapshots s
+    SET currency = d.currency, closed_at = d.closed_at
+    FROM deals d
+    WHERE d.id = s.deal_id AND s.currency IS NULL
+  `);
+}
+
+module.exports = { migrateDealCloseDates };
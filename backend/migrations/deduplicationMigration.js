@@ -0,0 +1,37 @@
+/**
+ * Deduplication Migration
+ *
+ * Stores the duplicate groups found by the nightly duplicate-detection job
+ * so reviewers can work through them without rescanning the whole table.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateDeduplication(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS duplicate_candidates (
+      id SERIAL PRIMARY KEY,
+      entity_type VARCHAR(50) NOT NULL,
+      match_reason VARCHAR(50) NOT NULL,
+      match_key TEXT NOT NULL,
+      record_ids INTEGER[] NOT NULL,
+      status VARCHAR(20) DEFAULT 'open', -- 'open', 'merged'
+      detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_entity_status
+    ON duplicate_candidates(entity_type, status)
+  `);
+
+  // Supports phone matching on digits only
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_contacts_phone_digits
+    ON contacts ((regexp_replace(phone, '\\D', '', 'g')))
+  `);
+}
+
+module.exports = { migrateDeduplication };
@@ -0,0 +1,75 @@
+/**
+ * Exchange Rates Migration
+ *
+ * Dated exchange rates per tenant, the currency each tenant reports in, and
+ * a convert_currency() function the analytics queries sum through.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateExchangeRates(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS currency_settings (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      reporting_currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_currency_settings_tenant
+    ON currency_settings(COALESCE(tenant_id, 0))
+  `);
+
+  // One unit of from_currency is worth `rate` units of to_currency from effective_date on
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      from_currency VARCHAR(3) NOT NULL,
+      to_currency VARCHAR(3) NOT NULL,
+      rate DECIMAL(20,10) NOT NULL CHECK (rate > 0),
+      effective_date DATE NOT NULL,
+      source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'file')),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (from_currency <> to_currency)
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_pair_date
+    ON exchange_rates(COALESCE(tenant_id, 0), from_currency, to_currency, effective_date)
+  `);
+
+  // Latest rate on or before the date, either way round; NULL when there is none.
+  // Deals without a currency are in USD, the deals.currency default.
+  await client.query(`
+    CREATE OR REPLACE FUNCTION convert_currency(NUMERIC, TEXT, TEXT, DATE, INTEGER)
+    RETURNS NUMERIC AS $$
+      SELECT CASE
+        WHEN $1 IS NULL THEN NULL
+        WHEN upper(COALESCE($2, 'USD')) = upper($3) THEN $1
+        ELSE $1 * (
+          SELECT CASE WHEN r.from_currency = upper(COALESCE($2, 'USD')) THEN r.rate ELSE 1 / r.rate END
+          FROM exchange_rates r
+          WHERE COALESCE(r.tenant_id, 0) = COALESCE($5, 0)
+            AND r.effective_date <= $4
+            AND (
+              (r.from_currency = upper(COALESCE($2, 'USD')) AND r.to_currency = upper($3))
+              OR (r.from_currency = upper($3) AND r.to_currency = upper(COALESCE($2, 'USD')))
+            )
+          ORDER BY r.effective_date DESC, r.from_currency = upper(COALESCE($2, 'USD')) DESC
+          LIMIT 1
+        )
+      END
+    $$ LANGUAGE SQL STABLE
+  `);
+}
+
+module.exports = { migrateExchangeRates };
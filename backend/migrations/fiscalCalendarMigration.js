@@ -0,0 +1,50 @@
+/**
+ * Fiscal Calendar Migration
+ *
+ * A fiscal calendar per tenant: either calendar months with a fiscal year
+ * starting in any month, or a custom table of periods (e.g. 4-4-5 weeks).
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateFiscalCalendar(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS fiscal_calendars (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      calendar_type VARCHAR(20) NOT NULL DEFAULT 'monthly', -- 'monthly', 'custom'
+      start_month INTEGER NOT NULL DEFAULT 1 CHECK (start_month BETWEEN 1 AND 12),
+      year_label VARCHAR(10) NOT NULL DEFAULT 'end', -- fiscal year named after the calendar year it 'start's or 'end's in
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_fiscal_calendars_tenant
+    ON fiscal_calendars(COALESCE(tenant_id, 0))
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS fiscal_periods (
+      id SERIAL PRIMARY KEY,
+      calendar_id INTEGER NOT NULL REFERENCES fiscal_calendars(id) ON DELETE CASCADE,
+      fiscal_year INTEGER NOT NULL,
+      fiscal_quarter INTEGER NOT NULL CHECK (fiscal_quarter BETWEEN 1 AND 4),
+      period_number INTEGER NOT NULL CHECK (period_number BETWEEN 1 AND 13),
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      CHECK (end_date >= start_date),
+      UNIQUE (calendar_id, fiscal_year, period_number)
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_fiscal_periods_dates
+    ON fiscal_periods(calendar_id, start_date)
+  `);
+}
+
+module.exports = { migrateFiscalCalendar };
@@ -0,0 +1,68 @@
+/**
+ * Forecasting Migration
+ *
+ * Per-deal forecast categories, sales teams with their members, and revenue
+ * quotas per rep or team for a date range.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateForecasting(client) {
+  await client.query(`
+    ALTER TABLE deals
+    ADD COLUMN IF NOT EXISTS forecast_category VARCHAR(20)
+      CHECK (forecast_category IN ('commit', 'best_case', 'pipeline', 'omitted')) -- NULL counts as 'pipeline'
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_tenant_name
+    ON teams(COALESCE(tenant_id, 0), LOWER(name))
+  `);
+
+  // A rep belongs to at most one team so roll-ups never count a deal twice
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (team_id, user_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quotas (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (period_end >= period_start),
+      CHECK ((user_id IS NULL) <> (team_id IS NULL))
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_quotas_owner_period
+    ON quotas(COALESCE(tenant_id, 0), COALESCE(user_id, 0), COALESCE(team_id, 0), period_start, period_end)
+  `);
+}
+
+module.exports = { migrateForecasting };
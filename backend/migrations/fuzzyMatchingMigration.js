@@ -0,0 +1,44 @@
+/**
+ * Fuzzy Matching Migration
+ *
+ * Enables pg_trgm and adds trigram indexes on normalized company names and
+ * contact names/emails, used by the type-ahead lookups in services/fuzzyMatchService.js.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateFuzzyMatching(client) {
+  await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  // "ACME Corporation", "Acme Corp." and "The Acme Co" all normalize to "acme"
+  await client.query(`
+    CREATE OR REPLACE FUNCTION normalize_company_name(name TEXT)
+    RETURNS TEXT AS $$
+      SELECT btrim(regexp_replace(
+        regexp_replace(
+          regexp_replace(lower(COALESCE(name, '')), '[^a-z0-9 ]+', ' ', 'g'),
+          '\\m(the|inc|incorporated|corp|corporation|co|company|llc|ltd|limited|plc|gmbh|ag|sa)\\M', '', 'g'
+        ),
+        '\\s+', ' ', 'g'
+      ))
+    $$ LANGUAGE SQL IMMUTABLE
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_companies_name_trgm
+    ON companies USING GIN (normalize_company_name(name) gin_trgm_ops)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_contacts_name_trgm
+    ON contacts USING GIN (lower(first_name || ' ' || last_name) gin_trgm_ops)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_contacts_email_trgm
+    ON contacts USING GIN (lower(COALESCE(email, '')) gin_trgm_ops)
+  `);
+}
+
+module.exports = { migrateFuzzyMatching };
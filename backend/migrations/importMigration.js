@@ -0,0 +1,56 @@
+/**
+ * Import Migration
+ *
+ * Tracks bulk imports as batches. Each batch keeps the parsed file rows and
+ * column mapping for the preview step, and every record it created or
+ * updated so the whole batch can be rolled back.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateImports(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS import_batches (
+      id SERIAL PRIMARY KEY,
+      entity_type VARCHAR(50) NOT NULL, -- 'contacts', 'companies', 'deals'
+      file_name VARCHAR(255),
+      status VARCHAR(20) DEFAULT 'uploaded', -- 'uploaded', 'committed', 'rolled_back'
+      headers JSONB NOT NULL DEFAULT '[]',
+      rows JSONB NOT NULL DEFAULT '[]',
+      column_mapping JSONB,
+      total_rows INTEGER DEFAULT 0,
+      created_count INTEGER DEFAULT 0,
+      updated_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      committed_at TIMESTAMP,
+      rolled_back_at TIMESTAMP,
+      rolled_back_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS import_batch_records (
+      id SERIAL PRIMARY KEY,
+      batch_id INTEGER NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+      row_number INTEGER NOT NULL,
+      record_id INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL, -- 'created', 'updated'
+      previous_values JSONB
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_import_batches_status
+    ON import_batches(status, created_at DESC)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_import_batch_records_batch
+    ON import_batch_records(batch_id)
+  `);
+}
+
+module.exports = { migrateImports };
@@ -0,0 +1,40 @@
+/**
+ * Pipeline Snapshots Migration
+ *
+ * A daily copy of every deal's value, stage, probability and close date so
+ * past pipeline states can be viewed and compared. Rows are kept when a
+ * deal is deleted, and the stage name and order are copied so later stage
+ * edits don't rewrite history.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migratePipelineSnapshots(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pipeline_snapshots (
+      snapshot_date DATE NOT NULL,
+      deal_id INTEGER NOT NULL,
+      title VARCHAR(255),
+      assigned_user_id INTEGER,
+      company_id INTEGER,
+      pipeline_stage_id INTEGER,
+      stage_name VARCHAR(100),
+      stage_order INTEGER,
+      value DECIMAL(15,2),
+      probability INTEGER,
+      expected_close_date DATE,
+      status VARCHAR(50),
+      forecast_category VARCHAR(20),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (snapshot_date, deal_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_pipeline_snapshots_deal
+    ON pipeline_snapshots(deal_id, snapshot_date)
+  `);
+}
+
+module.exports = { migratePipelineSnapshots };
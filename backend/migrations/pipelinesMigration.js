@@ -0,0 +1,90 @@
+/**
+ * Pipelines Migration
+ *
+ * Separate pipelines (e.g. new business, renewals, partners), each owning
+ * its own stages. Existing stages and deals move into a default pipeline.
+ * A deal's pipeline follows its stage: a trigger keeps deals.pipeline_id in
+ * step with pipeline_stage_id whichever code path changes it.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migratePipelines(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pipelines (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      display_order INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_name ON pipelines(LOWER(name))');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_default ON pipelines(is_default) WHERE is_default');
+
+  await client.query(`
+    ALTER TABLE pipeline_stages
+    ADD COLUMN IF NOT EXISTS pipeline_id INTEGER REFERENCES pipelines(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query(`
+    ALTER TABLE deals
+    ADD COLUMN IF NOT EXISTS pipeline_id INTEGER REFERENCES pipelines(id) ON DELETE SET NULL
+  `);
+
+  await client.query(`
+    INSERT INTO pipelines (name, description, is_default)
+    SELECT 'Sales Pipeline', 'Default pipeline', true
+    WHERE NOT EXISTS (SELECT 1 FROM pipelines WHERE is_default)
+  `);
+
+  await client.query(`
+    UPDATE pipeline_stages
+    SET pipeline_id = (SELECT id FROM pipelines WHERE is_default)
+    WHERE pipeline_id IS NULL
+  `);
+
+  await client.query(`
+    UPDATE deals d
+    SET pipeline_id = COALESCE(
+      (SELECT ps.pipeline_id FROM pipeline_stages ps WHERE ps.id = d.pipeline_stage_id),
+      (SELECT id FROM pipelines WHERE is_default)
+    )
+    WHERE d.pipeline_id IS NULL
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_pipeline_stages_pipeline ON pipeline_stages(pipeline_id, display_order)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_deals_pipeline ON deals(pipeline_id)');
+
+  // A deal in a stage belongs to that stage's pipeline; one without either goes to the default
+  await client.query(`
+    CREATE OR REPLACE FUNCTION set_deal_pipeline()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      IF NEW.pipeline_stage_id IS NOT NULL THEN
+        NEW.pipeline_id := (SELECT pipeline_id FROM pipeline_stages WHERE id = NEW.pipeline_stage_id);
+      ELSIF NEW.pipeline_id IS NULL THEN
+        NEW.pipeline_id := (SELECT id FROM pipelines WHERE is_default);
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await client.query('DROP TRIGGER IF EXISTS set_deals_pipeline ON deals');
+  await client.query(`
+    CREATE TRIGGER set_deals_pipeline
+    BEFORE INSERT OR UPDATE OF pipeline_stage_id, pipeline_id ON deals
+    FOR EACH ROW
+    EXECUTE FUNCTION set_deal_pipeline()
+  `);
+}
+
+module.exports = { migratePipelines };
@@ -0,0 +1,99 @@
+/**
+ * Price Books Migration
+ *
+ * Price books with per-product prices that override products.unit_price for
+ * the deals using them, line-item discounts, and sign-off on discounts
+ * above a per-tenant threshold.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migratePriceBooks(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS price_books (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_price_books_tenant_name
+    ON price_books(COALESCE(tenant_id, 0), LOWER(name))
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS price_book_entries (
+      price_book_id INTEGER NOT NULL REFERENCES price_books(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (price_book_id, product_id)
+    )
+  `);
+
+  // NULL: no discount above the threshold; otherwise the latest approval's status
+  await client.query(`
+    ALTER TABLE deals
+    ADD COLUMN IF NOT EXISTS price_book_id INTEGER REFERENCES price_books(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS discount_approval_status VARCHAR(20)
+      CHECK (discount_approval_status IN ('pending', 'approved', 'rejected'))
+  `);
+
+  // list_price is the price book or catalog price the discount is measured against
+  await client.query(`
+    ALTER TABLE deal_products
+    ADD COLUMN IF NOT EXISTS list_price DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS discount_percent DECIMAL(5,2) NOT NULL DEFAULT 0
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS discount_policies (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      threshold_percent DECIMAL(5,2) NOT NULL CHECK (threshold_percent BETWEEN 0 AND 100),
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_discount_policies_tenant
+    ON discount_policies(COALESCE(tenant_id, 0))
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS discount_approvals (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      deal_id INTEGER NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+      max_discount_percent DECIMAL(5,2) NOT NULL,
+      threshold_percent DECIMAL(5,2) NOT NULL,
+      requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      decided_at TIMESTAMP,
+      comment TEXT
+    )
+  `);
+
+  // At most one open request per deal
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_discount_approvals_pending
+    ON discount_approvals(deal_id) WHERE status = 'pending'
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_discount_approvals_status
+    ON discount_approvals(status, requested_at)
+  `);
+}
+
+module.exports = { migratePriceBooks };
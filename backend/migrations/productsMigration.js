@@ -0,0 +1,51 @@
+/**
+ * Products Migration
+ *
+ * The product catalog and deal line items from schema.sql, for databases
+ * created from complete_schema.sql, plus the columns the catalog API needs.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateProducts(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      category VARCHAR(100),
+      unit_price DECIMAL(10,2),
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS deal_products (
+      id SERIAL PRIMARY KEY,
+      deal_id INTEGER REFERENCES deals(id) ON DELETE CASCADE,
+      product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+      quantity INTEGER DEFAULT 1,
+      unit_price DECIMAL(10,2),
+      total_price DECIMAL(15,2),
+      UNIQUE(deal_id, product_id)
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE deal_products
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_deal_products_product ON deal_products(product_id)');
+}
+
+module.exports = { migrateProducts };
@@ -0,0 +1,26 @@
+/**
+ * Quota Metrics Migration
+ *
+ * Lets a quota target closed-won deal count instead of revenue. Owners can
+ * hold one quota per metric for the same dates.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateQuotaMetrics(client) {
+  await client.query(`
+    ALTER TABLE quotas
+    ADD COLUMN IF NOT EXISTS metric VARCHAR(20) NOT NULL DEFAULT 'revenue'
+      CHECK (metric IN ('revenue', 'deal_count'))
+  `);
+
+  await client.query('DROP INDEX IF EXISTS idx_quotas_owner_period');
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_quotas_owner_period_metric
+    ON quotas(COALESCE(tenant_id, 0), COALESCE(user_id, 0), COALESCE(team_id, 0), metric, period_start, period_end)
+  `);
+}
+
+module.exports = { migrateQuotaMetrics };
@@ -0,0 +1,44 @@
+/**
+ * Quotes Migration
+ *
+ * Versioned quotes generated from a deal. Each quote keeps a snapshot of
+ * the company, contact and line items it was generated from so the PDF and
+ * the accept page stay the same when the deal changes afterwards.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateQuotes(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quotes (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      deal_id INTEGER NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      quote_number VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'accepted', 'declined')),
+      expires_at DATE NOT NULL,
+      currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      subtotal DECIMAL(15,2) NOT NULL DEFAULT 0,
+      discount_total DECIMAL(15,2) NOT NULL DEFAULT 0,
+      total DECIMAL(15,2) NOT NULL DEFAULT 0,
+      snapshot JSONB NOT NULL,
+      notes TEXT,
+      terms TEXT,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      sent_at TIMESTAMP,
+      responded_at TIMESTAMP,
+      responded_by_name VARCHAR(255),
+      response_ip VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (deal_id, version)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status, expires_at)');
+}
+
+module.exports = { migrateQuotes };
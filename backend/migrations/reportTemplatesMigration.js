@@ -0,0 +1,47 @@
+/**
+ * Report Templates Migration
+ *
+ * Per-tenant report templates: branding (logo, colors, header and footer
+ * text), section layout and an optional Handlebars source for HTML output.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateReportTemplates(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_templates (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      report_type VARCHAR(50), -- NULL applies to every report type
+      orientation VARCHAR(20) NOT NULL DEFAULT 'portrait', -- 'portrait', 'landscape'
+      sections JSONB NOT NULL DEFAULT '["header", "summary", "tables", "footer"]',
+      logo TEXT, -- PNG or JPEG data URI
+      primary_color VARCHAR(7) NOT NULL DEFAULT '#111827',
+      accent_color VARCHAR(7) NOT NULL DEFAULT '#6B7280',
+      header_text TEXT,
+      footer_text TEXT,
+      html_template TEXT, -- Handlebars source, NULL uses the built-in layout
+      is_default BOOLEAN DEFAULT false,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_report_templates_tenant
+    ON report_templates(tenant_id, report_type)
+  `);
+
+  // At most one default per tenant and report type (NULL report type included)
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_report_templates_default
+    ON report_templates(COALESCE(tenant_id, 0), COALESCE(report_type, ''))
+    WHERE is_default = true
+  `);
+}
+
+module.exports = { migrateReportTemplates };
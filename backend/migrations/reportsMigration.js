@@ -0,0 +1,44 @@
+/**
+ * Reports Migration
+ *
+ * Tracks generated report files so they can be downloaded later, plus the
+ * per-tenant statistics the scheduler rolls up from them.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateReportsFeature(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      report_type VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      format VARCHAR(10) NOT NULL, -- 'pdf', 'xlsx', 'csv'
+      filters JSONB DEFAULT '{}',
+      file_name VARCHAR(255) NOT NULL,
+      file_size INTEGER,
+      row_count INTEGER DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_reports_created_by
+    ON reports(created_by, created_at DESC)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS tenant_stats (
+      tenant_id INTEGER NOT NULL,
+      stat_key VARCHAR(100) NOT NULL,
+      stat_value TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (tenant_id, stat_key)
+    )
+  `);
+}
+
+module.exports = { migrateReportsFeature };
@@ -0,0 +1,66 @@
+/**
+ * Scheduled Reports Migration
+ *
+ * Saved report definitions with an optional delivery schedule, and the
+ * history of every run (scheduled or manual) including failures.
+ */
+
+/**
+ * @param {Object} client - Database client inside the migration transaction
+ */
+async function migrateScheduledReports(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS saved_reports (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      report_type VARCHAR(50) NOT NULL,
+      format VARCHAR(10) NOT NULL DEFAULT 'pdf',
+      filters JSONB DEFAULT '{}',
+      schedule_type VARCHAR(20), -- NULL (not scheduled), 'cron', 'daily', 'weekly', 'monthly'
+      schedule_config JSONB DEFAULT '{}',
+      cron_expression VARCHAR(100),
+      timezone VARCHAR(50) DEFAULT 'UTC',
+      recipients TEXT[] DEFAULT '{}',
+      is_active BOOLEAN DEFAULT true,
+      next_run_at TIMESTAMP WITH TIME ZONE,
+      last_run_at TIMESTAMP WITH TIME ZONE,
+      created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_saved_reports_due
+    ON saved_reports(next_run_at)
+    WHERE is_active = true AND schedule_type IS NOT NULL
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS saved_report_runs (
+      id SERIAL PRIMARY KEY,
+      saved_report_id INTEGER NOT NULL REFERENCES saved_reports(id) ON DELETE CASCADE,
+      report_id INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+      trigger VARCHAR(20) NOT NULL, -- 'schedule', 'manual'
+      status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'success', 'failed'
+      recipients TEXT[] DEFAULT '{}',
+      error_message TEXT,
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      finished_at TIMESTAMP WITH TIME ZONE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_saved_report_runs_report
+    ON saved_report_runs(saved_report_id, started_at DESC)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_saved_report_runs_status
+    ON saved_report_runs(status, started_at DESC)
+  `);
+}
+
+module.exports = { migrateScheduledReports };
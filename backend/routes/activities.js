@@ -1,24 +1,265 @@
 const express = require('express');
+const Joi = require('joi');
+const pool = require('../db');
+const authenticateToken = require('../middleware').authenticateToken;
+const { buildActivityFilters } = require('../utils/listFilters');
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  res.json({ message: 'Get all activities - coming soon' });
+const ACTIVITY_TYPES = ['call', 'email', 'meeting', 'note', 'task'];
+
+const ACTIVITY_FIELDS = [
+  'type',
+  'subject',
+  'description',
+  'company_id',
+  'contact_id',
+  'deal_id',
+  'user_id',
+  'due_date'
+];
+
+// Allowed status transitions: action -> { from: [...], to }
+const TRANSITIONS = {
+  complete: { from: ['pending'], to: 'completed' },
+  reopen: { from: ['completed', 'cancelled'], to: 'pending' },
+  cancel: { from: ['pending'], to: 'cancelled' }
+};
+
+// Validation schemas
+const activitySchema = Joi.object({
+  type: Joi.string().valid(...ACTIVITY_TYPES),
+  subject: Joi.string().max(255),
+  description: Joi.string().allow(null, ''),
+  company_id: Joi.number().integer().allow(null),
+  contact_id: Joi.number().integer().allow(null),
+  deal_id: Joi.number().integer().allow(null),
+  user_id: Joi.number().integer().allow(null),
+  due_date: Joi.date().iso().allow(null)
 });
 
-router.post('/', (req, res) => {
-  res.json({ message: 'Create activity - coming soon' });
+const createActivitySchema = activitySchema.fork(['type', 'subject'], (field) => field.required());
+
+// GET /api/activities - List activities with filters
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { whereClause, params } = buildActivityFilters(req.query, req.user);
+
+    const result = await pool.query(`
+      SELECT
+        a.*,
+        comp.name as company_name,
+        CONCAT(ct.first_name, ' ', ct.last_name) as contact_name,
+        d.title as deal_title,
+        CONCAT(u.first_name, ' ', u.last_name) as owner_name,
+        (a.status = 'pending' AND a.due_date < NOW()) as is_overdue
+      FROM activities a
+      LEFT JOIN companies comp ON a.company_id = comp.id
+      LEFT JOIN contacts ct ON a.contact_id = ct.id
+      LEFT JOIN deals d ON a.deal_id = d.id
+      LEFT JOIN users u ON a.user_id = u.id
+      ${whereClause}
+      ORDER BY a.due_date ASC NULLS LAST, a.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    // Get total count for pagination
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM activities a ${whereClause}`,
+      params
+    );
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      activities: result.rows,
+      total: totalCount,
+      page: page,
+      limit: limit,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.message
+      });
+    }
+    console.error('Error fetching activities:', error);
+    res.status(500).json({ error: 'Failed to fetch activities' });
+  }
+});
+
+// POST /api/activities - Create new activity (owned by the caller unless user_id is given)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = createActivitySchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    if (value.user_id === undefined) {
+      value.user_id = req.user.id;
+    }
+
+    const columns = ACTIVITY_FIELDS.filter(field => value[field] !== undefined);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+    const result = await pool.query(`
+      INSERT INTO activities (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      RETURNING *
+    `, columns.map(column => value[column]));
+
+    res.status(201).json({
+      message: 'Activity created successfully',
+      activity: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating activity:', error);
+    res.status(500).json({ error: 'Failed to create activity' });
+  }
+});
+
+// GET /api/activities/:id - Get individual activity
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT
+        a.*,
+        comp.name as company_name,
+        CONCAT(ct.first_name, ' ', ct.last_name) as contact_name,
+        d.title as deal_title,
+        CONCAT(u.first_name, ' ', u.last_name) as owner_name,
+        (a.status = 'pending' AND a.due_date < NOW()) as is_overdue
+      FROM activities a
+      LEFT JOIN companies comp ON a.company_id = comp.id
+      LEFT JOIN contacts ct ON a.contact_id = ct.id
+      LEFT JOIN deals d ON a.deal_id = d.id
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    res.json({ activity: result.rows[0] });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
 });
 
-router.get('/:id', (req, res) => {
-  res.json({ message: `Get activity ${req.params.id} - coming soon` });
+// PUT /api/activities/:id - Update the provided activity fields
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = activitySchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const columns = ACTIVITY_FIELDS.filter(field => value[field] !== undefined);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields provided for update' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await pool.query(`
+      UPDATE activities
+      SET ${assignments.join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...columns.map(column => value[column])]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    res.json({
+      message: 'Activity updated successfully',
+      activity: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating activity:', error);
+    res.status(500).json({ error: 'Failed to update activity' });
+  }
 });
 
-router.put('/:id', (req, res) => {
-  res.json({ message: `Update activity ${req.params.id} - coming soon` });
+// POST /api/activities/:id/complete | reopen | cancel - Status transitions
+router.post('/:id/:action(complete|reopen|cancel)', authenticateToken, async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const transition = TRANSITIONS[action];
+
+    const existing = await pool.query('SELECT status FROM activities WHERE id = $1', [id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const currentStatus = existing.rows[0].status;
+    if (!transition.from.includes(currentStatus)) {
+      return res.status(409).json({
+        error: `Cannot ${action} an activity that is ${currentStatus}`
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE activities
+      SET status = $2,
+          completed_at = CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE id = $1 AND status = $3
+      RETURNING *
+    `, [id, transition.to, currentStatus, transition.to === 'completed']);
+
+    // Another request changed the status between the read and the update
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Activity status changed, please retry' });
+    }
+
+    res.json({
+      message: `Activity ${transition.to} successfully`,
+      activity: result.rows[0]
+    });
+  } catch (error) {
+    console.error(`Error applying activity ${req.params.action}:`, error);
+    res.status(500).json({ error: 'Failed to update activity status' });
+  }
 });
 
-router.delete('/:id', (req, res) => {
-  res.json({ message: `Delete activity ${req.params.id} - coming soon` });
+// DELETE /api/activities/:id - Delete activity
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query('DELETE FROM activities WHERE id = $1 RETURNING *', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    res.json({
+      message: 'Activity deleted successfully',
+      activity: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting activity:', error);
+    res.status(500).json({ error: 'Failed to delete activity' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
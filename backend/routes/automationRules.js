@@ -0,0 +1,412 @@
+/**
+ * Automation Rules API Routes
+ */
+const express = require('express');
+const Joi = require('joi');
+const pool = require('../db');
+const middleware = require('../middleware');
+const automationService = require('../services/automationService');
+
+const router = express.Router();
+
+// Rule management is limited to admins and managers
+router.use(middleware.authenticateToken, middleware.authorizeRoles('admin', 'manager'));
+
+const RULE_FIELDS = [
+  'name',
+  'description',
+  'from_stage_id',
+  'to_stage_id',
+  'action_type',
+  'action_data',
+  'priority',
+  'is_active'
+];
+
+// Validation schemas
+const ruleSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().allow(null, ''),
+  from_stage_id: Joi.number().integer().allow(null),
+  to_stage_id: Joi.number().integer().allow(null),
+  action_type: Joi.string().valid(...automationService.ACTION_TYPES),
+  action_data: Joi.object(),
+  priority: Joi.number().integer(),
+  is_active: Joi.boolean()
+});
+
+const createRuleSchema = ruleSchema.fork(['name', 'action_type', 'action_data'], (field) => field.required());
+
+const dryRunSchema = Joi.object({
+  deal_id: Joi.number().integer().required(),
+  from_stage_id: Joi.number().integer().allow(null),
+  to_stage_id: Joi.number().integer().required()
+});
+
+/**
+ * Reads automation_log entries with optional filters
+ *
+ * @param {Object} filters - { ruleId, dealId, result }
+ * @param {number} page - Page number
+ * @param {number} limit - Results per page
+ * @returns {Promise<Object>} Executions and pagination info
+ */
+const getExecutions = async (filters, page, limit) => {
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (filters.ruleId) {
+    conditions.push(`l.rule_id = $${paramCount++}`);
+    params.push(filters.ruleId);
+  }
+
+  if (filters.dealId) {
+    conditions.push(`l.deal_id = $${paramCount++}`);
+    params.push(filters.dealId);
+  }
+
+  if (filters.result) {
+    conditions.push(`l.execution_result = $${paramCount++}`);
+    params.push(filters.result);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM automation_log l ${whereClause}`, params);
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  const result = await pool.query(`
+    SELECT l.*, r.name as rule_name, r.action_type, d.title as deal_title
+    FROM automation_log l
+    LEFT JOIN automation_rules r ON l.rule_id = r.id
+    LEFT JOIN deals d ON l.deal_id = d.id
+    ${whereClause}
+    ORDER BY l.executed_at DESC, l.id DESC
+    LIMIT $${paramCount++} OFFSET $${paramCount++}
+  `, [...params, limit, (page - 1) * limit]);
+
+  return {
+    executions: result.rows,
+    pagination: {
+      total: totalCount,
+      page,
+      limit,
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+// GET /api/automation/rules - List rules in execution order
+router.get('/', async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (req.query.is_active !== undefined) {
+      params.push(req.query.is_active === 'true');
+      conditions.push(`r.is_active = $${params.length}`);
+    }
+
+    if (req.query.stage_id) {
+      params.push(parseInt(req.query.stage_id));
+      conditions.push(`(r.from_stage_id = $${params.length} OR r.to_stage_id = $${params.length})`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT
+        r.*,
+        fs.name as from_stage_name,
+        ts.name as to_stage_name
+      FROM automation_rules r
+      LEFT JOIN pipeline_stages fs ON r.from_stage_id = fs.id
+      LEFT JOIN pipeline_stages ts ON r.to_stage_id = ts.id
+      ${whereClause}
+      ORDER BY r.priority ASC, r.id ASC
+    `, params);
+
+    res.json({ rules: result.rows });
+  } catch (error) {
+    console.error('Error fetching automation rules:', error);
+    res.status(500).json({ error: 'Failed to fetch automation rules' });
+  }
+});
+
+// POST /api/automation/rules - Create rule
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createRuleSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const actionError = automationService.validateActionData(value.action_type, value.action_data);
+    if (actionError) {
+      return res.status(400).json({ error: 'Validation Error', details: actionError });
+    }
+
+    const columns = RULE_FIELDS.filter(field => value[field] !== undefined);
+    const params = columns.map(column => value[column]);
+    columns.push('created_by_user_id');
+    params.push(req.user.id);
+
+    const result = await pool.query(`
+      INSERT INTO automation_rules (${columns.join(', ')})
+      VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+      RETURNING *
+    `, params);
+
+    res.status(201).json({
+      message: 'Automation rule created successfully',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating automation rule:', error);
+    res.status(500).json({ error: 'Failed to create automation rule' });
+  }
+});
+
+// PUT /api/automation/rules/reorder - Set priorities from an ordered list of rule ids
+router.put('/reorder', async (req, res) => {
+  const { rule_ids } = req.body;
+
+  if (!Array.isArray(rule_ids) || rule_ids.length === 0 || rule_ids.some(id => !Number.isInteger(id))) {
+    return res.status(400).json({ error: 'rule_ids must be a non-empty array of rule ids' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE automation_rules r
+      SET priority = ordered.position - 1
+      FROM UNNEST($1::int[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE r.id = ordered.id
+      RETURNING r.*
+    `, [rule_ids]);
+
+    if (result.rows.length !== new Set(rule_ids).size) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'One or more automation rules not found' });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Automation rules reordered successfully',
+      rules: result.rows.sort((a, b) => a.priority - b.priority)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error reordering automation rules:', error);
+    res.status(500).json({ error: 'Failed to reorder automation rules' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/automation/rules/dry-run - Show which rules a stage transition would fire, without side effects
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { error, value } = dryRunSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const dealResult = await pool.query('SELECT * FROM deals WHERE id = $1', [value.deal_id]);
+    if (dealResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    // Work on a copy so chained probability updates are reflected in later plans
+    const deal = { ...dealResult.rows[0] };
+    const fromStageId = value.from_stage_id !== undefined ? value.from_stage_id : deal.pipeline_stage_id;
+    deal.pipeline_stage_id = value.to_stage_id;
+
+    const rules = await automationService.getMatchingRules(pool, fromStageId, value.to_stage_id);
+
+    const results = rules.map(rule => {
+      const actionError = automationService.validateActionData(rule.action_type, rule.action_data);
+      if (actionError) {
+        return { rule_id: rule.id, name: rule.name, action_type: rule.action_type, would_fail: true, error: actionError };
+      }
+
+      const plan = automationService.planAction(rule, deal);
+      if (plan.type === 'update_probability') {
+        deal.probability = plan.to;
+      }
+
+      return { rule_id: rule.id, name: rule.name, action_type: rule.action_type, would_fail: false, action: plan };
+    });
+
+    res.json({
+      deal_id: deal.id,
+      from_stage_id: fromStageId,
+      to_stage_id: value.to_stage_id,
+      rules: results
+    });
+  } catch (error) {
+    console.error('Error running automation dry run:', error);
+    res.status(500).json({ error: 'Failed to run automation dry run' });
+  }
+});
+
+// GET /api/automation/rules/executions - Execution history across all rules
+router.get('/executions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const results = await getExecutions({
+      dealId: req.query.deal_id ? parseInt(req.query.deal_id) : null,
+      result: req.query.result
+    }, page, limit);
+
+    res.json(results);
+  } catch (error) {
+    console.error('Error fetching automation executions:', error);
+    res.status(500).json({ error: 'Failed to fetch automation executions' });
+  }
+});
+
+// GET /api/automation/rules/:id - Get individual rule
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM automation_rules WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json({ rule: result.rows[0] });
+  } catch (error) {
+    console.error('Error fetching automation rule:', error);
+    res.status(500).json({ error: 'Failed to fetch automation rule' });
+  }
+});
+
+// GET /api/automation/rules/:id/executions - Execution history for one rule
+router.get('/:id/executions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const results = await getExecutions({
+      ruleId: parseInt(req.params.id),
+      dealId: req.query.deal_id ? parseInt(req.query.deal_id) : null,
+      result: req.query.result
+    }, page, limit);
+
+    res.json(results);
+  } catch (error) {
+    console.error('Error fetching automation rule executions:', error);
+    res.status(500).json({ error: 'Failed to fetch automation rule executions' });
+  }
+});
+
+// PUT /api/automation/rules/:id - Update the provided rule fields
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = ruleSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const existing = await pool.query('SELECT * FROM automation_rules WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    const actionType = value.action_type || existing.rows[0].action_type;
+    const actionData = value.action_data || existing.rows[0].action_data;
+    const actionError = automationService.validateActionData(actionType, actionData);
+    if (actionError) {
+      return res.status(400).json({ error: 'Validation Error', details: actionError });
+    }
+
+    const columns = RULE_FIELDS.filter(field => value[field] !== undefined);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields provided for update' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await pool.query(`
+      UPDATE automation_rules
+      SET ${assignments.join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...columns.map(column => value[column])]);
+
+    res.json({
+      message: 'Automation rule updated successfully',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating automation rule:', error);
+    res.status(500).json({ error: 'Failed to update automation rule' });
+  }
+});
+
+// POST /api/automation/rules/:id/enable | disable - Toggle a rule
+router.post('/:id/:action(enable|disable)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+
+    const result = await pool.query(
+      'UPDATE automation_rules SET is_active = $2 WHERE id = $1 RETURNING *',
+      [id, action === 'enable']
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json({
+      message: `Automation rule ${action}d successfully`,
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    console.error(`Error trying to ${req.params.action} automation rule:`, error);
+    res.status(500).json({ error: 'Failed to update automation rule' });
+  }
+});
+
+// DELETE /api/automation/rules/:id - Delete a rule that has never run
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM automation_rules WHERE id = $1 RETURNING *', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json({
+      message: 'Automation rule deleted successfully',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    // automation_log keeps a foreign key to rules that have executed
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'Automation rule has execution history, disable it instead' });
+    }
+    console.error('Error deleting automation rule:', error);
+    res.status(500).json({ error: 'Failed to delete automation rule' });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,299 @@
 const express = require('express');
+const Joi = require('joi');
+const pool = require('../db');
+const timelineService = require('../services/timelineService');
+const deduplicationService = require('../services/deduplicationService');
+const currencyService = require('../services/currencyService');
+const middleware = require('../middleware');
+const { buildCompanyFilters } = require('../utils/listFilters');
 const router = express.Router();
 
-// Placeholder CRUD routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Get all companies - coming soon' });
+// Columns a client may write, filter or sort on
+const COMPANY_FIELDS = [
+  'name',
+  'industry',
+  'website',
+  'phone',
+  'address',
+  'city',
+  'state',
+  'country',
+  'postal_code',
+  'annual_revenue',
+  'employee_count'
+];
+
+const SORTABLE_COLUMNS = ['id', ...COMPANY_FIELDS, 'created_at', 'updated_at'];
+
+// Validation schemas
+const companySchema = Joi.object({
+  name: Joi.string().max(255),
+  industry: Joi.string().max(100).allow(null, ''),
+  website: Joi.string().max(255).allow(null, ''),
+  phone: Joi.string().max(50).allow(null, ''),
+  address: Joi.string().allow(null, ''),
+  city: Joi.string().max(100).allow(null, ''),
+  state: Joi.string().max(100).allow(null, ''),
+  country: Joi.string().max(100).allow(null, ''),
+  postal_code: Joi.string().max(20).allow(null, ''),
+  annual_revenue: Joi.number().min(0).allow(null),
+  employee_count: Joi.number().integer().min(0).allow(null)
+});
+
+const createCompanySchema = companySchema.fork(['name'], (field) => field.required());
+
+// GET /api/companies - List companies with filtering, sorting and pagination
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const sort = SORTABLE_COLUMNS.includes(req.query.sort) ? req.query.sort : 'created_at';
+    const order = String(req.query.order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    const { whereClause, params } = buildCompanyFilters(req.query);
+
+    const result = await pool.query(`
+      SELECT c.*
+      FROM companies c
+      ${whereClause}
+      ORDER BY c.${sort} ${order} NULLS LAST, c.id ${order}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    // Get total count for pagination
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM companies c ${whereClause}`,
+      params
+    );
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      companies: result.rows,
+      total: totalCount,
+      page: page,
+      limit: limit,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching companies:', error);
+    res.status(500).json({ error: 'Failed to fetch companies' });
+  }
 });
 
-router.post('/', (req, res) => {
-  res.json({ message: 'Create company - coming soon' });
+// POST /api/companies - Create new company
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createCompanySchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const columns = COMPANY_FIELDS.filter(field => value[field] !== undefined);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+    const result = await pool.query(`
+      INSERT INTO companies (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      RETURNING *
+    `, columns.map(column => value[column]));
+
+    res.status(201).json({
+      message: 'Company created successfully',
+      company: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating company:', error);
+    res.status(500).json({ error: 'Failed to create company' });
+  }
+});
+
+// POST /api/companies/merge - Merge duplicate companies into a surviving company
+router.post('/merge',
+  middleware.authenticateToken,
+  middleware.authorizeRoles('admin', 'manager'),
+  async (req, res) => {
+    try {
+      const { survivor_id, merged_ids, field_winners } = req.body;
+
+      const survivorId = parseInt(survivor_id);
+      if (isNaN(survivorId) || !Array.isArray(merged_ids) || merged_ids.some(id => isNaN(parseInt(id)))) {
+        return res.status(400).json({ error: 'survivor_id and an array of merged_ids are required' });
+      }
+
+      const result = await deduplicationService.mergeCompanies({
+        survivorId,
+        mergedIds: merged_ids.map(id => parseInt(id)),
+        fieldWinners: field_winners || {},
+        audit: {
+          userId: req.user.id,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+
+      res.json({
+        message: 'Companies merged successfully',
+        ...result
+      });
+    } catch (error) {
+      if (error.type === 'validation') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.type === 'not_found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Error merging companies:', error);
+      res.status(500).json({ error: 'Failed to merge companies' });
+    }
+  });
+
+// GET /api/companies/:id - Get company with contact, deal and activity rollups
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenant ? req.tenant.id : null;
+
+    const result = await pool.query(`
+      SELECT
+        c.*,
+        (SELECT COUNT(*) FROM contacts ct WHERE ct.company_id = c.id) as contact_count,
+        (SELECT COUNT(*) FROM deals d
+          WHERE d.company_id = c.id AND d.status NOT IN ('closed_won', 'closed_lost')) as open_deal_count,
+        (SELECT MAX(COALESCE(a.completed_at, a.due_date, a.created_at)) FROM activities a
+          WHERE a.company_id = c.id) as last_activity_date
+      FROM companies c
+      WHERE c.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // Open pipeline in the reporting currency, with the original amounts per deal currency
+    const currency = await currencyService.getReportingCurrency(tenantId);
+    const pipelineParams = [id];
+    const pipelineValue = currencyService.convertedValue(pipelineParams, { currency, tenantId });
+    const pipeline = await pool.query(`
+      SELECT ${currencyService.currencyTotalsColumns(pipelineValue)}
+      FROM deals d
+      WHERE d.company_id = $1 AND d.status NOT IN ('closed_won', 'closed_lost')
+      GROUP BY COALESCE(d.currency, 'USD')
+      ORDER BY currency
+    `, pipelineParams);
+    const pipelineByCurrency = currencyService.toCurrencyTotals(pipeline.rows);
+
+    const company = result.rows[0];
+
+    res.json({
+      company: {
+        ...company,
+        contact_count: parseInt(company.contact_count),
+        open_deal_count: parseInt(company.open_deal_count),
+        open_pipeline_value: Number(pipelineByCurrency.reduce((sum, row) => sum + row.converted_value, 0).toFixed(2)),
+        open_pipeline_by_currency: pipelineByCurrency,
+        reporting_currency: currency
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({ error: 'Failed to fetch company' });
+  }
 });
 
-router.get('/:id', (req, res) => {
-  res.json({ message: `Get company ${req.params.id} - coming soon` });
+// GET /api/companies/:id/timeline - Chronological feed of events for the company, rolled up from its contacts and deals
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const types = req.query.types
+      ? String(req.query.types).split(',').filter(type => timelineService.EVENT_TYPES.includes(type))
+      : timelineService.EVENT_TYPES;
+
+    const timeline = await timelineService.getTimeline('company', parseInt(id), {
+      cursor: req.query.cursor,
+      limit,
+      types
+    });
+
+    if (!timeline) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching company timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch company timeline' });
+  }
 });
 
-router.put('/:id', (req, res) => {
-  res.json({ message: `Update company ${req.params.id} - coming soon` });
+// PUT /api/companies/:id - Update the provided company fields
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = companySchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const columns = COMPANY_FIELDS.filter(field => value[field] !== undefined);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields provided for update' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await pool.query(`
+      UPDATE companies
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...columns.map(column => value[column])]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      message: 'Company updated successfully',
+      company: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating company:', error);
+    res.status(500).json({ error: 'Failed to update company' });
+  }
 });
 
-router.delete('/:id', (req, res) => {
-  res.json({ message: `Delete company ${req.params.id} - coming soon` });
+// DELETE /api/companies/:id - Delete company
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query('DELETE FROM companies WHERE id = $1 RETURNING *', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      message: 'Company deleted successfully',
+      company: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting company:', error);
+    res.status(500).json({ error: 'Failed to delete company' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
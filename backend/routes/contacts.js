@@ -1,5 +1,9 @@
 const express = require('express');
 const pool = require('../db');
+const timelineService = require('../services/timelineService');
+const deduplicationService = require('../services/deduplicationService');
+const middleware = require('../middleware');
+const { buildContactFilters } = require('../utils/listFilters');
 const router = express.Router();
 
 // filepath: /Users/ky/Desktop/GitHub/VS_Code/SalesBase/backend/routes/contacts.js
@@ -10,6 +14,8 @@ router.get('/', async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+
+    const { whereClause, params } = buildContactFilters(req.query);
     
     // Real database query to get contacts with company information
     const result = await pool.query(`
@@ -26,12 +32,13 @@ router.get('/', async (req, res) => {
         comp.name as company_name
       FROM contacts c
       LEFT JOIN companies comp ON c.company_id = comp.id
+      ${whereClause}
       ORDER BY c.created_at DESC
-      LIMIT $1 OFFSET $2
-    `, [limit, offset]);
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
     
     // Get total count for pagination
-    const countResult = await pool.query('SELECT COUNT(*) FROM contacts');
+    const countResult = await pool.query(`SELECT COUNT(*) FROM contacts c ${whereClause}`, params);
     const totalCount = parseInt(countResult.rows[0].count);
     
     // Format the response to match what frontend expects
@@ -86,6 +93,83 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/contacts/duplicates - Open duplicate groups found by the last scan
+router.get('/duplicates', middleware.authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const results = await deduplicationService.getContactDuplicateGroups({
+      matchReason: req.query.match_reason,
+      page,
+      limit
+    });
+
+    res.json(results);
+  } catch (error) {
+    console.error('Error fetching duplicate contacts:', error);
+    res.status(500).json({ error: 'Failed to fetch duplicate contacts' });
+  }
+});
+
+// POST /api/contacts/duplicates/scan - Rescan contacts for duplicates now
+router.post('/duplicates/scan',
+  middleware.authenticateToken,
+  middleware.authorizeRoles('admin', 'manager'),
+  async (req, res) => {
+    try {
+      const groupCount = await deduplicationService.scanContactDuplicates();
+
+      res.json({
+        message: 'Duplicate scan completed',
+        groups: groupCount
+      });
+    } catch (error) {
+      console.error('Error scanning for duplicate contacts:', error);
+      res.status(500).json({ error: 'Failed to scan for duplicate contacts' });
+    }
+  });
+
+// POST /api/contacts/merge - Merge duplicate contacts into a surviving contact
+router.post('/merge',
+  middleware.authenticateToken,
+  middleware.authorizePermissions('update:contacts', 'delete:contacts'),
+  async (req, res) => {
+    try {
+      const { survivor_id, merged_ids, field_winners } = req.body;
+
+      const survivorId = parseInt(survivor_id);
+      if (isNaN(survivorId) || !Array.isArray(merged_ids) || merged_ids.some(id => isNaN(parseInt(id)))) {
+        return res.status(400).json({ error: 'survivor_id and an array of merged_ids are required' });
+      }
+
+      const result = await deduplicationService.mergeContacts({
+        survivorId,
+        mergedIds: merged_ids.map(id => parseInt(id)),
+        fieldWinners: field_winners || {},
+        audit: {
+          userId: req.user.id,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+
+      res.json({
+        message: 'Contacts merged successfully',
+        ...result
+      });
+    } catch (error) {
+      if (error.type === 'validation') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.type === 'not_found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Error merging contacts:', error);
+      res.status(500).json({ error: 'Failed to merge contacts' });
+    }
+  });
+
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -110,6 +194,35 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/contacts/:id/timeline - Chronological feed of events for the contact, including their deals
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const types = req.query.types
+      ? String(req.query.types).split(',').filter(type => timelineService.EVENT_TYPES.includes(type))
+      : timelineService.EVENT_TYPES;
+
+    const timeline = await timelineService.getTimeline('contact', parseInt(id), {
+      cursor: req.query.cursor,
+      limit,
+      types
+    });
+
+    if (!timeline) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching contact timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch contact timeline' });
+  }
+});
+
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
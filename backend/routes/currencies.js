@@ -0,0 +1,115 @@
+/**
+ * Currencies API Routes
+ *
+ * The tenant's reporting currency and the dated exchange rates analytics
+ * use to convert deal values into it.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const currencyService = require('../services/currencyService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+// Rate files are sent as the raw request body (CSV or XLSX)
+const rawFile = express.raw({
+  type: [
+    'text/csv',
+    'text/plain',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+  ],
+  limit: '5mb'
+});
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by currencyService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/currencies/settings - The currency analytics are reported in
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await currencyService.getSettings(req.tenant ? req.tenant.id : null);
+    res.json(settings);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch currency settings');
+  }
+});
+
+// PUT /api/currencies/settings - Body: { reporting_currency }
+router.put('/settings', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const settings = await currencyService.saveSettings(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.json(settings);
+  } catch (error) {
+    handleError(res, error, 'Failed to save currency settings');
+  }
+});
+
+// GET /api/currencies/rates?currency=&start_date=&end_date=&limit=
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await currencyService.listRates(req.query, req.tenant ? req.tenant.id : null);
+    res.json({ rates });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch exchange rates');
+  }
+});
+
+// POST /api/currencies/rates - Body: { from_currency, to_currency, rate, effective_date }
+router.post('/rates', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const rate = await currencyService.saveRate(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.status(rate.created ? 201 : 200).json(rate);
+  } catch (error) {
+    handleError(res, error, 'Failed to save exchange rate');
+  }
+});
+
+// POST /api/currencies/rates/import - CSV or XLSX with from_currency, to_currency, rate, effective_date columns
+router.post('/rates/import', middleware.authorizeRoles('admin', 'manager'), rawFile, async (req, res) => {
+  try {
+    const result = await currencyService.importRates(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.status(201).json({ message: 'Exchange rates imported successfully', ...result });
+  } catch (error) {
+    handleError(res, error, 'Failed to import exchange rates');
+  }
+});
+
+// DELETE /api/currencies/rates/:id
+router.delete('/rates/:id', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    await currencyService.deleteRate(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete exchange rate');
+  }
+});
+
+// GET /api/currencies/missing-rates - Deal currencies left out of converted totals for lack of a rate
+router.get('/missing-rates', async (req, res) => {
+  try {
+    const result = await currencyService.getMissingRates(req.tenant ? req.tenant.id : null);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch missing exchange rates');
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,25 @@
 const express = require('express');
 const pool = require('../db');
+const timelineService = require('../services/timelineService');
+const automationService = require('../services/automationService');
+const forecastService = require('../services/forecastService');
+const productService = require('../services/productService');
+const priceBookService = require('../services/priceBookService');
+const pipelineService = require('../services/pipelineService');
+const authenticateToken = require('../middleware').authenticateToken;
+const { buildDealFilters } = require('../utils/listFilters');
 const router = express.Router();
 
+const DEAL_STATUSES = ['open', 'closed_won', 'closed_lost'];
+
 // GET /api/deals - Get all deals with company and pipeline stage information
 router.get('/', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+
+    const { whereClause, params } = buildDealFilters(req.query, req.user);
     
     // Real database query to get deals with company and pipeline stage information
     const result = await pool.query(`
@@ -19,20 +31,25 @@ router.get('/', async (req, res) => {
         d.probability,
         d.expected_close_date,
         d.status,
+        d.forecast_category,
+        d.pipeline_id,
         d.created_at,
         d.updated_at,
         c.name as company_name,
         ps.name as pipeline_stage,
-        ps.display_order as stage_order
+        ps.display_order as stage_order,
+        p.name as pipeline_name
       FROM deals d
       LEFT JOIN companies c ON d.company_id = c.id
       LEFT JOIN pipeline_stages ps ON d.pipeline_stage_id = ps.id
+      LEFT JOIN pipelines p ON d.pipeline_id = p.id
+      ${whereClause}
       ORDER BY d.expected_close_date DESC, d.created_at DESC
-      LIMIT $1 OFFSET $2
-    `, [limit, offset]);
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
     
     // Get total count for pagination
-    const countResult = await pool.query('SELECT COUNT(*) FROM deals');
+    const countResult = await pool.query(`SELECT COUNT(*) FROM deals d ${whereClause}`, params);
     const totalCount = parseInt(countResult.rows[0].count);
     
     // Format the response to match what frontend expects
@@ -45,7 +62,10 @@ router.get('/', async (req, res) => {
       date: row.expected_close_date || row.created_at,
       title: row.title,
       currency: row.currency || 'USD',
-      stage_order: row.stage_order || 0
+      forecast_category: row.forecast_category || 'pipeline',
+      stage_order: row.stage_order || 0,
+      pipeline_id: row.pipeline_id,
+      pipeline_name: row.pipeline_name
     }));
     
     res.json({ 
@@ -69,7 +89,6 @@ router.post('/', async (req, res) => {
       company_id, 
       contact_id, 
       assigned_user_id, 
-      pipeline_stage_id, 
       value, 
       currency, 
       expected_close_date, 
@@ -81,6 +100,9 @@ router.post('/', async (req, res) => {
     if (!title || !company_id) {
       return res.status(400).json({ error: 'Title and company are required' });
     }
+
+    // A deal created in a pipeline starts in its first stage unless one of its stages is given
+    const pipeline_stage_id = await pipelineService.resolveDealStage(req.body);
     
     // Insert new deal
     const result = await pool.query(`
@@ -94,6 +116,9 @@ router.post('/', async (req, res) => {
       deal: result.rows[0]
     });
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error creating deal:', error);
     res.status(500).json({ error: 'Failed to create deal' });
   }
@@ -108,10 +133,12 @@ router.get('/:id', async (req, res) => {
       SELECT 
         d.*,
         c.name as company_name,
-        ps.name as pipeline_stage
+        ps.name as pipeline_stage,
+        p.name as pipeline_name
       FROM deals d
       LEFT JOIN companies c ON d.company_id = c.id
       LEFT JOIN pipeline_stages ps ON d.pipeline_stage_id = ps.id
+      LEFT JOIN pipelines p ON d.pipeline_id = p.id
       WHERE d.id = $1
     `, [id]);
     
@@ -126,8 +153,38 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/deals/:id - Update deal
-router.put('/:id', async (req, res) => {
+// GET /api/deals/:id/timeline - Chronological feed of events for the deal
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const types = req.query.types
+      ? String(req.query.types).split(',').filter(type => timelineService.EVENT_TYPES.includes(type))
+      : timelineService.EVENT_TYPES;
+
+    const timeline = await timelineService.getTimeline('deal', parseInt(id), {
+      cursor: req.query.cursor,
+      limit,
+      types
+    });
+
+    if (!timeline) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching deal timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch deal timeline' });
+  }
+});
+
+// PUT /api/deals/:id - Update deal. A stage change goes through the same
+// transition as move-stage: history, automation, status and the discount approval gate
+router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -135,7 +192,6 @@ router.put('/:id', async (req, res) => {
       company_id, 
       contact_id, 
       assigned_user_id, 
-      pipeline_stage_id, 
       value, 
       currency, 
       expected_close_date, 
@@ -143,30 +199,236 @@ router.put('/:id', async (req, res) => {
       description, 
       status 
     } = req.body;
-    
-    const result = await pool.query(`
-      UPDATE deals 
-      SET title = $1, company_id = $2, contact_id = $3, assigned_user_id = $4, 
-          pipeline_stage_id = $5, value = $6, currency = $7, expected_close_date = $8, 
-          probability = $9, description = $10, status = $11, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $12
-      RETURNING *
-    `, [title, company_id, contact_id, assigned_user_id, pipeline_stage_id, value, currency, expected_close_date, probability, description, status, id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Deal not found' });
+
+    if (status !== undefined && status !== null && !DEAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${DEAL_STATUSES.join(', ')}` });
     }
+
+    // Moving a deal to another pipeline puts it in that pipeline's first stage unless one is given
+    const pipeline_stage_id = await pipelineService.resolveDealStage(req.body);
+    const pipelineChange = req.body.pipeline_id !== undefined && req.body.pipeline_id !== null && req.body.pipeline_id !== '';
     
-    res.json({ 
-      message: 'Deal updated successfully',
-      deal: result.rows[0]
-    });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT pipeline_stage_id, status FROM deals WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Deal not found' });
+      }
+
+      const toStageId = parseInt(pipeline_stage_id);
+      const stageChange = !isNaN(toStageId) && toStageId !== existing.rows[0].pipeline_stage_id;
+
+      // The status follows the stage, so it may only be sent along with a move to a matching stage
+      if (status && status !== existing.rows[0].status) {
+        const stage = stageChange
+          ? await client.query('SELECT name FROM pipeline_stages WHERE id = $1', [toStageId])
+          : { rows: [] };
+        if (stage.rows.length === 0 || automationService.stageStatus(stage.rows[0].name) !== status) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'Deal status follows its pipeline stage; change pipeline_stage_id instead' });
+        }
+      }
+
+      const result = await client.query(`
+        UPDATE deals 
+        SET title = $1, company_id = $2, contact_id = $3, assigned_user_id = $4, 
+            value = $5, currency = $6, expected_close_date = $7, 
+            probability = $8, description = $9, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $10
+        RETURNING *
+      `, [title, company_id, contact_id, assigned_user_id, value, currency, expected_close_date, probability, description, id]);
+
+      // The stage change records history, runs automation and sets the status
+      let deal = result.rows[0];
+      let automation = [];
+      if (stageChange) {
+        ({ deal, automation } = await automationService.changeDealStage(client, parseInt(id), toStageId, {
+          userId: req.user.id,
+          allowPipelineChange: pipelineChange
+        }));
+      }
+
+      await client.query('COMMIT');
+
+      res.json({ 
+        message: 'Deal updated successfully',
+        deal,
+        automation
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.type === 'conflict') {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error updating deal:', error);
     res.status(500).json({ error: 'Failed to update deal' });
   }
 });
 
+// POST /api/deals/:id/move-stage - Move deal to another stage, recording history and running automation
+router.post('/:id/move-stage', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { to_stage_id, notes } = req.body;
+
+    const toStageId = parseInt(to_stage_id);
+    if (isNaN(toStageId)) {
+      return res.status(400).json({ error: 'to_stage_id is required' });
+    }
+
+    const result = await automationService.moveDealStage(parseInt(id), toStageId, {
+      userId: req.user.id,
+      notes
+    });
+
+    res.json({
+      message: 'Deal stage updated successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.type === 'not_found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.type === 'conflict') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error moving deal stage:', error);
+    res.status(500).json({ error: 'Failed to move deal stage' });
+  }
+});
+
+// PUT /api/deals/:id/forecast-category - Body: { forecast_category: 'commit' | 'best_case' | 'pipeline' | 'omitted' | null }
+router.put('/:id/forecast-category', authenticateToken, async (req, res) => {
+  try {
+    const category = req.body.forecast_category === undefined ? null : req.body.forecast_category;
+    const deal = await forecastService.setForecastCategory(parseInt(req.params.id), category, req.user);
+
+    res.json({
+      message: 'Forecast category updated successfully',
+      deal
+    });
+  } catch (error) {
+    if (error.type === 'not_found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.type === 'forbidden') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error updating forecast category:', error);
+    res.status(500).json({ error: 'Failed to update forecast category' });
+  }
+});
+
+/**
+ * Sends a typed productService or priceBookService error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by productService or priceBookService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleLineItemError = (res, error, fallback) => {
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/deals/:id/products - Line items and the deal value
+router.get('/:id/products', authenticateToken, async (req, res) => {
+  try {
+    const result = await productService.getLineItems(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    handleLineItemError(res, error, 'Failed to fetch deal line items');
+  }
+});
+
+/**
+ * Who made a line item change, for discount approval requests
+ *
+ * @param {Object} req - Express request
+ * @returns {{ userId: number, tenantId: number|null }}
+ */
+const lineItemContext = (req) => ({ userId: req.user.id, tenantId: req.tenant ? req.tenant.id : null });
+
+// POST /api/deals/:id/products - Body: { product_id, quantity, unit_price | discount_percent }; price defaults to the price book or catalog price
+router.post('/:id/products', authenticateToken, async (req, res) => {
+  try {
+    const result = await productService.addLineItem(parseInt(req.params.id), req.body, lineItemContext(req));
+    res.status(201).json(result);
+  } catch (error) {
+    handleLineItemError(res, error, 'Failed to add deal line item');
+  }
+});
+
+// PUT /api/deals/:id/products/:itemId - Body: { quantity, unit_price | discount_percent }
+router.put('/:id/products/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const result = await productService.updateLineItem(
+      parseInt(req.params.id),
+      parseInt(req.params.itemId),
+      req.body,
+      lineItemContext(req)
+    );
+    res.json(result);
+  } catch (error) {
+    handleLineItemError(res, error, 'Failed to update deal line item');
+  }
+});
+
+// DELETE /api/deals/:id/products/:itemId
+router.delete('/:id/products/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const result = await productService.removeLineItem(parseInt(req.params.id), parseInt(req.params.itemId), lineItemContext(req));
+    res.json(result);
+  } catch (error) {
+    handleLineItemError(res, error, 'Failed to remove deal line item');
+  }
+});
+
+// PUT /api/deals/:id/price-book - Body: { price_book_id | null }; applies to line items added afterwards
+router.put('/:id/price-book', authenticateToken, async (req, res) => {
+  try {
+    const priceBookId = req.body.price_book_id === undefined ? null : req.body.price_book_id;
+    const deal = await priceBookService.setDealPriceBook(parseInt(req.params.id), priceBookId, req.tenant ? req.tenant.id : null);
+
+    res.json({
+      message: 'Deal price book updated successfully',
+      deal
+    });
+  } catch (error) {
+    handleLineItemError(res, error, 'Failed to update deal price book');
+  }
+});
+
 // DELETE /api/deals/:id - Delete deal
 router.delete('/:id', async (req, res) => {
   try {
@@ -0,0 +1,99 @@
+/**
+ * Discount Approvals API Routes
+ *
+ * Approval requests raised when a deal's line-item discount exceeds the
+ * tenant threshold, and the threshold itself.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const discountApprovalService = require('../services/discountApprovalService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by discountApprovalService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'forbidden') {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/discount-approvals/policy - The discount above which deals need approval
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await discountApprovalService.getPolicy(req.tenant ? req.tenant.id : null);
+    res.json(policy);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch discount policy');
+  }
+});
+
+// PUT /api/discount-approvals/policy - Body: { threshold_percent }
+router.put('/policy', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const policy = await discountApprovalService.setPolicy(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.json(policy);
+  } catch (error) {
+    handleError(res, error, 'Failed to save discount policy');
+  }
+});
+
+// GET /api/discount-approvals?status=&deal_id=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const approvals = await discountApprovalService.listApprovals(req.query, req.tenant ? req.tenant.id : null);
+    res.json({ approvals });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch discount approvals');
+  }
+});
+
+// GET /api/discount-approvals/:id - Request with the deal's line items
+router.get('/:id', async (req, res) => {
+  try {
+    const approval = await discountApprovalService.getApproval(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json(approval);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch discount approval');
+  }
+});
+
+// POST /api/discount-approvals/:id/approve|reject - Body: { comment }
+router.post('/:id/:decision(approve|reject)', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const approval = await discountApprovalService.decide(
+      parseInt(req.params.id),
+      req.params.decision,
+      req.body,
+      req.user,
+      {
+        tenantId: req.tenant ? req.tenant.id : null,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    );
+    res.json(approval);
+  } catch (error) {
+    handleError(res, error, 'Failed to record discount decision');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Data Export API Routes
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const rateLimiter = require('../middleware/rateLimiter');
+const exportService = require('../services/exportService');
+
+const router = express.Router();
+
+router.use(
+  middleware.authenticateToken,
+  middleware.authorizePermissions('export:data'),
+  rateLimiter({ tier: 'export' })
+);
+
+// GET /api/exports/:entity?format=csv|xlsx|ndjson - Stream records matching the list filters
+router.get('/:entity', async (req, res) => {
+  try {
+    await exportService.sendExport(req, res, req.params.entity);
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Export error:', error);
+    // Once streaming has started the only option left is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Fiscal Calendar API Routes
+ *
+ * The tenant's fiscal calendar used to bucket and label reporting periods.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const fiscalCalendarService = require('../services/fiscalCalendarService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by fiscalCalendarService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/fiscal-calendar - Current calendar (the calendar year when none is set)
+router.get('/', async (req, res) => {
+  try {
+    const calendar = await fiscalCalendarService.getCalendar(req.tenant ? req.tenant.id : null);
+    res.json(calendar);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch fiscal calendar');
+  }
+});
+
+// PUT /api/fiscal-calendar - Replace the calendar
+// Body: { calendar_type: 'monthly', start_month, year_label }
+//    or { calendar_type: 'custom', periods: [...], years: [{ fiscal_year, start_date, pattern: '4-4-5', weeks }] }
+router.put('/', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const calendar = await fiscalCalendarService.saveCalendar(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.json(calendar);
+  } catch (error) {
+    handleError(res, error, 'Failed to save fiscal calendar');
+  }
+});
+
+// GET /api/fiscal-calendar/periods?start_date=&end_date=&granularity=month|quarter|year
+router.get('/periods', async (req, res) => {
+  try {
+    const { start_date: startDate, end_date: endDate } = req.query;
+    const granularity = req.query.granularity || 'month';
+
+    if (!startDate || !endDate || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < startDate) {
+      return res.status(400).json({ error: 'start_date and end_date (YYYY-MM-DD, end after start) are required' });
+    }
+    if (!fiscalCalendarService.BUCKET_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of: ${fiscalCalendarService.BUCKET_GRANULARITIES.join(', ')}` });
+    }
+
+    const calendar = await fiscalCalendarService.getCalendar(req.tenant ? req.tenant.id : null);
+    const periods = fiscalCalendarService.getBuckets(calendar, startDate, endDate, granularity, { maxBuckets: 1000 });
+
+    res.json({ periods });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch fiscal periods');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Forecast API Routes
+ *
+ * Weighted pipeline by fiscal close period and manager roll-ups against quota.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const forecastService = require('../services/forecastService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by forecastService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/forecast
+// ?start_date=&end_date= (or &periods=4 from the current period)&granularity=month|quarter|year
+// &probability_source=stage|deal&owner_id=&team_id=
+router.get('/', async (req, res) => {
+  try {
+    const forecast = await forecastService.getForecast(req.query, {
+      tenantId: req.tenant ? req.tenant.id : null
+    });
+    res.json(forecast);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch forecast');
+  }
+});
+
+// GET /api/forecast/rollup?date=&granularity=quarter&probability_source=&team_id=
+router.get('/rollup', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const rollup = await forecastService.getRollup(req.query, req.user, {
+      tenantId: req.tenant ? req.tenant.id : null
+    });
+    res.json(rollup);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch forecast roll-up');
+  }
+});
+
+module.exports = router;
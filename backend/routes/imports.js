@@ -0,0 +1,152 @@
+/**
+ * Bulk Import API Routes
+ *
+ * Upload -> map columns and preview -> commit -> (optionally) roll back.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const importService = require('../services/importService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken, middleware.authorizePermissions('import:data'));
+
+// Files are sent as the raw request body (text/csv, XLSX or octet-stream)
+const rawFile = express.raw({
+  type: [
+    'text/csv',
+    'text/plain',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+  ],
+  limit: '10mb'
+});
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by importService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/imports - List import batches
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await importService.listBatches({
+      entityType: req.query.entity_type,
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.json({
+      imports: result.items,
+      total: result.pagination.total,
+      page,
+      limit,
+      totalPages: result.pagination.pages
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch imports');
+  }
+});
+
+// POST /api/imports?entity_type=contacts&file_name=leads.csv - Upload a CSV or XLSX file
+router.post('/', rawFile, async (req, res) => {
+  try {
+    const result = await importService.createBatch({
+      entityType: req.query.entity_type,
+      fileName: req.query.file_name || req.get('X-File-Name'),
+      buffer: req.body,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      ...result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to upload import file');
+  }
+});
+
+// GET /api/imports/:id - Get an import batch
+router.get('/:id', async (req, res) => {
+  try {
+    const batch = await importService.getBatch(req.params.id);
+    res.json({ import: batch });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch import');
+  }
+});
+
+// POST /api/imports/:id/preview - Save the column mapping and validate every row
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const result = await importService.previewBatch(req.params.id, req.body.mapping);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Failed to preview import');
+  }
+});
+
+// POST /api/imports/:id/commit - Write the previewed rows as one tracked batch
+router.post('/:id/commit', async (req, res) => {
+  try {
+    const result = await importService.commitBatch(req.params.id, {
+      skipInvalid: req.body.skip_invalid === true,
+      audit: {
+        userId: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    res.json({
+      message: 'Import committed successfully',
+      ...result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to commit import');
+  }
+});
+
+// POST /api/imports/:id/rollback - Undo every change made by a committed import
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const result = await importService.rollbackBatch(req.params.id, {
+      audit: {
+        userId: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    res.json({
+      message: 'Import rolled back successfully',
+      ...result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to roll back import');
+  }
+});
+
+module.exports = router;
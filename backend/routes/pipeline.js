@@ -0,0 +1,114 @@
+/**
+ * Pipelines API Routes
+ *
+ * Pipelines and their stages. Anyone signed in can read them; admins
+ * create pipelines and add, rename, reorder and archive stages.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const pipelineService = require('../services/pipelineService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by pipelineService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/pipelines?include_inactive=true
+router.get('/', async (req, res) => {
+  try {
+    const pipelines = await pipelineService.listPipelines({
+      includeInactive: req.query.include_inactive === 'true'
+    });
+    res.json({ pipelines });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch pipelines');
+  }
+});
+
+// GET /api/pipelines/:id - Pipeline with all its stages, archived ones included
+router.get('/:id', async (req, res) => {
+  try {
+    const pipeline = await pipelineService.getPipeline(parseInt(req.params.id));
+    res.json(pipeline);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch pipeline');
+  }
+});
+
+// POST /api/pipelines - Body: { name, description, is_default, stages: [{ name, description, probability }] }
+// Without stages the pipeline starts with a copy of the default pipeline's stages
+router.post('/', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const pipeline = await pipelineService.createPipeline(req.body, req.user);
+    res.status(201).json(pipeline);
+  } catch (error) {
+    handleError(res, error, 'Failed to create pipeline');
+  }
+});
+
+// PUT /api/pipelines/:id - Body: { name, description, is_default, is_active, display_order }
+router.put('/:id', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const pipeline = await pipelineService.updatePipeline(parseInt(req.params.id), req.body);
+    res.json(pipeline);
+  } catch (error) {
+    handleError(res, error, 'Failed to update pipeline');
+  }
+});
+
+// POST /api/pipelines/:id/stages - Body: { name, description, probability, position }
+router.post('/:id/stages', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const pipeline = await pipelineService.addStage(parseInt(req.params.id), req.body);
+    res.status(201).json(pipeline);
+  } catch (error) {
+    handleError(res, error, 'Failed to add pipeline stage');
+  }
+});
+
+// PUT /api/pipelines/:id/stages/order - Body: { stage_ids } in the new order
+router.put('/:id/stages/order', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const pipeline = await pipelineService.reorderStages(parseInt(req.params.id), req.body);
+    res.json(pipeline);
+  } catch (error) {
+    handleError(res, error, 'Failed to reorder pipeline stages');
+  }
+});
+
+// PUT /api/pipelines/:id/stages/:stageId - Body: { name, description, probability, is_active }
+// is_active false archives the stage
+router.put('/:id/stages/:stageId', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const pipeline = await pipelineService.updateStage(
+      parseInt(req.params.id),
+      parseInt(req.params.stageId),
+      req.body
+    );
+    res.json(pipeline);
+  } catch (error) {
+    handleError(res, error, 'Failed to update pipeline stage');
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,49 @@
 const express = require('express');
 const pool = require('../db');
+const salesPerformanceService = require('../services/salesPerformanceService');
+const pipelineAnalyticsService = require('../services/pipelineAnalyticsService');
+const pipelineSnapshotService = require('../services/pipelineSnapshotService');
+const currencyService = require('../services/currencyService');
+const pipelineService = require('../services/pipelineService');
+const middleware = require('../middleware');
 const router = express.Router();
 
-// GET /api/pipeline/analytics/overview
+// GET /api/pipeline/analytics/overview?pipeline_id=
+// Values are in the tenant's reporting currency, converted at each deal's close date rate.
+// Totals cover every pipeline unless pipeline_id is given; stages follow that pipeline or the default one.
 router.get('/overview', async (req, res) => {
   try {
     // Real database queries instead of mock data
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const currency = await currencyService.getReportingCurrency(tenantId);
+    const pipelineId = await pipelineService.resolvePipelineFilter(req.query.pipeline_id);
+    const stagePipelineId = pipelineId || await pipelineService.resolvePipelineFilter(null, { useDefault: true });
+    const pipelineFilter = pipelineId ? 'AND pipeline_id = $1' : '';
+    const pipelineParams = pipelineId ? [pipelineId] : [];
     
     // 1. Get total deals count
-    const totalDealsResult = await pool.query('SELECT COUNT(*) FROM deals');
+    const totalDealsResult = await pool.query(`SELECT COUNT(*) FROM deals WHERE true ${pipelineFilter}`, pipelineParams);
     const totalDeals = parseInt(totalDealsResult.rows[0].count);
     
-    // 2. Get total value of all deals (excluding closed lost)
+    // 2. Get total value of all deals (excluding closed lost), per original currency and converted
+    const totalValueParams = [];
+    const convertedValue = currencyService.convertedValue(totalValueParams, { currency, tenantId });
+    if (pipelineId) totalValueParams.push(pipelineId);
     const totalValueResult = await pool.query(`
-      SELECT COALESCE(SUM(value), 0) as total_value 
-      FROM deals 
-      WHERE status != 'closed_lost' AND value IS NOT NULL
-    `);
-    const totalValue = parseFloat(totalValueResult.rows[0].total_value || 0);
+      SELECT
+        COALESCE(d.currency, 'USD') as currency,
+        COUNT(*) as deal_count,
+        SUM(d.value) as value,
+        SUM(${convertedValue}) as converted_value,
+        COUNT(*) FILTER (WHERE ${convertedValue} IS NULL) as unconverted_deals
+      FROM deals d
+      WHERE d.status != 'closed_lost' AND d.value IS NOT NULL
+        ${pipelineId ? `AND d.pipeline_id = $${totalValueParams.length}` : ''}
+      GROUP BY COALESCE(d.currency, 'USD')
+      ORDER BY currency
+    `, totalValueParams);
+    const valueByCurrency = currencyService.toCurrencyTotals(totalValueResult.rows);
+    const totalValue = Number(valueByCurrency.reduce((sum, row) => sum + row.converted_value, 0).toFixed(2));
     
     // 3. Calculate average win rate (deals closed won vs total deals)
     const winRateResult = await pool.query(`
@@ -25,44 +51,154 @@ router.get('/overview', async (req, res) => {
         COUNT(CASE WHEN status = 'closed_won' THEN 1 END) as won_deals,
         COUNT(*) as total_deals
       FROM deals
-    `);
+      WHERE true ${pipelineFilter}
+    `, pipelineParams);
     const wonDeals = parseInt(winRateResult.rows[0].won_deals || 0);
     const avgWinRate = totalDeals > 0 ? Math.round((wonDeals / totalDeals) * 100) : 0;
     
     // 4. Get deals by pipeline stage with counts and values
+    const stageParams = [];
+    const stageValue = currencyService.convertedValue(stageParams, { currency, tenantId });
+    stageParams.push(stagePipelineId);
     const stagesResult = await pool.query(`
       SELECT 
         ps.name as stage_name,
         COUNT(d.id) as deal_count,
-        COALESCE(SUM(d.value), 0) as stage_value
+        COALESCE(SUM(${stageValue}), 0) as stage_value
       FROM pipeline_stages ps
       LEFT JOIN deals d ON ps.id = d.pipeline_stage_id
-      WHERE ps.is_active = true
+      WHERE ps.is_active = true AND ps.pipeline_id = $${stageParams.length}
       GROUP BY ps.id, ps.name, ps.display_order
       ORDER BY ps.display_order
-    `);
+    `, stageParams);
     
     const pipelineStages = stagesResult.rows.map(row => ({
       stage_name: row.stage_name,
       deal_count: parseInt(row.deal_count),
-      stage_value: parseFloat(row.stage_value || 0)
+      stage_value: Number(parseFloat(row.stage_value || 0).toFixed(2))
     }));
     
+    // 5. Open pipeline by the fiscal quarter deals are expected to close in
+    const fiscalQuarters = await salesPerformanceService.getPipelineByQuarter({ pipeline_id: pipelineId }, { tenantId });
+
     // Return real data from database
     const realData = {
       pipeline_summary: {
         total_deals: totalDeals,
         total_value: totalValue,
-        avg_win_rate: avgWinRate
+        avg_win_rate: avgWinRate,
+        currency,
+        value_by_currency: valueByCurrency
       },
-      pipeline_stages: pipelineStages
+      pipeline_id: stagePipelineId,
+      pipeline_stages: pipelineStages,
+      pipeline_by_fiscal_quarter: fiscalQuarters
     };
     
     res.json(realData);
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching pipeline analytics:', error);
     res.status(500).json({ error: 'Failed to fetch pipeline analytics' });
   }
 });
 
+/**
+ * Creates a handler for a pipelineAnalyticsService metric
+ *
+ * @param {Function} metric - Service function taking (query, { tenantId })
+ * @param {string} failure - Message for unexpected errors
+ * @returns {Function} Express handler
+ */
+const metricHandler = (metric, failure) => async (req, res) => {
+  try {
+    const data = await metric(req.query, { tenantId: req.tenant ? req.tenant.id : null });
+    res.json(data);
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`${failure}:`, error);
+    res.status(500).json({ error: failure });
+  }
+};
+
+// Filters for the endpoints below:
+// ?cohort_start=&cohort_end= (deal creation dates, default the last 12 fiscal months)
+// &owner_id=&size_band=small|medium|large|enterprise&pipeline_id=
+// (funnel and velocity follow one pipeline's stages, the default pipeline unless pipeline_id is given)
+
+// GET /api/pipeline/analytics/funnel - Stage-to-stage conversion and drop-off points
+router.get('/funnel', metricHandler(pipelineAnalyticsService.getFunnel, 'Failed to fetch conversion funnel'));
+
+// GET /api/pipeline/analytics/velocity - Average and median time in each stage, stalled deals
+router.get('/velocity', metricHandler(pipelineAnalyticsService.getStageVelocity, 'Failed to fetch stage velocity'));
+
+// GET /api/pipeline/analytics/sales-cycle - Creation to close, overall and per fiscal month cohort
+router.get('/sales-cycle', metricHandler(pipelineAnalyticsService.getSalesCycle, 'Failed to fetch sales cycle'));
+
+/**
+ * Sends a typed snapshot service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by pipelineSnapshotService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleSnapshotError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/pipeline/analytics/snapshots?limit=90 - Snapshot dates, newest first
+router.get('/snapshots', async (req, res) => {
+  try {
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const snapshots = await pipelineSnapshotService.listSnapshots({ limit: req.query.limit, tenantId });
+    res.json({ snapshots });
+  } catch (error) {
+    handleSnapshotError(res, error, 'Failed to fetch pipeline snapshots');
+  }
+});
+
+// POST /api/pipeline/analytics/snapshots - Capture today's snapshot now (replaces today's)
+router.post('/snapshots', middleware.authenticateToken, middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const dealCount = await pipelineSnapshotService.takeSnapshot();
+    res.status(201).json({ message: 'Pipeline snapshot captured', deal_count: dealCount });
+  } catch (error) {
+    handleSnapshotError(res, error, 'Failed to capture pipeline snapshot');
+  }
+});
+
+// GET /api/pipeline/analytics/snapshots/:date?owner_id= - Open pipeline by stage as of a date
+router.get('/snapshots/:date', async (req, res) => {
+  try {
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const snapshot = await pipelineSnapshotService.getSnapshot(req.params.date, req.query, { tenantId });
+    res.json(snapshot);
+  } catch (error) {
+    handleSnapshotError(res, error, 'Failed to fetch pipeline snapshot');
+  }
+});
+
+// GET /api/pipeline/analytics/changes?from=&to=&owner_id=&limit=
+// New, closed, removed and slipped deals, value changes and stage regressions between two snapshots
+router.get('/changes', async (req, res) => {
+  try {
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const changes = await pipelineSnapshotService.compareSnapshots(req.query, { tenantId });
+    res.json(changes);
+  } catch (error) {
+    handleSnapshotError(res, error, 'Failed to compare pipeline snapshots');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Price Books API Routes
+ *
+ * Price books override catalog prices for the deals using them. Deals pick
+ * a book through PUT /api/deals/:id/price-book.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const priceBookService = require('../services/priceBookService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by priceBookService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/price-books?active=true
+router.get('/', async (req, res) => {
+  try {
+    const priceBooks = await priceBookService.listPriceBooks(req.tenant ? req.tenant.id : null, {
+      activeOnly: req.query.active === 'true'
+    });
+    res.json({ price_books: priceBooks });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch price books');
+  }
+});
+
+// GET /api/price-books/:id - Price book with its prices
+router.get('/:id', async (req, res) => {
+  try {
+    const priceBook = await priceBookService.getPriceBook(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json(priceBook);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch price book');
+  }
+});
+
+// POST /api/price-books - Body: { name, description, is_active }
+router.post('/', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const priceBook = await priceBookService.createPriceBook(req.body, req.tenant ? req.tenant.id : null);
+    res.status(201).json(priceBook);
+  } catch (error) {
+    handleError(res, error, 'Failed to create price book');
+  }
+});
+
+// PUT /api/price-books/:id
+router.put('/:id', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const priceBook = await priceBookService.updatePriceBook(parseInt(req.params.id), req.body, req.tenant ? req.tenant.id : null);
+    res.json(priceBook);
+  } catch (error) {
+    handleError(res, error, 'Failed to update price book');
+  }
+});
+
+// DELETE /api/price-books/:id
+router.delete('/:id', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    await priceBookService.deletePriceBook(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json({ message: 'Price book deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete price book');
+  }
+});
+
+// PUT /api/price-books/:id/entries - Body: { entries: [{ product_id, unit_price }] }; adds or replaces prices
+router.put('/:id/entries', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const priceBook = await priceBookService.setEntries(parseInt(req.params.id), req.body, req.tenant ? req.tenant.id : null);
+    res.json(priceBook);
+  } catch (error) {
+    handleError(res, error, 'Failed to save price book entries');
+  }
+});
+
+// DELETE /api/price-books/:id/entries/:productId
+router.delete('/:id/entries/:productId', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    await priceBookService.removeEntry(parseInt(req.params.id), parseInt(req.params.productId), req.tenant ? req.tenant.id : null);
+    res.json({ message: 'Price book entry deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete price book entry');
+  }
+});
+
+module.exports = router;
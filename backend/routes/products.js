@@ -0,0 +1,106 @@
+/**
+ * Products API Routes
+ *
+ * The product catalog and product revenue reporting. Deal line items live
+ * under /api/deals/:id/products.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const productService = require('../services/productService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by productService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/products?search=&category=&is_active=&page=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const products = await productService.listProducts(req.query);
+    res.json(products);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch products');
+  }
+});
+
+// GET /api/products/categories
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await productService.listCategories();
+    res.json({ categories });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch product categories');
+  }
+});
+
+// GET /api/products/revenue?start_date=&end_date=&category=&owner_id=
+router.get('/revenue', async (req, res) => {
+  try {
+    const revenue = await productService.getProductRevenue(req.query);
+    res.json(revenue);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch product revenue');
+  }
+});
+
+// GET /api/products/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await productService.getProduct(parseInt(req.params.id));
+    res.json(product);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch product');
+  }
+});
+
+// POST /api/products - Body: { name, description, category, unit_price, is_active }
+router.post('/', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const product = await productService.createProduct(req.body);
+    res.status(201).json(product);
+  } catch (error) {
+    handleError(res, error, 'Failed to create product');
+  }
+});
+
+// PUT /api/products/:id
+router.put('/:id', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const product = await productService.updateProduct(parseInt(req.params.id), req.body);
+    res.json(product);
+  } catch (error) {
+    handleError(res, error, 'Failed to update product');
+  }
+});
+
+// DELETE /api/products/:id - Only products not used on any deal
+router.delete('/:id', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    await productService.deleteProduct(parseInt(req.params.id));
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete product');
+  }
+});
+
+module.exports = router;
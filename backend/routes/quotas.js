@@ -0,0 +1,83 @@
+/**
+ * Quotas API Routes
+ *
+ * Revenue or deal count quotas per rep or team over a date range, their
+ * attainment and leaderboards.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const quotaService = require('../services/quotaService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by quotaService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/quotas?user_id=&team_id=&metric=&start_date=&end_date=
+router.get('/', async (req, res) => {
+  try {
+    const quotas = await quotaService.listQuotas(req.query, req.tenant ? req.tenant.id : null);
+    res.json({ quotas });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch quotas');
+  }
+});
+
+// GET /api/quotas/attainment?date=&granularity=&user_id=&team_id=&metric=
+router.get('/attainment', async (req, res) => {
+  try {
+    const attainment = await quotaService.getAttainment(req.query, req.tenant ? req.tenant.id : null);
+    res.json(attainment);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch quota attainment');
+  }
+});
+
+// GET /api/quotas/leaderboard?date=&granularity=&scope=&metric=&rank_by=&limit=
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const leaderboard = await quotaService.getLeaderboard(req.query, req.tenant ? req.tenant.id : null);
+    res.json(leaderboard);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch leaderboard');
+  }
+});
+
+// PUT /api/quotas - Set a quota; Body: { user_id | team_id, metric, period_start + period_end | period + date, amount }
+router.put('/', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const quota = await quotaService.setQuota(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.json(quota);
+  } catch (error) {
+    handleError(res, error, 'Failed to save quota');
+  }
+});
+
+// DELETE /api/quotas/:id
+router.delete('/:id', middleware.authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    await quotaService.deleteQuota(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json({ message: 'Quota deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete quota');
+  }
+});
+
+module.exports = router;
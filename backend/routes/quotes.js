@@ -0,0 +1,151 @@
+/**
+ * Quotes API Routes
+ *
+ * Versioned quotes generated from deals, their PDFs, and the public link a
+ * customer uses to view and accept or decline a sent quote. The public
+ * routes are authorised by the signed token in the link instead of a login.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const rateLimiter = require('../middleware/rateLimiter');
+const quoteService = require('../services/quoteService');
+
+const router = express.Router();
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by quoteService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Sends a rendered quote PDF
+ *
+ * @param {Object} res - Express response
+ * @param {Object} file - { fileName, pdf }
+ * @param {string} disposition - 'inline' or 'attachment'
+ */
+const sendPdf = (res, { fileName, pdf }, disposition) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
+  res.send(pdf);
+};
+
+// GET /api/quotes/public/:token - A sent quote, as the customer sees it
+router.get('/public/:token', async (req, res) => {
+  try {
+    const quote = await quoteService.getPublicQuote(req.params.token);
+    res.json(quote);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch quote');
+  }
+});
+
+// GET /api/quotes/public/:token/pdf
+router.get('/public/:token/pdf', async (req, res) => {
+  try {
+    sendPdf(res, await quoteService.getPublicPdf(req.params.token), 'inline');
+  } catch (error) {
+    handleError(res, error, 'Failed to render quote');
+  }
+});
+
+// POST /api/quotes/public/:token/accept|decline - Body: { name }
+router.post('/public/:token/:decision(accept|decline)', rateLimiter({ tier: 'auth' }), async (req, res) => {
+  try {
+    const quote = await quoteService.respondToQuote(req.params.token, req.params.decision, req.body, {
+      ipAddress: req.ip
+    });
+    res.json(quote);
+  } catch (error) {
+    handleError(res, error, 'Failed to record quote response');
+  }
+});
+
+router.use(middleware.authenticateToken);
+
+// GET /api/quotes?deal_id=&status=
+router.get('/', async (req, res) => {
+  try {
+    const quotes = await quoteService.listQuotes(req.query, req.tenant ? req.tenant.id : null);
+    res.json({ quotes });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch quotes');
+  }
+});
+
+// POST /api/quotes - Body: { deal_id, expires_at | valid_days, notes, terms }; generates the deal's next version
+router.post('/', async (req, res) => {
+  try {
+    const quote = await quoteService.createQuote(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.status(201).json(quote);
+  } catch (error) {
+    handleError(res, error, 'Failed to create quote');
+  }
+});
+
+// GET /api/quotes/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const quote = await quoteService.getQuote(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json(quote);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch quote');
+  }
+});
+
+// GET /api/quotes/:id/pdf
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    sendPdf(res, await quoteService.getPdf(parseInt(req.params.id), req.tenant ? req.tenant.id : null), 'attachment');
+  } catch (error) {
+    handleError(res, error, 'Failed to render quote');
+  }
+});
+
+// PUT /api/quotes/:id - Body: { expires_at, notes, terms }; drafts only
+router.put('/:id', async (req, res) => {
+  try {
+    const quote = await quoteService.updateQuote(parseInt(req.params.id), req.body, req.tenant ? req.tenant.id : null);
+    res.json(quote);
+  } catch (error) {
+    handleError(res, error, 'Failed to update quote');
+  }
+});
+
+// DELETE /api/quotes/:id - Drafts only
+router.delete('/:id', async (req, res) => {
+  try {
+    await quoteService.deleteQuote(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json({ message: 'Quote deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete quote');
+  }
+});
+
+// POST /api/quotes/:id/send - Body: { email, to }; returns the accept link
+router.post('/:id/send', async (req, res) => {
+  try {
+    const result = await quoteService.sendQuote(parseInt(req.params.id), req.body, req.tenant ? req.tenant.id : null);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Failed to send quote');
+  }
+});
+
+module.exports = router;
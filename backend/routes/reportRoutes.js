@@ -1,125 +1,168 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
+const middleware = require('../middleware');
+const rateLimiter = require('../middleware/rateLimiter');
+const exportService = require('../services/exportService');
+const reportTemplateService = require('../services/reportTemplateService');
+const salesPerformanceService = require('../services/salesPerformanceService');
+const quotaService = require('../services/quotaService');
+const currencyService = require('../services/currencyService');
+const pipelineService = require('../services/pipelineService');
+const { ReportService } = require('../services/reportService');
+
+const reportService = new ReportService();
 
 router.get('/sales-performance', async (req, res) => {
   try {
-    const months = parseInt(req.query.months) || 6;
-    if (months <= 0) {
+    const months = req.query.months === undefined ? 6 : Number(req.query.months);
+    if (!Number.isInteger(months) || months <= 0 || months > 120) {
       return res.status(400).json({ success: false, error: 'Invalid months parameter' });
     }
 
-    const query = `
-      WITH current_period AS (
-        SELECT
-          COUNT(*) FILTER (WHERE status = 'closed_won') AS won_deals,
-          COUNT(*) AS total_deals,
-          COALESCE(SUM(value) FILTER (WHERE status = 'closed_won'), 0) AS total_revenue
-        FROM deals
-        WHERE expected_close_date >= NOW() - INTERVAL '${months} months'
-      ),
-      previous_period AS (
-        SELECT
-          COALESCE(SUM(value) FILTER (WHERE status = 'closed_won'), 0) AS prev_revenue
-        FROM deals
-        WHERE expected_close_date >= NOW() - INTERVAL '${months * 2} months'
-          AND expected_close_date < NOW() - INTERVAL '${months} months'
-          AND status = 'closed_won'
-      )
-      SELECT
-        (SELECT won_deals FROM current_period) AS won_deals,
-        (SELECT total_deals FROM current_period) AS total_deals,
-        (SELECT total_revenue FROM current_period) AS total_revenue,
-        (SELECT prev_revenue FROM previous_period) AS prev_revenue
-    `;
-
-    const result = await pool.query(query);
-    const data = result.rows[0];
-
-    // Calculate additional metrics
-    const avgDealSize = data.total_deals > 0 ? data.total_revenue / data.total_deals : 0;
-    const winRate = data.total_deals > 0 ? (data.won_deals / data.total_deals) * 100 : 0;
-    const revenueGrowth = data.prev_revenue > 0
-      ? (((data.total_revenue - data.prev_revenue) / data.prev_revenue) * 100)
-      : null;
+    // Without explicit dates: the current fiscal month and the ones before it
+    const performance = await salesPerformanceService.getSalesPerformance(
+      { ...req.query, periods: months },
+      { tenantId: req.tenant ? req.tenant.id : null }
+    );
+    const { summary, comparison } = performance;
 
     res.json({
       success: true,
-      message: `Sales performance data for last ${months} months`,
+      message: req.query.start_date
+        ? `Sales performance data from ${performance.period.start_date} to ${performance.period.end_date}`
+        : `Sales performance data for last ${months} fiscal months`,
       data: {
         summary: {
-          totalDeals: Number(data.won_deals),
-          totalRevenue: Number(data.total_revenue),
-          avgDealSize: Number(avgDealSize),
-          winRate: Number(winRate),
-          revenueGrowth: revenueGrowth !== null ? Number(revenueGrowth.toFixed(2)) : null
+          totalDeals: summary.total_deals,
+          wonDeals: summary.won_deals,
+          lostDeals: summary.lost_deals,
+          totalRevenue: summary.revenue,
+          avgDealSize: summary.avg_deal_size,
+          winRate: summary.win_rate,
+          revenueGrowth: comparison ? comparison.change.revenue.percent : null
         },
-        monthlyData: []
+        monthlyData: performance.series.map(bucket => ({
+          month: bucket.label,
+          startDate: bucket.start_date,
+          endDate: bucket.end_date,
+          revenue: bucket.revenue,
+          deals: bucket.won_deals,
+          previousRevenue: bucket.comparison ? bucket.comparison.revenue : null
+        })),
+        period: performance.period,
+        comparison,
+        breakdowns: performance.breakdowns
       }
     });
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Sales performance error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.get('/dashboard-summary', async (req, res) => {
+/**
+ * Condition limiting deals (alias d) to a pipeline
+ *
+ * @param {number|null} pipelineId - Pipeline ID, null for every pipeline
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} SQL fragment starting with AND, or an empty string
+ */
+const pipelineCondition = (pipelineId, params) => {
+  if (!pipelineId) return '';
+  params.push(pipelineId);
+  return ` AND d.pipeline_id = $${params.length}`;
+};
+
+// Public, but a signed-in user also gets their quota progress
+const optionalAuth = (req, res, next) => (
+  req.headers.authorization ? middleware.authenticateToken(req, res, next) : next()
+);
+
+// Amounts are in the tenant's reporting currency, converted at each deal's close date rate
+// ?pipeline_id= limits deals to one pipeline; the stage breakdown follows the default pipeline unless one is given
+router.get('/dashboard-summary', optionalAuth, async (req, res) => {
   try {
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const currency = await currencyService.getReportingCurrency(tenantId);
+    const pipelineId = await pipelineService.resolvePipelineFilter(req.query.pipeline_id);
+    const stagePipelineId = pipelineId || await pipelineService.resolvePipelineFilter(null, { useDefault: true });
+
     // Real database queries for dashboard summary
+    const dealsParams = [];
     const dealsQuery = await pool.query(`
       SELECT 
         COUNT(*) as total_deals,
-        COUNT(CASE WHEN status = 'closed_won' THEN 1 END) as won_deals,
-        COALESCE(SUM(CASE WHEN status = 'closed_won' THEN value ELSE 0 END), 0) as total_revenue
-      FROM deals
-    `);
+        COUNT(CASE WHEN status = 'closed_won' THEN 1 END) as won_deals
+      FROM deals d
+      WHERE true${pipelineCondition(pipelineId, dealsParams)}
+    `, dealsParams);
+
+    // Won revenue per original currency and converted
+    const revenueParams = [];
+    const revenueValue = currencyService.convertedValue(revenueParams, { currency, tenantId });
+    const revenueQuery = await pool.query(`
+      SELECT
+        COALESCE(d.currency, 'USD') as currency,
+        COUNT(*) as deal_count,
+        SUM(d.value) as value,
+        SUM(${revenueValue}) as converted_value,
+        COUNT(*) FILTER (WHERE ${revenueValue} IS NULL) as unconverted_deals
+      FROM deals d
+      WHERE d.status = 'closed_won' AND d.value IS NOT NULL${pipelineCondition(pipelineId, revenueParams)}
+      GROUP BY COALESCE(d.currency, 'USD')
+      ORDER BY currency
+    `, revenueParams);
+    const revenueByCurrency = currencyService.toCurrencyTotals(revenueQuery.rows);
     
     const dealsData = dealsQuery.rows[0];
     const totalDeals = parseInt(dealsData.total_deals || 0);
     const wonDeals = parseInt(dealsData.won_deals || 0);
-    const totalRevenue = parseFloat(dealsData.total_revenue || 0);
+    const totalRevenue = Number(revenueByCurrency.reduce((sum, row) => sum + row.converted_value, 0).toFixed(2));
     const avgDealSize = totalDeals > 0 ? totalRevenue / totalDeals : 0;
     const winRate = totalDeals > 0 ? (wonDeals / totalDeals) * 100 : 0;
 
     // Get pipeline stages data
+    const pipelineParams = [];
+    const stageValue = currencyService.convertedValue(pipelineParams, { currency, tenantId });
+    pipelineParams.push(stagePipelineId);
     const pipelineQuery = await pool.query(`
       SELECT 
         ps.name,
         COUNT(d.id) as count,
-        COALESCE(SUM(d.value), 0) as value
+        COALESCE(SUM(${stageValue}), 0) as value
       FROM pipeline_stages ps
       LEFT JOIN deals d ON ps.id = d.pipeline_stage_id
-      WHERE ps.is_active = true
+      WHERE ps.is_active = true AND ps.pipeline_id = $${pipelineParams.length}
       GROUP BY ps.id, ps.name, ps.display_order
       ORDER BY ps.display_order
-    `);
+    `, pipelineParams);
 
     const pipelineStages = pipelineQuery.rows.map((row, index) => ({
       name: row.name,
       count: parseInt(row.count),
-      value: parseFloat(row.value),
+      value: Number(parseFloat(row.value).toFixed(2)),
       color: ['#3B82F6', '#10B981', '#F59E42', '#22D3EE', '#8B5CF6', '#EF4444'][index % 6]
     }));
 
-    // Get monthly revenue data for the last 6 months
-    const monthlyQuery = await pool.query(`
-      SELECT 
-        TO_CHAR(DATE_TRUNC('month', expected_close_date), 'YYYY-MM') as month,
-        COALESCE(SUM(value), 0) as revenue
-      FROM deals
-      WHERE status = 'closed_won' 
-        AND expected_close_date >= NOW() - INTERVAL '6 months'
-      GROUP BY DATE_TRUNC('month', expected_close_date)
-      ORDER BY month DESC
-      LIMIT 6
-    `);
+    // Revenue for the last 6 fiscal months, newest first
+    const performance = await salesPerformanceService.getSalesPerformance(
+      { periods: 6, compare: 'none', pipeline_id: pipelineId || undefined },
+      { tenantId }
+    );
 
-    const monthlyData = monthlyQuery.rows.map(row => ({
-      month: row.month,
-      revenue: parseFloat(row.revenue)
+    const monthlyData = performance.series.reverse().map(bucket => ({
+      month: bucket.label,
+      startDate: bucket.start_date,
+      endDate: bucket.end_date,
+      revenue: bucket.revenue
     }));
 
     // Get recent activity
+    const activityParams = [];
     const recentActivityQuery = await pool.query(`
       SELECT 
         'deal_won' as type,
@@ -127,10 +170,10 @@ router.get('/dashboard-summary', async (req, res) => {
         d.updated_at as timestamp
       FROM deals d
       LEFT JOIN companies c ON d.company_id = c.id
-      WHERE d.status = 'closed_won'
+      WHERE d.status = 'closed_won'${pipelineCondition(pipelineId, activityParams)}
       ORDER BY d.updated_at DESC
       LIMIT 5
-    `);
+    `, activityParams);
 
     const recentActivity = recentActivityQuery.rows.map(row => ({
       type: row.type,
@@ -138,6 +181,11 @@ router.get('/dashboard-summary', async (req, res) => {
       timestamp: row.timestamp
     }));
 
+    // The signed-in rep's quota attainment for the current fiscal quarter
+    const quotaProgress = req.user
+      ? await quotaService.getProgress(req.user, tenantId)
+      : null;
+
     res.json({
       success: true,
       data: {
@@ -145,90 +193,128 @@ router.get('/dashboard-summary', async (req, res) => {
           totalDeals: totalDeals,
           totalRevenue: totalRevenue,
           winRate: Math.round(winRate),
-          avgDealSize: Math.round(avgDealSize)
+          avgDealSize: Math.round(avgDealSize),
+          currency: currency,
+          revenueByCurrency: revenueByCurrency
         },
         recentActivity: recentActivity,
         pipeline: {
+          pipelineId: stagePipelineId,
           stages: pipelineStages
         },
         sales: {
           monthlyData: monthlyData
-        }
+        },
+        quotaProgress: quotaProgress
       }
     });
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Dashboard summary error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ?pipeline_id= - Stages of this pipeline (default: the default pipeline); open pipeline by quarter covers every pipeline unless given
 router.get('/pipeline-analysis', async (req, res) => {
   try {
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const currency = await currencyService.getReportingCurrency(tenantId);
+    const pipelineId = await pipelineService.resolvePipelineFilter(req.query.pipeline_id);
+    const stagePipelineId = pipelineId || await pipelineService.resolvePipelineFilter(null, { useDefault: true });
+
     // Real database query for pipeline analysis
+    const params = [];
+    const stageValue = currencyService.convertedValue(params, { currency, tenantId });
+    params.push(stagePipelineId);
     const result = await pool.query(`
       SELECT 
         ps.name,
         COUNT(d.id) as count,
-        COALESCE(SUM(d.value), 0) as value,
+        COALESCE(SUM(${stageValue}), 0) as value,
         ps.display_order
       FROM pipeline_stages ps
       LEFT JOIN deals d ON ps.id = d.pipeline_stage_id
-      WHERE ps.is_active = true
+      WHERE ps.is_active = true AND ps.pipeline_id = $${params.length}
       GROUP BY ps.id, ps.name, ps.display_order
       ORDER BY ps.display_order
-    `);
+    `, params);
 
     const stages = result.rows.map((row, index) => ({
       name: row.name,
       count: parseInt(row.count),
-      value: parseFloat(row.value),
+      value: Number(parseFloat(row.value).toFixed(2)),
       color: ['#3B82F6', '#10B981', '#F59E42', '#22D3EE', '#8B5CF6', '#EF4444'][index % 6]
     }));
 
+    // Open pipeline by the fiscal quarter deals are expected to close in
+    const fiscalQuarters = await salesPerformanceService.getPipelineByQuarter({ pipeline_id: pipelineId }, { tenantId });
+
     res.json({
       success: true,
       data: {
-        stages: stages
+        currency: currency,
+        pipelineId: stagePipelineId,
+        stages: stages,
+        fiscalQuarters: fiscalQuarters
       }
     });
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Pipeline analysis error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ?pipeline_id= limits deals to one pipeline
 router.get('/customer-insights', async (req, res) => {
   try {
+    const tenantId = req.tenant ? req.tenant.id : null;
+    const currency = await currencyService.getReportingCurrency(tenantId);
+    const pipelineId = await pipelineService.resolvePipelineFilter(req.query.pipeline_id);
+
     // Real database query for customer insights
+    const params = [];
+    const dealValue = currencyService.convertedValue(params, { currency, tenantId });
     const result = await pool.query(`
       SELECT 
         c.name as company_name,
         COUNT(d.id) as deal_count,
-        COALESCE(SUM(d.value), 0) as total_value,
-        AVG(d.value) as avg_deal_value
+        COALESCE(SUM(${dealValue}), 0) as total_value,
+        AVG(${dealValue}) as avg_deal_value,
+        STRING_AGG(DISTINCT COALESCE(d.currency, 'USD'), ',') as currencies
       FROM companies c
-      LEFT JOIN deals d ON c.id = d.company_id
+      LEFT JOIN deals d ON c.id = d.company_id${pipelineCondition(pipelineId, params)}
       GROUP BY c.id, c.name
       HAVING COUNT(d.id) > 0
       ORDER BY total_value DESC
       LIMIT 10
-    `);
+    `, params);
 
     const customerInsights = result.rows.map(row => ({
       company: row.company_name,
       dealCount: parseInt(row.deal_count),
-      totalValue: parseFloat(row.total_value),
-      avgDealValue: parseFloat(row.avg_deal_value || 0)
+      totalValue: Number(parseFloat(row.total_value).toFixed(2)),
+      avgDealValue: Number(parseFloat(row.avg_deal_value || 0).toFixed(2)),
+      currencies: row.currencies ? row.currencies.split(',') : []
     }));
 
     res.json({
       success: true,
       data: {
+        currency: currency,
         topCustomers: customerInsights,
         totalCustomers: customerInsights.length
       }
     });
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Customer insights error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
@@ -238,43 +324,216 @@ router.get('/customer-insights', async (req, res) => {
 router.get('/types', async (req, res) => {
   res.json({
     success: true,
-    data: [
-      { id: 'sales-performance', name: 'Sales Performance' },
-      { id: 'pipeline-analysis', name: 'Pipeline Analysis' },
-      { id: 'dashboard-summary', name: 'Dashboard Summary' },
-      { id: 'customer-insights', name: 'Customer Insights' }
-    ]
+    data: reportService.getReportTypes()
   });
 });
 
-// List saved reports
-router.get('/saved', async (req, res) => {
-  res.json({
-    success: true,
-    data: [] // Return an array of saved reports
-  });
+/**
+ * Sends a typed ReportService error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by reportService
+ * @param {string} context - Log prefix for unexpected errors
+ */
+const handleReportError = (res, error, context) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error(`${context}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// List saved reports (?scheduled=true|false)
+router.get('/saved', middleware.authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const scheduled = req.query.scheduled === undefined ? undefined : req.query.scheduled === 'true';
+
+    const result = await reportService.listSavedReports(req.user, { scheduled, page, limit });
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleReportError(res, error, 'Saved reports error');
+  }
 });
 
-// Generate a report
-router.post('/generate', async (req, res) => {
+// Save a report definition, optionally with a delivery schedule
+router.post('/saved', middleware.authenticateToken, async (req, res) => {
   try {
-    const { reportType, format, filters } = req.body;
-    
-    // TODO: Add real report generation logic based on reportType
+    const saved = await reportService.createSavedReport(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.status(201).json({ success: true, data: saved });
+  } catch (error) {
+    handleReportError(res, error, 'Save report error');
+  }
+});
+
+// Run history across saved reports (?status=failed to list failures)
+router.get('/saved/runs', middleware.authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await reportService.getSavedReportRuns(req.user, { status: req.query.status, page, limit });
+
     res.json({
       success: true,
-      data: { 
-        message: `Report ${reportType} generated successfully`,
-        format: format,
-        filters: filters
-      }
+      data: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleReportError(res, error, 'Saved report runs error');
+  }
+});
+
+// Get a saved report
+router.get('/saved/:id', middleware.authenticateToken, async (req, res) => {
+  try {
+    const saved = await reportService.getSavedReport(req.params.id, req.user);
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    handleReportError(res, error, 'Saved report error');
+  }
+});
+
+// Update a saved report or its schedule
+router.put('/saved/:id', middleware.authenticateToken, async (req, res) => {
+  try {
+    const saved = await reportService.updateSavedReport(req.params.id, req.body, req.user);
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    handleReportError(res, error, 'Update saved report error');
+  }
+});
+
+// Delete a saved report and its run history
+router.delete('/saved/:id', middleware.authenticateToken, async (req, res) => {
+  try {
+    await reportService.deleteSavedReport(req.params.id, req.user);
+    res.json({ success: true, message: 'Saved report deleted successfully' });
+  } catch (error) {
+    handleReportError(res, error, 'Delete saved report error');
+  }
+});
+
+// Run a saved report now and email it to its recipients
+router.post('/saved/:id/run', middleware.authenticateToken, async (req, res) => {
+  try {
+    const run = await reportService.runSavedReport(req.params.id, req.user);
+    res.status(run.status === 'success' ? 201 : 500).json({
+      success: run.status === 'success',
+      data: run
     });
   } catch (error) {
-    console.error('Report generation error:', error);
+    handleReportError(res, error, 'Run saved report error');
+  }
+});
+
+// Run history of one saved report
+router.get('/saved/:id/runs', middleware.authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await reportService.getSavedReportRuns(req.user, {
+      savedReportId: req.params.id,
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleReportError(res, error, 'Saved report runs error');
+  }
+});
+
+// Generate a report file (pdf, xlsx, csv or html) and return its download handle
+router.post('/generate', middleware.authenticateToken, async (req, res) => {
+  try {
+    const { reportType, format, filters, name, templateId } = req.body;
+
+    const report = await reportService.generateReport({
+      reportType,
+      format: format || 'pdf',
+      filters,
+      name,
+      templateId,
+      userId: req.user.id,
+      tenantId: req.tenant ? req.tenant.id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    handleReportError(res, error, 'Report generation error');
+  }
+});
+
+// List generated report files
+router.get('/files', middleware.authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await reportService.listReports(req.user, { page, limit });
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Report files error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Download a generated report file
+router.get('/files/:id/download', middleware.authenticateToken, async (req, res) => {
+  try {
+    const { filePath, mimeType, downloadName } = await reportService.getReportFile(req.params.id, req.user);
+
+    res.setHeader('Content-Type', mimeType);
+    res.download(filePath, downloadName);
+  } catch (error) {
+    handleReportError(res, error, 'Report download error');
+  }
+});
+
+// Export raw records behind the reports (?entity=deals&format=csv|xlsx|ndjson plus list filters)
+router.get('/export',
+  middleware.authenticateToken,
+  middleware.authorizePermissions('export:data'),
+  rateLimiter({ tier: 'export' }),
+  async (req, res) => {
+    try {
+      await exportService.sendExport(req, res, req.query.entity || 'deals');
+    } catch (error) {
+      if (error.type === 'validation') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Report export error:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({ success: false, error: 'Export failed' });
+    }
+  });
+
 router.get('/', async (req, res) => {
   try {
     // Get available reports from database
@@ -306,9 +565,79 @@ router.get('/', async (req, res) => {
   }
 });
 
-// List available templates
-router.get('/templates', async (req, res) => {
-  res.json({ success: true, templates: [] });
+// List the tenant's report templates (?reportType= for those that apply to one report)
+router.get('/templates', middleware.authenticateToken, async (req, res) => {
+  try {
+    const templates = await reportTemplateService.listTemplates(req.tenant ? req.tenant.id : null, {
+      reportType: req.query.reportType
+    });
+    res.json({ success: true, templates });
+  } catch (error) {
+    handleReportError(res, error, 'Report templates error');
+  }
+});
+
+// Create a report template
+router.post('/templates', middleware.authenticateToken, middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const template = await reportTemplateService.createTemplate(req.body, req.user, req.tenant ? req.tenant.id : null);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    handleReportError(res, error, 'Create report template error');
+  }
+});
+
+// Render a template against live data without saving it
+// Body: { template, templateId?, reportType?, format: 'html'|'pdf', filters }
+router.post('/templates/preview', middleware.authenticateToken, middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { template, templateId, reportType, format, filters } = req.body;
+
+    const preview = await reportService.previewTemplate({
+      template,
+      templateId,
+      reportType,
+      format: format || 'html',
+      filters,
+      tenantId: req.tenant ? req.tenant.id : null
+    });
+
+    res.setHeader('Content-Type', preview.mimeType);
+    res.setHeader('Content-Disposition', 'inline');
+    res.send(preview.content);
+  } catch (error) {
+    handleReportError(res, error, 'Report template preview error');
+  }
+});
+
+// Get a report template
+router.get('/templates/:id', middleware.authenticateToken, async (req, res) => {
+  try {
+    const template = await reportTemplateService.getTemplate(req.params.id, req.tenant ? req.tenant.id : null);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleReportError(res, error, 'Report template error');
+  }
+});
+
+// Update a report template
+router.put('/templates/:id', middleware.authenticateToken, middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const template = await reportTemplateService.updateTemplate(req.params.id, req.body, req.tenant ? req.tenant.id : null);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleReportError(res, error, 'Update report template error');
+  }
+});
+
+// Delete a report template
+router.delete('/templates/:id', middleware.authenticateToken, middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    await reportTemplateService.deleteTemplate(req.params.id, req.tenant ? req.tenant.id : null);
+    res.json({ success: true, message: 'Report template deleted successfully' });
+  } catch (error) {
+    handleReportError(res, error, 'Delete report template error');
+  }
 });
 
 module.exports = router;
@@ -1,16 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const salesPerformanceService = require('../services/salesPerformanceService');
 
 // GET /api/sales-performance
+// ?start_date=&end_date=&periods=&granularity=day|week|month|quarter|year
+// &compare=previous_period|previous_year|none&breakdown=rep,industry,stage
+// &owner_id=&company_id=&industry=
 router.get('/', async (req, res) => {
-  // Replace with your DB logic
-  res.json({
-    performance: [
-      { month: 'Jan', value: 10000 },
-      { month: 'Feb', value: 12000 },
-      { month: 'Mar', value: 9000 }
-    ]
-  });
+  try {
+    const performance = await salesPerformanceService.getSalesPerformance(req.query, {
+      tenantId: req.tenant ? req.tenant.id : null
+    });
+    res.json({ success: true, data: performance });
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Sales performance error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch sales performance' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
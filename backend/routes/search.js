@@ -0,0 +1,243 @@
+/**
+ * Global Search API Routes
+ */
+const express = require('express');
+const pool = require('../db');
+const authenticateToken = require('../middleware').authenticateToken;
+const fuzzyMatchService = require('../services/fuzzyMatchService');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['company', 'contact', 'deal', 'activity'];
+
+/**
+ * Turns free text into a prefix-matching tsquery string, so "acm corp"
+ * becomes "acm:* & corp:*" and matches while the user is still typing.
+ *
+ * @param {string} text - Raw search text
+ * @returns {string|null} tsquery source, or null if nothing searchable remains
+ */
+const buildPrefixQuery = (text) => {
+  const terms = String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (terms.length === 0) return null;
+  return terms.map(term => `${term}:*`).join(' & ');
+};
+
+/**
+ * Builds the UNION of per-entity matches. The to_tsvector() expressions
+ * mirror the GIN indexes in schema.sql and search_enhancement.sql.
+ *
+ * Sales reps only see deals and activities they own; companies and contacts
+ * are a shared directory.
+ *
+ * @param {Object} user - Authenticated user
+ * @returns {{ sql: string, params: Array }} SQL producing (type, id, title, subtitle, document, rank)
+ */
+const buildMatchesQuery = (user) => {
+  // $1 is always the tsquery source
+  const params = [];
+  let paramCount = 2;
+
+  let ownerParam = null;
+  if (!['admin', 'manager'].includes(user.role)) {
+    ownerParam = `$${paramCount++}`;
+    params.push(user.id);
+  }
+
+  const scope = (alias, ownerColumn) => (
+    ownerParam && ownerColumn ? ` AND ${alias}.${ownerColumn} = ${ownerParam}` : ''
+  );
+
+  const sql = `
+    SELECT
+      'company' as type,
+      c.id,
+      c.name as title,
+      c.industry as subtitle,
+      c.name || ' ' || COALESCE(c.industry, '') as document,
+      ts_rank(to_tsvector('english', c.name || ' ' || COALESCE(c.industry, '')), q.query) as rank
+    FROM companies c, q
+    WHERE to_tsvector('english', c.name || ' ' || COALESCE(c.industry, '')) @@ q.query${scope('c')}
+
+    UNION ALL
+
+    SELECT
+      'contact',
+      ct.id,
+      ct.first_name || ' ' || ct.last_name,
+      ct.email,
+      ct.first_name || ' ' || ct.last_name || ' ' || COALESCE(ct.email, ''),
+      ts_rank(to_tsvector('english', ct.first_name || ' ' || ct.last_name || ' ' || COALESCE(ct.email, '')), q.query)
+    FROM contacts ct, q
+    WHERE to_tsvector('english', ct.first_name || ' ' || ct.last_name || ' ' || COALESCE(ct.email, '')) @@ q.query${scope('ct')}
+
+    UNION ALL
+
+    SELECT
+      'deal',
+      d.id,
+      d.title,
+      d.status,
+      d.title || ' ' || COALESCE(d.description, ''),
+      ts_rank(to_tsvector('english', d.title || ' ' || COALESCE(d.description, '')), q.query)
+    FROM deals d, q
+    WHERE to_tsvector('english', d.title || ' ' || COALESCE(d.description, '')) @@ q.query${scope('d', 'assigned_user_id')}
+
+    UNION ALL
+
+    SELECT
+      'activity',
+      a.id,
+      a.subject,
+      a.type,
+      a.subject || ' ' || COALESCE(a.description, ''),
+      ts_rank(to_tsvector('english', a.subject || ' ' || COALESCE(a.description, '')), q.query)
+    FROM activities a, q
+    WHERE to_tsvector('english', a.subject || ' ' || COALESCE(a.description, '')) @@ q.query${scope('a', 'user_id')}
+  `;
+
+  return { sql, params };
+};
+
+// GET /api/search - Ranked search across companies, contacts, deals and activities
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tsquery = buildPrefixQuery(req.query.q || '');
+    if (!tsquery) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').filter(type => SEARCH_TYPES.includes(type))
+      : SEARCH_TYPES;
+
+    const { sql, params } = buildMatchesQuery(req.user);
+    const baseParams = [tsquery, ...params];
+    const withMatches = `
+      WITH q AS (SELECT to_tsquery('english', $1) as query),
+      matches AS (${sql})
+    `;
+
+    // Facet counts ignore the type filter so the UI can show every tab's total
+    const facetResult = await pool.query(`
+      ${withMatches}
+      SELECT type, COUNT(*) as count FROM matches GROUP BY type
+    `, baseParams);
+
+    const facets = SEARCH_TYPES.reduce((acc, type) => ({ ...acc, [type]: 0 }), {});
+    facetResult.rows.forEach(row => {
+      facets[row.type] = parseInt(row.count);
+    });
+
+    const typesParam = baseParams.length + 1;
+    const result = await pool.query(`
+      ${withMatches}
+      SELECT
+        page.type,
+        page.id,
+        page.title,
+        page.subtitle,
+        page.rank,
+        ts_headline('english', page.document, q.query,
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=5, MaxFragments=2') as snippet
+      FROM (
+        SELECT * FROM matches
+        WHERE type = ANY($${typesParam})
+        ORDER BY rank DESC, type, id
+        LIMIT $${typesParam + 1} OFFSET $${typesParam + 2}
+      ) page, q
+      ORDER BY page.rank DESC, page.type, page.id
+    `, [...baseParams, types, limit, offset]);
+
+    const total = types.reduce((sum, type) => sum + facets[type], 0);
+
+    res.json({
+      query: req.query.q,
+      results: result.rows.map(row => ({
+        type: row.type,
+        id: row.id,
+        title: row.title,
+        subtitle: row.subtitle,
+        snippet: row.snippet,
+        rank: parseFloat(row.rank)
+      })),
+      facets,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * Reads the shared lookup options from the query string
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { limit, minScore }
+ */
+const parseLookupOptions = (query) => {
+  const minScore = parseFloat(query.min_score);
+  return {
+    limit: Math.min(parseInt(query.limit) || 10, 50),
+    minScore: !isNaN(minScore) && minScore > 0 && minScore <= 1 ? minScore : undefined
+  };
+};
+
+// GET /api/search/lookup/companies - Typo-tolerant company picker
+router.get('/lookup/companies', authenticateToken, async (req, res) => {
+  try {
+    const text = String(req.query.q || '').trim();
+    if (!text) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    const candidates = await fuzzyMatchService.lookupCompanies(text, parseLookupOptions(req.query));
+
+    res.json({
+      query: text,
+      candidates: candidates.map(row => ({ ...row, score: parseFloat(row.score) }))
+    });
+  } catch (error) {
+    console.error('Company lookup error:', error);
+    res.status(500).json({ error: 'Company lookup failed' });
+  }
+});
+
+// GET /api/search/lookup/contacts - Typo-tolerant contact picker, optionally within one company
+router.get('/lookup/contacts', authenticateToken, async (req, res) => {
+  try {
+    const text = String(req.query.q || '').trim();
+    if (!text) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    const candidates = await fuzzyMatchService.lookupContacts(text, {
+      ...parseLookupOptions(req.query),
+      companyId: req.query.company_id ? parseInt(req.query.company_id) : null
+    });
+
+    res.json({
+      query: text,
+      candidates: candidates.map(row => ({ ...row, score: parseFloat(row.score) }))
+    });
+  } catch (error) {
+    console.error('Contact lookup error:', error);
+    res.status(500).json({ error: 'Contact lookup failed' });
+  }
+});
+
+module.exports = router;
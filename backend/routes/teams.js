@@ -0,0 +1,85 @@
+/**
+ * Teams API Routes
+ *
+ * Sales teams used for forecast roll-ups and team quotas.
+ */
+const express = require('express');
+const middleware = require('../middleware');
+const teamService = require('../services/teamService');
+
+const router = express.Router();
+
+router.use(middleware.authenticateToken);
+
+/**
+ * Sends a typed service error with the matching status code
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by teamService
+ * @param {string} fallback - Message for unexpected errors
+ */
+const handleError = (res, error, fallback) => {
+  if (error.type === 'validation') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.type === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.type === 'conflict') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/teams - All teams with their members
+router.get('/', async (req, res) => {
+  try {
+    const teams = await teamService.listTeams(req.tenant ? req.tenant.id : null);
+    res.json({ teams });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch teams');
+  }
+});
+
+// GET /api/teams/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const team = await teamService.getTeam(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json(team);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch team');
+  }
+});
+
+// POST /api/teams - Body: { name, description, manager_id, member_ids }
+router.post('/', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const team = await teamService.createTeam(req.body, req.tenant ? req.tenant.id : null);
+    res.status(201).json(team);
+  } catch (error) {
+    handleError(res, error, 'Failed to create team');
+  }
+});
+
+// PUT /api/teams/:id - member_ids replaces the member list
+router.put('/:id', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    const team = await teamService.updateTeam(parseInt(req.params.id), req.body, req.tenant ? req.tenant.id : null);
+    res.json(team);
+  } catch (error) {
+    handleError(res, error, 'Failed to update team');
+  }
+});
+
+// DELETE /api/teams/:id
+router.delete('/:id', middleware.authorizeRoles('admin'), async (req, res) => {
+  try {
+    await teamService.deleteTeam(parseInt(req.params.id), req.tenant ? req.tenant.id : null);
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete team');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+-- Full-text search indexes for global search (/api/search)
+-- Companies and contacts are already indexed in schema.sql; the expressions
+-- below must match the to_tsvector() calls in routes/search.js for the
+-- planner to use them.
+
+CREATE INDEX IF NOT EXISTS idx_deals_search ON deals USING GIN(to_tsvector('english', title || ' ' || COALESCE(description, '')));
+CREATE INDEX IF NOT EXISTS idx_activities_search ON activities USING GIN(to_tsvector('english', subject || ' ' || COALESCE(description, '')));
+
+-- Ensure the indexes from schema.sql exist on databases created from migrations/complete_schema.sql
+CREATE INDEX IF NOT EXISTS idx_companies_search ON companies USING GIN(to_tsvector('english', name || ' ' || COALESCE(industry, '')));
+CREATE INDEX IF NOT EXISTS idx_contacts_search ON contacts USING GIN(to_tsvector('english', first_name || ' ' || last_name || ' ' || COALESCE(email, '')));
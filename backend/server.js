@@ -86,6 +86,21 @@ const dealsRoutes = require('./routes/deals');
 const integrationsRoutes = require('./routes/integrations');
 const reportRoutes = require('./routes/reportRoutes');
 const userSettingsRoutes = require('./routes/userSettings');
+const activitiesRoutes = require('./routes/activities');
+const automationRulesRoutes = require('./routes/automationRules');
+const searchRoutes = require('./routes/search');
+const importsRoutes = require('./routes/imports');
+const exportsRoutes = require('./routes/exports');
+const fiscalCalendarRoutes = require('./routes/fiscalCalendar');
+const forecastRoutes = require('./routes/forecast');
+const teamsRoutes = require('./routes/teams');
+const quotasRoutes = require('./routes/quotas');
+const productsRoutes = require('./routes/products');
+const priceBooksRoutes = require('./routes/priceBooks');
+const discountApprovalsRoutes = require('./routes/discountApprovals');
+const quotesRoutes = require('./routes/quotes');
+const currenciesRoutes = require('./routes/currencies');
+const pipelinesRoutes = require('./routes/pipeline');
 
 // Apply CORS before any routes
 app.use(cors(corsOptions));
@@ -110,6 +125,21 @@ app.use('/api/deals', dealsRoutes);
 app.use('/api/integrations', integrationsRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/user-settings', userSettingsRoutes);
+app.use('/api/activities', activitiesRoutes);
+app.use('/api/automation/rules', automationRulesRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/imports', importsRoutes);
+app.use('/api/exports', exportsRoutes);
+app.use('/api/fiscal-calendar', fiscalCalendarRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/teams', teamsRoutes);
+app.use('/api/quotas', quotasRoutes);
+app.use('/api/products', productsRoutes);
+app.use('/api/price-books', priceBooksRoutes);
+app.use('/api/discount-approvals', discountApprovalsRoutes);
+app.use('/api/quotes', quotesRoutes);
+app.use('/api/currencies', currenciesRoutes);
+app.use('/api/pipelines', pipelinesRoutes);
 app.use('/api/crud', crudRoutes);
 
 // Logger setup
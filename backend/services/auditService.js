@@ -10,7 +10,7 @@ const db = require('../db');
  * 
  * @param {Object} data - Audit log data
  * @param {number} data.userId - ID of the user performing the action
- * @param {string} data.action - Type of action (CREATE, READ, UPDATE, DELETE, LOGIN, LOGOUT, OTHER)
+ * @param {string} data.action - Type of action (CREATE, READ, UPDATE, DELETE, MERGE, IMPORT, EXPORT, LOGIN, LOGOUT, OTHER)
  * @param {string} data.entityType - Type of entity being affected (user, lead, deal, etc.)
  * @param {number} [data.entityId] - ID of the entity being affected
  * @param {Object} [data.details] - Additional details about the action
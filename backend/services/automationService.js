@@ -0,0 +1,352 @@
+/**
+ * Automation Service
+ *
+ * Records deal stage transitions in deal_stage_history and runs the
+ * automation_rules that match each transition, logging every run to
+ * automation_log.
+ */
+const db = require('../db');
+
+const ACTION_TYPES = ['create_task', 'send_email', 'update_probability'];
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const automationError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Get the active rules matching a stage transition, in execution order.
+ * A rule with a NULL from/to stage matches any stage on that side.
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number|null} fromStageId - Stage the deal is leaving
+ * @param {number} toStageId - Stage the deal is entering
+ * @returns {Promise<Array>} Matching automation rules
+ */
+const getMatchingRules = async (client, fromStageId, toStageId) => {
+  const result = await client.query(
+    `SELECT * FROM automation_rules
+     WHERE is_active = true
+       AND (from_stage_id IS NULL OR from_stage_id = $1)
+       AND (to_stage_id IS NULL OR to_stage_id = $2)
+     ORDER BY priority ASC, id ASC`,
+    [fromStageId, toStageId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Resolves the user an action targets. 'deal_owner' (the default) is the
+ * deal's assigned user; a number is taken as a user id.
+ *
+ * @param {*} target - action_data target
+ * @param {Object} deal - Deal row
+ * @returns {number|null} User ID
+ */
+const resolveUser = (target, deal) => {
+  if (target === undefined || target === 'deal_owner') {
+    return deal.assigned_user_id || null;
+  }
+  return parseInt(target) || null;
+};
+
+/**
+ * Describes what a rule would do to a deal without touching the database
+ *
+ * @param {Object} rule - Automation rule row
+ * @param {Object} deal - Deal row
+ * @returns {Object} Planned action
+ */
+const planAction = (rule, deal) => {
+  const data = rule.action_data || {};
+
+  switch (rule.action_type) {
+    case 'create_task': {
+      const dueDate = new Date();
+      dueDate.setDate(dueDate.getDate() + (parseInt(data.due_in_days) || 0));
+      return {
+        type: 'create_task',
+        activity: {
+          type: data.type || 'task',
+          subject: data.subject || `Follow up: ${deal.title}`,
+          description: data.description || null,
+          company_id: deal.company_id,
+          contact_id: deal.contact_id,
+          deal_id: deal.id,
+          user_id: resolveUser(data.assign_to, deal),
+          due_date: dueDate
+        }
+      };
+    }
+    case 'send_email': {
+      const scheduledAt = new Date(Date.now() + (parseInt(data.delay_minutes) || 0) * 60000);
+      return {
+        type: 'send_email',
+        email: {
+          deal_id: deal.id,
+          recipient_user_id: resolveUser(data.recipient, deal),
+          template_name: data.template_name,
+          template_data: { ...(data.template_data || {}), deal_id: deal.id, deal_title: deal.title },
+          scheduled_at: scheduledAt
+        }
+      };
+    }
+    case 'update_probability':
+      return {
+        type: 'update_probability',
+        from: deal.probability,
+        to: data.probability
+      };
+    default:
+      throw automationError('validation', `Unsupported action type: ${rule.action_type}`);
+  }
+};
+
+/**
+ * Validates the action_data of a rule so bad rules fail at save time
+ *
+ * @param {string} actionType - Rule action type
+ * @param {Object} actionData - Rule action data
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateActionData = (actionType, actionData = {}) => {
+  switch (actionType) {
+    case 'create_task':
+      return null;
+    case 'send_email':
+      return actionData.template_name ? null : 'send_email rules require action_data.template_name';
+    case 'update_probability': {
+      const probability = Number(actionData.probability);
+      return Number.isInteger(probability) && probability >= 0 && probability <= 100
+        ? null
+        : 'update_probability rules require action_data.probability between 0 and 100';
+    }
+    default:
+      return `Unsupported action type: ${actionType}`;
+  }
+};
+
+/**
+ * Executes a single rule against a deal
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} rule - Automation rule row
+ * @param {Object} deal - Deal row
+ */
+const executeAction = async (client, rule, deal) => {
+  const validationMessage = validateActionData(rule.action_type, rule.action_data);
+  if (validationMessage) {
+    throw automationError('validation', validationMessage);
+  }
+
+  const plan = planAction(rule, deal);
+
+  switch (plan.type) {
+    case 'create_task': {
+      const a = plan.activity;
+      await client.query(
+        `INSERT INTO activities (type, subject, description, company_id, contact_id, deal_id, user_id, due_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [a.type, a.subject, a.description, a.company_id, a.contact_id, a.deal_id, a.user_id, a.due_date]
+      );
+      break;
+    }
+    case 'send_email': {
+      const e = plan.email;
+      await client.query(
+        `INSERT INTO email_queue (deal_id, recipient_user_id, template_name, template_data, scheduled_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [e.deal_id, e.recipient_user_id, e.template_name, e.template_data, e.scheduled_at]
+      );
+      break;
+    }
+    case 'update_probability':
+      await client.query(
+        'UPDATE deals SET probability = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [plan.to, deal.id]
+      );
+      deal.probability = plan.to;
+      break;
+  }
+};
+
+/**
+ * Records a stage change that has already been applied to the deal row and
+ * runs the matching automation rules. Each rule runs inside a savepoint so a
+ * failing rule is logged without undoing the move or the other rules.
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} deal - Deal row after the stage update
+ * @param {number|null} fromStageId - Stage the deal left
+ * @param {Object} [options]
+ * @param {number} [options.userId] - User making the change
+ * @param {string} [options.notes] - Notes for the history entry
+ * @returns {Promise<Object>} { history, automation }
+ */
+const applyStageChange = async (client, deal, fromStageId, { userId = null, notes = null } = {}) => {
+  const historyResult = await client.query(
+    `INSERT INTO deal_stage_history (deal_id, from_stage_id, to_stage_id, changed_by_user_id, notes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [deal.id, fromStageId, deal.pipeline_stage_id, userId, notes]
+  );
+
+  const rules = await getMatchingRules(client, fromStageId, deal.pipeline_stage_id);
+  const automation = [];
+
+  for (const rule of rules) {
+    let errorMessage = null;
+
+    await client.query('SAVEPOINT automation_rule');
+    try {
+      await executeAction(client, rule, deal);
+      await client.query('RELEASE SAVEPOINT automation_rule');
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT automation_rule');
+      console.error(`Automation rule ${rule.id} failed:`, error);
+      errorMessage = error.message;
+    }
+
+    await client.query(
+      `INSERT INTO automation_log (rule_id, deal_id, executed_by_user_id, execution_result, error_message)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [rule.id, deal.id, userId, errorMessage ? 'failed' : 'success', errorMessage]
+    );
+
+    automation.push({
+      rule_id: rule.id,
+      name: rule.name,
+      action_type: rule.action_type,
+      result: errorMessage ? 'failed' : 'success',
+      error: errorMessage
+    });
+  }
+
+  return { history: historyResult.rows[0], automation };
+};
+
+/**
+ * Status a deal has while in a stage: the closed stages win or lose it,
+ * every other stage keeps it open
+ *
+ * @param {string} stageName - Pipeline stage name
+ * @returns {string} 'open', 'closed_won' or 'closed_lost'
+ */
+const stageStatus = (stageName) => {
+  const name = String(stageName).toLowerCase();
+  if (name === 'closed won') return 'closed_won';
+  if (name === 'closed lost') return 'closed_lost';
+  return 'open';
+};
+
+/**
+ * Moves a deal to another pipeline stage inside the caller's transaction.
+ * Entering a "Closed Won" or "Closed Lost" stage also closes the deal; any
+ * other stage reopens it.
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} dealId - Deal ID
+ * @param {number} toStageId - Target pipeline stage ID
+ * @param {Object} [options]
+ * @param {number} [options.userId] - User making the change
+ * @param {string} [options.notes] - Notes for the history entry
+ * @param {boolean} [options.allowPipelineChange] - The stage may belong to another pipeline,
+ *   already checked by the caller
+ * @returns {Promise<Object>} { deal, history, automation }
+ */
+const changeDealStage = async (client, dealId, toStageId, options = {}) => {
+  const dealResult = await client.query('SELECT * FROM deals WHERE id = $1 FOR UPDATE', [dealId]);
+  if (dealResult.rows.length === 0) {
+    throw automationError('not_found', 'Deal not found');
+  }
+
+  const stageResult = await client.query(
+    'SELECT * FROM pipeline_stages WHERE id = $1 AND is_active = true',
+    [toStageId]
+  );
+  if (stageResult.rows.length === 0) {
+    throw automationError('validation', 'Pipeline stage not found or inactive');
+  }
+  if (!options.allowPipelineChange && dealResult.rows[0].pipeline_id &&
+      stageResult.rows[0].pipeline_id !== dealResult.rows[0].pipeline_id) {
+    throw automationError('validation', 'Pipeline stage belongs to another pipeline; change the deal\'s pipeline instead');
+  }
+
+  const fromStageId = dealResult.rows[0].pipeline_stage_id;
+  if (fromStageId === toStageId) {
+    throw automationError('conflict', 'Deal is already in this stage');
+  }
+
+  const status = stageStatus(stageResult.rows[0].name);
+
+  // Discounts above the approval threshold must be signed off before the deal is won
+  const approvalStatus = dealResult.rows[0].discount_approval_status;
+  if (status === 'closed_won' && (approvalStatus === 'pending' || approvalStatus === 'rejected')) {
+    throw automationError('conflict', `Deal discount approval is ${approvalStatus}`);
+  }
+
+  const updateResult = await client.query(
+    `UPDATE deals
+     SET pipeline_stage_id = $1, status = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [toStageId, status, dealId]
+  );
+  const deal = updateResult.rows[0];
+
+  const { history, automation } = await applyStageChange(client, deal, fromStageId, options);
+
+  return { deal, history, automation };
+};
+
+/**
+ * Moves a deal to another pipeline stage of its pipeline in its own
+ * transaction, see changeDealStage
+ *
+ * @param {number} dealId - Deal ID
+ * @param {number} toStageId - Target pipeline stage ID
+ * @param {Object} [options]
+ * @param {number} [options.userId] - User making the change
+ * @param {string} [options.notes] - Notes for the history entry
+ * @returns {Promise<Object>} { deal, history, automation }
+ */
+const moveDealStage = async (dealId, toStageId, options = {}) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await changeDealStage(client, dealId, toStageId, {
+      userId: options.userId,
+      notes: options.notes
+    });
+
+    await client.query('COMMIT');
+
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  ACTION_TYPES,
+  getMatchingRules,
+  planAction,
+  validateActionData,
+  applyStageChange,
+  stageStatus,
+  changeDealStage,
+  moveDealStage
+};
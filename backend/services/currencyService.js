@@ -0,0 +1,451 @@
+/**
+ * Currency Service
+ *
+ * The currency each tenant reports in and the dated exchange rates used to
+ * convert deal values into it. Rates are entered one at a time or loaded
+ * from a CSV or XLSX file. A deal converts at the latest rate on or before
+ * the date it was won or lost, or while open its expected close date (today
+ * when it has none); analytics sum the
+ * converted values through the convert_currency() SQL function and keep
+ * the original amounts per currency alongside. Each deal currency needs
+ * rates against the reporting currency itself, in either direction; there
+ * is no conversion through a third currency.
+ */
+const moment = require('moment');
+const Joi = require('joi');
+const db = require('../db');
+const importService = require('./importService');
+
+const DEFAULT_REPORTING_CURRENCY = 'USD';
+const MAX_RATE_ROWS = 5000;
+
+const currencyCode = () => Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/, 'ISO 4217 code');
+
+const settingsSchema = Joi.object({
+  reporting_currency: currencyCode().required()
+});
+
+const rateSchema = Joi.object({
+  from_currency: currencyCode().required(),
+  to_currency: currencyCode().required(),
+  rate: Joi.number().positive().required(),
+  effective_date: Joi.date().iso().required()
+});
+
+const listSchema = Joi.object({
+  currency: currencyCode(),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(1000).default(200)
+});
+
+// File headers that name each rate field, after lower-casing and joining words with _
+const RATE_COLUMNS = {
+  from_currency: ['from_currency', 'currency', 'from', 'base_currency'],
+  to_currency: ['to_currency', 'to', 'quote_currency'],
+  rate: ['rate', 'exchange_rate'],
+  effective_date: ['effective_date', 'date', 'effective_from']
+};
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation' or 'not_found'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const currencyError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates input against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Raw input
+ * @returns {Object} Validated values
+ */
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw currencyError('validation', error.details[0].message);
+  }
+  return value;
+};
+
+/**
+ * Converts the rate to a number and the date to YYYY-MM-DD
+ *
+ * @param {Object} row - exchange_rates row
+ * @returns {Object}
+ */
+const toRate = (row) => ({
+  ...row,
+  rate: parseFloat(row.rate),
+  effective_date: moment.utc(row.effective_date).format('YYYY-MM-DD')
+});
+
+/**
+ * The tenant's reporting currency
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { reporting_currency, is_default }
+ */
+const getSettings = async (tenantId) => {
+  const result = await db.query(
+    'SELECT reporting_currency, updated_by, updated_at FROM currency_settings WHERE tenant_id IS NOT DISTINCT FROM $1',
+    [tenantId]
+  );
+  if (result.rows.length === 0) {
+    return { reporting_currency: DEFAULT_REPORTING_CURRENCY, is_default: true };
+  }
+  return { ...result.rows[0], is_default: false };
+};
+
+/**
+ * The currency the tenant's analytics are reported in
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<string>} ISO 4217 code
+ */
+const getReportingCurrency = async (tenantId) => (await getSettings(tenantId)).reporting_currency;
+
+/**
+ * Set the tenant's reporting currency
+ *
+ * @param {Object} data - { reporting_currency }
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { reporting_currency, is_default }
+ */
+const saveSettings = async (data, user, tenantId) => {
+  const value = validate(settingsSchema, data);
+
+  await db.query(`
+    INSERT INTO currency_settings (tenant_id, reporting_currency, updated_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (COALESCE(tenant_id, 0))
+    DO UPDATE SET reporting_currency = EXCLUDED.reporting_currency, updated_by = EXCLUDED.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `, [tenantId, value.reporting_currency, user.id]);
+
+  return getSettings(tenantId);
+};
+
+/**
+ * SQL expression for the date a deal converts at: when it was won or lost,
+ * otherwise its expected close date, otherwise the fallback
+ *
+ * @param {string} alias - Alias of the deals table
+ * @param {string} fallback - SQL date for deals with neither
+ * @returns {string} SQL expression
+ */
+const conversionDate = (alias, fallback) =>
+  `COALESCE(${alias}.closed_at::date, ${alias}.expected_close_date, ${fallback})`;
+
+/**
+ * SQL expression converting a deal's value into a currency at its close
+ * date rate. NULL when no rate covers the deal's currency on that date.
+ *
+ * @param {Array} params - Query parameters, extended in place
+ * @param {Object} options
+ * @param {string} options.currency - Currency to convert into
+ * @param {number|null} [options.tenantId] - Tenant whose rates are used
+ * @param {string} [options.alias='d'] - Alias of the deals table, or of a table with the same currency and date columns
+ * @param {string} [options.column='value'] - Amount column on the deals table
+ * @param {string} [options.fallbackDate='CURRENT_DATE'] - SQL date for open deals without an expected close date
+ * @returns {string} SQL expression
+ */
+const convertedValue = (params, { currency, tenantId = null, alias = 'd', column = 'value', fallbackDate = 'CURRENT_DATE' }) => {
+  params.push(currency, tenantId);
+  return `convert_currency(${alias}.${column}, ${alias}.currency, $${params.length - 1}, ` +
+    `${conversionDate(alias, fallbackDate)}, $${params.length})`;
+};
+
+/**
+ * SQL select list of original and converted totals per deal currency, for
+ * a query grouped by COALESCE(alias.currency, 'USD'). Deals without a
+ * value are not counted.
+ *
+ * @param {string} converted - Expression from convertedValue for the same deals
+ * @param {Object} [options]
+ * @param {string} [options.alias='d'] - Alias of the deals table
+ * @param {string} [options.column='value'] - Amount column on the deals table
+ * @returns {string} SQL select list
+ */
+const currencyTotalsColumns = (converted, { alias = 'd', column = 'value' } = {}) => `
+  COALESCE(${alias}.currency, 'USD') as currency,
+  COUNT(${alias}.${column}) as deal_count,
+  COALESCE(SUM(${alias}.${column}), 0) as value,
+  COALESCE(SUM(${converted}), 0) as converted_value,
+  COUNT(${alias}.${column}) FILTER (WHERE ${converted} IS NULL) as unconverted_deals
+`;
+
+/**
+ * Original and converted totals per deal currency, for showing next to an
+ * aggregate that was converted
+ *
+ * @param {Array<Object>} rows - [{ currency, deal_count, value, converted_value, unconverted_deals }] as returned by pg
+ * @returns {Array<Object>} Same rows with numbers; converted_value leaves out the unconverted deals
+ */
+const toCurrencyTotals = (rows) => rows.map(row => ({
+  currency: row.currency,
+  deal_count: parseInt(row.deal_count),
+  value: parseFloat(row.value),
+  converted_value: Number(parseFloat(row.converted_value || 0).toFixed(2)),
+  unconverted_deals: parseInt(row.unconverted_deals)
+}));
+
+/**
+ * Adds lists of per-currency totals together, currency by currency
+ *
+ * @param {Array<Array<Object>>} lists - Results of toCurrencyTotals
+ * @returns {Array<Object>} Combined totals ordered by currency
+ */
+const addCurrencyTotals = (lists) => {
+  const byCurrency = new Map();
+  lists.flat().forEach(row => {
+    const sum = byCurrency.get(row.currency) || { currency: row.currency, deal_count: 0, value: 0, converted_value: 0, unconverted_deals: 0 };
+    byCurrency.set(row.currency, {
+      currency: row.currency,
+      deal_count: sum.deal_count + row.deal_count,
+      value: Number((sum.value + row.value).toFixed(2)),
+      converted_value: Number((sum.converted_value + row.converted_value).toFixed(2)),
+      unconverted_deals: sum.unconverted_deals + row.unconverted_deals
+    });
+  });
+  return [...byCurrency.values()].sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+/**
+ * List a tenant's exchange rates, newest first
+ *
+ * @param {Object} query - { currency, start_date, end_date, limit }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>}
+ */
+const listRates = async (query, tenantId) => {
+  const filters = validate(listSchema, query);
+
+  const params = [tenantId];
+  const conditions = ['tenant_id IS NOT DISTINCT FROM $1'];
+
+  if (filters.currency) {
+    params.push(filters.currency);
+    conditions.push(`(from_currency = $${params.length} OR to_currency = $${params.length})`);
+  }
+  if (filters.start_date) {
+    params.push(moment.utc(filters.start_date).format('YYYY-MM-DD'));
+    conditions.push(`effective_date >= $${params.length}`);
+  }
+  if (filters.end_date) {
+    params.push(moment.utc(filters.end_date).format('YYYY-MM-DD'));
+    conditions.push(`effective_date <= $${params.length}`);
+  }
+
+  params.push(filters.limit);
+  const result = await db.query(`
+    SELECT * FROM exchange_rates
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY effective_date DESC, from_currency, to_currency
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(toRate);
+};
+
+/**
+ * Adds rates, replacing any for the same currency pair and date
+ *
+ * @param {Object} client - Database client or pool
+ * @param {Array<Object>} rates - Validated [{ from_currency, to_currency, rate, effective_date }]
+ * @param {string} source - 'manual' or 'file'
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>} Saved rows with `created`
+ */
+const upsertRates = async (client, rates, source, user, tenantId) => {
+  const result = await client.query(`
+    INSERT INTO exchange_rates (tenant_id, from_currency, to_currency, rate, effective_date, source, created_by)
+    SELECT $1, rate.from_currency, rate.to_currency, rate.rate, rate.effective_date, $6, $7
+    FROM unnest($2::varchar[], $3::varchar[], $4::numeric[], $5::date[])
+      as rate(from_currency, to_currency, rate, effective_date)
+    ON CONFLICT (COALESCE(tenant_id, 0), from_currency, to_currency, effective_date)
+    DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_by = EXCLUDED.created_by,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *, (xmax = 0) as created
+  `, [
+    tenantId,
+    rates.map(rate => rate.from_currency),
+    rates.map(rate => rate.to_currency),
+    rates.map(rate => rate.rate),
+    rates.map(rate => moment.utc(rate.effective_date).format('YYYY-MM-DD')),
+    source,
+    user.id
+  ]);
+
+  return result.rows.map(toRate);
+};
+
+/**
+ * Enter one rate by hand. Replaces the rate for the same pair and date.
+ *
+ * @param {Object} data - { from_currency, to_currency, rate, effective_date }
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Saved rate with `created`
+ */
+const saveRate = async (data, user, tenantId) => {
+  const value = validate(rateSchema, data);
+  if (value.from_currency === value.to_currency) {
+    throw currencyError('validation', 'from_currency and to_currency must differ');
+  }
+
+  const [rate] = await upsertRates(db, [value], 'manual', user, tenantId);
+  return rate;
+};
+
+/**
+ * Load rates from a CSV or XLSX file with a header row. Columns:
+ * from_currency (or currency), to_currency (defaults to the reporting
+ * currency), rate and effective_date (or date). Every row must be valid or
+ * nothing is loaded.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { imported, created, updated }
+ */
+const importRates = async (buffer, user, tenantId) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw currencyError('validation', 'Upload a CSV or XLSX file as the request body');
+  }
+
+  const { headers, rows } = await importService.parseFile(buffer);
+  if (rows.length > MAX_RATE_ROWS) {
+    throw currencyError('validation', `Rate files are limited to ${MAX_RATE_ROWS} rows`);
+  }
+
+  const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+  const columns = {};
+  Object.keys(RATE_COLUMNS).forEach(field => {
+    const index = normalized.findIndex(header => RATE_COLUMNS[field].includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+  const missing = ['from_currency', 'rate', 'effective_date'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw currencyError('validation', `File is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`);
+  }
+
+  const reportingCurrency = await getReportingCurrency(tenantId);
+  const rates = rows.map(({ row_number: rowNumber, cells }) => {
+    const { error, value } = rateSchema.validate({
+      from_currency: cells[columns.from_currency],
+      to_currency: columns.to_currency === undefined ? reportingCurrency : (cells[columns.to_currency] || reportingCurrency),
+      rate: cells[columns.rate],
+      effective_date: cells[columns.effective_date]
+    });
+    if (error) {
+      throw currencyError('validation', `Row ${rowNumber}: ${error.details[0].message}`);
+    }
+    if (value.from_currency === value.to_currency) {
+      throw currencyError('validation', `Row ${rowNumber}: from_currency and to_currency must differ`);
+    }
+    return value;
+  });
+
+  // The same pair and date twice would make the upsert touch a row twice
+  const seen = new Set();
+  rates.forEach((rate, index) => {
+    const key = `${rate.from_currency}/${rate.to_currency}/${moment.utc(rate.effective_date).format('YYYY-MM-DD')}`;
+    if (seen.has(key)) {
+      throw currencyError('validation', `Row ${rows[index].row_number}: duplicate rate for ${key}`);
+    }
+    seen.add(key);
+  });
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await upsertRates(client, rates, 'file', user, tenantId);
+    await client.query('COMMIT');
+
+    const created = saved.filter(rate => rate.created).length;
+    return { imported: saved.length, created, updated: saved.length - created };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete one of a tenant's rates
+ *
+ * @param {number} rateId - Rate ID
+ * @param {number|null} tenantId - Tenant ID
+ */
+const deleteRate = async (rateId, tenantId) => {
+  const result = await db.query(
+    'DELETE FROM exchange_rates WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 RETURNING id',
+    [rateId, tenantId]
+  );
+  if (result.rows.length === 0) {
+    throw currencyError('not_found', 'Exchange rate not found');
+  }
+};
+
+/**
+ * Deal currencies that cannot be converted into the reporting currency
+ * because no rate covers their close dates. Those deals are left out of
+ * converted totals until a rate is added.
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { reporting_currency, missing: [{ currency, deal_count, value, earliest_close_date }] }
+ */
+const getMissingRates = async (tenantId) => {
+  const currency = await getReportingCurrency(tenantId);
+  const params = [];
+  const converted = convertedValue(params, { currency, tenantId });
+
+  const result = await db.query(`
+    SELECT
+      COALESCE(d.currency, 'USD') as currency,
+      COUNT(*) as deal_count,
+      COALESCE(SUM(d.value), 0) as value,
+      TO_CHAR(MIN(${conversionDate('d', 'CURRENT_DATE')}), 'YYYY-MM-DD') as earliest_close_date
+    FROM deals d
+    WHERE d.value IS NOT NULL AND ${converted} IS NULL
+    GROUP BY COALESCE(d.currency, 'USD')
+    ORDER BY currency
+  `, params);
+
+  return {
+    reporting_currency: currency,
+    missing: result.rows.map(row => ({
+      currency: row.currency,
+      deal_count: parseInt(row.deal_count),
+      value: parseFloat(row.value),
+      earliest_close_date: row.earliest_close_date
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_REPORTING_CURRENCY,
+  getSettings,
+  getReportingCurrency,
+  saveSettings,
+  convertedValue,
+  currencyTotalsColumns,
+  toCurrencyTotals,
+  addCurrencyTotals,
+  listRates,
+  saveRate,
+  importRates,
+  deleteRate,
+  getMissingRates
+};
@@ -0,0 +1,407 @@
+/**
+ * Deduplication Service
+ *
+ * Finds likely duplicate records and merges them into a surviving record,
+ * re-pointing everything that referenced the merged records.
+ */
+const db = require('../db');
+
+const CONTACT_MERGE_FIELDS = [
+  'first_name',
+  'last_name',
+  'email',
+  'phone',
+  'job_title',
+  'department',
+  'company_id',
+  'is_primary'
+];
+
+const COMPANY_ADDRESS_FIELDS = ['address', 'city', 'state', 'country', 'postal_code'];
+
+const COMPANY_MERGE_FIELDS = [
+  'name',
+  'industry',
+  'website',
+  'phone',
+  ...COMPANY_ADDRESS_FIELDS,
+  'annual_revenue',
+  'employee_count'
+];
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation' or 'not_found'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const mergeError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Groups contacts that share an email, a phone number (digits only) or the
+ * same first name + last name within one company
+ *
+ * @returns {Promise<Array>} Groups of { match_reason, match_key, record_ids }
+ */
+const findContactDuplicates = async () => {
+  const result = await db.query(`
+    SELECT 'email' as match_reason, lower(btrim(email)) as match_key,
+           ARRAY_AGG(id ORDER BY created_at, id) as record_ids
+    FROM contacts
+    WHERE email IS NOT NULL AND btrim(email) <> ''
+    GROUP BY lower(btrim(email))
+    HAVING COUNT(*) > 1
+
+    UNION ALL
+
+    SELECT 'phone', regexp_replace(phone, '\\D', '', 'g'),
+           ARRAY_AGG(id ORDER BY created_at, id)
+    FROM contacts
+    WHERE LENGTH(regexp_replace(COALESCE(phone, ''), '\\D', '', 'g')) >= 7
+    GROUP BY regexp_replace(phone, '\\D', '', 'g')
+    HAVING COUNT(*) > 1
+
+    UNION ALL
+
+    SELECT 'name_company',
+           lower(btrim(first_name)) || ' ' || lower(btrim(last_name)) || '@' || company_id,
+           ARRAY_AGG(id ORDER BY created_at, id)
+    FROM contacts
+    WHERE company_id IS NOT NULL
+    GROUP BY lower(btrim(first_name)), lower(btrim(last_name)), company_id
+    HAVING COUNT(*) > 1
+  `);
+
+  return result.rows;
+};
+
+/**
+ * Rescans contacts and replaces the stored open duplicate groups
+ *
+ * @returns {Promise<number>} Number of duplicate groups found
+ */
+const scanContactDuplicates = async () => {
+  const groups = await findContactDuplicates();
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `DELETE FROM duplicate_candidates WHERE entity_type = 'contact' AND status = 'open'`
+    );
+
+    for (const group of groups) {
+      await client.query(
+        `INSERT INTO duplicate_candidates (entity_type, match_reason, match_key, record_ids)
+         VALUES ('contact', $1, $2, $3)`,
+        [group.match_reason, group.match_key, group.record_ids]
+      );
+    }
+
+    await client.query('COMMIT');
+    return groups.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the stored open duplicate groups with the contacts in each group
+ *
+ * @param {Object} [options]
+ * @param {string} [options.matchReason] - Only groups found by this rule
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Groups per page
+ * @returns {Promise<Object>} Groups and pagination info
+ */
+const getContactDuplicateGroups = async ({ matchReason, page = 1, limit = 20 } = {}) => {
+  const params = [matchReason || null];
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM duplicate_candidates
+     WHERE entity_type = 'contact' AND status = 'open' AND ($1::text IS NULL OR match_reason = $1)`,
+    params
+  );
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  const result = await db.query(`
+    SELECT
+      g.id,
+      g.match_reason,
+      g.match_key,
+      g.detected_at,
+      (
+        SELECT JSON_AGG(JSON_BUILD_OBJECT(
+          'id', c.id,
+          'first_name', c.first_name,
+          'last_name', c.last_name,
+          'email', c.email,
+          'phone', c.phone,
+          'company_id', c.company_id,
+          'company_name', comp.name,
+          'created_at', c.created_at
+        ) ORDER BY c.created_at, c.id)
+        FROM contacts c
+        LEFT JOIN companies comp ON c.company_id = comp.id
+        WHERE c.id = ANY(g.record_ids)
+      ) as contacts
+    FROM duplicate_candidates g
+    WHERE g.entity_type = 'contact' AND g.status = 'open' AND ($1::text IS NULL OR g.match_reason = $1)
+    ORDER BY g.detected_at DESC, g.id
+    LIMIT $2 OFFSET $3
+  `, [...params, limit, (page - 1) * limit]);
+
+  return {
+    groups: result.rows,
+    pagination: {
+      total: totalCount,
+      page,
+      limit,
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Resolves the merged field values. Each field takes the value of the record
+ * named in fieldWinners; otherwise the survivor's value, or the first
+ * non-empty value among the merged records when the survivor has none.
+ *
+ * @param {Array<string>} fields - Mergeable field names
+ * @param {Object} survivor - Surviving record
+ * @param {Array<Object>} merged - Records being merged away
+ * @param {Object} fieldWinners - Map of field name to winning record id
+ * @returns {Object} Resolved field values
+ */
+const resolveFields = (fields, survivor, merged, fieldWinners = {}) => {
+  const recordsById = new Map([survivor, ...merged].map(record => [record.id, record]));
+  const resolved = {};
+
+  for (const field of fields) {
+    const winnerId = fieldWinners[field];
+
+    if (winnerId !== undefined) {
+      const winner = recordsById.get(parseInt(winnerId));
+      if (!winner) {
+        throw mergeError('validation', `Field winner for ${field} must be one of the merged records`);
+      }
+      resolved[field] = winner[field];
+      continue;
+    }
+
+    const isEmpty = (value) => value === null || value === undefined || value === '';
+    const fallback = merged.find(record => !isEmpty(record[field]));
+    resolved[field] = isEmpty(survivor[field]) && fallback ? fallback[field] : survivor[field];
+  }
+
+  return resolved;
+};
+
+/**
+ * Marks stored duplicate groups that involved merged records as resolved
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {string} entityType - 'contact' or 'company'
+ * @param {Array<number>} recordIds - Ids of all records in the merge
+ */
+const resolveDuplicateGroups = async (client, entityType, recordIds) => {
+  await client.query(
+    `UPDATE duplicate_candidates
+     SET status = 'merged', resolved_at = CURRENT_TIMESTAMP
+     WHERE entity_type = $1 AND status = 'open' AND record_ids && $2::int[]`,
+    [entityType, recordIds]
+  );
+};
+
+/**
+ * Merges records of one table into a surviving record: resolves the field
+ * values, re-points every referencing row to the survivor, deletes the merged
+ * records and writes the merge to the audit log.
+ *
+ * @param {Object} params
+ * @param {string} params.entityType - Audit/duplicate entity type ('contact', 'company')
+ * @param {string} params.table - Table holding the records
+ * @param {Array<string>} params.fields - Mergeable field names
+ * @param {Array<Object>} params.references - { table, column, touchUpdatedAt } rows to re-point
+ * @param {number} params.survivorId - Record that remains
+ * @param {Array<number>} params.mergedIds - Records merged into the survivor
+ * @param {Object} [params.fieldWinners] - Map of field name to the record id whose value wins
+ * @param {Object} [params.audit] - { userId, ipAddress, userAgent } for the audit entry
+ * @returns {Promise<Object>} { record, repointed }
+ */
+const mergeRecords = async ({
+  entityType,
+  table,
+  fields,
+  references,
+  survivorId,
+  mergedIds,
+  fieldWinners = {},
+  audit = {}
+}) => {
+  if (!mergedIds || mergedIds.length === 0) {
+    throw mergeError('validation', `At least one ${entityType} to merge is required`);
+  }
+  if (mergedIds.includes(survivorId)) {
+    throw mergeError('validation', `The surviving ${entityType} cannot also be merged`);
+  }
+
+  const allIds = [survivorId, ...mergedIds];
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const recordsResult = await client.query(
+      `SELECT * FROM ${table} WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+      [allIds]
+    );
+    if (recordsResult.rows.length !== new Set(allIds).size) {
+      throw mergeError('not_found', `One or more ${entityType} records not found`);
+    }
+
+    const survivor = recordsResult.rows.find(row => row.id === survivorId);
+    const merged = recordsResult.rows.filter(row => row.id !== survivorId);
+    const resolved = resolveFields(fields, survivor, merged, fieldWinners);
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    const updateResult = await client.query(
+      `UPDATE ${table}
+       SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [survivorId, ...fields.map(field => resolved[field])]
+    );
+
+    const repointed = {};
+    for (const reference of references) {
+      const touch = reference.touchUpdatedAt ? ', updated_at = CURRENT_TIMESTAMP' : '';
+      const result = await client.query(
+        `UPDATE ${reference.table} SET ${reference.column} = $1${touch} WHERE ${reference.column} = ANY($2::int[])`,
+        [survivorId, mergedIds]
+      );
+      repointed[reference.table] = result.rowCount;
+    }
+
+    await client.query(`DELETE FROM ${table} WHERE id = ANY($1::int[])`, [mergedIds]);
+    await resolveDuplicateGroups(client, entityType, allIds);
+
+    // Written on the merge transaction so a merge never commits without its
+    // audit entry; auditService.createLog would swallow an insert failure
+    await client.query(
+      `INSERT INTO audit_logs
+       (user_id, action, entity_type, entity_id, details, ip_address, user_agent)
+       VALUES ($1, 'MERGE', $2, $3, $4, $5, $6)`,
+      [
+        audit.userId || null,
+        entityType,
+        survivorId,
+        {
+          message: `Merged ${mergedIds.length} ${entityType} record(s) into ${entityType} ${survivorId}`,
+          mergedIds,
+          fieldWinners,
+          survivorBefore: survivor,
+          survivorAfter: updateResult.rows[0],
+          mergedRecords: merged,
+          repointed
+        },
+        audit.ipAddress || null,
+        audit.userAgent || null
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    return { record: updateResult.rows[0], repointed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Merges contacts into a surviving contact, re-pointing their deals and activities
+ *
+ * @param {Object} params
+ * @param {number} params.survivorId - Contact that remains
+ * @param {Array<number>} params.mergedIds - Contacts merged into the survivor
+ * @param {Object} [params.fieldWinners] - Map of field name to the contact id whose value wins
+ * @param {Object} [params.audit] - { userId, ipAddress, userAgent } for the audit entry
+ * @returns {Promise<Object>} { contact, repointed }
+ */
+const mergeContacts = async ({ survivorId, mergedIds, fieldWinners = {}, audit = {} }) => {
+  const { record, repointed } = await mergeRecords({
+    entityType: 'contact',
+    table: 'contacts',
+    fields: CONTACT_MERGE_FIELDS,
+    references: [
+      { table: 'deals', column: 'contact_id', touchUpdatedAt: true },
+      { table: 'activities', column: 'contact_id' }
+    ],
+    survivorId,
+    mergedIds,
+    fieldWinners,
+    audit
+  });
+
+  return { contact: record, repointed };
+};
+
+/**
+ * Merges companies into a surviving company, re-parenting their contacts,
+ * deals and activities. A field winner for "address" applies to the whole
+ * address block unless individual address fields are also given.
+ *
+ * @param {Object} params
+ * @param {number} params.survivorId - Company that remains
+ * @param {Array<number>} params.mergedIds - Companies merged into the survivor
+ * @param {Object} [params.fieldWinners] - Map of field name to the company id whose value wins
+ * @param {Object} [params.audit] - { userId, ipAddress, userAgent } for the audit entry
+ * @returns {Promise<Object>} { company, repointed }
+ */
+const mergeCompanies = async ({ survivorId, mergedIds, fieldWinners = {}, audit = {} }) => {
+  const winners = { ...fieldWinners };
+  if (winners.address !== undefined) {
+    COMPANY_ADDRESS_FIELDS.forEach(field => {
+      if (winners[field] === undefined) winners[field] = winners.address;
+    });
+  }
+
+  const { record, repointed } = await mergeRecords({
+    entityType: 'company',
+    table: 'companies',
+    fields: COMPANY_MERGE_FIELDS,
+    references: [
+      { table: 'contacts', column: 'company_id', touchUpdatedAt: true },
+      { table: 'deals', column: 'company_id', touchUpdatedAt: true },
+      { table: 'activities', column: 'company_id' }
+    ],
+    survivorId,
+    mergedIds,
+    fieldWinners: winners,
+    audit
+  });
+
+  return { company: record, repointed };
+};
+
+module.exports = {
+  CONTACT_MERGE_FIELDS,
+  COMPANY_MERGE_FIELDS,
+  findContactDuplicates,
+  scanContactDuplicates,
+  getContactDuplicateGroups,
+  mergeContacts,
+  mergeCompanies
+};
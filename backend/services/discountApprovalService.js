@@ -0,0 +1,346 @@
+/**
+ * Discount Approval Service
+ *
+ * A line item's discount is measured against its list price (the price book
+ * or catalog price when it was added). When a deal's largest discount goes
+ * above the tenant's threshold, the deal gets a pending approval that a
+ * manager approves or rejects; the deal cannot be closed won until then.
+ * An approval covers discounts up to the approved percentage. Bringing
+ * every discount back under the threshold cancels a pending request.
+ */
+const Joi = require('joi');
+const db = require('../db');
+const auditService = require('./auditService');
+
+const DEFAULT_DISCOUNT_THRESHOLD = 20;
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+
+const policySchema = Joi.object({
+  threshold_percent: Joi.number().min(0).max(100).precision(2).required()
+});
+
+const listSchema = Joi.object({
+  status: Joi.string().valid(...APPROVAL_STATUSES),
+  deal_id: Joi.number().integer().positive(),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const decisionSchema = Joi.object({
+  comment: Joi.string().trim().max(2000).allow('')
+});
+
+const APPROVAL_SELECT = `
+  SELECT
+    da.*,
+    d.title as deal_title,
+    d.value as deal_value,
+    d.assigned_user_id,
+    r.first_name || ' ' || r.last_name as requested_by_name,
+    m.first_name || ' ' || m.last_name as decided_by_name
+  FROM discount_approvals da
+  JOIN deals d ON d.id = da.deal_id
+  LEFT JOIN users r ON r.id = da.requested_by
+  LEFT JOIN users m ON m.id = da.decided_by
+`;
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found', 'conflict' or 'forbidden'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const approvalError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates input against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Raw input
+ * @returns {Object} Validated values
+ */
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw approvalError('validation', error.details[0].message);
+  }
+  return value;
+};
+
+/**
+ * Converts percentages and amounts to numbers
+ *
+ * @param {Object} row - discount_approvals row
+ * @returns {Object}
+ */
+const toApproval = (row) => ({
+  ...row,
+  max_discount_percent: parseFloat(row.max_discount_percent),
+  threshold_percent: parseFloat(row.threshold_percent),
+  deal_value: parseFloat(row.deal_value || 0)
+});
+
+/**
+ * Discount above which a deal needs approval
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [client] - Database client, defaults to the pool
+ * @returns {Promise<Object>} { threshold_percent, is_default }
+ */
+const getPolicy = async (tenantId, client = db) => {
+  const result = await client.query(
+    'SELECT threshold_percent, updated_by, updated_at FROM discount_policies WHERE tenant_id IS NOT DISTINCT FROM $1',
+    [tenantId]
+  );
+  if (result.rows.length === 0) {
+    return { threshold_percent: DEFAULT_DISCOUNT_THRESHOLD, is_default: true };
+  }
+  return { ...result.rows[0], threshold_percent: parseFloat(result.rows[0].threshold_percent), is_default: false };
+};
+
+/**
+ * Set the tenant's approval threshold. Applies to line item changes made
+ * afterwards.
+ *
+ * @param {Object} data - { threshold_percent }
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { threshold_percent, is_default }
+ */
+const setPolicy = async (data, user, tenantId) => {
+  const value = validate(policySchema, data);
+
+  await db.query(`
+    INSERT INTO discount_policies (tenant_id, threshold_percent, updated_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (COALESCE(tenant_id, 0))
+    DO UPDATE SET threshold_percent = EXCLUDED.threshold_percent, updated_by = EXCLUDED.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `, [tenantId, value.threshold_percent, user.id]);
+
+  return getPolicy(tenantId);
+};
+
+/**
+ * Re-evaluates a deal after its line items changed. Called inside the line
+ * item transaction with the deal locked.
+ *
+ * @param {Object} client - Database client inside the transaction
+ * @param {number} dealId - Deal ID
+ * @param {Object} context
+ * @param {number} [context.userId] - User who changed the line items
+ * @param {number|null} [context.tenantId] - Tenant whose threshold applies
+ * @returns {Promise<string|null>} The deal's discount_approval_status
+ */
+const evaluateDeal = async (client, dealId, { userId = null, tenantId = null } = {}) => {
+  const { threshold_percent: threshold } = await getPolicy(tenantId, client);
+
+  const discount = await client.query(
+    'SELECT COALESCE(MAX(discount_percent), 0) as max_discount FROM deal_products WHERE deal_id = $1',
+    [dealId]
+  );
+  const maxDiscount = parseFloat(discount.rows[0].max_discount);
+
+  const latest = await client.query(`
+    SELECT * FROM discount_approvals
+    WHERE deal_id = $1 AND status <> 'cancelled'
+    ORDER BY requested_at DESC, id DESC
+    LIMIT 1
+  `, [dealId]);
+  const current = latest.rows[0];
+
+  let status;
+  if (maxDiscount <= threshold) {
+    if (current && current.status === 'pending') {
+      await client.query(`
+        UPDATE discount_approvals
+        SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP, comment = 'Discount back within threshold'
+        WHERE id = $1
+      `, [current.id]);
+    }
+    status = null;
+  } else if (current && current.status === 'approved' && parseFloat(current.max_discount_percent) >= maxDiscount) {
+    status = 'approved';
+  } else if (current && current.status === 'pending') {
+    await client.query(
+      'UPDATE discount_approvals SET max_discount_percent = $1, threshold_percent = $2 WHERE id = $3',
+      [maxDiscount, threshold, current.id]
+    );
+    status = 'pending';
+  } else {
+    await client.query(`
+      INSERT INTO discount_approvals (tenant_id, deal_id, max_discount_percent, threshold_percent, requested_by)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [tenantId, dealId, maxDiscount, threshold, userId]);
+    status = 'pending';
+  }
+
+  await client.query('UPDATE deals SET discount_approval_status = $1 WHERE id = $2', [status, dealId]);
+  return status;
+};
+
+/**
+ * List a tenant's approval requests, newest first
+ *
+ * @param {Object} query - { status, deal_id, limit }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>}
+ */
+const listApprovals = async (query, tenantId) => {
+  const filters = validate(listSchema, query);
+
+  const params = [tenantId];
+  const conditions = ['da.tenant_id IS NOT DISTINCT FROM $1'];
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`da.status = $${params.length}`);
+  }
+  if (filters.deal_id) {
+    params.push(filters.deal_id);
+    conditions.push(`da.deal_id = $${params.length}`);
+  }
+
+  params.push(filters.limit);
+  const result = await db.query(`
+    ${APPROVAL_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY da.requested_at DESC, da.id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(toApproval);
+};
+
+/**
+ * Get one of a tenant's approval requests with the deal's line items
+ *
+ * @param {number} approvalId - Approval ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>}
+ */
+const getApproval = async (approvalId, tenantId) => {
+  const result = await db.query(
+    `${APPROVAL_SELECT} WHERE da.id = $1 AND da.tenant_id IS NOT DISTINCT FROM $2`,
+    [approvalId, tenantId]
+  );
+  if (result.rows.length === 0) {
+    throw approvalError('not_found', 'Discount approval not found');
+  }
+
+  const lineItems = await db.query(`
+    SELECT dp.id, dp.product_id, p.name as product_name, dp.quantity,
+      dp.list_price, dp.unit_price, dp.discount_percent, dp.total_price
+    FROM deal_products dp
+    JOIN products p ON p.id = dp.product_id
+    WHERE dp.deal_id = $1
+    ORDER BY dp.discount_percent DESC, dp.id
+  `, [result.rows[0].deal_id]);
+
+  return {
+    ...toApproval(result.rows[0]),
+    line_items: lineItems.rows.map(row => ({
+      ...row,
+      list_price: row.list_price === null ? null : parseFloat(row.list_price),
+      unit_price: parseFloat(row.unit_price),
+      discount_percent: parseFloat(row.discount_percent),
+      total_price: parseFloat(row.total_price)
+    }))
+  };
+};
+
+/**
+ * Approve or reject a pending request and record the decision in the
+ * audit log. Managers cannot decide on their own requests.
+ *
+ * @param {number} approvalId - Approval ID
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {Object} data - { comment }
+ * @param {Object} user - Authenticated manager or admin
+ * @param {Object} context
+ * @param {number|null} [context.tenantId] - Tenant ID
+ * @param {string} [context.ipAddress] - Client IP for the audit log
+ * @param {string} [context.userAgent] - Client user agent for the audit log
+ * @returns {Promise<Object>} The decided approval
+ */
+const decide = async (approvalId, decision, data, user, { tenantId = null, ipAddress = null, userAgent = null } = {}) => {
+  const status = DECISIONS[decision];
+  if (!status) {
+    throw approvalError('validation', 'Decision must be approve or reject');
+  }
+  const { comment } = validate(decisionSchema, data);
+
+  const client = await db.connect();
+  let approval;
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM discount_approvals WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 FOR UPDATE',
+      [approvalId, tenantId]
+    );
+    approval = result.rows[0];
+    if (!approval) {
+      throw approvalError('not_found', 'Discount approval not found');
+    }
+    if (approval.status !== 'pending') {
+      throw approvalError('conflict', `Discount approval is already ${approval.status}`);
+    }
+    if (approval.requested_by === user.id && user.role !== 'admin') {
+      throw approvalError('forbidden', 'You cannot decide on your own discount request');
+    }
+
+    await client.query(`
+      UPDATE discount_approvals
+      SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP, comment = $3
+      WHERE id = $4
+    `, [status, user.id, comment || null, approval.id]);
+
+    await client.query(
+      'UPDATE deals SET discount_approval_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [status, approval.deal_id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditService.createLog({
+    userId: user.id,
+    action: decision === 'approve' ? 'APPROVE' : 'REJECT',
+    entityType: 'deal',
+    entityId: approval.deal_id,
+    details: {
+      operation: 'discount_approval',
+      approvalId: approval.id,
+      decision: status,
+      maxDiscountPercent: parseFloat(approval.max_discount_percent),
+      thresholdPercent: parseFloat(approval.threshold_percent),
+      requestedBy: approval.requested_by,
+      comment: comment || null
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return getApproval(approval.id, tenantId);
+};
+
+module.exports = {
+  DEFAULT_DISCOUNT_THRESHOLD,
+  getPolicy,
+  setPolicy,
+  evaluateDeal,
+  listApprovals,
+  getApproval,
+  decide
+};
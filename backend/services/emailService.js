@@ -0,0 +1,70 @@
+/**
+ * Email Service
+ *
+ * Sends outgoing mail through SMTP (nodemailer). Without SMTP_HOST the
+ * messages are only rendered and logged, which keeps development and test
+ * environments from sending real email.
+ */
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+let transporter = null;
+
+/**
+ * Lazily create the shared transport from environment settings
+ *
+ * @returns {Object} nodemailer transport
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  } else {
+    logger.warn('SMTP_HOST is not set; emails will be logged instead of sent');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email
+ *
+ * @param {Object} message
+ * @param {string|Array<string>} message.to - Recipient address(es)
+ * @param {string} message.subject - Subject line
+ * @param {string} [message.text] - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {Array<Object>} [message.attachments] - nodemailer attachments ({ filename, path | content })
+ * @returns {Promise<Object>} { messageId, accepted, rejected }
+ */
+const sendEmail = async ({ to, subject, text, html, attachments = [] }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'SalesBase <no-reply@salesbase.local>',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  logger.info(`Email "${subject}" sent to ${[].concat(to).join(', ')}`);
+
+  return {
+    messageId: info.messageId,
+    accepted: info.accepted || [].concat(to),
+    rejected: info.rejected || []
+  };
+};
+
+module.exports = {
+  sendEmail
+};
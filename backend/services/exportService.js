@@ -0,0 +1,318 @@
+/**
+ * Export Service
+ *
+ * Streams CRM records as CSV, XLSX or newline-delimited JSON. Records are
+ * read in keyset-paginated batches and written as they arrive, so large
+ * exports never sit in memory. Filters are the same ones the list
+ * endpoints accept (see utils/listFilters.js).
+ */
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+const db = require('../db');
+const auditService = require('./auditService');
+const {
+  buildCompanyFilters,
+  buildContactFilters,
+  buildDealFilters,
+  buildActivityFilters,
+  buildProductFilters
+} = require('../utils/listFilters');
+
+const BATCH_SIZE = 1000;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Exportable entities. Every column has an output key, a spreadsheet header
+ * and its SQL expression; numeric columns are emitted as numbers.
+ */
+const EXPORT_ENTITIES = {
+  contacts: {
+    alias: 'c',
+    from: `contacts c
+      LEFT JOIN companies comp ON c.company_id = comp.id`,
+    buildFilters: buildContactFilters,
+    columns: [
+      { key: 'id', header: 'ID', sql: 'c.id' },
+      { key: 'first_name', header: 'First Name', sql: 'c.first_name' },
+      { key: 'last_name', header: 'Last Name', sql: 'c.last_name' },
+      { key: 'email', header: 'Email', sql: 'c.email' },
+      { key: 'phone', header: 'Phone', sql: 'c.phone' },
+      { key: 'job_title', header: 'Job Title', sql: 'c.job_title' },
+      { key: 'department', header: 'Department', sql: 'c.department' },
+      { key: 'is_primary', header: 'Primary Contact', sql: 'c.is_primary' },
+      { key: 'company_id', header: 'Company ID', sql: 'c.company_id' },
+      { key: 'company_name', header: 'Company', sql: 'comp.name' },
+      { key: 'created_at', header: 'Created At', sql: 'c.created_at' },
+      { key: 'updated_at', header: 'Updated At', sql: 'c.updated_at' }
+    ]
+  },
+  companies: {
+    alias: 'c',
+    from: 'companies c',
+    buildFilters: buildCompanyFilters,
+    columns: [
+      { key: 'id', header: 'ID', sql: 'c.id' },
+      { key: 'name', header: 'Name', sql: 'c.name' },
+      { key: 'industry', header: 'Industry', sql: 'c.industry' },
+      { key: 'website', header: 'Website', sql: 'c.website' },
+      { key: 'phone', header: 'Phone', sql: 'c.phone' },
+      { key: 'address', header: 'Address', sql: 'c.address' },
+      { key: 'city', header: 'City', sql: 'c.city' },
+      { key: 'state', header: 'State', sql: 'c.state' },
+      { key: 'country', header: 'Country', sql: 'c.country' },
+      { key: 'postal_code', header: 'Postal Code', sql: 'c.postal_code' },
+      { key: 'annual_revenue', header: 'Annual Revenue', sql: 'c.annual_revenue', numeric: true },
+      { key: 'employee_count', header: 'Employees', sql: 'c.employee_count' },
+      { key: 'created_at', header: 'Created At', sql: 'c.created_at' },
+      { key: 'updated_at', header: 'Updated At', sql: 'c.updated_at' }
+    ]
+  },
+  deals: {
+    alias: 'd',
+    from: `deals d
+      LEFT JOIN companies comp ON d.company_id = comp.id
+      LEFT JOIN contacts ct ON d.contact_id = ct.id
+      LEFT JOIN pipeline_stages ps ON d.pipeline_stage_id = ps.id
+      LEFT JOIN users u ON d.assigned_user_id = u.id`,
+    buildFilters: buildDealFilters,
+    columns: [
+      { key: 'id', header: 'ID', sql: 'd.id' },
+      { key: 'title', header: 'Title', sql: 'd.title' },
+      { key: 'company_name', header: 'Company', sql: 'comp.name' },
+      { key: 'contact_name', header: 'Contact', sql: "CONCAT(ct.first_name, ' ', ct.last_name)" },
+      { key: 'pipeline_stage', header: 'Stage', sql: 'ps.name' },
+      { key: 'status', header: 'Status', sql: 'd.status' },
+      { key: 'value', header: 'Value', sql: 'd.value', numeric: true },
+      { key: 'currency', header: 'Currency', sql: 'd.currency' },
+      { key: 'probability', header: 'Probability', sql: 'd.probability' },
+      { key: 'expected_close_date', header: 'Expected Close Date', sql: "TO_CHAR(d.expected_close_date, 'YYYY-MM-DD')" },
+      { key: 'owner_name', header: 'Owner', sql: "CONCAT(u.first_name, ' ', u.last_name)" },
+      { key: 'description', header: 'Description', sql: 'd.description' },
+      { key: 'created_at', header: 'Created At', sql: 'd.created_at' },
+      { key: 'updated_at', header: 'Updated At', sql: 'd.updated_at' }
+    ]
+  },
+  activities: {
+    alias: 'a',
+    from: `activities a
+      LEFT JOIN companies comp ON a.company_id = comp.id
+      LEFT JOIN contacts ct ON a.contact_id = ct.id
+      LEFT JOIN deals d ON a.deal_id = d.id
+      LEFT JOIN users u ON a.user_id = u.id`,
+    buildFilters: buildActivityFilters,
+    columns: [
+      { key: 'id', header: 'ID', sql: 'a.id' },
+      { key: 'type', header: 'Type', sql: 'a.type' },
+      { key: 'subject', header: 'Subject', sql: 'a.subject' },
+      { key: 'description', header: 'Description', sql: 'a.description' },
+      { key: 'status', header: 'Status', sql: 'a.status' },
+      { key: 'due_date', header: 'Due Date', sql: 'a.due_date' },
+      { key: 'completed_at', header: 'Completed At', sql: 'a.completed_at' },
+      { key: 'company_name', header: 'Company', sql: 'comp.name' },
+      { key: 'contact_name', header: 'Contact', sql: "CONCAT(ct.first_name, ' ', ct.last_name)" },
+      { key: 'deal_title', header: 'Deal', sql: 'd.title' },
+      { key: 'owner_name', header: 'Owner', sql: "CONCAT(u.first_name, ' ', u.last_name)" },
+      { key: 'created_at', header: 'Created At', sql: 'a.created_at' }
+    ]
+  },
+  products: {
+    alias: 'p',
+    from: 'products p',
+    buildFilters: buildProductFilters,
+    columns: [
+      { key: 'id', header: 'ID', sql: 'p.id' },
+      { key: 'name', header: 'Name', sql: 'p.name' },
+      { key: 'description', header: 'Description', sql: 'p.description' },
+      { key: 'category', header: 'Category', sql: 'p.category' },
+      { key: 'unit_price', header: 'Unit Price', sql: 'p.unit_price', numeric: true },
+      { key: 'is_active', header: 'Active', sql: 'p.is_active' },
+      { key: 'created_at', header: 'Created At', sql: 'p.created_at' }
+    ]
+  }
+};
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.type = 'validation';
+  return error;
+};
+
+/**
+ * Checks the requested entity and format before any output is written
+ *
+ * @param {string} entityType - Entity to export
+ * @param {string} format - 'csv', 'xlsx' or 'ndjson'
+ * @returns {Object} { entity, format } definitions
+ */
+const resolveExport = (entityType, format) => {
+  const entity = EXPORT_ENTITIES[entityType];
+  if (!entity) {
+    throw validationError(`Entity must be one of: ${Object.keys(EXPORT_ENTITIES).join(', ')}`);
+  }
+  if (!EXPORT_FORMATS[format]) {
+    throw validationError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return { entity, format: EXPORT_FORMATS[format] };
+};
+
+/**
+ * Reads matching records in id order, one batch at a time
+ *
+ * @param {Object} entity - Entity definition
+ * @param {Object} filters - { whereClause, params } from the entity's filter builder
+ * @yields {Array<Object>} Batches of rows keyed by column key
+ */
+async function* readBatches(entity, { whereClause, params }) {
+  const idColumn = `${entity.alias}.id`;
+  const afterParam = params.length + 1;
+  const keysetClause = whereClause
+    ? `${whereClause} AND ${idColumn} > $${afterParam}`
+    : `WHERE ${idColumn} > $${afterParam}`;
+
+  const sql = `
+    SELECT ${entity.columns.map(column => `${column.sql} as ${column.key}`).join(',\n      ')}
+    FROM ${entity.from}
+    ${keysetClause}
+    ORDER BY ${idColumn}
+    LIMIT $${afterParam + 1}
+  `;
+
+  let lastId = 0;
+  while (true) {
+    const result = await db.query(sql, [...params, lastId, BATCH_SIZE]);
+    if (result.rows.length === 0) return;
+
+    yield result.rows.map(row => {
+      entity.columns.forEach(column => {
+        if (column.numeric && row[column.key] !== null) row[column.key] = parseFloat(row[column.key]);
+      });
+      return row;
+    });
+
+    if (result.rows.length < BATCH_SIZE) return;
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+/**
+ * Writes to a stream, waiting for it to drain when its buffer is full
+ *
+ * @param {Object} output - Writable stream
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const write = (output, chunk) => new Promise((resolve, reject) => {
+  if (output.destroyed) {
+    return reject(new Error('Export stream closed'));
+  }
+  if (output.write(chunk)) {
+    return resolve();
+  }
+
+  const onDrain = () => {
+    output.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    output.off('drain', onDrain);
+    reject(new Error('Export stream closed'));
+  };
+  output.once('drain', onDrain);
+  output.once('close', onClose);
+});
+
+const writers = {
+  csv: async (entity, batches, output) => {
+    const fields = entity.columns.map(column => ({ label: column.header, value: column.key }));
+    let count = 0;
+
+    for await (const rows of batches) {
+      const parser = new Parser({ fields, header: count === 0 });
+      await write(output, (count === 0 ? '' : '\n') + parser.parse(rows));
+      count += rows.length;
+    }
+
+    // Header only when nothing matched
+    if (count === 0) {
+      await write(output, new Parser({ fields }).parse([]));
+    }
+    output.end();
+    return count;
+  },
+
+  xlsx: async (entity, batches, output) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const worksheet = workbook.addWorksheet('Export');
+    worksheet.columns = entity.columns.map(column => ({ header: column.header, key: column.key, width: 20 }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    let count = 0;
+    for await (const rows of batches) {
+      rows.forEach(row => worksheet.addRow(row).commit());
+      count += rows.length;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  },
+
+  ndjson: async (entity, batches, output) => {
+    let count = 0;
+    for await (const rows of batches) {
+      await write(output, rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+      count += rows.length;
+    }
+    output.end();
+    return count;
+  }
+};
+
+/**
+ * Streams an export as a file download
+ *
+ * @param {Object} req - Express request; filters are read from req.query
+ * @param {Object} res - Express response
+ * @param {string} entityType - Entity to export
+ * @returns {Promise<void>}
+ */
+const sendExport = async (req, res, entityType) => {
+  const formatName = String(req.query.format || 'csv').toLowerCase();
+  const { entity, format } = resolveExport(entityType, formatName);
+  // Malformed filters fail here, before any header is set
+  const filters = entity.buildFilters(req.query, req.user);
+
+  const fileName = `${entityType}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  const count = await writers[formatName](entity, readBatches(entity, filters), res);
+
+  await auditService.createLog({
+    userId: req.user.id,
+    action: 'EXPORT',
+    entityType,
+    details: { format: formatName, count, filters: req.query },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+module.exports = {
+  EXPORT_ENTITIES,
+  EXPORT_FORMATS,
+  resolveExport,
+  sendExport
+};
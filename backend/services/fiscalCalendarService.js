@@ -0,0 +1,511 @@
+/**
+ * Fiscal Calendar Service
+ *
+ * Tenant fiscal calendars and the date buckets reporting is grouped by.
+ * A calendar is either 'monthly' (calendar months, with the fiscal year
+ * starting in start_month) or 'custom' (an explicit table of periods, e.g.
+ * 4-4-5 week quarters). Day and week buckets always follow the calendar;
+ * month, quarter and year buckets follow the fiscal calendar and are
+ * labelled FY2027 P01, FY2027 Q1 and FY2027.
+ */
+const moment = require('moment');
+const Joi = require('joi');
+const db = require('../db');
+
+const CALENDAR_TYPES = ['monthly', 'custom'];
+const BUCKET_GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Weeks per period within each quarter
+const WEEK_PATTERNS = {
+  '4-4-5': [4, 4, 5],
+  '4-5-4': [4, 5, 4],
+  '5-4-4': [5, 4, 4]
+};
+
+// Shortest and longest possible buckets, used to bound the dates searched
+// (months run from 28 days to 5 week periods, years up to 53 weeks)
+const MIN_BUCKET_DAYS = { day: 1, week: 7, month: 28, quarter: 84, year: 364 };
+const MAX_BUCKET_DAYS = { day: 1, week: 7, month: 35, quarter: 98, year: 371 };
+
+const DEFAULT_CALENDAR = {
+  id: null,
+  calendar_type: 'monthly',
+  start_month: 1,
+  year_label: 'end',
+  periods: []
+};
+
+const periodSchema = Joi.object({
+  fiscal_year: Joi.number().integer().min(1900).max(2200).required(),
+  fiscal_quarter: Joi.number().integer().min(1).max(4),
+  period_number: Joi.number().integer().min(1).max(13).required(),
+  start_date: Joi.date().iso().required(),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')).required()
+});
+
+const patternYearSchema = Joi.object({
+  fiscal_year: Joi.number().integer().min(1900).max(2200).required(),
+  start_date: Joi.date().iso().required(),
+  pattern: Joi.string().valid(...Object.keys(WEEK_PATTERNS)).default('4-4-5'),
+  weeks: Joi.number().valid(52, 53).default(52)
+});
+
+const calendarSchema = Joi.object({
+  calendar_type: Joi.string().valid(...CALENDAR_TYPES).required(),
+  start_month: Joi.number().integer().min(1).max(12).default(1),
+  year_label: Joi.string().valid('start', 'end').default('end'),
+  periods: Joi.array().items(periodSchema).max(1300),
+  years: Joi.array().items(patternYearSchema).max(100)
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const fiscalError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+const toDate = (value) => moment.utc(value).format('YYYY-MM-DD');
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Builds the twelve periods of a 52 or 53 week year from a week pattern.
+ * The extra week of a 53 week year goes into the last period.
+ *
+ * @param {Object} year - { fiscal_year, start_date, pattern, weeks }
+ * @returns {Array<Object>} Periods
+ */
+const generatePatternPeriods = ({ fiscal_year, start_date, pattern, weeks }) => {
+  const periods = [];
+  let cursor = moment.utc(start_date);
+
+  for (let quarter = 1; quarter <= 4; quarter++) {
+    WEEK_PATTERNS[pattern].forEach((periodWeeks, index) => {
+      const periodNumber = (quarter - 1) * 3 + index + 1;
+      const days = (periodWeeks + (weeks === 53 && periodNumber === 12 ? 1 : 0)) * 7;
+      periods.push({
+        fiscal_year,
+        fiscal_quarter: quarter,
+        period_number: periodNumber,
+        start_date: cursor.format('YYYY-MM-DD'),
+        end_date: cursor.clone().add(days - 1, 'days').format('YYYY-MM-DD')
+      });
+      cursor = cursor.clone().add(days, 'days');
+    });
+  }
+
+  return periods;
+};
+
+/**
+ * Sorts custom periods and checks they run back to back without gaps or
+ * overlaps. Quarters may be left out for twelve period years.
+ *
+ * @param {Array<Object>} periods - Validated periods
+ * @returns {Array<Object>} Periods sorted by start date, with dates as YYYY-MM-DD
+ */
+const preparePeriods = (periods) => {
+  const sorted = periods
+    .map(period => ({ ...period, start_date: toDate(period.start_date), end_date: toDate(period.end_date) }))
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+  const perYear = {};
+  const seen = new Set();
+  sorted.forEach(period => {
+    perYear[period.fiscal_year] = (perYear[period.fiscal_year] || 0) + 1;
+    const key = `${period.fiscal_year}-${period.period_number}`;
+    if (seen.has(key)) {
+      throw fiscalError('validation', `FY${period.fiscal_year} period ${period.period_number} is defined more than once`);
+    }
+    seen.add(key);
+  });
+
+  sorted.forEach((period, index) => {
+    if (!period.fiscal_quarter) {
+      if (perYear[period.fiscal_year] !== 12) {
+        throw fiscalError('validation', `fiscal_quarter is required for FY${period.fiscal_year}, which does not have 12 periods`);
+      }
+      period.fiscal_quarter = Math.ceil(period.period_number / 3);
+    }
+
+    const previous = sorted[index - 1];
+    if (previous && moment.utc(previous.end_date).add(1, 'day').format('YYYY-MM-DD') !== period.start_date) {
+      throw fiscalError('validation', `Fiscal periods must be contiguous: FY${previous.fiscal_year} P${pad(previous.period_number)} ends ${previous.end_date} but the next period starts ${period.start_date}`);
+    }
+  });
+
+  return sorted;
+};
+
+/**
+ * Get a tenant's fiscal calendar, or the calendar-year default
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { id, calendar_type, start_month, year_label, periods }
+ */
+const getCalendar = async (tenantId) => {
+  const result = await db.query(
+    'SELECT * FROM fiscal_calendars WHERE tenant_id IS NOT DISTINCT FROM $1',
+    [tenantId]
+  );
+  const calendar = result.rows[0];
+  if (!calendar) return { ...DEFAULT_CALENDAR, tenant_id: tenantId };
+
+  let periods = [];
+  if (calendar.calendar_type === 'custom') {
+    const periodsResult = await db.query(`
+      SELECT
+        fiscal_year,
+        fiscal_quarter,
+        period_number,
+        TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+        TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+      FROM fiscal_periods
+      WHERE calendar_id = $1
+      ORDER BY start_date
+    `, [calendar.id]);
+    periods = periodsResult.rows;
+  }
+
+  return { ...calendar, periods };
+};
+
+/**
+ * Create or replace a tenant's fiscal calendar. Custom calendars take an
+ * explicit period table, or years generated from a week pattern, or both.
+ *
+ * @param {Object} data - { calendar_type, start_month, year_label, periods, years }
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Saved calendar with its periods
+ */
+const saveCalendar = async (data, user, tenantId) => {
+  const { error, value } = calendarSchema.validate(data, { stripUnknown: true });
+  if (error) {
+    throw fiscalError('validation', error.details[0].message);
+  }
+
+  let periods = [];
+  if (value.calendar_type === 'custom') {
+    const generated = (value.years || []).flatMap(generatePatternPeriods);
+    periods = preparePeriods([...(value.periods || []), ...generated]);
+    if (periods.length === 0) {
+      throw fiscalError('validation', 'Custom fiscal calendars need periods or years');
+    }
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id FROM fiscal_calendars WHERE tenant_id IS NOT DISTINCT FROM $1 FOR UPDATE',
+      [tenantId]
+    );
+
+    let calendarId;
+    if (existing.rows.length > 0) {
+      calendarId = existing.rows[0].id;
+      await client.query(`
+        UPDATE fiscal_calendars
+        SET calendar_type = $1, start_month = $2, year_label = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+      `, [value.calendar_type, value.start_month, value.year_label, user.id, calendarId]);
+      await client.query('DELETE FROM fiscal_periods WHERE calendar_id = $1', [calendarId]);
+    } else {
+      const inserted = await client.query(`
+        INSERT INTO fiscal_calendars (tenant_id, calendar_type, start_month, year_label, updated_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [tenantId, value.calendar_type, value.start_month, value.year_label, user.id]);
+      calendarId = inserted.rows[0].id;
+    }
+
+    if (periods.length > 0) {
+      await client.query(`
+        INSERT INTO fiscal_periods (calendar_id, fiscal_year, fiscal_quarter, period_number, start_date, end_date)
+        SELECT $1, * FROM unnest($2::int[], $3::int[], $4::int[], $5::date[], $6::date[])
+      `, [
+        calendarId,
+        periods.map(period => period.fiscal_year),
+        periods.map(period => period.fiscal_quarter),
+        periods.map(period => period.period_number),
+        periods.map(period => period.start_date),
+        periods.map(period => period.end_date)
+      ]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getCalendar(tenantId);
+};
+
+/**
+ * Fiscal periods of a monthly calendar overlapping a date range
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {Object} start - moment (UTC)
+ * @param {Object} end - moment (UTC)
+ * @returns {Array<Object>} Periods
+ */
+const monthlyPeriods = (calendar, start, end) => {
+  const periods = [];
+  const cursor = start.clone().startOf('month');
+
+  while (!cursor.isAfter(end)) {
+    const month = cursor.month() + 1;
+    const startYear = month >= calendar.start_month ? cursor.year() : cursor.year() - 1;
+    const periodNumber = ((month - calendar.start_month + 12) % 12) + 1;
+
+    periods.push({
+      fiscal_year: calendar.start_month !== 1 && calendar.year_label === 'end' ? startYear + 1 : startYear,
+      fiscal_quarter: Math.ceil(periodNumber / 3),
+      period_number: periodNumber,
+      start_date: cursor.format('YYYY-MM-DD'),
+      end_date: cursor.clone().endOf('month').format('YYYY-MM-DD')
+    });
+    cursor.add(1, 'month');
+  }
+
+  return periods;
+};
+
+/**
+ * Fiscal periods overlapping a date range
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {Object} start - moment (UTC)
+ * @param {Object} end - moment (UTC)
+ * @param {boolean} strict - Throw when a custom calendar does not cover the whole range
+ * @returns {Array<Object>} Periods
+ */
+const fiscalPeriods = (calendar, start, end, strict) => {
+  if (calendar.calendar_type !== 'custom') {
+    return monthlyPeriods(calendar, start, end);
+  }
+
+  const startDate = start.format('YYYY-MM-DD');
+  const endDate = end.format('YYYY-MM-DD');
+  const periods = calendar.periods.filter(period => period.end_date >= startDate && period.start_date <= endDate);
+
+  if (strict) {
+    const uncovered = periods.length === 0
+      ? startDate
+      : (periods[0].start_date > startDate ? startDate : (periods[periods.length - 1].end_date < endDate ? endDate : null));
+    if (uncovered) {
+      throw fiscalError('validation', `The fiscal calendar has no period covering ${uncovered}`);
+    }
+  }
+
+  return periods;
+};
+
+/**
+ * Date buckets overlapping a range. Buckets keep their full fiscal bounds;
+ * callers clip them to the range where needed.
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {string} startDate - Range start (YYYY-MM-DD)
+ * @param {string} endDate - Range end (YYYY-MM-DD)
+ * @param {string} granularity - 'day', 'week', 'month', 'quarter' or 'year'
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Require a custom calendar to cover the range
+ * @param {number} [options.maxBuckets] - Reject ranges that would produce more buckets
+ * @returns {Array<Object>} [{ label, start_date, end_date, fiscal_year, fiscal_quarter, fiscal_period }]
+ */
+const getBuckets = (calendar, startDate, endDate, granularity, { strict = true, maxBuckets } = {}) => {
+  const start = moment.utc(startDate);
+  const end = moment.utc(endDate);
+
+  if (maxBuckets && end.diff(start, 'days') / MIN_BUCKET_DAYS[granularity] > maxBuckets) {
+    throw fiscalError('validation', `Date range is too long for ${granularity} buckets (max ${maxBuckets}); use a larger granularity`);
+  }
+
+  if (granularity === 'day' || granularity === 'week') {
+    const unit = granularity === 'week' ? 'isoWeek' : 'day';
+    const buckets = [];
+    const cursor = start.clone().startOf(unit);
+    while (!cursor.isAfter(end)) {
+      buckets.push({
+        label: cursor.format(granularity === 'week' ? 'GGGG-[W]WW' : 'YYYY-MM-DD'),
+        start_date: cursor.format('YYYY-MM-DD'),
+        end_date: cursor.clone().endOf(unit).format('YYYY-MM-DD'),
+        fiscal_year: null,
+        fiscal_quarter: null,
+        fiscal_period: null
+      });
+      cursor.add(1, granularity);
+    }
+    return buckets;
+  }
+
+  const periods = fiscalPeriods(calendar, start, end, strict);
+
+  if (granularity === 'month') {
+    return periods.map(period => ({
+      label: `FY${period.fiscal_year} P${pad(period.period_number)}`,
+      start_date: period.start_date,
+      end_date: period.end_date,
+      fiscal_year: period.fiscal_year,
+      fiscal_quarter: period.fiscal_quarter,
+      fiscal_period: period.period_number
+    }));
+  }
+
+  // Quarters and years span several periods; the first and last may lie
+  // partly outside the range, so widen to their full extent
+  const keyOf = (period) => (granularity === 'quarter'
+    ? `FY${period.fiscal_year} Q${period.fiscal_quarter}`
+    : `FY${period.fiscal_year}`);
+  const keys = new Set(periods.map(keyOf));
+  const widened = periods.length === 0 ? [] : fiscalPeriods(
+    calendar,
+    start.clone().subtract(MAX_BUCKET_DAYS[granularity], 'days'),
+    end.clone().add(MAX_BUCKET_DAYS[granularity], 'days'),
+    false
+  ).filter(period => keys.has(keyOf(period)));
+
+  const buckets = [];
+  widened.forEach(period => {
+    const label = keyOf(period);
+    const last = buckets[buckets.length - 1];
+    if (last && last.label === label) {
+      last.end_date = period.end_date;
+      return;
+    }
+    buckets.push({
+      label,
+      start_date: period.start_date,
+      end_date: period.end_date,
+      fiscal_year: period.fiscal_year,
+      fiscal_quarter: granularity === 'quarter' ? period.fiscal_quarter : null,
+      fiscal_period: null
+    });
+  });
+  return buckets;
+};
+
+/**
+ * The bucket containing a date
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {string|Object} date - Date (YYYY-MM-DD or moment)
+ * @param {string} granularity - Bucket granularity
+ * @returns {Object} Bucket
+ */
+const getBucketContaining = (calendar, date, granularity) => {
+  const day = toDate(date);
+  return getBuckets(calendar, day, day, granularity)[0];
+};
+
+/**
+ * The `count` buckets immediately before a date
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {string} date - First day after the buckets (YYYY-MM-DD)
+ * @param {string} granularity - Bucket granularity
+ * @param {number} count - Number of buckets
+ * @returns {Array<Object>} Buckets, oldest first
+ */
+const getBucketsBefore = (calendar, date, granularity, count) => {
+  const end = moment.utc(date).subtract(1, 'day');
+  const start = end.clone().subtract(MAX_BUCKET_DAYS[granularity] * count, 'days');
+
+  const buckets = getBuckets(calendar, start.format('YYYY-MM-DD'), end.format('YYYY-MM-DD'), granularity, { strict: false })
+    .filter(bucket => bucket.end_date <= end.format('YYYY-MM-DD'));
+  if (buckets.length < count) {
+    throw fiscalError('validation', `The fiscal calendar has no periods before ${date}`);
+  }
+  return buckets.slice(-count);
+};
+
+/**
+ * The `count` buckets starting with the one containing a date. Custom
+ * calendars may return fewer when their periods run out.
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {string} date - Date inside the first bucket (YYYY-MM-DD)
+ * @param {string} granularity - Bucket granularity
+ * @param {number} count - Number of buckets
+ * @returns {Array<Object>} Buckets, oldest first
+ */
+const getBucketsFrom = (calendar, date, granularity, count) => {
+  const start = moment.utc(date);
+  const end = start.clone().add(MAX_BUCKET_DAYS[granularity] * count, 'days');
+
+  return getBuckets(calendar, start.format('YYYY-MM-DD'), end.format('YYYY-MM-DD'), granularity, { strict: false })
+    .slice(0, count);
+};
+
+/**
+ * The same range one fiscal year earlier. Monthly calendars shift by a
+ * calendar year; custom calendars map each end to the same day offset in
+ * the same period of the previous fiscal year.
+ *
+ * @param {Object} calendar - Fiscal calendar
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @returns {Object} { start, end }
+ */
+const getPriorYearRange = (calendar, range) => {
+  if (calendar.calendar_type !== 'custom') {
+    return {
+      start: moment.utc(range.start).subtract(1, 'year').format('YYYY-MM-DD'),
+      end: moment.utc(range.end).subtract(1, 'year').format('YYYY-MM-DD')
+    };
+  }
+
+  const shift = (date) => {
+    const period = getBucketContaining(calendar, date, 'month');
+    const prior = calendar.periods.find(candidate => (
+      candidate.fiscal_year === period.fiscal_year - 1 && candidate.period_number === period.fiscal_period
+    ));
+    if (!prior) {
+      throw fiscalError('validation', `The fiscal calendar has no FY${period.fiscal_year - 1} P${pad(period.fiscal_period)} to compare with`);
+    }
+    const shifted = moment.utc(prior.start_date).add(moment.utc(date).diff(moment.utc(period.start_date), 'days'), 'days');
+    return moment.min(shifted, moment.utc(prior.end_date)).format('YYYY-MM-DD');
+  };
+
+  return { start: shift(range.start), end: shift(range.end) };
+};
+
+/**
+ * Appends a bucket table to a query's parameters. Join deals on
+ * d.expected_close_date BETWEEN b.start_date AND b.end_date, group by
+ * b.position and match rows back to buckets by position.
+ *
+ * @param {Array<Object>} buckets - Buckets from getBuckets
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} FROM item aliased b(start_date, end_date, position)
+ */
+const bucketTable = (buckets, params) => {
+  params.push(buckets.map(bucket => bucket.start_date), buckets.map(bucket => bucket.end_date));
+  return `unnest($${params.length - 1}::date[], $${params.length}::date[]) WITH ORDINALITY b(start_date, end_date, position)`;
+};
+
+module.exports = {
+  CALENDAR_TYPES,
+  BUCKET_GRANULARITIES,
+  WEEK_PATTERNS,
+  getCalendar,
+  saveCalendar,
+  generatePatternPeriods,
+  getBuckets,
+  getBucketContaining,
+  getBucketsBefore,
+  getBucketsFrom,
+  getPriorYearRange,
+  bucketTable
+};
@@ -0,0 +1,435 @@
+/**
+ * Forecast Service
+ *
+ * Weighted pipeline and revenue forecast by fiscal close period. Open deals
+ * are weighted by the deal's own probability or by its stage's probability,
+ * and grouped by the forecast category reps set on each deal (deals without
+ * one count as pipeline). Roll-ups compare each rep and team with quota.
+ * Amounts are in the tenant's reporting currency, with the original
+ * amounts per deal currency alongside.
+ */
+const moment = require('moment');
+const Joi = require('joi');
+const db = require('../db');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const teamService = require('./teamService');
+const quotaService = require('./quotaService');
+const currencyService = require('./currencyService');
+
+const FORECAST_CATEGORIES = ['commit', 'best_case', 'pipeline', 'omitted'];
+const PROBABILITY_SOURCES = ['stage', 'deal'];
+const GRANULARITIES = ['month', 'quarter', 'year'];
+
+// Probability of an open deal, falling back to the other source when unset
+const PROBABILITY = {
+  stage: 'COALESCE(ps.probability, d.probability, 0)',
+  deal: 'COALESCE(d.probability, ps.probability, 0)'
+};
+
+const forecastSchema = Joi.object({
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().when('start_date', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('start_date')).required()
+  }),
+  granularity: Joi.string().valid(...GRANULARITIES).default('quarter'),
+  periods: Joi.number().integer().min(1).max(24).default(4),
+  probability_source: Joi.string().valid(...PROBABILITY_SOURCES).default('stage'),
+  owner_id: Joi.number().integer().positive(),
+  team_id: Joi.number().integer().positive()
+});
+
+const rollupSchema = Joi.object({
+  date: Joi.date().iso(),
+  granularity: Joi.string().valid(...GRANULARITIES).default('quarter'),
+  probability_source: Joi.string().valid(...PROBABILITY_SOURCES).default('stage'),
+  team_id: Joi.number().integer().positive()
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'forbidden'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const forecastError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates a query against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} query - Raw query parameters
+ * @returns {Object} Validated values
+ */
+const validate = (schema, query) => {
+  const { error, value } = schema.validate(query || {}, { stripUnknown: true });
+  if (error) {
+    throw forecastError('validation', error.details[0].message);
+  }
+  return value;
+};
+
+/**
+ * Forecast aggregates over deals d joined to their stage ps
+ *
+ * @param {string} source - 'stage' or 'deal'
+ * @param {string} value - SQL expression for a deal's converted value
+ * @returns {string} SQL select list
+ */
+const forecastColumns = (source, value) => `
+  COUNT(d.id) FILTER (WHERE d.status = 'closed_won') as won_deals,
+  COUNT(d.id) FILTER (WHERE d.status = 'open') as open_deals,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status = 'closed_won'), 0) as closed_won_value,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status = 'open' AND d.forecast_category = 'commit'), 0) as commit_value,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status = 'open' AND d.forecast_category = 'best_case'), 0) as best_case_value,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status = 'open' AND COALESCE(d.forecast_category, 'pipeline') = 'pipeline'), 0) as pipeline_value,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status = 'open' AND d.forecast_category = 'omitted'), 0) as omitted_value,
+  COALESCE(SUM(${value} * ${PROBABILITY[source]} / 100.0)
+    FILTER (WHERE d.status = 'open' AND COALESCE(d.forecast_category, 'pipeline') <> 'omitted'), 0) as weighted_value
+`;
+
+/**
+ * Owner and team conditions on deals d
+ *
+ * @param {Object} filters - { owner_id, team_id }
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} SQL, each condition prefixed with AND
+ */
+const ownerConditions = (filters, params) => {
+  const conditions = [];
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    conditions.push(`d.assigned_user_id = $${params.length}`);
+  }
+  if (filters.team_id) {
+    params.push(filters.team_id);
+    conditions.push(`d.assigned_user_id IN (SELECT user_id FROM team_members WHERE team_id = $${params.length})`);
+  }
+  return conditions.map(condition => ` AND ${condition}`).join('');
+};
+
+const round = (value) => Number(parseFloat(value || 0).toFixed(2));
+
+/**
+ * Turns a row selected with forecastColumns into amounts and the three
+ * forecast calls: closed won plus commit, plus best case, or plus the
+ * weighted open pipeline
+ *
+ * @param {Object} [row] - Row, or nothing for an empty forecast
+ * @returns {Object}
+ */
+const toForecast = (row = {}) => {
+  const closedWon = round(row.closed_won_value);
+  const commit = round(row.commit_value);
+  const bestCase = round(row.best_case_value);
+  const weighted = round(row.weighted_value);
+
+  return {
+    won_deals: parseInt(row.won_deals || 0),
+    open_deals: parseInt(row.open_deals || 0),
+    closed_won: closedWon,
+    commit,
+    best_case: bestCase,
+    pipeline: round(row.pipeline_value),
+    omitted: round(row.omitted_value),
+    weighted_pipeline: weighted,
+    forecast: {
+      commit: round(closedWon + commit),
+      best_case: round(closedWon + commit + bestCase),
+      weighted: round(closedWon + weighted)
+    }
+  };
+};
+
+/**
+ * Adds forecasts together
+ *
+ * @param {Array<Object>} forecasts - Results of toForecast
+ * @returns {Object}
+ */
+const sumForecasts = (forecasts) => toForecast(forecasts.reduce((sum, forecast) => ({
+  won_deals: sum.won_deals + forecast.won_deals,
+  open_deals: sum.open_deals + forecast.open_deals,
+  closed_won_value: sum.closed_won_value + forecast.closed_won,
+  commit_value: sum.commit_value + forecast.commit,
+  best_case_value: sum.best_case_value + forecast.best_case,
+  pipeline_value: sum.pipeline_value + forecast.pipeline,
+  omitted_value: sum.omitted_value + forecast.omitted,
+  weighted_value: sum.weighted_value + forecast.weighted_pipeline
+}), {
+  won_deals: 0,
+  open_deals: 0,
+  closed_won_value: 0,
+  commit_value: 0,
+  best_case_value: 0,
+  pipeline_value: 0,
+  omitted_value: 0,
+  weighted_value: 0
+}));
+
+/**
+ * Closed won and each forecast call as a percentage of quota
+ *
+ * @param {Object} forecast - Result of toForecast
+ * @param {number|null} quota - Quota amount
+ * @returns {Object|null} { closed_won, commit, best_case, weighted }, null without a quota
+ */
+const toAttainment = (forecast, quota) => {
+  if (!quota) return null;
+  const percent = (value) => Number(((value / quota) * 100).toFixed(2));
+  return {
+    closed_won: percent(forecast.closed_won),
+    commit: percent(forecast.forecast.commit),
+    best_case: percent(forecast.forecast.best_case),
+    weighted: percent(forecast.forecast.weighted)
+  };
+};
+
+/**
+ * Forecast by fiscal close period. Without a start date the range covers
+ * `periods` buckets from the current one.
+ *
+ * @param {Object} query - { start_date, end_date, granularity, periods, probability_source, owner_id, team_id }
+ * @param {Object} [options]
+ * @param {number} [options.tenantId] - Tenant whose fiscal calendar and reporting currency are used
+ * @returns {Promise<Object>} { period, probability_source, currency, summary, series }; summary.value_by_currency has the won and open deals' original amounts
+ */
+const getForecast = async (query = {}, { tenantId = null } = {}) => {
+  const filters = validate(forecastSchema, query);
+  const calendar = await fiscalCalendarService.getCalendar(tenantId);
+
+  const buckets = filters.start_date
+    ? fiscalCalendarService.getBuckets(
+      calendar,
+      moment.utc(filters.start_date).format('YYYY-MM-DD'),
+      moment.utc(filters.end_date).format('YYYY-MM-DD'),
+      filters.granularity,
+      { maxBuckets: 120 }
+    )
+    : fiscalCalendarService.getBucketsFrom(calendar, moment.utc().format('YYYY-MM-DD'), filters.granularity, filters.periods);
+  if (buckets.length === 0) {
+    throw forecastError('validation', 'The fiscal calendar has no periods in this range');
+  }
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const params = [];
+  const table = fiscalCalendarService.bucketTable(buckets, params);
+  const value = currencyService.convertedValue(params, { currency, tenantId });
+
+  const result = await db.query(`
+    SELECT
+      b.position,
+      ${forecastColumns(filters.probability_source, value)}
+    FROM ${table}
+    LEFT JOIN deals d ON d.expected_close_date BETWEEN b.start_date AND b.end_date${ownerConditions(filters, params)}
+    LEFT JOIN pipeline_stages ps ON ps.id = d.pipeline_stage_id
+    GROUP BY b.position
+    ORDER BY b.position
+  `, params);
+
+  const currencyParams = [buckets[0].start_date, buckets[buckets.length - 1].end_date];
+  const currencyValue = currencyService.convertedValue(currencyParams, { currency, tenantId });
+  const byCurrency = await db.query(`
+    SELECT ${currencyService.currencyTotalsColumns(currencyValue)}
+    FROM deals d
+    WHERE d.expected_close_date BETWEEN $1 AND $2
+      AND d.status IN ('open', 'closed_won')${ownerConditions(filters, currencyParams)}
+    GROUP BY COALESCE(d.currency, 'USD')
+    ORDER BY currency
+  `, currencyParams);
+
+  const series = result.rows.map(row => ({
+    ...buckets[parseInt(row.position) - 1],
+    ...toForecast(row)
+  }));
+
+  return {
+    period: {
+      start_date: buckets[0].start_date,
+      end_date: buckets[buckets.length - 1].end_date,
+      granularity: filters.granularity
+    },
+    probability_source: filters.probability_source,
+    currency,
+    summary: {
+      ...sumForecasts(series),
+      value_by_currency: currencyService.toCurrencyTotals(byCurrency.rows)
+    },
+    series
+  };
+};
+
+/**
+ * Forecast per rep and team for one fiscal period, against quota. A team's
+ * quota is its own team quota, or the sum of its members' quotas when it
+ * has none. Managers only see the teams they manage. Each rep, team and
+ * the totals list the won and open deals' original amounts per currency.
+ *
+ * @param {Object} query - { date, granularity, probability_source, team_id }
+ * @param {Object} user - Authenticated user
+ * @param {Object} [options]
+ * @param {number} [options.tenantId] - Tenant ID
+ * @returns {Promise<Object>} { period, probability_source, currency, teams, unassigned, totals }
+ */
+const getRollup = async (query, user, { tenantId = null } = {}) => {
+  const filters = validate(rollupSchema, query);
+  const calendar = await fiscalCalendarService.getCalendar(tenantId);
+  const date = filters.date ? moment.utc(filters.date).format('YYYY-MM-DD') : moment.utc().format('YYYY-MM-DD');
+  const bucket = fiscalCalendarService.getBucketContaining(calendar, date, filters.granularity);
+  const range = { start: bucket.start_date, end: bucket.end_date };
+
+  const managed = user.role === 'manager';
+  let teams = await teamService.listTeams(tenantId, { managerId: managed ? user.id : undefined });
+  if (filters.team_id) {
+    teams = teams.filter(team => team.id === filters.team_id);
+    if (teams.length === 0) {
+      throw forecastError('not_found', 'Team not found');
+    }
+  }
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const params = [range.start, range.end];
+  const value = currencyService.convertedValue(params, { currency, tenantId });
+
+  const result = await db.query(`
+    SELECT
+      d.assigned_user_id as user_id,
+      ${forecastColumns(filters.probability_source, value)}
+    FROM deals d
+    LEFT JOIN pipeline_stages ps ON ps.id = d.pipeline_stage_id
+    WHERE d.expected_close_date BETWEEN $1 AND $2
+    GROUP BY d.assigned_user_id
+  `, params);
+
+  const currencyResult = await db.query(`
+    SELECT
+      d.assigned_user_id as user_id,
+      ${currencyService.currencyTotalsColumns(value)}
+    FROM deals d
+    WHERE d.expected_close_date BETWEEN $1 AND $2 AND d.status IN ('open', 'closed_won')
+    GROUP BY d.assigned_user_id, COALESCE(d.currency, 'USD')
+    ORDER BY currency
+  `, params);
+
+  const byUser = new Map(result.rows.map(row => [row.user_id, toForecast(row)]));
+  const currenciesByUser = new Map();
+  currencyResult.rows.forEach(row => {
+    currenciesByUser.set(row.user_id, [...(currenciesByUser.get(row.user_id) || []), ...currencyService.toCurrencyTotals([row])]);
+  });
+  const quotas = await quotaService.getQuotaTotals(range, tenantId);
+
+  const toMember = (id, name) => {
+    const forecast = byUser.get(id) || toForecast();
+    const quota = id && quotas.users[id] !== undefined ? quotas.users[id] : null;
+    byUser.delete(id);
+    return {
+      user_id: id,
+      name,
+      quota,
+      ...forecast,
+      value_by_currency: currenciesByUser.get(id) || [],
+      attainment: toAttainment(forecast, quota)
+    };
+  };
+
+  const teamRollups = teams.map(team => {
+    const members = team.members.map(member => toMember(member.id, `${member.first_name} ${member.last_name}`));
+    const forecast = sumForecasts(members);
+    const memberQuotas = members.filter(member => member.quota !== null);
+    const quota = quotas.teams[team.id] !== undefined
+      ? quotas.teams[team.id]
+      : (memberQuotas.length > 0 ? round(memberQuotas.reduce((sum, member) => sum + member.quota, 0)) : null);
+
+    return {
+      team_id: team.id,
+      name: team.name,
+      manager_id: team.manager_id,
+      manager_name: team.manager_name,
+      quota,
+      ...forecast,
+      value_by_currency: currencyService.addCurrencyTotals(members.map(member => member.value_by_currency)),
+      attainment: toAttainment(forecast, quota),
+      members
+    };
+  });
+
+  // Reps outside any team (and unassigned deals) only show in the full view
+  let unassigned = null;
+  if (!managed && !filters.team_id) {
+    const users = [...byUser.keys()];
+    const names = users.filter(Boolean).length > 0
+      ? await db.query('SELECT id, first_name, last_name FROM users WHERE id = ANY($1::int[])', [users.filter(Boolean)])
+      : { rows: [] };
+    const nameOf = new Map(names.rows.map(row => [row.id, `${row.first_name} ${row.last_name}`]));
+    const members = users.map(id => toMember(id, id ? nameOf.get(id) || null : 'Unassigned'));
+    unassigned = {
+      ...sumForecasts(members),
+      value_by_currency: currencyService.addCurrencyTotals(members.map(member => member.value_by_currency)),
+      members
+    };
+  }
+
+  const allForecasts = [...teamRollups, ...(unassigned ? [unassigned] : [])];
+  const totals = sumForecasts(allForecasts);
+  const teamQuotas = teamRollups.filter(team => team.quota !== null);
+  const totalQuota = teamQuotas.length > 0 ? round(teamQuotas.reduce((sum, team) => sum + team.quota, 0)) : null;
+
+  return {
+    period: { ...bucket, granularity: filters.granularity },
+    probability_source: filters.probability_source,
+    currency,
+    teams: teamRollups,
+    unassigned,
+    totals: {
+      quota: totalQuota,
+      ...totals,
+      value_by_currency: currencyService.addCurrencyTotals(allForecasts.map(forecast => forecast.value_by_currency)),
+      attainment: toAttainment(totals, totalQuota)
+    }
+  };
+};
+
+/**
+ * Set a deal's forecast category. Sales reps may only categorize deals
+ * assigned to them.
+ *
+ * @param {number} dealId - Deal ID
+ * @param {string|null} category - One of FORECAST_CATEGORIES, or null to reset to pipeline
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { id, forecast_category }
+ */
+const setForecastCategory = async (dealId, category, user) => {
+  if (category !== null && !FORECAST_CATEGORIES.includes(category)) {
+    throw forecastError('validation', `forecast_category must be one of: ${FORECAST_CATEGORIES.join(', ')}`);
+  }
+
+  const existing = await db.query('SELECT id, assigned_user_id FROM deals WHERE id = $1', [dealId]);
+  if (existing.rows.length === 0) {
+    throw forecastError('not_found', 'Deal not found');
+  }
+  if (user.role === 'sales_rep' && existing.rows[0].assigned_user_id !== user.id) {
+    throw forecastError('forbidden', 'Only the deal owner can change its forecast category');
+  }
+
+  const result = await db.query(`
+    UPDATE deals
+    SET forecast_category = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING id, forecast_category
+  `, [category, dealId]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  FORECAST_CATEGORIES,
+  PROBABILITY_SOURCES,
+  getForecast,
+  getRollup,
+  setForecastCategory
+};
@@ -0,0 +1,110 @@
+/**
+ * Fuzzy Match Service
+ *
+ * Typo-tolerant lookup of companies and contacts using pg_trgm similarity.
+ * Queries only use the trigram operators (% and <%) in their WHERE clauses
+ * so they are served by the indexes from migrations/fuzzyMatchingMigration.js.
+ */
+const db = require('../db');
+
+const DEFAULT_MIN_SCORE = 0.3;
+
+/**
+ * Runs a lookup query with the trigram thresholds set for this transaction only
+ *
+ * @param {string} sql - Query text
+ * @param {Array} params - Query parameters
+ * @param {number} minScore - Similarity threshold between 0 and 1
+ * @returns {Promise<Array>} Result rows
+ */
+const queryWithThreshold = async (sql, params, minScore) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `SELECT set_config('pg_trgm.similarity_threshold', $1, true),
+              set_config('pg_trgm.word_similarity_threshold', $1, true)`,
+      [String(minScore)]
+    );
+    const result = await client.query(sql, params);
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Find companies whose normalized name resembles the given text
+ *
+ * @param {string} text - Name as typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum number of candidates
+ * @param {number} [options.minScore=0.3] - Minimum similarity score (0-1)
+ * @returns {Promise<Array>} Candidates with a score, best match first
+ */
+const lookupCompanies = async (text, { limit = 10, minScore = DEFAULT_MIN_SCORE } = {}) => {
+  return queryWithThreshold(`
+    WITH input AS (SELECT normalize_company_name($1) as name)
+    SELECT
+      c.id,
+      c.name,
+      c.industry,
+      c.city,
+      c.country,
+      c.website,
+      GREATEST(
+        similarity(normalize_company_name(c.name), input.name),
+        word_similarity(input.name, normalize_company_name(c.name))
+      ) as score
+    FROM companies c, input
+    WHERE normalize_company_name(c.name) % input.name
+       OR input.name <% normalize_company_name(c.name)
+    ORDER BY score DESC, c.name
+    LIMIT $2
+  `, [text, limit], minScore);
+};
+
+/**
+ * Find contacts whose name or email resembles the given text
+ *
+ * @param {string} text - Name or email as typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.companyId] - Only return contacts of this company
+ * @param {number} [options.limit=10] - Maximum number of candidates
+ * @param {number} [options.minScore=0.3] - Minimum similarity score (0-1)
+ * @returns {Promise<Array>} Candidates with a score, best match first
+ */
+const lookupContacts = async (text, { companyId = null, limit = 10, minScore = DEFAULT_MIN_SCORE } = {}) => {
+  return queryWithThreshold(`
+    WITH input AS (SELECT lower(btrim($1)) as text)
+    SELECT
+      ct.id,
+      ct.first_name,
+      ct.last_name,
+      ct.email,
+      ct.job_title,
+      ct.company_id,
+      comp.name as company_name,
+      GREATEST(
+        word_similarity(input.text, lower(ct.first_name || ' ' || ct.last_name)),
+        word_similarity(input.text, lower(COALESCE(ct.email, '')))
+      ) as score
+    FROM contacts ct
+    CROSS JOIN input
+    LEFT JOIN companies comp ON ct.company_id = comp.id
+    WHERE (input.text <% lower(ct.first_name || ' ' || ct.last_name)
+       OR input.text <% lower(COALESCE(ct.email, '')))
+      AND ($2::int IS NULL OR ct.company_id = $2)
+    ORDER BY score DESC, ct.last_name, ct.first_name
+    LIMIT $3
+  `, [text, companyId, limit], minScore);
+};
+
+module.exports = {
+  lookupCompanies,
+  lookupContacts
+};
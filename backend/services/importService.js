@@ -0,0 +1,857 @@
+/**
+ * Import Service
+ *
+ * Bulk import of contacts, companies and deals from CSV or XLSX files.
+ * An upload becomes an import batch; the caller maps file columns to fields,
+ * previews the outcome row by row, then commits. Rows that match an existing
+ * record (by email or name) update it instead of creating a duplicate.
+ * Every created or updated record is tracked so a committed batch can be
+ * rolled back as a unit.
+ */
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Joi = require('joi');
+const db = require('../db');
+const auditService = require('./auditService');
+
+const MAX_IMPORT_ROWS = 5000;
+const SAMPLE_ROW_COUNT = 5;
+
+const optionalString = (max) => Joi.string().trim().max(max);
+
+/**
+ * Fields that resolve a name or email in the file to a foreign key. Pipelines
+ * repeat stage names, so stages resolve within the default pipeline.
+ */
+const LOOKUPS = {
+  company_name: { column: 'company_id', table: 'companies', expression: 'lower(btrim(name))', label: 'Company' },
+  contact_email: { column: 'contact_id', table: 'contacts', expression: 'lower(btrim(email))', label: 'Contact' },
+  stage: {
+    column: 'pipeline_stage_id',
+    table: 'pipeline_stages',
+    expression: 'lower(btrim(name))',
+    where: 'pipeline_id = (SELECT id FROM pipelines WHERE is_default)',
+    label: 'Pipeline stage'
+  },
+  owner_email: { column: 'assigned_user_id', table: 'users', expression: 'lower(btrim(email))', label: 'Owner' }
+};
+
+/**
+ * Importable entities. `fields` validates the mapped cell values, `matchers`
+ * are tried in order to find an existing record to update. `dependents` are
+ * the { table, column } references that block rolling back a created record.
+ */
+const IMPORT_ENTITIES = {
+  companies: {
+    table: 'companies',
+    required: ['name'],
+    fields: {
+      name: optionalString(255),
+      industry: optionalString(100),
+      website: optionalString(255),
+      phone: optionalString(50),
+      address: Joi.string().trim(),
+      city: optionalString(100),
+      state: optionalString(100),
+      country: optionalString(100),
+      postal_code: optionalString(20),
+      annual_revenue: Joi.number().min(0),
+      employee_count: Joi.number().integer().min(0)
+    },
+    aliases: { company: 'name', company_name: 'name', revenue: 'annual_revenue', employees: 'employee_count', zip: 'postal_code' },
+    matchers: [
+      { reason: 'name', expression: 'lower(btrim(name))', key: values => values.name && values.name.toLowerCase() }
+    ],
+    dependents: [
+      { table: 'contacts', column: 'company_id' },
+      { table: 'deals', column: 'company_id' },
+      { table: 'activities', column: 'company_id' }
+    ]
+  },
+  contacts: {
+    table: 'contacts',
+    required: ['first_name', 'last_name'],
+    fields: {
+      first_name: optionalString(100),
+      last_name: optionalString(100),
+      email: Joi.string().trim().lowercase().email().max(255),
+      phone: optionalString(50),
+      job_title: optionalString(100),
+      department: optionalString(100),
+      is_primary: Joi.boolean().truthy('yes', 'y', '1').falsy('no', 'n', '0'),
+      company_name: optionalString(255)
+    },
+    aliases: { company: 'company_name', title: 'job_title', email_address: 'email' },
+    matchers: [
+      { reason: 'email', expression: 'lower(btrim(email))', key: values => values.email },
+      // Rows with an email are never matched by name, so a new email is a new person
+      {
+        reason: 'name',
+        expression: "lower(btrim(first_name)) || ' ' || lower(btrim(last_name))",
+        key: values => !values.email && `${values.first_name} ${values.last_name}`.toLowerCase()
+      }
+    ],
+    dependents: [
+      { table: 'deals', column: 'contact_id' },
+      { table: 'activities', column: 'contact_id' }
+    ]
+  },
+  deals: {
+    table: 'deals',
+    required: ['title', 'company_name'],
+    fields: {
+      title: optionalString(255),
+      company_name: optionalString(255),
+      contact_email: Joi.string().trim().lowercase().email(),
+      stage: optionalString(100),
+      owner_email: Joi.string().trim().lowercase().email(),
+      value: Joi.number().min(0),
+      currency: Joi.string().trim().uppercase().length(3),
+      probability: Joi.number().integer().min(0).max(100),
+      expected_close_date: Joi.date().iso(),
+      status: Joi.string().trim().lowercase().valid('open', 'closed_won', 'closed_lost'),
+      description: Joi.string().trim()
+    },
+    aliases: { company: 'company_name', contact: 'contact_email', owner: 'owner_email', amount: 'value', close_date: 'expected_close_date', pipeline_stage: 'stage' },
+    // Deal titles are only unique within a company
+    matchers: [
+      {
+        reason: 'title',
+        expression: "lower(btrim(title)) || '@' || COALESCE(company_id::text, '')",
+        key: values => values.company_id && `${values.title.toLowerCase()}@${values.company_id}`
+      }
+    ],
+    dependents: [
+      { table: 'activities', column: 'deal_id' },
+      { table: 'deal_products', column: 'deal_id' },
+      { table: 'deal_stage_history', column: 'deal_id' },
+      { table: 'discount_approvals', column: 'deal_id' },
+      { table: 'quotes', column: 'deal_id' },
+      { table: 'automation_log', column: 'deal_id' },
+      { table: 'email_queue', column: 'deal_id' }
+    ]
+  }
+};
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const importError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Looks up an entity definition
+ *
+ * @param {string} entityType - 'contacts', 'companies' or 'deals'
+ * @returns {Object} Entity definition
+ */
+const getEntity = (entityType) => {
+  const entity = IMPORT_ENTITIES[entityType];
+  if (!entity) {
+    throw importError('validation', `entity_type must be one of: ${Object.keys(IMPORT_ENTITIES).join(', ')}`);
+  }
+  return entity;
+};
+
+/**
+ * Flattens an exceljs cell value (rich text, hyperlinks, formulas, dates)
+ * into the string the user sees
+ *
+ * @param {*} value - Cell value
+ * @returns {string|null}
+ */
+const cellToString = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.error) return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+/**
+ * Reads the first worksheet of a CSV or XLSX file. The first row holds the
+ * column headers.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} { headers, rows } with rows as { row_number, cells }
+ */
+const parseFile = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  try {
+    // XLSX files are zip archives
+    if (buffer.slice(0, 2).toString() === 'PK') {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      // Keep every cell as text so postal codes and phone numbers survive
+      worksheet = await workbook.csv.read(Readable.from(buffer), {
+        map: datum => (datum === '' ? null : datum)
+      });
+    }
+  } catch (error) {
+    throw importError('validation', `Unable to read file: ${error.message}`);
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw importError('validation', 'File must contain a header row and at least one data row');
+  }
+
+  const columnCount = worksheet.getRow(1).cellCount;
+  const readRow = (row) => {
+    const values = [];
+    for (let col = 1; col <= columnCount; col++) {
+      values.push(cellToString(row.getCell(col).value));
+    }
+    return values;
+  };
+
+  // Blank or repeated headers still need a unique name to be mappable
+  const seen = {};
+  const headers = readRow(worksheet.getRow(1)).map((header, index) => {
+    const name = header || `Column ${index + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const cells = readRow(row);
+    if (cells.some(value => value !== null)) rows.push({ row_number: rowNumber, cells });
+  });
+
+  if (rows.length === 0) {
+    throw importError('validation', 'File must contain a header row and at least one data row');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importError('validation', `Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return { headers, rows };
+};
+
+/**
+ * Guesses a column mapping from the header names
+ *
+ * @param {Object} entity - Entity definition
+ * @param {Array<string>} headers - File headers
+ * @returns {Object} Mapping of header -> field
+ */
+const suggestMapping = (entity, headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach(header => {
+    const normalized = header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const field = entity.fields[normalized] ? normalized : entity.aliases[normalized];
+    if (field && !used.has(field)) {
+      mapping[header] = field;
+      used.add(field);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Checks a column mapping against the batch headers and entity fields
+ *
+ * @param {Object} entity - Entity definition
+ * @param {Array<string>} headers - File headers
+ * @param {Object} mapping - Mapping of header -> field
+ */
+const validateMapping = (entity, headers, mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw importError('validation', 'mapping must be an object of file column -> field');
+  }
+
+  const mappedFields = new Set();
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!headers.includes(header)) {
+      throw importError('validation', `Column "${header}" is not in the uploaded file`);
+    }
+    if (field === null || field === '') return;
+    if (!entity.fields[field]) {
+      throw importError('validation', `Unknown field "${field}". Valid fields: ${Object.keys(entity.fields).join(', ')}`);
+    }
+    if (mappedFields.has(field)) {
+      throw importError('validation', `Field "${field}" is mapped more than once`);
+    }
+    mappedFields.add(field);
+  });
+
+  const missing = entity.required.filter(field => !mappedFields.has(field));
+  if (missing.length > 0) {
+    throw importError('validation', `Required fields are not mapped: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Finds ids by a lowercase key, returning every id per key so ambiguous
+ * matches can be reported
+ *
+ * @param {Object} client - Database client
+ * @param {string} table - Table name
+ * @param {string} expression - SQL expression producing the key
+ * @param {Array<string>} keys - Keys to look up
+ * @param {string} [where] - Extra SQL condition limiting the rows searched
+ * @returns {Promise<Map>} key -> array of ids
+ */
+const findIdsByKey = async (client, table, expression, keys, where) => {
+  const ids = new Map();
+  if (keys.length === 0) return ids;
+
+  const result = await client.query(`
+    SELECT ${expression} as key, ARRAY_AGG(id ORDER BY id) as ids
+    FROM ${table}
+    WHERE ${expression} = ANY($1)${where ? ` AND ${where}` : ''}
+    GROUP BY 1
+  `, [keys]);
+
+  result.rows.forEach(row => ids.set(row.key, row.ids));
+  return ids;
+};
+
+/**
+ * Validates every row, resolves lookups and decides whether each row
+ * creates a record, updates an existing one or is rejected
+ *
+ * @param {Object} client - Database client
+ * @param {Object} entity - Entity definition
+ * @param {Object} batch - Import batch row
+ * @param {Object} mapping - Mapping of header -> field
+ * @returns {Promise<Array>} [{ row_number, action, record_id, match_reason, values, errors }]
+ */
+const planRows = async (client, entity, batch, mapping) => {
+  const schema = Joi.object(entity.fields);
+  const columns = Object.entries(mapping)
+    .filter(([, field]) => field)
+    .map(([header, field]) => ({ index: batch.headers.indexOf(header), field }));
+
+  const planned = batch.rows.map(({ row_number, cells }) => {
+    const raw = {};
+    columns.forEach(({ index: col, field }) => {
+      if (cells[col] !== null && cells[col] !== undefined) raw[field] = cells[col];
+    });
+
+    const errors = entity.required
+      .filter(field => raw[field] === undefined)
+      .map(field => `"${field}" is required`);
+
+    const { value, error } = schema.validate(raw, { abortEarly: false, convert: true });
+    if (error) errors.push(...error.details.map(detail => detail.message));
+
+    return { row_number, action: null, record_id: null, match_reason: null, values: value, errors };
+  });
+
+  // Resolve names and emails to foreign keys
+  for (const [field, lookup] of Object.entries(LOOKUPS)) {
+    if (!entity.fields[field]) continue;
+
+    const keys = [...new Set(planned
+      .filter(row => row.errors.length === 0 && row.values[field])
+      .map(row => row.values[field].toLowerCase()))];
+    const ids = await findIdsByKey(client, lookup.table, lookup.expression, keys, lookup.where);
+
+    planned.forEach(row => {
+      if (row.errors.length > 0 || !row.values[field]) return;
+      const matches = ids.get(row.values[field].toLowerCase()) || [];
+      if (matches.length === 0) {
+        row.errors.push(`${lookup.label} "${row.values[field]}" was not found`);
+      } else if (matches.length > 1) {
+        row.errors.push(`${lookup.label} "${row.values[field]}" matches ${matches.length} records`);
+      } else {
+        row.values[lookup.column] = matches[0];
+      }
+      delete row.values[field];
+    });
+  }
+
+  // Match existing records, trying each matcher in order
+  for (const matcher of entity.matchers) {
+    const pending = planned.filter(row => row.errors.length === 0 && !row.record_id && matcher.key(row.values));
+    const ids = await findIdsByKey(
+      client,
+      entity.table,
+      matcher.expression,
+      [...new Set(pending.map(row => matcher.key(row.values)))]
+    );
+
+    pending.forEach(row => {
+      const matches = ids.get(matcher.key(row.values)) || [];
+      if (matches.length > 1) {
+        row.errors.push(`Matches ${matches.length} existing ${entity.table} by ${matcher.reason}`);
+      } else if (matches.length === 1) {
+        row.record_id = matches[0];
+        row.match_reason = matcher.reason;
+      }
+    });
+  }
+
+  // Two rows targeting the same record would silently overwrite each other
+  const claimed = new Map();
+  planned.forEach(row => {
+    if (row.errors.length > 0) return;
+    const targets = row.record_id
+      ? [`id:${row.record_id}`]
+      : entity.matchers.map(matcher => matcher.key(row.values)).filter(Boolean).map(key => `key:${key}`);
+    const earlier = targets.map(target => claimed.get(target)).find(Boolean);
+    if (earlier) {
+      row.errors.push(`Duplicate of row ${earlier} in this file`);
+      return;
+    }
+    targets.forEach(target => claimed.set(target, row.row_number));
+  });
+
+  planned.forEach(row => {
+    if (row.errors.length > 0) {
+      row.action = 'error';
+      row.record_id = null;
+      row.match_reason = null;
+    } else {
+      row.action = row.record_id ? 'update' : 'create';
+    }
+  });
+
+  return planned;
+};
+
+/**
+ * Counts planned rows by action
+ *
+ * @param {Array} planned - Output of planRows
+ * @returns {Object} { total, create, update, error }
+ */
+const summarize = (planned) => ({
+  total: planned.length,
+  create: planned.filter(row => row.action === 'create').length,
+  update: planned.filter(row => row.action === 'update').length,
+  error: planned.filter(row => row.action === 'error').length
+});
+
+/**
+ * Loads a batch, optionally locking it for the rest of the transaction
+ *
+ * @param {Object} client - Database client
+ * @param {number} batchId - Import batch ID
+ * @param {boolean} [forUpdate=false] - Lock the row
+ * @returns {Promise<Object>} Batch row
+ */
+const loadBatch = async (client, batchId, forUpdate = false) => {
+  const result = await client.query(
+    `SELECT * FROM import_batches WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [batchId]
+  );
+  if (result.rows.length === 0) {
+    throw importError('not_found', 'Import batch not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Strips the stored file rows from a batch for API responses
+ *
+ * @param {Object} batch - Batch row
+ * @returns {Object}
+ */
+const describeBatch = ({ rows, ...batch }) => batch;
+
+/**
+ * Parses an uploaded file and stores it as a new import batch
+ *
+ * @param {Object} params
+ * @param {string} params.entityType - 'contacts', 'companies' or 'deals'
+ * @param {string} [params.fileName] - Original file name
+ * @param {Buffer} params.buffer - File contents
+ * @param {number} params.userId - Uploading user
+ * @returns {Promise<Object>} { batch, suggested_mapping, fields, sample_rows }
+ */
+const createBatch = async ({ entityType, fileName, buffer, userId }) => {
+  const entity = getEntity(entityType);
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw importError('validation', 'Upload a CSV or XLSX file as the request body');
+  }
+
+  const { headers, rows } = await parseFile(buffer);
+
+  const result = await db.query(`
+    INSERT INTO import_batches (entity_type, file_name, headers, rows, total_rows, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [entityType, fileName || null, JSON.stringify(headers), JSON.stringify(rows), rows.length, userId]);
+
+  return {
+    batch: describeBatch(result.rows[0]),
+    fields: Object.keys(entity.fields),
+    required_fields: entity.required,
+    suggested_mapping: suggestMapping(entity, headers),
+    sample_rows: rows.slice(0, SAMPLE_ROW_COUNT)
+  };
+};
+
+/**
+ * Get an import batch with its tracked record counts
+ *
+ * @param {number} batchId - Import batch ID
+ * @returns {Promise<Object>} Batch without the stored file rows
+ */
+const getBatch = async (batchId) => {
+  const batch = await loadBatch(db, batchId);
+  return describeBatch(batch);
+};
+
+/**
+ * List import batches, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.entityType] - Filter by entity type
+ * @param {string} [filters.status] - Filter by status
+ * @param {number} [filters.page=1] - Page number
+ * @param {number} [filters.limit=20] - Page size
+ * @returns {Promise<Object>} { items, pagination }
+ */
+const listBatches = async ({ entityType, status, page = 1, limit = 20 } = {}) => {
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (entityType) {
+    conditions.push(`b.entity_type = $${paramCount++}`);
+    params.push(entityType);
+  }
+  if (status) {
+    conditions.push(`b.status = $${paramCount++}`);
+    params.push(status);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const offset = (page - 1) * limit;
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM import_batches b ${whereClause}`, params);
+  const total = parseInt(countResult.rows[0].count);
+
+  const result = await db.query(`
+    SELECT
+      b.id, b.entity_type, b.file_name, b.status, b.total_rows,
+      b.created_count, b.updated_count, b.skipped_count,
+      b.created_at, b.committed_at, b.rolled_back_at,
+      u.first_name || ' ' || u.last_name as created_by_name
+    FROM import_batches b
+    LEFT JOIN users u ON b.created_by = u.id
+    ${whereClause}
+    ORDER BY b.created_at DESC, b.id DESC
+    LIMIT $${paramCount++} OFFSET $${paramCount}
+  `, [...params, limit, offset]);
+
+  return {
+    items: result.rows,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Saves the column mapping and returns a per-row preview of what a commit
+ * would do. Nothing is written to the entity tables.
+ *
+ * @param {number} batchId - Import batch ID
+ * @param {Object} mapping - Mapping of header -> field
+ * @returns {Promise<Object>} { batch, summary, rows }
+ */
+const previewBatch = async (batchId, mapping) => {
+  const batch = await loadBatch(db, batchId);
+  if (batch.status !== 'uploaded') {
+    throw importError('conflict', `Import batch is already ${batch.status}`);
+  }
+
+  const entity = getEntity(batch.entity_type);
+  validateMapping(entity, batch.headers, mapping);
+
+  const planned = await planRows(db, entity, batch, mapping);
+
+  const result = await db.query(`
+    UPDATE import_batches SET column_mapping = $1 WHERE id = $2 RETURNING *
+  `, [JSON.stringify(mapping), batchId]);
+
+  return {
+    batch: describeBatch(result.rows[0]),
+    summary: summarize(planned),
+    rows: planned
+  };
+};
+
+/**
+ * Writes the batch using its saved mapping. Rows are re-planned inside the
+ * transaction so the outcome reflects the data at commit time.
+ *
+ * @param {number} batchId - Import batch ID
+ * @param {Object} [options]
+ * @param {boolean} [options.skipInvalid=false] - Import valid rows and skip rows with errors
+ * @param {Object} [options.audit] - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} { batch, summary, errors }
+ */
+const commitBatch = async (batchId, { skipInvalid = false, audit = {} } = {}) => {
+  const client = await db.connect();
+  let batch;
+  let summary;
+  let rejected;
+
+  try {
+    await client.query('BEGIN');
+
+    batch = await loadBatch(client, batchId, true);
+    if (batch.status !== 'uploaded') {
+      throw importError('conflict', `Import batch is already ${batch.status}`);
+    }
+    if (!batch.column_mapping) {
+      throw importError('validation', 'Preview the import with a column mapping before committing');
+    }
+
+    const entity = getEntity(batch.entity_type);
+    const planned = await planRows(client, entity, batch, batch.column_mapping);
+    summary = summarize(planned);
+    rejected = planned.filter(row => row.action === 'error');
+
+    if (rejected.length > 0 && !skipInvalid) {
+      throw importError('validation', `${rejected.length} row(s) have errors. Fix them or commit with skip_invalid`);
+    }
+
+    for (const row of planned) {
+      if (row.action === 'error') continue;
+
+      const values = { ...row.values };
+      const fields = Object.keys(values);
+
+      if (row.action === 'create') {
+        if (entity.table === 'deals' && values.assigned_user_id === undefined) {
+          values.assigned_user_id = audit.userId || null;
+          fields.push('assigned_user_id');
+        }
+
+        const inserted = await client.query(`
+          INSERT INTO ${entity.table} (${fields.join(', ')})
+          VALUES (${fields.map((_, index) => `$${index + 1}`).join(', ')})
+          RETURNING id
+        `, fields.map(field => values[field]));
+
+        await client.query(`
+          INSERT INTO import_batch_records (batch_id, row_number, record_id, action)
+          VALUES ($1, $2, $3, 'created')
+        `, [batchId, row.row_number, inserted.rows[0].id]);
+      } else {
+        const previous = await client.query(
+          `SELECT ${fields.join(', ')} FROM ${entity.table} WHERE id = $1 FOR UPDATE`,
+          [row.record_id]
+        );
+
+        await client.query(`
+          UPDATE ${entity.table}
+          SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${fields.length + 1}
+        `, [...fields.map(field => values[field]), row.record_id]);
+
+        await client.query(`
+          INSERT INTO import_batch_records (batch_id, row_number, record_id, action, previous_values)
+          VALUES ($1, $2, $3, 'updated', $4)
+        `, [batchId, row.row_number, row.record_id, JSON.stringify(previous.rows[0])]);
+      }
+    }
+
+    const updated = await client.query(`
+      UPDATE import_batches
+      SET status = 'committed', committed_at = CURRENT_TIMESTAMP,
+          created_count = $1, updated_count = $2, skipped_count = $3
+      WHERE id = $4
+      RETURNING *
+    `, [summary.create, summary.update, summary.error, batchId]);
+    batch = updated.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditService.createLog({
+    userId: audit.userId,
+    action: 'IMPORT',
+    entityType: 'import_batch',
+    entityId: batchId,
+    details: { operation: 'commit', entityType: batch.entity_type, fileName: batch.file_name, ...summary },
+    ipAddress: audit.ipAddress,
+    userAgent: audit.userAgent
+  });
+
+  return {
+    batch: describeBatch(batch),
+    summary,
+    errors: rejected.map(row => ({ row_number: row.row_number, errors: row.errors }))
+  };
+};
+
+/**
+ * Refuses a rollback that would destroy work done after the import: records
+ * edited since the commit, or created records that other rows now reference
+ * (deleting those would cascade or orphan the later data)
+ *
+ * @param {Object} client - Database client inside the rollback transaction
+ * @param {Object} entity - Entity definition
+ * @param {Object} batch - Locked batch row
+ * @param {Array<Object>} records - Tracked { record_id, action } rows of the batch
+ */
+const assertRollbackSafe = async (client, entity, batch, records) => {
+  const recordIds = records.map(record => record.record_id);
+  const createdIds = records.filter(record => record.action === 'created').map(record => record.record_id);
+
+  const current = await client.query(`
+    SELECT id, updated_at > (SELECT committed_at FROM import_batches WHERE id = $2) as changed
+    FROM ${entity.table}
+    WHERE id = ANY($1::int[])
+    ORDER BY id
+    FOR UPDATE
+  `, [recordIds, batch.id]);
+
+  const changedIds = current.rows.filter(row => row.changed).map(row => row.id);
+  if (changedIds.length > 0) {
+    throw importError(
+      'conflict',
+      `${changedIds.length} imported record(s) were edited after the import (ids: ${changedIds.join(', ')}). Rolling back would overwrite those changes`
+    );
+  }
+
+  if (createdIds.length === 0) return;
+
+  const references = [];
+  for (const { table, column } of entity.dependents) {
+    const result = await client.query(
+      `SELECT COUNT(*) FROM ${table} WHERE ${column} = ANY($1::int[])`,
+      [createdIds]
+    );
+    const count = parseInt(result.rows[0].count);
+    if (count > 0) references.push(`${table}: ${count}`);
+  }
+
+  if (references.length > 0) {
+    throw importError(
+      'conflict',
+      `Imported records are referenced by records added after the import (${references.join(', ')}). Remove those references before rolling back`
+    );
+  }
+};
+
+/**
+ * Undoes a committed batch: created records are deleted and updated records
+ * get back the values they had before the import. Refused with a conflict
+ * when the imported records changed or gained references since the commit.
+ *
+ * @param {number} batchId - Import batch ID
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} { batch, deleted, restored }
+ */
+const rollbackBatch = async (batchId, { audit = {} } = {}) => {
+  const client = await db.connect();
+  let batch;
+  let deleted = 0;
+  let restored = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    batch = await loadBatch(client, batchId, true);
+    if (batch.status !== 'committed') {
+      throw importError('conflict', `Only committed imports can be rolled back (batch is ${batch.status})`);
+    }
+
+    const entity = getEntity(batch.entity_type);
+    const { table } = entity;
+    const records = await client.query(`
+      SELECT record_id, action, previous_values
+      FROM import_batch_records
+      WHERE batch_id = $1
+      ORDER BY id DESC
+    `, [batchId]);
+
+    await assertRollbackSafe(client, entity, batch, records.rows);
+
+    for (const record of records.rows) {
+      if (record.action === 'created') {
+        const result = await client.query(`DELETE FROM ${table} WHERE id = $1`, [record.record_id]);
+        deleted += result.rowCount;
+      } else {
+        const fields = Object.keys(record.previous_values || {});
+        if (fields.length === 0) continue;
+        const result = await client.query(`
+          UPDATE ${table}
+          SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${fields.length + 1}
+        `, [...fields.map(field => record.previous_values[field]), record.record_id]);
+        restored += result.rowCount;
+      }
+    }
+
+    const updated = await client.query(`
+      UPDATE import_batches
+      SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $1
+      WHERE id = $2
+      RETURNING *
+    `, [audit.userId || null, batchId]);
+    batch = updated.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      throw importError('conflict', 'Imported records are referenced by other records and cannot be removed');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditService.createLog({
+    userId: audit.userId,
+    action: 'IMPORT',
+    entityType: 'import_batch',
+    entityId: batchId,
+    details: { operation: 'rollback', entityType: batch.entity_type, deleted, restored },
+    ipAddress: audit.ipAddress,
+    userAgent: audit.userAgent
+  });
+
+  return { batch: describeBatch(batch), deleted, restored };
+};
+
+module.exports = {
+  IMPORT_ENTITIES,
+  MAX_IMPORT_ROWS,
+  parseFile,
+  createBatch,
+  getBatch,
+  listBatches,
+  previewBatch,
+  commitBatch,
+  rollbackBatch
+};
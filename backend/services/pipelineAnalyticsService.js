@@ -0,0 +1,447 @@
+/**
+ * Pipeline Analytics Service
+ *
+ * Stage-to-stage conversion, drop-off, time in stage and sales cycle length,
+ * reconstructed from deal_stage_history. A deal's first stage is the one it
+ * left in its first recorded move (or its current stage when it never moved),
+ * entered when the deal was created. Deals are filtered by creation cohort,
+ * owner, size band and pipeline. The funnel and stage velocity follow one
+ * pipeline's stage order, the default pipeline unless another is given.
+ */
+const moment = require('moment');
+const Joi = require('joi');
+const db = require('../db');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const pipelineService = require('./pipelineService');
+
+// Deal value bands; max is exclusive
+const SIZE_BANDS = {
+  small: { min: 0, max: 10000 },
+  medium: { min: 10000, max: 50000 },
+  large: { min: 50000, max: 250000 },
+  enterprise: { min: 250000, max: null }
+};
+
+// Default cohort when no cohort_start is given, in fiscal months
+const DEFAULT_COHORT_MONTHS = 12;
+
+// Keeps the per-cohort breakdown of the sales cycle bounded
+const MAX_COHORTS = 120;
+
+// Stages that close a deal, matched by name as moveDealStage does
+const CLOSED_STAGE = `LOWER(ps.name) IN ('closed won', 'closed lost')`;
+
+const querySchema = Joi.object({
+  cohort_start: Joi.date().iso(),
+  cohort_end: Joi.date().iso().when('cohort_start', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('cohort_start'))
+  }),
+  owner_id: Joi.number().integer().positive(),
+  size_band: Joi.string().valid(...Object.keys(SIZE_BANDS)),
+  pipeline_id: Joi.number().integer().positive()
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const pipelineAnalyticsError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Rounds a numeric column to two decimals, keeping nulls
+ *
+ * @param {string|number|null} value - Value from the database
+ * @returns {number|null}
+ */
+const toDays = (value) => (value === null || value === undefined ? null : Number(parseFloat(value).toFixed(2)));
+
+/**
+ * Percentage of part in total with two decimals, 0 when total is 0
+ *
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+const toRate = (part, total) => (total > 0 ? Number(((part / total) * 100).toFixed(2)) : 0);
+
+/**
+ * Validates the query and resolves the cohort range. Without cohort_start
+ * the cohort covers deals created in the last twelve fiscal months.
+ *
+ * @param {Object} query - Raw query parameters
+ * @param {Object} calendar - Tenant fiscal calendar
+ * @returns {Object} Validated query with cohort { start, end }
+ */
+const normalizeQuery = (query, calendar) => {
+  const { error, value } = querySchema.validate(query || {}, { stripUnknown: true });
+  if (error) {
+    throw pipelineAnalyticsError('validation', error.details[0].message);
+  }
+
+  const end = value.cohort_end ? moment.utc(value.cohort_end).format('YYYY-MM-DD') : moment.utc().format('YYYY-MM-DD');
+  let start = value.cohort_start && moment.utc(value.cohort_start).format('YYYY-MM-DD');
+  if (!start) {
+    const current = fiscalCalendarService.getBucketContaining(calendar, end, 'month');
+    start = fiscalCalendarService.getBucketsBefore(calendar, current.start_date, 'month', DEFAULT_COHORT_MONTHS - 1)[0].start_date;
+  }
+
+  return { ...value, cohort: { start, end } };
+};
+
+/**
+ * CTEs shared by every metric:
+ * - cohort: the filtered deals
+ * - stays: one row per visit of a deal to a stage, with when it was
+ *   entered and left (exited_at is null for the stage the deal is in now)
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} SQL for a WITH clause, without the WITH keyword
+ */
+const stayTables = (filters, params) => {
+  const conditions = [];
+
+  params.push(filters.cohort.start, filters.cohort.end);
+  conditions.push(`d.created_at >= $${params.length - 1}::date`);
+  conditions.push(`d.created_at < $${params.length}::date + 1`);
+
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    conditions.push(`d.assigned_user_id = $${params.length}`);
+  }
+
+  if (filters.size_band) {
+    const band = SIZE_BANDS[filters.size_band];
+    params.push(band.min);
+    conditions.push(`COALESCE(d.value, 0) >= $${params.length}`);
+    if (band.max !== null) {
+      params.push(band.max);
+      conditions.push(`COALESCE(d.value, 0) < $${params.length}`);
+    }
+  }
+
+  if (filters.pipeline_id) {
+    params.push(filters.pipeline_id);
+    conditions.push(`d.pipeline_id = $${params.length}`);
+  }
+
+  return `
+    cohort AS (
+      SELECT d.id, d.status, d.pipeline_id, d.pipeline_stage_id, d.created_at, d.updated_at
+      FROM deals d
+      WHERE ${conditions.join(' AND ')}
+    ),
+    entries AS (
+      SELECT
+        c.id as deal_id,
+        CASE WHEN f.deal_id IS NULL THEN c.pipeline_stage_id ELSE f.from_stage_id END as stage_id,
+        c.created_at as entered_at,
+        0 as seq
+      FROM cohort c
+      LEFT JOIN LATERAL (
+        SELECT h.deal_id, h.from_stage_id
+        FROM deal_stage_history h
+        WHERE h.deal_id = c.id
+        ORDER BY h.created_at, h.id
+        LIMIT 1
+      ) f ON true
+      UNION ALL
+      SELECT h.deal_id, h.to_stage_id, h.created_at, h.id
+      FROM deal_stage_history h
+      JOIN cohort c ON c.id = h.deal_id
+    ),
+    stays AS (
+      SELECT
+        e.deal_id,
+        e.stage_id,
+        e.entered_at,
+        LEAD(e.entered_at) OVER w as exited_at
+      FROM entries e
+      WINDOW w AS (PARTITION BY e.deal_id ORDER BY e.entered_at, e.seq)
+    )
+  `;
+};
+
+/**
+ * Condition limiting pipeline_stages (alias ps) to the filtered pipeline
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} SQL condition starting with AND, or an empty string
+ */
+const stageFilter = (filters, params) => {
+  if (!filters.pipeline_id) return '';
+  params.push(filters.pipeline_id);
+  return `AND ps.pipeline_id = $${params.length}`;
+};
+
+/**
+ * Stage-to-stage conversion and drop-off. A deal has reached a stage when
+ * it was ever in that stage or a later one; won deals have reached them all.
+ * A lost deal drops off at the furthest open stage it reached.
+ *
+ * @param {Object} filters - Normalized query
+ * @returns {Promise<Object>} { stages, won_deals, lost_deals, overall_conversion_rate, largest_drop_off }
+ */
+const getFunnel = async (filters) => {
+  const params = [];
+  const ctes = stayTables(filters, params);
+  const stages = stageFilter(filters, params);
+  const result = await db.query(`
+    WITH ${ctes},
+    progress AS (
+      SELECT
+        c.id,
+        c.status,
+        c.pipeline_stage_id,
+        MAX(ps.display_order) FILTER (WHERE NOT ${CLOSED_STAGE}) as furthest_order
+      FROM cohort c
+      LEFT JOIN stays s ON s.deal_id = c.id
+      LEFT JOIN pipeline_stages ps ON ps.id = s.stage_id AND ps.pipeline_id IS NOT DISTINCT FROM c.pipeline_id
+      GROUP BY c.id, c.status, c.pipeline_stage_id
+    )
+    SELECT
+      ps.id as stage_id,
+      ps.name as stage_name,
+      COUNT(p.id) FILTER (WHERE p.status = 'closed_won' OR p.furthest_order >= ps.display_order) as reached,
+      COUNT(p.id) FILTER (WHERE p.status = 'closed_lost' AND p.furthest_order = ps.display_order) as lost,
+      COUNT(p.id) FILTER (WHERE p.status = 'open' AND p.pipeline_stage_id = ps.id) as open_deals,
+      (SELECT COUNT(*) FROM cohort WHERE status = 'closed_won') as won_total,
+      (SELECT COUNT(*) FROM cohort WHERE status = 'closed_lost') as lost_total
+    FROM pipeline_stages ps
+    LEFT JOIN progress p ON true
+    WHERE ps.is_active = true AND NOT ${CLOSED_STAGE} ${stages}
+    GROUP BY ps.id, ps.name, ps.display_order
+    ORDER BY ps.display_order
+  `, params);
+
+  const wonDeals = result.rows.length > 0 ? parseInt(result.rows[0].won_total) : 0;
+  const lostDeals = result.rows.length > 0 ? parseInt(result.rows[0].lost_total) : 0;
+
+  const funnel = result.rows.map((row, index) => {
+    const reached = parseInt(row.reached);
+    const next = index + 1 < result.rows.length ? parseInt(result.rows[index + 1].reached) : wonDeals;
+    const lost = parseInt(row.lost);
+
+    return {
+      stage_id: row.stage_id,
+      stage_name: row.stage_name,
+      reached,
+      advanced: next,
+      conversion_rate: toRate(next, reached),
+      open: parseInt(row.open_deals),
+      lost,
+      drop_off_rate: toRate(lost, reached)
+    };
+  });
+
+  const largest = funnel.reduce((worst, stage) => (!worst || stage.lost > worst.lost ? stage : worst), null);
+
+  return {
+    stages: funnel,
+    won_deals: wonDeals,
+    lost_deals: lostDeals,
+    overall_conversion_rate: funnel.length > 0 ? toRate(wonDeals, funnel[0].reached) : 0,
+    largest_drop_off: largest && largest.lost > 0
+      ? { stage_id: largest.stage_id, stage_name: largest.stage_name, lost: largest.lost, drop_off_rate: largest.drop_off_rate }
+      : null
+  };
+};
+
+/**
+ * Time spent in each open stage. Average and median cover finished visits;
+ * deals still in a stage are counted separately, and the ones that have
+ * been there longer than the stage median are reported as stalled.
+ *
+ * @param {Object} filters - Normalized query
+ * @returns {Promise<Array<Object>>} [{ stage_id, stage_name, completed_stays, avg_days, median_days, current_deals, avg_current_age_days, stalled_deals }]
+ */
+const getStageVelocity = async (filters) => {
+  const params = [];
+  const ctes = stayTables(filters, params);
+  const stages = stageFilter(filters, params);
+  const result = await db.query(`
+    WITH ${ctes},
+    durations AS (
+      SELECT
+        s.stage_id,
+        EXTRACT(EPOCH FROM (COALESCE(s.exited_at, CURRENT_TIMESTAMP) - s.entered_at)) / 86400 as days,
+        s.exited_at IS NOT NULL as is_finished,
+        s.exited_at IS NULL AND c.status = 'open' as is_current
+      FROM stays s
+      JOIN cohort c ON c.id = s.deal_id
+    ),
+    stage_stats AS (
+      SELECT
+        stage_id,
+        COUNT(*) FILTER (WHERE is_finished) as completed_stays,
+        AVG(days) FILTER (WHERE is_finished) as avg_days,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY days) FILTER (WHERE is_finished) as median_days,
+        COUNT(*) FILTER (WHERE is_current) as current_deals,
+        AVG(days) FILTER (WHERE is_current) as avg_current_age_days
+      FROM durations
+      GROUP BY stage_id
+    )
+    SELECT
+      ps.id as stage_id,
+      ps.name as stage_name,
+      COALESCE(st.completed_stays, 0) as completed_stays,
+      st.avg_days,
+      st.median_days,
+      COALESCE(st.current_deals, 0) as current_deals,
+      st.avg_current_age_days,
+      (SELECT COUNT(*) FROM durations du
+        WHERE du.stage_id = ps.id AND du.is_current AND du.days > st.median_days) as stalled_deals
+    FROM pipeline_stages ps
+    LEFT JOIN stage_stats st ON st.stage_id = ps.id
+    WHERE ps.is_active = true AND NOT ${CLOSED_STAGE} ${stages}
+    ORDER BY ps.display_order
+  `, params);
+
+  return result.rows.map(row => ({
+    stage_id: row.stage_id,
+    stage_name: row.stage_name,
+    completed_stays: parseInt(row.completed_stays),
+    avg_days: toDays(row.avg_days),
+    median_days: toDays(row.median_days),
+    current_deals: parseInt(row.current_deals),
+    avg_current_age_days: toDays(row.avg_current_age_days),
+    stalled_deals: parseInt(row.stalled_deals || 0)
+  }));
+};
+
+/**
+ * Sales cycle length of closed deals, from creation to the move into a
+ * closed stage (or the last update when the deal was closed without one),
+ * overall and per fiscal month of creation
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Object} calendar - Tenant fiscal calendar
+ * @returns {Promise<Object>} { summary, by_cohort }
+ */
+const getSalesCycle = async (filters, calendar) => {
+  const buckets = fiscalCalendarService.getBuckets(calendar, filters.cohort.start, filters.cohort.end, 'month', {
+    maxBuckets: MAX_COHORTS
+  });
+
+  const params = [];
+  const ctes = stayTables(filters, params);
+  const table = fiscalCalendarService.bucketTable(buckets, params);
+
+  const cycleColumns = `
+    COUNT(y.id) as closed_deals,
+    COUNT(y.id) FILTER (WHERE y.status = 'closed_won') as won_deals,
+    AVG(y.days) as avg_days,
+    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY y.days) as median_days,
+    AVG(y.days) FILTER (WHERE y.status = 'closed_won') as avg_won_days,
+    AVG(y.days) FILTER (WHERE y.status = 'closed_lost') as avg_lost_days
+  `;
+
+  const result = await db.query(`
+    WITH ${ctes},
+    cycles AS (
+      SELECT
+        c.id,
+        c.status,
+        GREATEST(EXTRACT(EPOCH FROM (
+          COALESCE(MAX(s.entered_at) FILTER (WHERE ${CLOSED_STAGE}), c.updated_at) - c.created_at
+        )) / 86400, 0) as days
+      FROM cohort c
+      LEFT JOIN stays s ON s.deal_id = c.id
+      LEFT JOIN pipeline_stages ps ON ps.id = s.stage_id
+      WHERE c.status IN ('closed_won', 'closed_lost')
+      GROUP BY c.id, c.status, c.created_at, c.updated_at
+    ),
+    cohorts AS (
+      SELECT
+        b.position,
+        COUNT(c.id) as created_deals,
+        ${cycleColumns}
+      FROM ${table}
+      LEFT JOIN cohort c ON c.created_at >= b.start_date AND c.created_at < b.end_date + 1
+      LEFT JOIN cycles y ON y.id = c.id
+      GROUP BY b.position
+    )
+    SELECT NULL as position, (SELECT COUNT(*) FROM cohort) as created_deals, ${cycleColumns}
+    FROM cycles y
+    UNION ALL
+    SELECT * FROM cohorts
+    ORDER BY position NULLS FIRST
+  `, params);
+
+  const toCycle = (row) => {
+    const createdDeals = parseInt(row.created_deals);
+    const closedDeals = parseInt(row.closed_deals);
+    const wonDeals = parseInt(row.won_deals);
+
+    return {
+      created_deals: createdDeals,
+      closed_deals: closedDeals,
+      won_deals: wonDeals,
+      win_rate: toRate(wonDeals, closedDeals),
+      avg_days: toDays(row.avg_days),
+      median_days: toDays(row.median_days),
+      avg_won_days: toDays(row.avg_won_days),
+      avg_lost_days: toDays(row.avg_lost_days)
+    };
+  };
+
+  const [summary, ...cohorts] = result.rows;
+
+  return {
+    summary: toCycle(summary),
+    by_cohort: cohorts.map(row => {
+      const { label, start_date, end_date, fiscal_year, fiscal_quarter, fiscal_period } = buckets[parseInt(row.position) - 1];
+      return {
+        label,
+        start_date: start_date < filters.cohort.start ? filters.cohort.start : start_date,
+        end_date: end_date > filters.cohort.end ? filters.cohort.end : end_date,
+        fiscal_year,
+        fiscal_quarter,
+        fiscal_period,
+        ...toCycle(row)
+      };
+    })
+  };
+};
+
+/**
+ * Wraps a metric so it takes raw query parameters and the tenant
+ *
+ * @param {Function} metric - (filters, calendar) => Promise
+ * @param {Object} [options]
+ * @param {boolean} [options.singlePipeline=false] - Metric follows one pipeline's stages; defaults to the default pipeline
+ * @returns {Function} (query, { tenantId }) => Promise<Object> { filters, ...result }
+ */
+const withFilters = (metric, { singlePipeline = false } = {}) => async (query = {}, { tenantId = null } = {}) => {
+  const calendar = await fiscalCalendarService.getCalendar(tenantId);
+  const filters = normalizeQuery(query, calendar);
+  filters.pipeline_id = await pipelineService.resolvePipelineFilter(filters.pipeline_id, { useDefault: singlePipeline });
+  const result = await metric(filters, calendar);
+
+  return {
+    filters: {
+      cohort_start: filters.cohort.start,
+      cohort_end: filters.cohort.end,
+      owner_id: filters.owner_id || null,
+      size_band: filters.size_band || null,
+      pipeline_id: filters.pipeline_id
+    },
+    ...(Array.isArray(result) ? { stages: result } : result)
+  };
+};
+
+module.exports = {
+  SIZE_BANDS,
+  getFunnel: withFilters(getFunnel, { singlePipeline: true }),
+  getStageVelocity: withFilters(getStageVelocity, { singlePipeline: true }),
+  getSalesCycle: withFilters(getSalesCycle)
+};
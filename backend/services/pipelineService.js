@@ -0,0 +1,555 @@
+/**
+ * Pipeline Service
+ *
+ * Pipelines and the stages each one owns. Stages are archived rather than
+ * deleted (is_active = false) so stage history and closed deals keep their
+ * stage. Deals close through stages named "Closed Won" and "Closed Lost",
+ * matched by name as moveDealStage does, so every pipeline keeps one of
+ * each: they cannot be renamed or archived, and no other stage can take
+ * their names.
+ */
+const Joi = require('joi');
+const db = require('../db');
+
+const CLOSED_STAGE_NAMES = ['closed won', 'closed lost'];
+
+const stageSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow(null, ''),
+  probability: Joi.number().integer().min(0).max(100),
+  is_active: Joi.boolean()
+});
+
+const createStageSchema = stageSchema.fork(['name'], (field) => field.required()).keys({
+  position: Joi.number().integer().min(1)
+});
+
+// A pipeline stops being the default only when another one becomes it
+const pipelineSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow(null, ''),
+  is_default: Joi.boolean().valid(true),
+  is_active: Joi.boolean(),
+  display_order: Joi.number().integer().min(0)
+});
+
+const createPipelineSchema = pipelineSchema.fork(['name'], (field) => field.required()).keys({
+  is_default: Joi.boolean(),
+  stages: Joi.array().items(stageSchema.fork(['name'], (field) => field.required()).keys({
+    is_active: Joi.forbidden()
+  })).min(2).max(50)
+});
+
+const reorderSchema = Joi.object({
+  stage_ids: Joi.array().items(Joi.number().integer().positive()).unique().min(1).required()
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const pipelineError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates input against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Raw input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Reject input without any field (updates)
+ * @returns {Object} Validated values
+ */
+const validate = (schema, data, { partial = false } = {}) => {
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw pipelineError('validation', error.details[0].message);
+  }
+  if (partial && Object.keys(value).length === 0) {
+    throw pipelineError('validation', 'No valid fields to update');
+  }
+  return value;
+};
+
+/**
+ * Whether a stage name is one of the names deals close through
+ *
+ * @param {string} name - Stage name
+ * @returns {boolean}
+ */
+const isClosedStageName = (name) => CLOSED_STAGE_NAMES.includes(name.trim().toLowerCase());
+
+/**
+ * Translates constraint violations on pipelines
+ *
+ * @param {Error} error - Database error
+ * @returns {Error}
+ */
+const toPipelineError = (error) => {
+  if (error.code === '23505') {
+    return pipelineError('conflict', 'A pipeline with this name already exists');
+  }
+  return error;
+};
+
+/**
+ * List pipelines in display order with stage and open deal counts
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Include archived pipelines
+ * @returns {Promise<Array<Object>>}
+ */
+const listPipelines = async ({ includeInactive = false } = {}) => {
+  const result = await db.query(`
+    SELECT
+      p.*,
+      (SELECT COUNT(*) FROM pipeline_stages ps WHERE ps.pipeline_id = p.id AND ps.is_active = true) as stage_count,
+      (SELECT COUNT(*) FROM deals d WHERE d.pipeline_id = p.id AND d.status = 'open') as open_deals
+    FROM pipelines p
+    ${includeInactive ? '' : 'WHERE p.is_active = true'}
+    ORDER BY p.is_default DESC, p.display_order, p.name
+  `);
+
+  return result.rows.map(row => ({
+    ...row,
+    stage_count: parseInt(row.stage_count),
+    open_deals: parseInt(row.open_deals)
+  }));
+};
+
+/**
+ * Stages of a pipeline in display order, with their open deal counts
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number} pipelineId - Pipeline ID
+ * @returns {Promise<Array<Object>>}
+ */
+const getStages = async (client, pipelineId) => {
+  const result = await client.query(`
+    SELECT
+      ps.id, ps.pipeline_id, ps.name, ps.description, ps.display_order, ps.probability, ps.is_active,
+      ps.created_at, ps.updated_at,
+      (SELECT COUNT(*) FROM deals d WHERE d.pipeline_stage_id = ps.id AND d.status = 'open') as open_deals
+    FROM pipeline_stages ps
+    WHERE ps.pipeline_id = $1
+    ORDER BY ps.display_order, ps.id
+  `, [pipelineId]);
+
+  return result.rows.map(row => ({
+    ...row,
+    open_deals: parseInt(row.open_deals),
+    is_closed_stage: isClosedStageName(row.name)
+  }));
+};
+
+/**
+ * Get a pipeline with all its stages, archived ones included
+ *
+ * @param {number} pipelineId - Pipeline ID
+ * @returns {Promise<Object>}
+ */
+const getPipeline = async (pipelineId) => {
+  const result = await db.query('SELECT * FROM pipelines WHERE id = $1', [pipelineId]);
+  if (result.rows.length === 0) {
+    throw pipelineError('not_found', 'Pipeline not found');
+  }
+
+  return { ...result.rows[0], stages: await getStages(db, pipelineId) };
+};
+
+/**
+ * The pipeline new deals go into when none is given
+ *
+ * @returns {Promise<Object|null>} { id, name }, null before the pipelines migration ran
+ */
+const getDefaultPipeline = async () => {
+  const result = await db.query('SELECT id, name FROM pipelines WHERE is_default');
+  return result.rows[0] || null;
+};
+
+/**
+ * Validates a pipeline_id analytics filter
+ *
+ * @param {*} value - Raw query value
+ * @param {Object} [options]
+ * @param {boolean} [options.useDefault=false] - Fall back to the default pipeline when not given
+ * @returns {Promise<number|null>} Pipeline ID, or null for every pipeline
+ */
+const resolvePipelineFilter = async (value, { useDefault = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (!useDefault) return null;
+    const pipeline = await getDefaultPipeline();
+    return pipeline ? pipeline.id : null;
+  }
+
+  const pipelineId = Number(value);
+  if (!Number.isInteger(pipelineId) || pipelineId <= 0) {
+    throw pipelineError('validation', 'pipeline_id must be a pipeline ID');
+  }
+  const result = await db.query('SELECT id FROM pipelines WHERE id = $1', [pipelineId]);
+  if (result.rows.length === 0) {
+    throw pipelineError('validation', 'Pipeline not found');
+  }
+  return pipelineId;
+};
+
+/**
+ * Checks a pipeline's stage names: unique, and exactly one stage each named
+ * Closed Won and Closed Lost
+ *
+ * @param {Array<Object>} stages - [{ name }]
+ */
+const checkStageNames = (stages) => {
+  const names = stages.map(stage => stage.name.trim().toLowerCase());
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw pipelineError('validation', `Stage names must be unique; "${duplicate}" is used twice`);
+  }
+  if (!CLOSED_STAGE_NAMES.every(name => names.includes(name))) {
+    throw pipelineError('validation', 'A pipeline needs a "Closed Won" and a "Closed Lost" stage');
+  }
+};
+
+/**
+ * Create a pipeline. Without stages it starts with a copy of the default
+ * pipeline's active stages.
+ *
+ * @param {Object} data - { name, description, is_default, display_order, stages: [{ name, description, probability }] }
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Pipeline with stages
+ */
+const createPipeline = async (data, user) => {
+  const value = validate(createPipelineSchema, data);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    let stages = value.stages;
+    if (!stages) {
+      const defaults = await client.query(`
+        SELECT ps.name, ps.description, ps.probability
+        FROM pipeline_stages ps
+        JOIN pipelines p ON p.id = ps.pipeline_id AND p.is_default
+        WHERE ps.is_active = true
+        ORDER BY ps.display_order, ps.id
+      `);
+      stages = defaults.rows;
+    }
+    checkStageNames(stages);
+
+    if (value.is_default) {
+      await client.query('UPDATE pipelines SET is_default = false, updated_at = CURRENT_TIMESTAMP WHERE is_default');
+    }
+
+    const result = await client.query(`
+      INSERT INTO pipelines (name, description, is_default, is_active, display_order, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [
+      value.name,
+      value.description || null,
+      value.is_default || false,
+      value.is_active === undefined ? true : value.is_active,
+      value.display_order || 0,
+      user.id
+    ]);
+    const pipelineId = result.rows[0].id;
+
+    await client.query(`
+      INSERT INTO pipeline_stages (pipeline_id, name, description, probability, display_order, is_active)
+      SELECT $1, stage.name, stage.description, stage.probability, stage.position, true
+      FROM unnest($2::varchar[], $3::text[], $4::int[]) WITH ORDINALITY as stage(name, description, probability, position)
+    `, [
+      pipelineId,
+      stages.map(stage => stage.name.trim()),
+      stages.map(stage => stage.description || null),
+      stages.map(stage => (stage.probability === undefined || stage.probability === null ? 0 : stage.probability))
+    ]);
+
+    await client.query('COMMIT');
+    return getPipeline(pipelineId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw toPipelineError(error);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Rename, describe, reorder, archive or restore a pipeline, or make it the
+ * default. The default pipeline cannot be archived, and a pipeline with
+ * open deals cannot be archived until they are moved or closed.
+ *
+ * @param {number} pipelineId - Pipeline ID
+ * @param {Object} data - { name, description, is_default, is_active, display_order }
+ * @returns {Promise<Object>} Pipeline with stages
+ */
+const updatePipeline = async (pipelineId, data) => {
+  const value = validate(pipelineSchema, data, { partial: true });
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM pipelines WHERE id = $1 FOR UPDATE', [pipelineId]);
+    const pipeline = result.rows[0];
+    if (!pipeline) {
+      throw pipelineError('not_found', 'Pipeline not found');
+    }
+
+    const isDefault = value.is_default || pipeline.is_default;
+    const isActive = value.is_active === undefined ? pipeline.is_active : value.is_active;
+    if (isDefault && !isActive) {
+      throw pipelineError('conflict', 'The default pipeline cannot be archived; make another pipeline the default first');
+    }
+    if (value.is_active === false && pipeline.is_active) {
+      const open = await client.query(
+        "SELECT COUNT(*) as count FROM deals WHERE pipeline_id = $1 AND status = 'open'",
+        [pipeline.id]
+      );
+      const count = parseInt(open.rows[0].count);
+      if (count > 0) {
+        throw pipelineError('conflict', `Pipeline has ${count} open deal${count > 1 ? 's' : ''}; move or close them first`);
+      }
+    }
+
+    if (value.is_default && !pipeline.is_default) {
+      await client.query('UPDATE pipelines SET is_default = false, updated_at = CURRENT_TIMESTAMP WHERE is_default');
+    }
+
+    const columns = Object.keys(value);
+    await client.query(`
+      UPDATE pipelines
+      SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${columns.length + 1}
+    `, [...columns.map(column => (value[column] === '' ? null : value[column])), pipeline.id]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw toPipelineError(error);
+  } finally {
+    client.release();
+  }
+
+  return getPipeline(pipelineId);
+};
+
+/**
+ * Locks a pipeline for a stage change
+ *
+ * @param {Object} client - Database client inside the transaction
+ * @param {number} pipelineId - Pipeline ID
+ */
+const lockPipeline = async (client, pipelineId) => {
+  const result = await client.query('SELECT id FROM pipelines WHERE id = $1 FOR UPDATE', [pipelineId]);
+  if (result.rows.length === 0) {
+    throw pipelineError('not_found', 'Pipeline not found');
+  }
+};
+
+/**
+ * Runs a stage change in a transaction with the pipeline locked, so
+ * concurrent changes cannot both pass the name and order checks
+ *
+ * @param {number} pipelineId - Pipeline ID
+ * @param {Function} work - async (client, stages) => void
+ * @returns {Promise<Object>} Pipeline with stages
+ */
+const changeStages = async (pipelineId, work) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await lockPipeline(client, pipelineId);
+    await work(client, await getStages(client, pipelineId));
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getPipeline(pipelineId);
+};
+
+/**
+ * Add a stage to a pipeline, at the end or before the stage at `position`
+ * (1-based)
+ *
+ * @param {number} pipelineId - Pipeline ID
+ * @param {Object} data - { name, description, probability, position }
+ * @returns {Promise<Object>} Pipeline with stages
+ */
+const addStage = async (pipelineId, data) => {
+  const value = validate(createStageSchema, data);
+  if (isClosedStageName(value.name)) {
+    throw pipelineError('validation', `Every pipeline already has a "${value.name}" stage`);
+  }
+
+  return changeStages(pipelineId, async (client, stages) => {
+    if (stages.some(stage => stage.name.toLowerCase() === value.name.toLowerCase())) {
+      throw pipelineError('conflict', 'A stage with this name already exists in this pipeline');
+    }
+
+    const position = Math.min(value.position || stages.length + 1, stages.length + 1);
+    await client.query(`
+      UPDATE pipeline_stages
+      SET display_order = display_order + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE pipeline_id = $1 AND display_order >= $2
+    `, [pipelineId, position]);
+
+    await client.query(`
+      INSERT INTO pipeline_stages (pipeline_id, name, description, probability, display_order, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+      pipelineId,
+      value.name,
+      value.description || null,
+      value.probability || 0,
+      position,
+      value.is_active === undefined ? true : value.is_active
+    ]);
+  });
+};
+
+/**
+ * Rename a stage, change its description or probability, archive it
+ * (is_active false) or restore it. A stage with open deals cannot be
+ * archived; the closed stages cannot be renamed or archived.
+ *
+ * @param {number} pipelineId - Pipeline ID
+ * @param {number} stageId - Stage ID
+ * @param {Object} data - { name, description, probability, is_active }
+ * @returns {Promise<Object>} Pipeline with stages
+ */
+const updateStage = async (pipelineId, stageId, data) => {
+  const value = validate(stageSchema, data, { partial: true });
+
+  return changeStages(pipelineId, async (client, stages) => {
+    const stage = stages.find(item => item.id === stageId);
+    if (!stage) {
+      throw pipelineError('not_found', 'Stage not found in this pipeline');
+    }
+
+    if (value.name !== undefined && value.name.toLowerCase() !== stage.name.toLowerCase()) {
+      if (stage.is_closed_stage) {
+        throw pipelineError('conflict', `The "${stage.name}" stage cannot be renamed; deals close through it`);
+      }
+      if (isClosedStageName(value.name)) {
+        throw pipelineError('validation', `Every pipeline already has a "${value.name}" stage`);
+      }
+      if (stages.some(item => item.id !== stage.id && item.name.toLowerCase() === value.name.toLowerCase())) {
+        throw pipelineError('conflict', 'A stage with this name already exists in this pipeline');
+      }
+    }
+
+    if (value.is_active === false && stage.is_active) {
+      if (stage.is_closed_stage) {
+        throw pipelineError('conflict', `The "${stage.name}" stage cannot be archived; deals close through it`);
+      }
+      if (stage.open_deals > 0) {
+        throw pipelineError('conflict', `Stage has ${stage.open_deals} open deal${stage.open_deals > 1 ? 's' : ''}; move them first`);
+      }
+    }
+
+    const columns = Object.keys(value);
+    await client.query(`
+      UPDATE pipeline_stages
+      SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${columns.length + 1}
+    `, [...columns.map(column => (value[column] === '' ? null : value[column])), stage.id]);
+  });
+};
+
+/**
+ * Put a pipeline's stages in a new order
+ *
+ * @param {number} pipelineId - Pipeline ID
+ * @param {Object} data - { stage_ids } listing every stage of the pipeline, archived ones included
+ * @returns {Promise<Object>} Pipeline with stages
+ */
+const reorderStages = async (pipelineId, data) => {
+  const { stage_ids: stageIds } = validate(reorderSchema, data);
+
+  return changeStages(pipelineId, async (client, stages) => {
+    const current = stages.map(stage => stage.id);
+    if (stageIds.length !== current.length || !stageIds.every(id => current.includes(id))) {
+      throw pipelineError('validation', 'stage_ids must list every stage of the pipeline exactly once');
+    }
+
+    await client.query(`
+      UPDATE pipeline_stages ps
+      SET display_order = ordered.position, updated_at = CURRENT_TIMESTAMP
+      FROM unnest($1::int[]) WITH ORDINALITY as ordered(id, position)
+      WHERE ps.id = ordered.id
+    `, [stageIds]);
+  });
+};
+
+/**
+ * Resolves the stage for a deal created in or moved to a pipeline: the given
+ * stage, which must be active and in that pipeline, or else the pipeline's
+ * first active stage. Without a pipeline the stage is returned unchanged and
+ * the deal follows that stage's pipeline.
+ *
+ * @param {Object} data - { pipeline_id, pipeline_stage_id } from the request body
+ * @returns {Promise<number|null>} Stage ID for the deal
+ */
+const resolveDealStage = async ({ pipeline_id: pipelineValue, pipeline_stage_id: stageValue }) => {
+  if (pipelineValue === undefined || pipelineValue === null || pipelineValue === '') {
+    return stageValue;
+  }
+
+  const pipelineId = Number(pipelineValue);
+  const pipeline = Number.isInteger(pipelineId)
+    ? (await db.query('SELECT id, is_active FROM pipelines WHERE id = $1', [pipelineId])).rows[0]
+    : null;
+  if (!pipeline || !pipeline.is_active) {
+    throw pipelineError('validation', 'Pipeline not found or archived');
+  }
+
+  if (stageValue) {
+    const result = await db.query(
+      'SELECT id FROM pipeline_stages WHERE id = $1 AND pipeline_id = $2 AND is_active = true',
+      [parseInt(stageValue), pipelineId]
+    );
+    if (result.rows.length === 0) {
+      throw pipelineError('validation', 'Pipeline stage not found in this pipeline');
+    }
+    return result.rows[0].id;
+  }
+
+  const result = await db.query(`
+    SELECT id FROM pipeline_stages
+    WHERE pipeline_id = $1 AND is_active = true
+    ORDER BY display_order, id
+    LIMIT 1
+  `, [pipelineId]);
+  if (result.rows.length === 0) {
+    throw pipelineError('validation', 'Pipeline has no active stages');
+  }
+  return result.rows[0].id;
+};
+
+module.exports = {
+  CLOSED_STAGE_NAMES,
+  listPipelines,
+  getPipeline,
+  getDefaultPipeline,
+  resolvePipelineFilter,
+  createPipeline,
+  updatePipeline,
+  addStage,
+  updateStage,
+  reorderStages,
+  resolveDealStage
+};
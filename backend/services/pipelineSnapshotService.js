@@ -0,0 +1,455 @@
+/**
+ * Pipeline Snapshot Service
+ *
+ * Takes a daily copy of every deal into pipeline_snapshots and answers
+ * "what did the pipeline look like then" and "what changed between two
+ * dates" from those copies instead of the live deals table. Amounts are
+ * converted into the tenant's reporting currency at each deal's close date
+ * rate (the snapshot date for open deals without one), with the original
+ * amounts per currency alongside.
+ */
+const moment = require('moment');
+const Joi = require('joi');
+const db = require('../db');
+const currencyService = require('./currencyService');
+
+// Deal fields compared between snapshots
+const STATE_FIELDS = [
+  'pipeline_stage_id',
+  'stage_name',
+  'value',
+  'probability',
+  'expected_close_date',
+  'status',
+  'forecast_category'
+];
+
+const snapshotQuerySchema = Joi.object({
+  owner_id: Joi.number().integer().positive()
+});
+
+const compareSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  owner_id: Joi.number().integer().positive(),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation' or 'not_found'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const snapshotError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates a query against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} query - Raw query parameters
+ * @returns {Object} Validated values
+ */
+const validate = (schema, query) => {
+  const { error, value } = schema.validate(query || {}, { stripUnknown: true });
+  if (error) {
+    throw snapshotError('validation', error.details[0].message);
+  }
+  return value;
+};
+
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * SQL expression converting a snapshot row's value into the reporting currency
+ *
+ * @param {Array} params - Query parameters, extended in place
+ * @param {Object} options - { currency, tenantId }
+ * @param {string} [alias='s'] - Alias of the pipeline_snapshots table
+ * @returns {string} SQL expression
+ */
+const snapshotValue = (params, { currency, tenantId }, alias = 's') =>
+  currencyService.convertedValue(params, { currency, tenantId, alias, fallbackDate: `${alias}.snapshot_date` });
+
+/**
+ * Copies every deal into today's snapshot. Running it again on the same day
+ * replaces that day's rows, including dropping deals deleted since.
+ *
+ * @param {string} [snapshotDate] - Snapshot date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<number>} Number of deals captured
+ */
+const takeSnapshot = async (snapshotDate = moment().format('YYYY-MM-DD')) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM pipeline_snapshots WHERE snapshot_date = $1', [snapshotDate]);
+    const result = await client.query(`
+      INSERT INTO pipeline_snapshots (
+        snapshot_date, deal_id, title, assigned_user_id, company_id, pipeline_stage_id,
+        stage_name, stage_order, value, currency, probability, expected_close_date, status, forecast_category, closed_at
+      )
+      SELECT
+        $1, d.id, d.title, d.assigned_user_id, d.company_id, d.pipeline_stage_id,
+        ps.name, ps.display_order, d.value, d.currency, d.probability, d.expected_close_date, d.status, d.forecast_category,
+        d.closed_at
+      FROM deals d
+      LEFT JOIN pipeline_stages ps ON ps.id = d.pipeline_stage_id
+    `, [snapshotDate]);
+
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Snapshot dates with their open pipeline totals
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=90] - Most recent dates to return
+ * @param {number|null} [options.tenantId] - Tenant whose reporting currency and rates are used
+ * @returns {Promise<Array<Object>>} [{ snapshot_date, deal_count, open_deals, open_value, open_value_by_currency }], newest first
+ */
+const listSnapshots = async ({ limit = 90, tenantId = null } = {}) => {
+  const result = await db.query(`
+    SELECT
+      TO_CHAR(snapshot_date, 'YYYY-MM-DD') as snapshot_date,
+      COUNT(*) as deal_count,
+      COUNT(*) FILTER (WHERE status = 'open') as open_deals
+    FROM pipeline_snapshots
+    GROUP BY snapshot_date
+    ORDER BY snapshot_date DESC
+    LIMIT $1
+  `, [Math.min(Math.max(parseInt(limit) || 90, 1), 1000)]);
+  if (result.rows.length === 0) return [];
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const params = [result.rows[result.rows.length - 1].snapshot_date];
+  const value = snapshotValue(params, { currency, tenantId });
+  const currencyResult = await db.query(`
+    SELECT
+      TO_CHAR(s.snapshot_date, 'YYYY-MM-DD') as snapshot_date,
+      ${currencyService.currencyTotalsColumns(value, { alias: 's' })}
+    FROM pipeline_snapshots s
+    WHERE s.status = 'open' AND s.snapshot_date >= $1
+    GROUP BY s.snapshot_date, COALESCE(s.currency, 'USD')
+    ORDER BY currency
+  `, params);
+
+  return result.rows.map(row => {
+    const byCurrency = currencyService.toCurrencyTotals(currencyResult.rows.filter(item => item.snapshot_date === row.snapshot_date));
+    return {
+      snapshot_date: row.snapshot_date,
+      deal_count: parseInt(row.deal_count),
+      open_deals: parseInt(row.open_deals),
+      open_value: Number(byCurrency.reduce((sum, item) => sum + item.converted_value, 0).toFixed(2)),
+      open_value_by_currency: byCurrency
+    };
+  });
+};
+
+/**
+ * The latest snapshot date on or before a date
+ *
+ * @param {string} [date] - YYYY-MM-DD, or nothing for the latest snapshot
+ * @returns {Promise<string>} Snapshot date
+ */
+const resolveSnapshotDate = async (date) => {
+  const result = await db.query(`
+    SELECT TO_CHAR(MAX(snapshot_date), 'YYYY-MM-DD') as snapshot_date
+    FROM pipeline_snapshots
+    WHERE $1::date IS NULL OR snapshot_date <= $1::date
+  `, [date || null]);
+
+  const snapshotDate = result.rows[0].snapshot_date;
+  if (!snapshotDate) {
+    throw snapshotError('not_found', date ? `No pipeline snapshot on or before ${date}` : 'No pipeline snapshots have been taken yet');
+  }
+  return snapshotDate;
+};
+
+/**
+ * Open pipeline by stage as it was on a date. Uses the latest snapshot on
+ * or before the date.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [query] - { owner_id }
+ * @param {Object} [options]
+ * @param {number|null} [options.tenantId] - Tenant whose reporting currency and rates are used
+ * @returns {Promise<Object>} { snapshot_date, currency, totals, stages }; totals.value_by_currency has the original amounts
+ */
+const getSnapshot = async (date, query = {}, { tenantId = null } = {}) => {
+  if (!moment.utc(date, 'YYYY-MM-DD', true).isValid()) {
+    throw snapshotError('validation', 'Date must be YYYY-MM-DD');
+  }
+  const filters = validate(snapshotQuerySchema, query);
+  const snapshotDate = await resolveSnapshotDate(date);
+  const currency = await currencyService.getReportingCurrency(tenantId);
+
+  const params = [snapshotDate];
+  const value = snapshotValue(params, { currency, tenantId });
+  let ownerCondition = '';
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    ownerCondition = `AND s.assigned_user_id = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      s.pipeline_stage_id as stage_id,
+      COALESCE(s.stage_name, 'No Stage') as stage_name,
+      s.stage_order,
+      COUNT(*) as deal_count,
+      COALESCE(SUM(${value}), 0) as value,
+      COALESCE(SUM(${value} * COALESCE(s.probability, 0) / 100.0), 0) as weighted_value
+    FROM pipeline_snapshots s
+    WHERE s.snapshot_date = $1 AND s.status = 'open' ${ownerCondition}
+    GROUP BY s.pipeline_stage_id, s.stage_name, s.stage_order
+    ORDER BY s.stage_order NULLS LAST, stage_name
+  `, params);
+
+  const currencyResult = await db.query(`
+    SELECT ${currencyService.currencyTotalsColumns(value, { alias: 's' })}
+    FROM pipeline_snapshots s
+    WHERE s.snapshot_date = $1 AND s.status = 'open' ${ownerCondition}
+    GROUP BY COALESCE(s.currency, 'USD')
+    ORDER BY currency
+  `, params);
+
+  const stages = result.rows.map(row => ({
+    stage_id: row.stage_id,
+    stage_name: row.stage_name,
+    stage_order: row.stage_order,
+    deal_count: parseInt(row.deal_count),
+    value: Number(parseFloat(row.value).toFixed(2)),
+    weighted_value: Number(parseFloat(row.weighted_value).toFixed(2))
+  }));
+
+  return {
+    snapshot_date: snapshotDate,
+    currency,
+    totals: {
+      open_deals: stages.reduce((sum, stage) => sum + stage.deal_count, 0),
+      open_value: Number(stages.reduce((sum, stage) => sum + stage.value, 0).toFixed(2)),
+      weighted_value: Number(stages.reduce((sum, stage) => sum + stage.weighted_value, 0).toFixed(2)),
+      value_by_currency: currencyService.toCurrencyTotals(currencyResult.rows)
+    },
+    stages
+  };
+};
+
+/**
+ * One side of a compared deal
+ *
+ * @param {Object} row - Joined row
+ * @param {string} prefix - 'from_' or 'to_'
+ * @returns {Object|null} Deal state, or null when the deal is not in that snapshot
+ */
+const toState = (row, prefix) => (row[`${prefix}deal_id`] === null ? null : {
+  stage_id: row[`${prefix}pipeline_stage_id`],
+  stage_name: row[`${prefix}stage_name`],
+  value: toAmount(row[`${prefix}value`]),
+  currency: row[`${prefix}currency`],
+  converted_value: row[`${prefix}converted_value`] === null ? null : Number(parseFloat(row[`${prefix}converted_value`]).toFixed(2)),
+  probability: row[`${prefix}probability`],
+  expected_close_date: row[`${prefix}expected_close_date`],
+  status: row[`${prefix}status`],
+  forecast_category: row[`${prefix}forecast_category`]
+});
+
+/**
+ * What changed between two snapshots:
+ * - new_deals: deals in the later snapshot only
+ * - closed_deals: open before, won or lost after
+ * - removed_deals: deals deleted in between
+ * - slipped_deals: still open with a later (or removed) close date
+ * - value_changes: deals whose value changed
+ * - stage_regressions: still open in an earlier stage
+ *
+ * Each requested date resolves to the latest snapshot on or before it.
+ * Without dates the latest snapshot is compared with the one a week earlier.
+ * Category totals and value changes are in the reporting currency; each
+ * deal also keeps its original value and currency.
+ *
+ * @param {Object} query - { from, to, owner_id, limit }
+ * @param {Object} [options]
+ * @param {number|null} [options.tenantId] - Tenant whose reporting currency and rates are used
+ * @returns {Promise<Object>} { from, to, currency, summary, ...categories }
+ */
+const compareSnapshots = async (query = {}, { tenantId = null } = {}) => {
+  const filters = validate(compareSchema, query);
+  const format = (date) => moment.utc(date).format('YYYY-MM-DD');
+
+  const to = await resolveSnapshotDate(filters.to ? format(filters.to) : null);
+  const from = await resolveSnapshotDate(filters.from
+    ? format(filters.from)
+    : moment.utc(to).subtract(7, 'days').format('YYYY-MM-DD'));
+  if (from > to) {
+    throw snapshotError('validation', 'from must be before to');
+  }
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const params = [from, to];
+  const fromValue = snapshotValue(params, { currency, tenantId }, 'f');
+  const toValue = snapshotValue(params, { currency, tenantId }, 't');
+  let ownerCondition = '';
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    ownerCondition = `AND COALESCE(t.assigned_user_id, f.assigned_user_id) = $${params.length}`;
+  }
+
+  const stateColumns = (alias, prefix) => STATE_FIELDS.map(field => (field === 'expected_close_date'
+    ? `TO_CHAR(${alias}.${field}, 'YYYY-MM-DD') as ${prefix}${field}`
+    : `${alias}.${field} as ${prefix}${field}`)).join(',\n      ');
+
+  const result = await db.query(`
+    SELECT
+      COALESCE(t.deal_id, f.deal_id) as deal_id,
+      COALESCE(t.title, f.title) as title,
+      COALESCE(t.assigned_user_id, f.assigned_user_id) as assigned_user_id,
+      f.deal_id as from_deal_id,
+      t.deal_id as to_deal_id,
+      f.stage_order as from_stage_order,
+      t.stage_order as to_stage_order,
+      f.currency as from_currency,
+      t.currency as to_currency,
+      ${fromValue} as from_converted_value,
+      ${toValue} as to_converted_value,
+      ${stateColumns('f', 'from_')},
+      ${stateColumns('t', 'to_')}
+    FROM (SELECT * FROM pipeline_snapshots WHERE snapshot_date = $1) f
+    FULL OUTER JOIN (SELECT * FROM pipeline_snapshots WHERE snapshot_date = $2) t ON t.deal_id = f.deal_id
+    WHERE (
+      f.deal_id IS NULL OR t.deal_id IS NULL
+      OR f.status IS DISTINCT FROM t.status
+      OR f.value IS DISTINCT FROM t.value
+      OR f.expected_close_date IS DISTINCT FROM t.expected_close_date
+      OR f.stage_order IS DISTINCT FROM t.stage_order
+    ) ${ownerCondition}
+    ORDER BY COALESCE(${toValue}, ${fromValue}) DESC NULLS LAST, deal_id
+  `, params);
+
+  const categories = {
+    new_deals: [],
+    closed_deals: [],
+    removed_deals: [],
+    slipped_deals: [],
+    value_changes: [],
+    stage_regressions: []
+  };
+
+  result.rows.forEach(row => {
+    const before = toState(row, 'from_');
+    const after = toState(row, 'to_');
+    const deal = { deal_id: row.deal_id, title: row.title, assigned_user_id: row.assigned_user_id, from: before, to: after };
+
+    if (!before) {
+      categories.new_deals.push(deal);
+      return;
+    }
+    if (!after) {
+      categories.removed_deals.push(deal);
+      return;
+    }
+
+    if (before.status === 'open' && after.status !== 'open') {
+      categories.closed_deals.push(deal);
+    }
+    if (before.value !== after.value) {
+      categories.value_changes.push({
+        ...deal,
+        change: Number(((after.converted_value || 0) - (before.converted_value || 0)).toFixed(2))
+      });
+    }
+    if (before.status === 'open' && after.status === 'open') {
+      if (before.expected_close_date && (!after.expected_close_date || after.expected_close_date > before.expected_close_date)) {
+        categories.slipped_deals.push({
+          ...deal,
+          days_slipped: after.expected_close_date
+            ? moment.utc(after.expected_close_date).diff(moment.utc(before.expected_close_date), 'days')
+            : null
+        });
+      }
+      if (row.from_stage_order !== null && row.to_stage_order !== null && row.to_stage_order < row.from_stage_order) {
+        categories.stage_regressions.push(deal);
+      }
+    }
+  });
+
+  const valueOf = (deals, side) => Number(deals.reduce((sum, deal) => sum + ((deal[side] && deal[side].converted_value) || 0), 0).toFixed(2));
+
+  const countParams = filters.owner_id ? [from, to, filters.owner_id] : [from, to];
+  const openDeals = await db.query(`
+    SELECT TO_CHAR(s.snapshot_date, 'YYYY-MM-DD') as snapshot_date, COUNT(*) as open_deals
+    FROM pipeline_snapshots s
+    WHERE s.snapshot_date IN ($1, $2) AND s.status = 'open'${filters.owner_id ? ' AND s.assigned_user_id = $3' : ''}
+    GROUP BY s.snapshot_date
+  `, countParams);
+
+  const totalsParams = [from, to];
+  const totalsValue = snapshotValue(totalsParams, { currency, tenantId });
+  if (filters.owner_id) totalsParams.push(filters.owner_id);
+  const openTotals = await db.query(`
+    SELECT
+      TO_CHAR(s.snapshot_date, 'YYYY-MM-DD') as snapshot_date,
+      ${currencyService.currencyTotalsColumns(totalsValue, { alias: 's' })}
+    FROM pipeline_snapshots s
+    WHERE s.snapshot_date IN ($1, $2) AND s.status = 'open'${filters.owner_id ? ' AND s.assigned_user_id = $5' : ''}
+    GROUP BY s.snapshot_date, COALESCE(s.currency, 'USD')
+    ORDER BY currency
+  `, totalsParams);
+  const totalsOn = (date) => {
+    const byCurrency = currencyService.toCurrencyTotals(openTotals.rows.filter(item => item.snapshot_date === date));
+    const row = openDeals.rows.find(item => item.snapshot_date === date);
+    return {
+      open_deals: row ? parseInt(row.open_deals) : 0,
+      open_value: Number(byCurrency.reduce((sum, item) => sum + item.converted_value, 0).toFixed(2)),
+      value_by_currency: byCurrency
+    };
+  };
+  const fromTotals = totalsOn(from);
+  const toTotals = totalsOn(to);
+
+  const summarize = (deals, extra = {}) => ({ count: deals.length, ...extra, deals: deals.slice(0, filters.limit) });
+
+  return {
+    from,
+    to,
+    currency,
+    summary: {
+      from: fromTotals,
+      to: toTotals,
+      open_value_change: Number((toTotals.open_value - fromTotals.open_value).toFixed(2))
+    },
+    new_deals: summarize(categories.new_deals, { value: valueOf(categories.new_deals, 'to') }),
+    closed_deals: summarize(categories.closed_deals, {
+      won: categories.closed_deals.filter(deal => deal.to.status === 'closed_won').length,
+      lost: categories.closed_deals.filter(deal => deal.to.status === 'closed_lost').length,
+      won_value: valueOf(categories.closed_deals.filter(deal => deal.to.status === 'closed_won'), 'to'),
+      lost_value: valueOf(categories.closed_deals.filter(deal => deal.to.status === 'closed_lost'), 'to')
+    }),
+    removed_deals: summarize(categories.removed_deals, { value: valueOf(categories.removed_deals, 'from') }),
+    slipped_deals: summarize(categories.slipped_deals, { value: valueOf(categories.slipped_deals, 'to') }),
+    value_changes: summarize(categories.value_changes, {
+      net_change: Number(categories.value_changes.reduce((sum, deal) => sum + deal.change, 0).toFixed(2))
+    }),
+    stage_regressions: summarize(categories.stage_regressions, { value: valueOf(categories.stage_regressions, 'to') })
+  };
+};
+
+module.exports = {
+  takeSnapshot,
+  listSnapshots,
+  getSnapshot,
+  compareSnapshots
+};
@@ -0,0 +1,284 @@
+/**
+ * Price Book Service
+ *
+ * Named price lists, e.g. per region or segment. A deal using a price book
+ * gets that book's price for its line items; products missing from the
+ * book fall back to products.unit_price. Changing a book or a deal's book
+ * only affects line items added afterwards.
+ */
+const Joi = require('joi');
+const db = require('../db');
+
+const priceBookSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow(null, ''),
+  is_active: Joi.boolean()
+});
+
+const createPriceBookSchema = priceBookSchema.fork(['name'], (field) => field.required());
+
+const entriesSchema = Joi.object({
+  entries: Joi.array().items(Joi.object({
+    product_id: Joi.number().integer().positive().required(),
+    unit_price: Joi.number().min(0).precision(2).required()
+  })).unique('product_id').min(1).max(1000).required()
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const priceBookError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates price book input
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Raw input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Reject input without any field (updates)
+ * @returns {Object} Validated fields
+ */
+const validate = (schema, data, { partial = false } = {}) => {
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw priceBookError('validation', error.details[0].message);
+  }
+  if (partial && Object.keys(value).length === 0) {
+    throw priceBookError('validation', 'No valid fields to update');
+  }
+  return value;
+};
+
+/**
+ * Translates constraint violations on price_books
+ *
+ * @param {Error} error - Database error
+ * @returns {Error}
+ */
+const toPriceBookError = (error) => {
+  if (error.code === '23505') {
+    return priceBookError('conflict', 'A price book with this name already exists');
+  }
+  if (error.code === '23503') {
+    return priceBookError('validation', 'Product not found');
+  }
+  return error;
+};
+
+/**
+ * List a tenant's price books with how many products each prices
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false] - Skip inactive books
+ * @returns {Promise<Array<Object>>}
+ */
+const listPriceBooks = async (tenantId, { activeOnly = false } = {}) => {
+  const result = await db.query(`
+    SELECT pb.*, COUNT(pbe.product_id) as product_count
+    FROM price_books pb
+    LEFT JOIN price_book_entries pbe ON pbe.price_book_id = pb.id
+    WHERE pb.tenant_id IS NOT DISTINCT FROM $1
+      ${activeOnly ? 'AND pb.is_active = true' : ''}
+    GROUP BY pb.id
+    ORDER BY pb.name
+  `, [tenantId]);
+
+  return result.rows.map(row => ({ ...row, product_count: parseInt(row.product_count) }));
+};
+
+/**
+ * Get one of a tenant's price books with its prices
+ *
+ * @param {number} priceBookId - Price book ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Price book with entries [{ product_id, product_name, category, list_price, unit_price }]
+ */
+const getPriceBook = async (priceBookId, tenantId) => {
+  const result = await db.query(
+    'SELECT * FROM price_books WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2',
+    [priceBookId, tenantId]
+  );
+  if (result.rows.length === 0) {
+    throw priceBookError('not_found', 'Price book not found');
+  }
+
+  const entries = await db.query(`
+    SELECT
+      pbe.product_id, p.name as product_name, p.category,
+      p.unit_price as list_price, pbe.unit_price, pbe.updated_at
+    FROM price_book_entries pbe
+    JOIN products p ON p.id = pbe.product_id
+    WHERE pbe.price_book_id = $1
+    ORDER BY p.name
+  `, [priceBookId]);
+
+  return {
+    ...result.rows[0],
+    entries: entries.rows.map(row => ({
+      ...row,
+      list_price: row.list_price === null ? null : parseFloat(row.list_price),
+      unit_price: parseFloat(row.unit_price)
+    }))
+  };
+};
+
+/**
+ * Create a price book
+ *
+ * @param {Object} data - { name, description, is_active }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Price book with entries
+ */
+const createPriceBook = async (data, tenantId) => {
+  const value = validate(createPriceBookSchema, data);
+
+  try {
+    const result = await db.query(`
+      INSERT INTO price_books (tenant_id, name, description, is_active)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [tenantId, value.name, value.description || null, value.is_active === undefined ? true : value.is_active]);
+
+    return getPriceBook(result.rows[0].id, tenantId);
+  } catch (error) {
+    throw toPriceBookError(error);
+  }
+};
+
+/**
+ * Update a price book
+ *
+ * @param {number} priceBookId - Price book ID
+ * @param {Object} data - Fields to change
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Price book with entries
+ */
+const updatePriceBook = async (priceBookId, data, tenantId) => {
+  const value = validate(priceBookSchema, data, { partial: true });
+  const priceBook = await getPriceBook(priceBookId, tenantId);
+
+  const columns = Object.keys(value);
+  try {
+    await db.query(`
+      UPDATE price_books
+      SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${columns.length + 1}
+    `, [...columns.map(column => (value[column] === '' ? null : value[column])), priceBook.id]);
+  } catch (error) {
+    throw toPriceBookError(error);
+  }
+
+  return getPriceBook(priceBook.id, tenantId);
+};
+
+/**
+ * Delete a price book. Deals using it fall back to catalog prices for new
+ * line items.
+ *
+ * @param {number} priceBookId - Price book ID
+ * @param {number|null} tenantId - Tenant ID
+ */
+const deletePriceBook = async (priceBookId, tenantId) => {
+  const priceBook = await getPriceBook(priceBookId, tenantId);
+  await db.query('DELETE FROM price_books WHERE id = $1', [priceBook.id]);
+};
+
+/**
+ * Set prices in a price book, adding or replacing one entry per product
+ *
+ * @param {number} priceBookId - Price book ID
+ * @param {Object} data - { entries: [{ product_id, unit_price }] }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Price book with entries
+ */
+const setEntries = async (priceBookId, data, tenantId) => {
+  const { entries } = validate(entriesSchema, data);
+  const priceBook = await getPriceBook(priceBookId, tenantId);
+
+  try {
+    await db.query(`
+      INSERT INTO price_book_entries (price_book_id, product_id, unit_price)
+      SELECT $1, entry.product_id, entry.unit_price
+      FROM unnest($2::int[], $3::numeric[]) as entry(product_id, unit_price)
+      ON CONFLICT (price_book_id, product_id)
+      DO UPDATE SET unit_price = EXCLUDED.unit_price, updated_at = CURRENT_TIMESTAMP
+    `, [priceBook.id, entries.map(entry => entry.product_id), entries.map(entry => entry.unit_price)]);
+  } catch (error) {
+    throw toPriceBookError(error);
+  }
+
+  return getPriceBook(priceBook.id, tenantId);
+};
+
+/**
+ * Remove a product from a price book
+ *
+ * @param {number} priceBookId - Price book ID
+ * @param {number} productId - Product ID
+ * @param {number|null} tenantId - Tenant ID
+ */
+const removeEntry = async (priceBookId, productId, tenantId) => {
+  const priceBook = await getPriceBook(priceBookId, tenantId);
+  const result = await db.query(
+    'DELETE FROM price_book_entries WHERE price_book_id = $1 AND product_id = $2 RETURNING product_id',
+    [priceBook.id, productId]
+  );
+  if (result.rows.length === 0) {
+    throw priceBookError('not_found', 'Product is not in this price book');
+  }
+};
+
+/**
+ * Set or clear the price book a deal's new line items are priced from
+ *
+ * @param {number} dealId - Deal ID
+ * @param {number|null} priceBookId - Active price book, or null for catalog prices
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { id, price_book_id }
+ */
+const setDealPriceBook = async (dealId, priceBookId, tenantId) => {
+  if (priceBookId !== null) {
+    if (!Number.isInteger(priceBookId) || priceBookId <= 0) {
+      throw priceBookError('validation', 'price_book_id must be a price book ID or null');
+    }
+    const result = await db.query(
+      'SELECT id FROM price_books WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 AND is_active = true',
+      [priceBookId, tenantId]
+    );
+    if (result.rows.length === 0) {
+      throw priceBookError('validation', 'Price book not found or inactive');
+    }
+  }
+
+  const result = await db.query(`
+    UPDATE deals
+    SET price_book_id = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING id, price_book_id
+  `, [priceBookId, dealId]);
+
+  if (result.rows.length === 0) {
+    throw priceBookError('not_found', 'Deal not found');
+  }
+  return result.rows[0];
+};
+
+module.exports = {
+  listPriceBooks,
+  getPriceBook,
+  createPriceBook,
+  updatePriceBook,
+  deletePriceBook,
+  setEntries,
+  removeEntry,
+  setDealPriceBook
+};
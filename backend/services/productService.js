@@ -0,0 +1,574 @@
+/**
+ * Product Service
+ *
+ * The product catalog and deal line items. A deal's value is the total of
+ * its line items and is recomputed whenever a line item is added, changed
+ * or removed. A line item's list price comes from the deal's price book,
+ * else the catalog; its discount is measured against that list price and
+ * may require approval (see discountApprovalService). Product revenue
+ * counts closed-won line items by the deal's expected close date.
+ */
+const Joi = require('joi');
+const moment = require('moment');
+const db = require('../db');
+const { buildProductFilters } = require('../utils/listFilters');
+const discountApprovalService = require('./discountApprovalService');
+
+const productSchema = Joi.object({
+  name: Joi.string().trim().max(255),
+  description: Joi.string().allow(null, ''),
+  category: Joi.string().trim().max(100).allow(null, ''),
+  unit_price: Joi.number().min(0).precision(2).allow(null),
+  is_active: Joi.boolean()
+});
+
+const createProductSchema = productSchema.fork(['name'], (field) => field.required());
+
+// Price a line item by unit price or by discount off the list price, not both
+const lineItemSchema = Joi.object({
+  product_id: Joi.number().integer().positive(),
+  quantity: Joi.number().integer().min(1),
+  unit_price: Joi.number().min(0).precision(2),
+  discount_percent: Joi.number().min(0).max(100).precision(2)
+}).oxor('unit_price', 'discount_percent');
+
+const createLineItemSchema = lineItemSchema.fork(['product_id'], (field) => field.required());
+
+const revenueSchema = Joi.object({
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')),
+  category: Joi.string(),
+  owner_id: Joi.number().integer().positive()
+});
+
+const LINE_ITEM_SELECT = `
+  SELECT
+    dp.id, dp.deal_id, dp.product_id,
+    p.name as product_name, p.category,
+    dp.quantity, dp.list_price, dp.discount_percent, dp.unit_price, dp.total_price,
+    dp.created_at, dp.updated_at
+  FROM deal_products dp
+  JOIN products p ON p.id = dp.product_id
+`;
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const productError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates input against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Raw input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Reject input without any field (updates)
+ * @returns {Object} Validated values
+ */
+const validate = (schema, data, { partial = false } = {}) => {
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw productError('validation', error.details[0].message);
+  }
+  if (partial && Object.keys(value).length === 0) {
+    throw productError('validation', 'No valid fields to update');
+  }
+  return value;
+};
+
+/**
+ * Converts prices to numbers
+ *
+ * @param {Object} row - products row
+ * @returns {Object}
+ */
+const toProduct = (row) => ({
+  ...row,
+  unit_price: row.unit_price === null ? null : parseFloat(row.unit_price)
+});
+
+/**
+ * Converts quantities and prices to numbers
+ *
+ * @param {Object} row - deal_products row joined with its product
+ * @returns {Object}
+ */
+const toLineItem = (row) => ({
+  ...row,
+  quantity: parseInt(row.quantity),
+  list_price: row.list_price === null ? null : parseFloat(row.list_price),
+  discount_percent: parseFloat(row.discount_percent),
+  unit_price: parseFloat(row.unit_price),
+  total_price: parseFloat(row.total_price)
+});
+
+/**
+ * Unit price and discount of a line item from its list price and either a
+ * unit price or a discount. A price above list counts as no discount.
+ *
+ * @param {number} listPrice - Price book or catalog price
+ * @param {Object} pricing - { unit_price } or { discount_percent }
+ * @returns {{ unitPrice: number, discountPercent: number }}
+ */
+const priceLineItem = (listPrice, pricing) => {
+  if (pricing.discount_percent !== undefined) {
+    return {
+      unitPrice: Number((listPrice * (1 - pricing.discount_percent / 100)).toFixed(2)),
+      discountPercent: pricing.discount_percent
+    };
+  }
+  const unitPrice = pricing.unit_price !== undefined ? pricing.unit_price : listPrice;
+  const discount = listPrice > 0 ? ((listPrice - unitPrice) / listPrice) * 100 : 0;
+  return { unitPrice, discountPercent: Number(Math.max(discount, 0).toFixed(2)) };
+};
+
+/**
+ * List products, paginated
+ *
+ * @param {Object} query - Express req.query: search, category, is_active, page, limit
+ * @returns {Promise<Object>} { products, total, page, limit, totalPages }
+ */
+const listProducts = async (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  const { whereClause, params } = buildProductFilters(query);
+
+  const result = await db.query(`
+    SELECT p.*
+    FROM products p
+    ${whereClause}
+    ORDER BY p.name
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM products p ${whereClause}`, params);
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    products: result.rows.map(toProduct),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+/**
+ * Product categories with how many products, and active products, use each
+ *
+ * @returns {Promise<Array<Object>>} [{ category, product_count, active_count }]
+ */
+const listCategories = async () => {
+  const result = await db.query(`
+    SELECT
+      category,
+      COUNT(*) as product_count,
+      COUNT(*) FILTER (WHERE is_active) as active_count
+    FROM products
+    WHERE category IS NOT NULL
+    GROUP BY category
+    ORDER BY category
+  `);
+
+  return result.rows.map(row => ({
+    category: row.category,
+    product_count: parseInt(row.product_count),
+    active_count: parseInt(row.active_count)
+  }));
+};
+
+/**
+ * Get a product
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>}
+ */
+const getProduct = async (productId) => {
+  const result = await db.query('SELECT * FROM products WHERE id = $1', [productId]);
+  if (result.rows.length === 0) {
+    throw productError('not_found', 'Product not found');
+  }
+  return toProduct(result.rows[0]);
+};
+
+/**
+ * Create a product
+ *
+ * @param {Object} data - { name, description, category, unit_price, is_active }
+ * @returns {Promise<Object>}
+ */
+const createProduct = async (data) => {
+  const value = validate(createProductSchema, data);
+
+  const result = await db.query(`
+    INSERT INTO products (name, description, category, unit_price, is_active)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [
+    value.name,
+    value.description || null,
+    value.category || null,
+    value.unit_price === undefined ? null : value.unit_price,
+    value.is_active === undefined ? true : value.is_active
+  ]);
+
+  return toProduct(result.rows[0]);
+};
+
+/**
+ * Update a product. Price changes apply to new line items only.
+ *
+ * @param {number} productId - Product ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>}
+ */
+const updateProduct = async (productId, data) => {
+  const value = validate(productSchema, data, { partial: true });
+  const product = await getProduct(productId);
+
+  const columns = Object.keys(value);
+  const result = await db.query(`
+    UPDATE products
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${columns.length + 1}
+    RETURNING *
+  `, [...columns.map(column => (value[column] === '' ? null : value[column])), product.id]);
+
+  return toProduct(result.rows[0]);
+};
+
+/**
+ * Delete a product that is not on any deal. Products in use should be
+ * deactivated instead so deal values and revenue history stay intact.
+ *
+ * @param {number} productId - Product ID
+ */
+const deleteProduct = async (productId) => {
+  const product = await getProduct(productId);
+
+  const usage = await db.query('SELECT COUNT(*) FROM deal_products WHERE product_id = $1', [product.id]);
+  if (parseInt(usage.rows[0].count) > 0) {
+    throw productError('conflict', 'Product is used on deals; deactivate it instead');
+  }
+
+  await db.query('DELETE FROM products WHERE id = $1', [product.id]);
+};
+
+/**
+ * Line items of a deal
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number} dealId - Deal ID
+ * @returns {Promise<Array<Object>>}
+ */
+const queryLineItems = async (client, dealId) => {
+  const result = await client.query(`${LINE_ITEM_SELECT} WHERE dp.deal_id = $1 ORDER BY dp.id`, [dealId]);
+  return result.rows.map(toLineItem);
+};
+
+/**
+ * A deal's line items with its value, price book and approval status
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number} dealId - Deal ID
+ * @returns {Promise<Object>} { deal_id, value, price_book_id, discount_approval_status, line_items }
+ */
+const describeDeal = async (client, dealId) => {
+  const deal = await client.query(
+    'SELECT id, value, price_book_id, discount_approval_status FROM deals WHERE id = $1',
+    [dealId]
+  );
+  if (deal.rows.length === 0) {
+    throw productError('not_found', 'Deal not found');
+  }
+
+  return {
+    deal_id: deal.rows[0].id,
+    value: parseFloat(deal.rows[0].value || 0),
+    price_book_id: deal.rows[0].price_book_id,
+    discount_approval_status: deal.rows[0].discount_approval_status,
+    line_items: await queryLineItems(client, dealId)
+  };
+};
+
+/**
+ * Get a deal's line items and value
+ *
+ * @param {number} dealId - Deal ID
+ * @returns {Promise<Object>} { deal_id, value, price_book_id, discount_approval_status, line_items }
+ */
+const getLineItems = (dealId) => describeDeal(db, dealId);
+
+/**
+ * Runs a line item change in a transaction with the deal locked, then sets
+ * the deal value to the total of its line items and re-checks discounts
+ *
+ * @param {number} dealId - Deal ID
+ * @param {Object} context - { userId, tenantId } of the change
+ * @param {Function} work - async (client, deal) => void
+ * @returns {Promise<Object>} { deal_id, value, price_book_id, discount_approval_status, line_items }
+ */
+const changeLineItems = async (dealId, context, work) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const deal = await client.query('SELECT id, price_book_id FROM deals WHERE id = $1 FOR UPDATE', [dealId]);
+    if (deal.rows.length === 0) {
+      throw productError('not_found', 'Deal not found');
+    }
+
+    await work(client, deal.rows[0]);
+
+    await client.query(`
+      UPDATE deals
+      SET value = (SELECT COALESCE(SUM(total_price), 0) FROM deal_products WHERE deal_id = $1),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [dealId]);
+    await discountApprovalService.evaluateDeal(client, dealId, context);
+
+    const result = await describeDeal(client, dealId);
+    await client.query('COMMIT');
+
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw productError('conflict', 'Product is already on this deal; change its quantity instead');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Finds one of a deal's line items
+ *
+ * @param {Object} client - Database client inside the transaction
+ * @param {number} dealId - Deal ID
+ * @param {number} itemId - Line item ID
+ * @returns {Promise<Object>} deal_products row
+ */
+const findLineItem = async (client, dealId, itemId) => {
+  const result = await client.query(
+    'SELECT * FROM deal_products WHERE id = $1 AND deal_id = $2',
+    [itemId, dealId]
+  );
+  if (result.rows.length === 0) {
+    throw productError('not_found', 'Line item not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Add a product to a deal. The unit price defaults to the list price from
+ * the deal's price book or the catalog.
+ *
+ * @param {number} dealId - Deal ID
+ * @param {Object} data - { product_id, quantity, unit_price | discount_percent }
+ * @param {Object} [context] - { userId, tenantId } of the change
+ * @returns {Promise<Object>} { deal_id, value, price_book_id, discount_approval_status, line_items }
+ */
+const addLineItem = async (dealId, data, context = {}) => {
+  const value = validate(createLineItemSchema, data);
+
+  return changeLineItems(dealId, context, async (client, deal) => {
+    const product = await client.query(`
+      SELECT p.is_active, COALESCE(pbe.unit_price, p.unit_price) as list_price
+      FROM products p
+      LEFT JOIN price_book_entries pbe ON pbe.product_id = p.id AND pbe.price_book_id = $2
+      WHERE p.id = $1
+    `, [value.product_id, deal.price_book_id]);
+    if (product.rows.length === 0) {
+      throw productError('validation', 'Product not found');
+    }
+    if (!product.rows[0].is_active) {
+      throw productError('validation', 'Product is inactive');
+    }
+
+    let listPrice = product.rows[0].list_price === null ? null : parseFloat(product.rows[0].list_price);
+    if (listPrice === null) {
+      if (value.unit_price === undefined) {
+        throw productError('validation', 'Product has no list price; unit_price is required');
+      }
+      listPrice = value.unit_price;
+    }
+
+    const { unitPrice, discountPercent } = priceLineItem(listPrice, value);
+    const quantity = value.quantity || 1;
+    await client.query(`
+      INSERT INTO deal_products (deal_id, product_id, quantity, list_price, discount_percent, unit_price, total_price)
+      VALUES ($1, $2, $3, $4, $5, $6, ROUND($3::integer * $6::numeric, 2))
+    `, [dealId, value.product_id, quantity, listPrice, discountPercent, unitPrice]);
+  });
+};
+
+/**
+ * Change a line item's quantity, or its price by unit price or discount
+ *
+ * @param {number} dealId - Deal ID
+ * @param {number} itemId - Line item ID
+ * @param {Object} data - { quantity, unit_price | discount_percent }
+ * @param {Object} [context] - { userId, tenantId } of the change
+ * @returns {Promise<Object>} { deal_id, value, price_book_id, discount_approval_status, line_items }
+ */
+const updateLineItem = async (dealId, itemId, data, context = {}) => {
+  const { product_id: productId, ...value } = validate(lineItemSchema, data, { partial: true });
+  if (productId !== undefined) {
+    throw productError('validation', 'The product of a line item cannot be changed; remove it and add the other product');
+  }
+
+  return changeLineItems(dealId, context, async (client) => {
+    const item = await findLineItem(client, dealId, itemId);
+    const quantity = value.quantity !== undefined ? value.quantity : item.quantity;
+    // Line items added before price books have no list price; their price is the list price
+    const listPrice = parseFloat(item.list_price === null ? item.unit_price : item.list_price);
+    const { unitPrice, discountPercent } = value.unit_price === undefined && value.discount_percent === undefined
+      ? { unitPrice: parseFloat(item.unit_price), discountPercent: parseFloat(item.discount_percent) }
+      : priceLineItem(listPrice, value);
+
+    await client.query(`
+      UPDATE deal_products
+      SET quantity = $1, list_price = $2, discount_percent = $3, unit_price = $4,
+          total_price = ROUND($1::integer * $4::numeric, 2), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [quantity, listPrice, discountPercent, unitPrice, item.id]);
+  });
+};
+
+/**
+ * Remove a line item from a deal
+ *
+ * @param {number} dealId - Deal ID
+ * @param {number} itemId - Line item ID
+ * @param {Object} [context] - { userId, tenantId } of the change
+ * @returns {Promise<Object>} { deal_id, value, price_book_id, discount_approval_status, line_items }
+ */
+const removeLineItem = async (dealId, itemId, context = {}) => changeLineItems(dealId, context, async (client) => {
+  const item = await findLineItem(client, dealId, itemId);
+  await client.query('DELETE FROM deal_products WHERE id = $1', [item.id]);
+});
+
+/**
+ * Revenue per product and per category: closed-won line items, plus open
+ * pipeline, by the deal's expected close date
+ *
+ * @param {Object} query - { start_date, end_date, category, owner_id }
+ * @returns {Promise<Object>} { period, summary, products, categories }
+ */
+const getProductRevenue = async (query) => {
+  const filters = validate(revenueSchema, query);
+
+  const params = [];
+  const conditions = [];
+
+  if (filters.start_date) {
+    params.push(moment.utc(filters.start_date).format('YYYY-MM-DD'));
+    conditions.push(`d.expected_close_date >= $${params.length}`);
+  }
+  if (filters.end_date) {
+    params.push(moment.utc(filters.end_date).format('YYYY-MM-DD'));
+    conditions.push(`d.expected_close_date <= $${params.length}`);
+  }
+  if (filters.category) {
+    params.push(filters.category.split(',').map(item => item.trim()));
+    conditions.push(`p.category = ANY($${params.length})`);
+  }
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    conditions.push(`d.assigned_user_id = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    SELECT
+      p.id as product_id,
+      p.name,
+      p.category,
+      COUNT(d.id) FILTER (WHERE d.status = 'closed_won') as won_deals,
+      COALESCE(SUM(dp.quantity) FILTER (WHERE d.status = 'closed_won'), 0) as quantity_sold,
+      COALESCE(SUM(dp.total_price) FILTER (WHERE d.status = 'closed_won'), 0) as revenue,
+      COALESCE(SUM(dp.total_price) FILTER (WHERE d.status = 'open'), 0) as open_pipeline
+    FROM deal_products dp
+    JOIN products p ON p.id = dp.product_id
+    JOIN deals d ON d.id = dp.deal_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY p.id, p.name, p.category
+    ORDER BY revenue DESC, p.name
+  `, params);
+
+  const products = result.rows.map(row => ({
+    product_id: row.product_id,
+    name: row.name,
+    category: row.category,
+    won_deals: parseInt(row.won_deals),
+    quantity_sold: parseInt(row.quantity_sold),
+    revenue: parseFloat(row.revenue),
+    open_pipeline: parseFloat(row.open_pipeline),
+    average_selling_price: parseInt(row.quantity_sold) > 0
+      ? Number((parseFloat(row.revenue) / parseInt(row.quantity_sold)).toFixed(2))
+      : null
+  }));
+
+  const totalRevenue = products.reduce((sum, product) => sum + product.revenue, 0);
+  const share = (revenue) => (totalRevenue > 0 ? Number(((revenue / totalRevenue) * 100).toFixed(2)) : 0);
+
+  const categories = {};
+  products.forEach(product => {
+    const key = product.category || 'Uncategorized';
+    if (!categories[key]) {
+      categories[key] = { category: key, product_count: 0, quantity_sold: 0, revenue: 0, open_pipeline: 0 };
+    }
+    categories[key].product_count += 1;
+    categories[key].quantity_sold += product.quantity_sold;
+    categories[key].revenue += product.revenue;
+    categories[key].open_pipeline += product.open_pipeline;
+  });
+
+  return {
+    period: {
+      start_date: filters.start_date ? moment.utc(filters.start_date).format('YYYY-MM-DD') : null,
+      end_date: filters.end_date ? moment.utc(filters.end_date).format('YYYY-MM-DD') : null
+    },
+    summary: {
+      revenue: Number(totalRevenue.toFixed(2)),
+      quantity_sold: products.reduce((sum, product) => sum + product.quantity_sold, 0),
+      open_pipeline: Number(products.reduce((sum, product) => sum + product.open_pipeline, 0).toFixed(2)),
+      products_sold: products.filter(product => product.quantity_sold > 0).length
+    },
+    products: products.map(product => ({ ...product, revenue_share: share(product.revenue) })),
+    categories: Object.values(categories)
+      .map(category => ({
+        ...category,
+        revenue: Number(category.revenue.toFixed(2)),
+        open_pipeline: Number(category.open_pipeline.toFixed(2)),
+        revenue_share: share(category.revenue)
+      }))
+      .sort((a, b) => b.revenue - a.revenue)
+  };
+};
+
+module.exports = {
+  listProducts,
+  listCategories,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getLineItems,
+  addLineItem,
+  updateLineItem,
+  removeLineItem,
+  getProductRevenue
+};
@@ -0,0 +1,581 @@
+/**
+ * Quota Service
+ *
+ * Quotas for a rep or a team over a date range, usually a fiscal month or
+ * quarter, on closed-won revenue or closed-won deal count. Setting a quota
+ * for the same owner, metric and range again replaces the amount.
+ * Attainment counts closed-won deals by expected close date; team
+ * attainment counts the deals of the team's current members. Revenue is
+ * converted into the tenant's reporting currency, with the original
+ * amounts per deal currency alongside.
+ */
+const Joi = require('joi');
+const moment = require('moment');
+const db = require('../db');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const teamService = require('./teamService');
+const currencyService = require('./currencyService');
+
+const QUOTA_METRICS = ['revenue', 'deal_count'];
+const QUOTA_PERIODS = ['month', 'quarter', 'year'];
+const LEADERBOARD_SCOPES = ['users', 'teams'];
+const LEADERBOARD_RANKINGS = ['total', 'attainment'];
+
+// A quota covers either explicit dates or the fiscal period containing `date`
+const quotaSchema = Joi.object({
+  user_id: Joi.number().integer().positive(),
+  team_id: Joi.number().integer().positive(),
+  metric: Joi.string().valid(...QUOTA_METRICS).default('revenue'),
+  period_start: Joi.date().iso(),
+  period_end: Joi.date().iso().min(Joi.ref('period_start')),
+  period: Joi.string().valid(...QUOTA_PERIODS),
+  date: Joi.date().iso(),
+  amount: Joi.when('metric', {
+    is: 'deal_count',
+    then: Joi.number().integer().min(0),
+    otherwise: Joi.number().min(0).precision(2)
+  }).required()
+}).xor('user_id', 'team_id')
+  .xor('period_start', 'period')
+  .and('period_start', 'period_end')
+  .messages({
+    'object.xor': 'Set either user_id or team_id, and either period_start/period_end or period',
+    'object.missing': 'user_id or team_id, and period_start/period_end or period, are required',
+    'object.and': 'period_start and period_end must be set together'
+  });
+
+const listSchema = Joi.object({
+  user_id: Joi.number().integer().positive(),
+  team_id: Joi.number().integer().positive(),
+  metric: Joi.string().valid(...QUOTA_METRICS),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso()
+});
+
+const periodSchema = {
+  date: Joi.date().iso(),
+  granularity: Joi.string().valid(...QUOTA_PERIODS).default('quarter')
+};
+
+const attainmentSchema = Joi.object({
+  ...periodSchema,
+  user_id: Joi.number().integer().positive(),
+  team_id: Joi.number().integer().positive(),
+  metric: Joi.string().valid(...QUOTA_METRICS)
+});
+
+const leaderboardSchema = Joi.object({
+  ...periodSchema,
+  scope: Joi.string().valid(...LEADERBOARD_SCOPES).default('users'),
+  metric: Joi.string().valid(...QUOTA_METRICS).default('revenue'),
+  rank_by: Joi.string().valid(...LEADERBOARD_RANKINGS).default('total'),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+const QUOTA_COLUMNS = `
+    q.id, q.user_id, q.team_id, q.metric,
+    TO_CHAR(q.period_start, 'YYYY-MM-DD') as period_start,
+    TO_CHAR(q.period_end, 'YYYY-MM-DD') as period_end,
+    q.amount, q.created_by, q.created_at, q.updated_at,
+    COALESCE(u.first_name || ' ' || u.last_name, t.name) as owner_name
+`;
+
+const QUOTA_JOINS = `
+  LEFT JOIN users u ON u.id = q.user_id
+  LEFT JOIN teams t ON t.id = q.team_id
+`;
+
+const QUOTA_SELECT = `SELECT ${QUOTA_COLUMNS} FROM quotas q ${QUOTA_JOINS}`;
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation' or 'not_found'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const quotaError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates a query against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} query - Raw input
+ * @returns {Object} Validated values
+ */
+const validate = (schema, query) => {
+  const { error, value } = schema.validate(query || {}, { stripUnknown: true });
+  if (error) {
+    throw quotaError('validation', error.details[0].message);
+  }
+  return value;
+};
+
+/**
+ * Formats a validated date as YYYY-MM-DD
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDate = (date) => moment.utc(date).format('YYYY-MM-DD');
+
+/**
+ * Converts amounts to numbers
+ *
+ * @param {Object} row - quotas row
+ * @returns {Object}
+ */
+const toQuota = (row) => ({ ...row, amount: parseFloat(row.amount) });
+
+/**
+ * Actual as a percentage of quota
+ *
+ * @param {number} actual
+ * @param {number|null} quota
+ * @returns {number|null} null without a (non-zero) quota
+ */
+const toAttainment = (actual, quota) => (quota ? Number(((actual / quota) * 100).toFixed(2)) : null);
+
+/**
+ * Share of a date range that has passed, today included
+ *
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {number} 0 to 100
+ */
+const elapsedPercent = (start, end) => {
+  const days = moment.utc(end).diff(moment.utc(start), 'days') + 1;
+  const passed = moment.utc().startOf('day').diff(moment.utc(start), 'days') + 1;
+  return Number((Math.min(Math.max(passed / days, 0), 1) * 100).toFixed(2));
+};
+
+/**
+ * The fiscal period containing a date (default today)
+ *
+ * @param {Object} filters - { date, granularity }
+ * @param {number|null} tenantId - Tenant whose fiscal calendar is used
+ * @returns {Promise<Object>} Bucket { label, start_date, end_date, ... } plus granularity
+ */
+const resolvePeriod = async ({ date, granularity }, tenantId) => {
+  const calendar = await fiscalCalendarService.getCalendar(tenantId);
+  const day = date ? toDate(date) : moment.utc().format('YYYY-MM-DD');
+  return { ...fiscalCalendarService.getBucketContaining(calendar, day, granularity), granularity };
+};
+
+/**
+ * List a tenant's quotas, optionally for one owner or metric and/or
+ * overlapping a range
+ *
+ * @param {Object} query - { user_id, team_id, metric, start_date, end_date }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>} Quotas, latest period first
+ */
+const listQuotas = async (query, tenantId) => {
+  const value = validate(listSchema, query);
+
+  const params = [tenantId];
+  const conditions = ['q.tenant_id IS NOT DISTINCT FROM $1'];
+
+  if (value.user_id) {
+    params.push(value.user_id);
+    conditions.push(`q.user_id = $${params.length}`);
+  }
+  if (value.team_id) {
+    params.push(value.team_id);
+    conditions.push(`q.team_id = $${params.length}`);
+  }
+  if (value.metric) {
+    params.push(value.metric);
+    conditions.push(`q.metric = $${params.length}`);
+  }
+  if (value.start_date) {
+    params.push(toDate(value.start_date));
+    conditions.push(`q.period_end >= $${params.length}`);
+  }
+  if (value.end_date) {
+    params.push(toDate(value.end_date));
+    conditions.push(`q.period_start <= $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${QUOTA_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY q.period_start DESC, owner_name, q.metric
+  `, params);
+
+  return result.rows.map(toQuota);
+};
+
+/**
+ * Set the quota for a rep or team over a date range or fiscal period
+ *
+ * @param {Object} data - { user_id | team_id, metric, period_start + period_end | period + date, amount }
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} The saved quota
+ */
+const setQuota = async (data, user, tenantId) => {
+  const value = validate(quotaSchema, data);
+
+  let periodStart = value.period_start && toDate(value.period_start);
+  let periodEnd = value.period_end && toDate(value.period_end);
+  if (value.period) {
+    const period = await resolvePeriod({ date: value.date, granularity: value.period }, tenantId);
+    periodStart = period.start_date;
+    periodEnd = period.end_date;
+  }
+
+  try {
+    const result = await db.query(`
+      INSERT INTO quotas (tenant_id, user_id, team_id, metric, period_start, period_end, amount, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (COALESCE(tenant_id, 0), COALESCE(user_id, 0), COALESCE(team_id, 0), metric, period_start, period_end)
+      DO UPDATE SET amount = EXCLUDED.amount, updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [
+      tenantId,
+      value.user_id || null,
+      value.team_id || null,
+      value.metric,
+      periodStart,
+      periodEnd,
+      value.amount,
+      user.id
+    ]);
+
+    const saved = await db.query(`${QUOTA_SELECT} WHERE q.id = $1`, [result.rows[0].id]);
+    return toQuota(saved.rows[0]);
+  } catch (error) {
+    if (error.code === '23503') {
+      throw quotaError('validation', 'User or team not found');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete one of a tenant's quotas
+ *
+ * @param {number} quotaId - Quota ID
+ * @param {number|null} tenantId - Tenant ID
+ */
+const deleteQuota = async (quotaId, tenantId) => {
+  const result = await db.query(
+    'DELETE FROM quotas WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 RETURNING id',
+    [quotaId, tenantId]
+  );
+  if (result.rows.length === 0) {
+    throw quotaError('not_found', 'Quota not found');
+  }
+};
+
+/**
+ * Total quota per rep and per team for quotas lying inside a range, so
+ * monthly quotas add up to a quarter
+ *
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [options]
+ * @param {string} [options.metric='revenue'] - Quota metric
+ * @returns {Promise<Object>} { users: { [userId]: amount }, teams: { [teamId]: amount } }
+ */
+const getQuotaTotals = async (range, tenantId, { metric = 'revenue' } = {}) => {
+  const result = await db.query(`
+    SELECT user_id, team_id, SUM(amount) as amount
+    FROM quotas
+    WHERE tenant_id IS NOT DISTINCT FROM $1
+      AND period_start >= $2 AND period_end <= $3
+      AND metric = $4
+    GROUP BY user_id, team_id
+  `, [tenantId, range.start, range.end, metric]);
+
+  const totals = { users: {}, teams: {} };
+  result.rows.forEach(row => {
+    if (row.user_id) totals.users[row.user_id] = parseFloat(row.amount);
+    else totals.teams[row.team_id] = parseFloat(row.amount);
+  });
+  return totals;
+};
+
+/**
+ * Attainment of every quota overlapping a fiscal period, each measured over
+ * its own dates
+ *
+ * @param {Object} query - { date, granularity, user_id, team_id, metric }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { period, currency, quotas: [{ ...quota, actual, revenue_by_currency, attainment, period_elapsed, on_track }] }
+ */
+const getAttainment = async (query, tenantId) => {
+  const filters = validate(attainmentSchema, query);
+  const period = await resolvePeriod(filters, tenantId);
+
+  const params = [tenantId, period.start_date, period.end_date];
+  const conditions = [
+    'q.tenant_id IS NOT DISTINCT FROM $1',
+    'q.period_end >= $2',
+    'q.period_start <= $3'
+  ];
+
+  if (filters.user_id) {
+    params.push(filters.user_id);
+    conditions.push(`q.user_id = $${params.length}`);
+  }
+  if (filters.team_id) {
+    params.push(filters.team_id);
+    conditions.push(`q.team_id = $${params.length}`);
+  }
+  if (filters.metric) {
+    params.push(filters.metric);
+    conditions.push(`q.metric = $${params.length}`);
+  }
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const value = currencyService.convertedValue(params, { currency, tenantId });
+  const wonDeals = `
+    FROM deals d
+    WHERE d.status = 'closed_won'
+      AND d.expected_close_date BETWEEN q.period_start AND q.period_end
+      AND (d.assigned_user_id = q.user_id
+        OR d.assigned_user_id IN (SELECT tm.user_id FROM team_members tm WHERE tm.team_id = q.team_id))
+  `;
+
+  const result = await db.query(`
+    SELECT ${QUOTA_COLUMNS}, a.revenue, a.deal_count, c.revenue_by_currency
+    FROM quotas q
+    ${QUOTA_JOINS}
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(SUM(${value}), 0) as revenue, COUNT(d.id) as deal_count
+      ${wonDeals}
+    ) a ON true
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(json_agg(t ORDER BY t.currency), '[]') as revenue_by_currency
+      FROM (
+        SELECT ${currencyService.currencyTotalsColumns(value)}
+        ${wonDeals}
+        GROUP BY COALESCE(d.currency, 'USD')
+      ) t
+    ) c ON true
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY q.period_start, owner_name, q.metric
+  `, params);
+
+  return {
+    period: { label: period.label, start_date: period.start_date, end_date: period.end_date, granularity: period.granularity },
+    currency,
+    quotas: result.rows.map(row => {
+      const { revenue, deal_count: dealCount, revenue_by_currency: revenueByCurrency, ...quota } = toQuota(row);
+      const actual = quota.metric === 'deal_count' ? parseInt(dealCount) : Number(parseFloat(revenue).toFixed(2));
+      const attainment = toAttainment(actual, quota.amount);
+      const elapsed = elapsedPercent(quota.period_start, quota.period_end);
+
+      return {
+        ...quota,
+        actual,
+        revenue_by_currency: currencyService.toCurrencyTotals(revenueByCurrency),
+        attainment,
+        period_elapsed: elapsed,
+        on_track: attainment === null ? null : attainment >= elapsed
+      };
+    })
+  };
+};
+
+/**
+ * Closed-won revenue and deal count per active user for a range, revenue
+ * converted into the reporting currency
+ *
+ * @param {Object} range - { start, end }
+ * @param {number|null} tenantId - Tenant whose rates are used
+ * @param {string} currency - Reporting currency
+ * @returns {Promise<Array<Object>>} [{ user_id, name, role, team_id, revenue, deal_count, revenue_by_currency }]
+ */
+const getUserActuals = async (range, tenantId, currency) => {
+  const params = [range.start, range.end];
+  const value = currencyService.convertedValue(params, { currency, tenantId });
+
+  const result = await db.query(`
+    SELECT
+      u.id as user_id,
+      u.first_name || ' ' || u.last_name as name,
+      u.role,
+      tm.team_id,
+      COALESCE(SUM(${value}), 0) as revenue,
+      COUNT(d.id) as deal_count
+    FROM users u
+    LEFT JOIN team_members tm ON tm.user_id = u.id
+    LEFT JOIN deals d ON d.assigned_user_id = u.id
+      AND d.status = 'closed_won'
+      AND d.expected_close_date BETWEEN $1 AND $2
+    WHERE u.is_active = true
+    GROUP BY u.id, u.first_name, u.last_name, u.role, tm.team_id
+  `, params);
+
+  const currencyResult = await db.query(`
+    SELECT d.assigned_user_id as user_id, ${currencyService.currencyTotalsColumns(value)}
+    FROM deals d
+    WHERE d.status = 'closed_won'
+      AND d.expected_close_date BETWEEN $1 AND $2
+      AND d.assigned_user_id IS NOT NULL
+    GROUP BY d.assigned_user_id, COALESCE(d.currency, 'USD')
+    ORDER BY currency
+  `, params);
+
+  const byCurrency = new Map();
+  currencyResult.rows.forEach(row => {
+    byCurrency.set(row.user_id, [...(byCurrency.get(row.user_id) || []), ...currencyService.toCurrencyTotals([row])]);
+  });
+
+  return result.rows.map(row => ({
+    user_id: row.user_id,
+    name: row.name,
+    role: row.role,
+    team_id: row.team_id,
+    revenue: Number(parseFloat(row.revenue).toFixed(2)),
+    deal_count: parseInt(row.deal_count),
+    revenue_by_currency: byCurrency.get(row.user_id) || []
+  }));
+};
+
+/**
+ * Ranks reps or teams for a fiscal period by closed-won revenue or deal
+ * count, or by attainment of their quota on that metric. Reps are listed
+ * when they are sales reps, won a deal or have a quota; without a quota
+ * they rank last on attainment. A team without its own quota is measured
+ * against the sum of its members' quotas.
+ *
+ * @param {Object} query - { date, granularity, scope, metric, rank_by, limit }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { period, currency, scope, metric, rank_by, entries: [{ rank, name, revenue, deal_count, revenue_by_currency, quota, attainment }] }
+ */
+const getLeaderboard = async (query, tenantId) => {
+  const filters = validate(leaderboardSchema, query);
+  const period = await resolvePeriod(filters, tenantId);
+  const range = { start: period.start_date, end: period.end_date };
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const actuals = await getUserActuals(range, tenantId, currency);
+  const quotas = await getQuotaTotals(range, tenantId, { metric: filters.metric });
+  const quotaOf = (amounts, id) => (amounts[id] !== undefined ? amounts[id] : null);
+
+  let entries;
+  if (filters.scope === 'teams') {
+    const teams = await teamService.listTeams(tenantId);
+    entries = teams.map(team => {
+      const members = actuals.filter(row => row.team_id === team.id);
+      const memberQuotas = members.map(member => quotaOf(quotas.users, member.user_id)).filter(amount => amount !== null);
+      return {
+        team_id: team.id,
+        name: team.name,
+        member_count: members.length,
+        revenue: Number(members.reduce((sum, member) => sum + member.revenue, 0).toFixed(2)),
+        deal_count: members.reduce((sum, member) => sum + member.deal_count, 0),
+        revenue_by_currency: currencyService.addCurrencyTotals(members.map(member => member.revenue_by_currency)),
+        quota: quotaOf(quotas.teams, team.id) !== null
+          ? quotaOf(quotas.teams, team.id)
+          : (memberQuotas.length > 0 ? memberQuotas.reduce((sum, amount) => sum + amount, 0) : null)
+      };
+    });
+  } else {
+    entries = actuals
+      .map(row => ({ ...row, quota: quotaOf(quotas.users, row.user_id) }))
+      .filter(row => row.role === 'sales_rep' || row.deal_count > 0 || row.quota !== null)
+      .map(({ role, ...row }) => row);
+  }
+
+  entries = entries.map(entry => ({ ...entry, attainment: toAttainment(entry[filters.metric], entry.quota) }));
+
+  const score = (entry) => (filters.rank_by === 'attainment' ? entry.attainment : entry[filters.metric]);
+  entries.sort((a, b) => {
+    if (score(a) === score(b)) return a.name.localeCompare(b.name);
+    if (score(a) === null) return 1;
+    if (score(b) === null) return -1;
+    return score(b) - score(a);
+  });
+
+  // Ties share a rank
+  let previous;
+  const ranked = entries.map((entry, index) => {
+    const rank = previous && score(previous.entry) === score(entry) ? previous.rank : index + 1;
+    previous = { entry, rank };
+    return { rank, ...entry };
+  });
+
+  return {
+    period: { label: period.label, start_date: period.start_date, end_date: period.end_date, granularity: period.granularity },
+    currency,
+    scope: filters.scope,
+    metric: filters.metric,
+    rank_by: filters.rank_by,
+    total_entries: ranked.length,
+    entries: ranked.slice(0, filters.limit)
+  };
+};
+
+/**
+ * A rep's progress for the current fiscal period: quota, actual and
+ * attainment on each metric for the rep and their team, and the rep's
+ * revenue rank
+ *
+ * @param {Object} user - User ({ id })
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [options]
+ * @param {string} [options.granularity='quarter'] - Fiscal period
+ * @returns {Promise<Object>} { period, period_elapsed, user, team, rank }
+ */
+const getProgress = async (user, tenantId, { granularity = 'quarter' } = {}) => {
+  const period = await resolvePeriod({ granularity }, tenantId);
+  const range = { start: period.start_date, end: period.end_date };
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const actuals = await getUserActuals(range, tenantId, currency);
+  const own = actuals.find(row => row.user_id === user.id) || { team_id: null, revenue: 0, deal_count: 0 };
+  const teamMembers = own.team_id ? actuals.filter(row => row.team_id === own.team_id) : [];
+
+  const progress = { user: {}, team: null };
+  if (own.team_id) {
+    const team = await teamService.getTeam(own.team_id, tenantId).catch(() => null);
+    progress.team = team && { team_id: team.id, name: team.name };
+  }
+
+  for (const metric of QUOTA_METRICS) {
+    const quotas = await getQuotaTotals(range, tenantId, { metric });
+    const userQuota = quotas.users[user.id] !== undefined ? quotas.users[user.id] : null;
+    progress.user[metric] = { quota: userQuota, actual: own[metric], attainment: toAttainment(own[metric], userQuota) };
+
+    if (progress.team) {
+      const memberQuotas = teamMembers.map(member => quotas.users[member.user_id]).filter(amount => amount !== undefined);
+      const teamQuota = quotas.teams[own.team_id] !== undefined
+        ? quotas.teams[own.team_id]
+        : (memberQuotas.length > 0 ? memberQuotas.reduce((sum, amount) => sum + amount, 0) : null);
+      const teamActual = metric === 'revenue'
+        ? Number(teamMembers.reduce((sum, member) => sum + member.revenue, 0).toFixed(2))
+        : teamMembers.reduce((sum, member) => sum + member.deal_count, 0);
+      progress.team[metric] = { quota: teamQuota, actual: teamActual, attainment: toAttainment(teamActual, teamQuota) };
+    }
+  }
+
+  const leaderboard = await getLeaderboard({ granularity, limit: 100 }, tenantId);
+  const entry = leaderboard.entries.find(item => item.user_id === user.id);
+
+  return {
+    period: { label: period.label, start_date: period.start_date, end_date: period.end_date, granularity },
+    period_elapsed: elapsedPercent(period.start_date, period.end_date),
+    ...progress,
+    rank: entry ? { position: entry.rank, of: leaderboard.total_entries } : null
+  };
+};
+
+module.exports = {
+  QUOTA_METRICS,
+  listQuotas,
+  setQuota,
+  deleteQuota,
+  getQuotaTotals,
+  getAttainment,
+  getLeaderboard,
+  getProgress
+};
@@ -0,0 +1,780 @@
+/**
+ * Quote Service
+ *
+ * Versioned quotes generated from a deal's company, contact and line items.
+ * A quote snapshots what it was generated from; regenerating creates the
+ * next version. Quotes are rendered to PDF from a Handlebars layout (see
+ * templates/quotes/default.hbs) and sent to the customer with a signed
+ * accept link. Only the latest version can be accepted, before it expires;
+ * accepting moves the deal to Closed Won.
+ */
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const Handlebars = require('handlebars');
+const PDFDocument = require('pdfkit');
+const db = require('../db');
+const automationService = require('./automationService');
+const emailService = require('./emailService');
+
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined'];
+const DEFAULT_VALID_DAYS = 30;
+const TOKEN_PURPOSE = 'quote';
+const PRIMARY_COLOR = '#1D4ED8';
+const MUTED_COLOR = '#6B7280';
+const TEXT_COLOR = '#111827';
+
+const LAYOUT_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'templates', 'quotes', 'default.hbs'), 'utf8');
+
+// Separate Handlebars environment; the layout is plain text, not HTML
+const handlebars = Handlebars.create();
+handlebars.registerHelper('cell', (value) => String(value === undefined || value === null ? '' : value).replace(/\|/g, '/'));
+const renderLayout = handlebars.compile(LAYOUT_SOURCE, { noEscape: true, strict: false });
+
+const createSchema = Joi.object({
+  deal_id: Joi.number().integer().positive().required(),
+  expires_at: Joi.date().iso(),
+  valid_days: Joi.number().integer().min(1).max(365),
+  notes: Joi.string().max(5000).allow(null, ''),
+  terms: Joi.string().max(5000).allow(null, '')
+}).oxor('expires_at', 'valid_days');
+
+const updateSchema = Joi.object({
+  expires_at: Joi.date().iso(),
+  notes: Joi.string().max(5000).allow(null, ''),
+  terms: Joi.string().max(5000).allow(null, '')
+});
+
+const listSchema = Joi.object({
+  deal_id: Joi.number().integer().positive(),
+  status: Joi.string().valid(...QUOTE_STATUSES)
+});
+
+const sendSchema = Joi.object({
+  email: Joi.boolean().default(false),
+  to: Joi.string().email()
+});
+
+const responseSchema = Joi.object({
+  name: Joi.string().trim().max(255).required()
+});
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const quoteError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates input against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Raw input
+ * @returns {Object} Validated values
+ */
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw quoteError('validation', error.details[0].message);
+  }
+  return value;
+};
+
+/**
+ * Formats an amount in the quote currency
+ *
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Whether a quote's expiry date has passed
+ *
+ * @param {Object} quote - quotes row
+ * @returns {boolean}
+ */
+const isExpired = (quote) => moment.utc(quote.expires_at).isBefore(moment.utc().format('YYYY-MM-DD'));
+
+/**
+ * Converts amounts to numbers and adds derived state
+ *
+ * @param {Object} row - quotes row, with latest_version
+ * @returns {Object}
+ */
+const toQuote = ({ latest_version: latestVersion, ...row }) => ({
+  ...row,
+  subtotal: parseFloat(row.subtotal),
+  discount_total: parseFloat(row.discount_total),
+  total: parseFloat(row.total),
+  is_expired: ['draft', 'sent'].includes(row.status) && isExpired(row),
+  is_latest: row.version === latestVersion
+});
+
+const QUOTE_SELECT = `
+  SELECT
+    q.id, q.tenant_id, q.deal_id, q.version, q.quote_number, q.status,
+    TO_CHAR(q.expires_at, 'YYYY-MM-DD') as expires_at,
+    q.currency, q.subtotal, q.discount_total, q.total, q.snapshot,
+    q.notes, q.terms, q.created_by, q.sent_at, q.responded_at, q.responded_by_name,
+    q.created_at, q.updated_at,
+    (SELECT MAX(v.version) FROM quotes v WHERE v.deal_id = q.deal_id) as latest_version
+  FROM quotes q
+`;
+
+/**
+ * Reads one quote, optionally restricted to a tenant
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number} quoteId - Quote ID
+ * @param {Object} [options]
+ * @param {number|null} [options.tenantId] - Tenant the quote must belong to; omit to skip the check
+ * @param {boolean} [options.forUpdate=false] - Lock the row
+ * @returns {Promise<Object>}
+ */
+const findQuote = async (client, quoteId, { tenantId, forUpdate = false } = {}) => {
+  const params = [quoteId];
+  let condition = 'q.id = $1';
+  if (tenantId !== undefined) {
+    params.push(tenantId);
+    condition += ' AND q.tenant_id IS NOT DISTINCT FROM $2';
+  }
+
+  const result = await client.query(`${QUOTE_SELECT} WHERE ${condition}${forUpdate ? ' FOR UPDATE OF q' : ''}`, params);
+  if (result.rows.length === 0) {
+    throw quoteError('not_found', 'Quote not found');
+  }
+  return toQuote(result.rows[0]);
+};
+
+/**
+ * List a tenant's quotes, newest first
+ *
+ * @param {Object} query - { deal_id, status }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>} Quotes without their snapshot
+ */
+const listQuotes = async (query, tenantId) => {
+  const filters = validate(listSchema, query);
+
+  const params = [tenantId];
+  const conditions = ['q.tenant_id IS NOT DISTINCT FROM $1'];
+
+  if (filters.deal_id) {
+    params.push(filters.deal_id);
+    conditions.push(`q.deal_id = $${params.length}`);
+  }
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`q.status = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    ${QUOTE_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY q.created_at DESC, q.id DESC
+  `, params);
+
+  return result.rows.map(row => {
+    const { snapshot, ...quote } = toQuote(row);
+    return { ...quote, deal_title: snapshot.deal.title, company_name: snapshot.company && snapshot.company.name };
+  });
+};
+
+/**
+ * Get one of a tenant's quotes
+ *
+ * @param {number} quoteId - Quote ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>}
+ */
+const getQuote = (quoteId, tenantId) => findQuote(db, quoteId, { tenantId });
+
+/**
+ * Generate the next quote version for a deal from its current company,
+ * contact and line items
+ *
+ * @param {Object} data - { deal_id, expires_at | valid_days, notes, terms }
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} The new draft quote
+ */
+const createQuote = async (data, user, tenantId) => {
+  const value = validate(createSchema, data);
+  const expiresAt = value.expires_at
+    ? moment.utc(value.expires_at).format('YYYY-MM-DD')
+    : moment.utc().add(value.valid_days || DEFAULT_VALID_DAYS, 'days').format('YYYY-MM-DD');
+  if (moment.utc(expiresAt).isBefore(moment.utc().format('YYYY-MM-DD'))) {
+    throw quoteError('validation', 'expires_at must not be in the past');
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const dealResult = await client.query(`
+      SELECT d.id, d.title, d.currency, d.company_id, d.contact_id
+      FROM deals d
+      WHERE d.id = $1
+      FOR UPDATE
+    `, [value.deal_id]);
+    const deal = dealResult.rows[0];
+    if (!deal) {
+      throw quoteError('not_found', 'Deal not found');
+    }
+
+    const company = await client.query(
+      'SELECT name, address, city, state, postal_code, country, phone, website FROM companies WHERE id = $1',
+      [deal.company_id]
+    );
+    const contact = await client.query(
+      'SELECT first_name, last_name, email, phone, job_title FROM contacts WHERE id = $1',
+      [deal.contact_id]
+    );
+    const items = await client.query(`
+      SELECT p.name, p.description, dp.quantity,
+        COALESCE(dp.list_price, dp.unit_price) as list_price, dp.discount_percent, dp.unit_price, dp.total_price
+      FROM deal_products dp
+      JOIN products p ON p.id = dp.product_id
+      WHERE dp.deal_id = $1
+      ORDER BY dp.id
+    `, [deal.id]);
+    if (items.rows.length === 0) {
+      throw quoteError('validation', 'Deal has no line items to quote');
+    }
+
+    const lineItems = items.rows.map(row => ({
+      name: row.name,
+      description: row.description,
+      quantity: parseInt(row.quantity),
+      list_price: parseFloat(row.list_price),
+      discount_percent: parseFloat(row.discount_percent),
+      unit_price: parseFloat(row.unit_price),
+      total_price: parseFloat(row.total_price)
+    }));
+    const subtotal = lineItems.reduce((sum, item) => sum + item.quantity * item.list_price, 0);
+    const total = lineItems.reduce((sum, item) => sum + item.total_price, 0);
+
+    const snapshot = {
+      deal: { title: deal.title },
+      company: company.rows[0] || null,
+      contact: contact.rows[0] || null,
+      line_items: lineItems
+    };
+
+    const versionResult = await client.query(
+      'SELECT COALESCE(MAX(version), 0) + 1 as version FROM quotes WHERE deal_id = $1',
+      [deal.id]
+    );
+    const version = parseInt(versionResult.rows[0].version);
+
+    const result = await client.query(`
+      INSERT INTO quotes (
+        tenant_id, deal_id, version, quote_number, expires_at, currency,
+        subtotal, discount_total, total, snapshot, notes, terms, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
+      tenantId,
+      deal.id,
+      version,
+      `Q-${String(deal.id).padStart(5, '0')}-${version}`,
+      expiresAt,
+      deal.currency || 'USD',
+      subtotal.toFixed(2),
+      (subtotal - total).toFixed(2),
+      total.toFixed(2),
+      JSON.stringify(snapshot),
+      value.notes || null,
+      value.terms || null,
+      user.id
+    ]);
+
+    const quote = await findQuote(client, result.rows[0].id);
+    await client.query('COMMIT');
+    return quote;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Change a draft quote's expiry date, notes or terms
+ *
+ * @param {number} quoteId - Quote ID
+ * @param {Object} data - { expires_at, notes, terms }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>}
+ */
+const updateQuote = async (quoteId, data, tenantId) => {
+  const value = validate(updateSchema, data);
+  const columns = Object.keys(value);
+  if (columns.length === 0) {
+    throw quoteError('validation', 'No valid fields to update');
+  }
+
+  const quote = await getQuote(quoteId, tenantId);
+  if (quote.status !== 'draft') {
+    throw quoteError('conflict', 'Only draft quotes can be changed; generate a new version instead');
+  }
+  if (value.expires_at) {
+    value.expires_at = moment.utc(value.expires_at).format('YYYY-MM-DD');
+    if (moment.utc(value.expires_at).isBefore(moment.utc().format('YYYY-MM-DD'))) {
+      throw quoteError('validation', 'expires_at must not be in the past');
+    }
+  }
+
+  await db.query(`
+    UPDATE quotes
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${columns.length + 1}
+  `, [...columns.map(column => (value[column] === '' ? null : value[column])), quote.id]);
+
+  return getQuote(quote.id, tenantId);
+};
+
+/**
+ * Delete a draft quote
+ *
+ * @param {number} quoteId - Quote ID
+ * @param {number|null} tenantId - Tenant ID
+ */
+const deleteQuote = async (quoteId, tenantId) => {
+  const quote = await getQuote(quoteId, tenantId);
+  if (quote.status !== 'draft') {
+    throw quoteError('conflict', 'Only draft quotes can be deleted');
+  }
+  await db.query('DELETE FROM quotes WHERE id = $1', [quote.id]);
+};
+
+/**
+ * Secret the accept tokens are signed with
+ *
+ * @returns {string}
+ */
+const tokenSecret = () => process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Signed token for a quote's public link, valid until the end of its
+ * expiry date
+ *
+ * @param {Object} quote - Quote
+ * @returns {string}
+ */
+const createAcceptToken = (quote) => jwt.sign(
+  { quoteId: quote.id, version: quote.version, purpose: TOKEN_PURPOSE },
+  tokenSecret(),
+  { expiresIn: Math.max(moment.utc(quote.expires_at).endOf('day').diff(moment.utc(), 'seconds'), 1) }
+);
+
+/**
+ * Customer-facing link to view and accept a quote
+ *
+ * @param {string} token - Accept token
+ * @returns {string}
+ */
+const acceptUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/quotes/${token}`;
+
+/**
+ * Shapes a quote for the layout: amounts formatted in the quote currency
+ *
+ * @param {Object} quote - Quote with snapshot
+ * @param {string} [link] - Accept link to print on the quote
+ * @returns {Object} Layout view
+ */
+const toLayoutView = (quote, link) => {
+  const { company, contact, deal, line_items: lineItems } = quote.snapshot;
+  const money = (amount) => formatMoney(amount, quote.currency);
+  const address = company
+    ? [company.address, company.city, company.state, company.postal_code, company.country].filter(Boolean).join(', ')
+    : null;
+
+  return {
+    quote: {
+      quoteNumber: quote.quote_number,
+      version: quote.version,
+      currency: quote.currency,
+      issuedOn: moment(quote.created_at).format('YYYY-MM-DD'),
+      expiresOn: quote.expires_at,
+      notes: quote.notes,
+      terms: quote.terms
+    },
+    company: { name: company ? company.name : 'No company', address },
+    contact: contact && {
+      name: `${contact.first_name} ${contact.last_name}`,
+      jobTitle: contact.job_title,
+      email: contact.email
+    },
+    deal,
+    lineItems: lineItems.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      listPrice: money(item.list_price),
+      discount: item.discount_percent > 0 ? `${item.discount_percent}%` : '',
+      unitPrice: money(item.unit_price),
+      total: money(item.total_price)
+    })),
+    totals: {
+      subtotal: money(quote.subtotal),
+      discount: money(quote.discount_total),
+      hasDiscount: quote.discount_total > 0,
+      total: money(quote.total)
+    },
+    acceptUrl: link
+  };
+};
+
+/**
+ * Splits a layout table or total line into trimmed cells
+ *
+ * @param {string} line - Line without its marker
+ * @returns {Array<string>}
+ */
+const splitCells = (line) => line.replace(/^\s*\|?/, '').replace(/\|\s*$/, '').split('|').map(cell => cell.trim());
+
+/**
+ * Renders a quote to PDF
+ *
+ * @param {Object} quote - Quote with snapshot
+ * @param {Object} [options]
+ * @param {string} [options.acceptUrl] - Accept link to print on the quote
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (quote, { acceptUrl: link } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const rowHeight = 18;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  };
+
+  const drawRow = (cells, bold) => {
+    ensureSpace(rowHeight);
+    // The first column takes what the others leave
+    const otherWidth = cells.length > 1 ? Math.min(80, (width * 0.6) / (cells.length - 1)) : 0;
+    const firstWidth = width - otherWidth * (cells.length - 1);
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(TEXT_COLOR);
+    cells.forEach((cell, index) => {
+      const x = index === 0 ? left : left + firstWidth + otherWidth * (index - 1);
+      doc.text(cell, x, y, {
+        width: (index === 0 ? firstWidth : otherWidth) - 4,
+        lineBreak: false,
+        ellipsis: true,
+        align: index === 0 ? 'left' : 'right'
+      });
+    });
+    if (bold) {
+      doc.moveTo(left, y + rowHeight - 4).lineTo(left + width, y + rowHeight - 4).strokeColor(MUTED_COLOR).lineWidth(0.5).stroke();
+    }
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const lines = renderLayout(toLayoutView(quote, link)).split('\n');
+  let previousBlank = true;
+  lines.forEach(raw => {
+    const line = raw.trimEnd();
+    if (line.trim() === '') {
+      if (!previousBlank) doc.moveDown(0.5);
+      previousBlank = true;
+      return;
+    }
+    previousBlank = false;
+
+    if (line.startsWith('## ')) {
+      ensureSpace(rowHeight * 2);
+      doc.moveDown(0.3);
+      doc.font('Helvetica-Bold').fontSize(12).fillColor(PRIMARY_COLOR).text(line.slice(3), left, doc.y, { width });
+      doc.moveDown(0.2);
+    } else if (line.startsWith('# ')) {
+      doc.font('Helvetica-Bold').fontSize(20).fillColor(PRIMARY_COLOR).text(line.slice(2), left, doc.y, { width });
+    } else if (line.startsWith('> ')) {
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(line.slice(2), left, doc.y, { width });
+    } else if (line.startsWith('|=')) {
+      drawRow(splitCells(line.slice(2)), true);
+    } else if (line.startsWith('|')) {
+      drawRow(splitCells(line), false);
+    } else if (line.startsWith('= ')) {
+      const [label, value] = splitCells(line.slice(2));
+      ensureSpace(rowHeight);
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text(label, left + width / 2, y, { width: width / 4 });
+      doc.font('Helvetica-Bold').text(value || '', left + (width * 3) / 4, y, { width: width / 4, align: 'right' });
+      doc.x = left;
+      doc.y = y + rowHeight;
+    } else if (line === '---') {
+      ensureSpace(rowHeight);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor(MUTED_COLOR).lineWidth(0.5).stroke();
+      doc.y += 8;
+    } else {
+      doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text(line, left, doc.y, { width });
+    }
+  });
+
+  doc.end();
+});
+
+/**
+ * Mark a quote as sent and return its accept link, optionally emailing the
+ * PDF to the deal contact or another address. Sending again re-sends the
+ * same quote.
+ *
+ * @param {number} quoteId - Quote ID
+ * @param {Object} data - { email, to }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { quote, accept_url, email }
+ */
+const sendQuote = async (quoteId, data, tenantId) => {
+  const options = validate(sendSchema, data);
+  const quote = await getQuote(quoteId, tenantId);
+
+  if (!['draft', 'sent'].includes(quote.status)) {
+    throw quoteError('conflict', `Quote is already ${quote.status}`);
+  }
+  if (!quote.is_latest) {
+    throw quoteError('conflict', 'A newer version of this quote exists');
+  }
+  if (quote.is_expired) {
+    throw quoteError('conflict', 'Quote has expired; generate a new version');
+  }
+
+  const recipient = options.to || (quote.snapshot.contact && quote.snapshot.contact.email);
+  if (options.email && !recipient) {
+    throw quoteError('validation', 'The deal has no contact email; give a "to" address');
+  }
+
+  const link = acceptUrl(createAcceptToken(quote));
+
+  let email = null;
+  if (options.email) {
+    const pdf = await renderPdf(quote, { acceptUrl: link });
+    email = await emailService.sendEmail({
+      to: recipient,
+      subject: `Quote ${quote.quote_number}: ${quote.snapshot.deal.title}`,
+      text: `Please find quote ${quote.quote_number} attached. It is valid until ${quote.expires_at}.\n\nView and accept it online: ${link}`,
+      attachments: [{ filename: `${quote.quote_number}.pdf`, content: pdf }]
+    });
+  }
+
+  await db.query(`
+    UPDATE quotes
+    SET status = 'sent', sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [quote.id]);
+
+  return { quote: await getQuote(quote.id, tenantId), accept_url: link, email };
+};
+
+/**
+ * Resolves a public link token to its quote
+ *
+ * @param {Object} client - Database client or pool
+ * @param {string} token - Accept token
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate=false] - Lock the quote row
+ * @returns {Promise<Object>}
+ */
+const quoteFromToken = async (client, token, { forUpdate = false } = {}) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, tokenSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw quoteError('conflict', 'Quote has expired');
+    }
+    throw quoteError('not_found', 'Quote not found');
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw quoteError('not_found', 'Quote not found');
+  }
+
+  const quote = await findQuote(client, payload.quoteId, { forUpdate });
+  if (quote.version !== payload.version) {
+    throw quoteError('not_found', 'Quote not found');
+  }
+  return quote;
+};
+
+/**
+ * What the customer sees through the public link
+ *
+ * @param {Object} quote - Quote
+ * @returns {Object}
+ */
+const toPublicQuote = (quote) => ({
+  quote_number: quote.quote_number,
+  version: quote.version,
+  status: quote.status,
+  expires_at: quote.expires_at,
+  is_expired: quote.is_expired,
+  is_latest: quote.is_latest,
+  currency: quote.currency,
+  subtotal: quote.subtotal,
+  discount_total: quote.discount_total,
+  total: quote.total,
+  deal_title: quote.snapshot.deal.title,
+  company: quote.snapshot.company && { name: quote.snapshot.company.name },
+  line_items: quote.snapshot.line_items,
+  notes: quote.notes,
+  terms: quote.terms,
+  responded_at: quote.responded_at,
+  responded_by_name: quote.responded_by_name
+});
+
+/**
+ * A quote as seen through its public link
+ *
+ * @param {string} token - Accept token
+ * @returns {Promise<Object>}
+ */
+const getPublicQuote = async (token) => toPublicQuote(await quoteFromToken(db, token));
+
+/**
+ * PDF of a quote fetched through its public link
+ *
+ * @param {string} token - Accept token
+ * @returns {Promise<Object>} { fileName, pdf }
+ */
+const getPublicPdf = async (token) => {
+  const quote = await quoteFromToken(db, token);
+  return { fileName: `${quote.quote_number}.pdf`, pdf: await renderPdf(quote) };
+};
+
+/**
+ * The PDF of one of a tenant's quotes
+ *
+ * @param {number} quoteId - Quote ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} { fileName, pdf }
+ */
+const getPdf = async (quoteId, tenantId) => {
+  const quote = await getQuote(quoteId, tenantId);
+  return { fileName: `${quote.quote_number}.pdf`, pdf: await renderPdf(quote) };
+};
+
+/**
+ * Moves a deal to the Closed Won stage of its pipeline unless it is already
+ * there, inside the caller's transaction
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} dealId - Deal ID
+ * @param {string} notes - Stage history notes
+ */
+const closeDealWon = async (client, dealId, notes) => {
+  const stage = await client.query(`
+    SELECT ps.id, d.pipeline_stage_id as current_stage_id
+    FROM deals d
+    JOIN pipeline_stages ps ON ps.pipeline_id IS NOT DISTINCT FROM d.pipeline_id
+    WHERE d.id = $1 AND LOWER(ps.name) = 'closed won' AND ps.is_active = true
+    ORDER BY ps.display_order
+    LIMIT 1
+  `, [dealId]);
+  if (stage.rows.length === 0) {
+    throw quoteError('conflict', 'No active Closed Won stage to move the deal to');
+  }
+
+  if (stage.rows[0].current_stage_id === stage.rows[0].id) {
+    return;
+  }
+
+  await automationService.changeDealStage(client, dealId, stage.rows[0].id, { notes });
+};
+
+/**
+ * Accept or decline a sent quote through its public link. Accepting moves
+ * the deal to Closed Won in the same transaction; the quote stays sent if
+ * that fails.
+ *
+ * @param {string} token - Accept token
+ * @param {string} decision - 'accept' or 'decline'
+ * @param {Object} data - { name } of the person responding
+ * @param {Object} [context]
+ * @param {string} [context.ipAddress] - Client IP
+ * @returns {Promise<Object>} The quote as seen through the link
+ */
+const respondToQuote = async (token, decision, data, { ipAddress = null } = {}) => {
+  const status = { accept: 'accepted', decline: 'declined' }[decision];
+  if (!status) {
+    throw quoteError('validation', 'Decision must be accept or decline');
+  }
+  const { name } = validate(responseSchema, data);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locked so two responses to the same quote cannot both go through
+    const quote = await quoteFromToken(client, token, { forUpdate: true });
+    if (quote.status !== 'sent') {
+      throw quoteError('conflict', quote.status === 'draft' ? 'Quote has not been sent' : `Quote is already ${quote.status}`);
+    }
+    if (!quote.is_latest) {
+      throw quoteError('conflict', 'A newer version of this quote exists');
+    }
+    if (quote.is_expired) {
+      throw quoteError('conflict', 'Quote has expired');
+    }
+
+    if (status === 'accepted') {
+      await closeDealWon(client, quote.deal_id, `Quote ${quote.quote_number} accepted by ${name}`);
+    }
+
+    await client.query(`
+      UPDATE quotes
+      SET status = $1, responded_at = CURRENT_TIMESTAMP, responded_by_name = $2, response_ip = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [status, name, ipAddress, quote.id]);
+
+    const updated = await findQuote(client, quote.id);
+    await client.query('COMMIT');
+    return toPublicQuote(updated);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  QUOTE_STATUSES,
+  listQuotes,
+  getQuote,
+  createQuote,
+  updateQuote,
+  deleteQuote,
+  sendQuote,
+  getPdf,
+  getPublicQuote,
+  getPublicPdf,
+  respondToQuote
+};
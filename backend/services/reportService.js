@@ -0,0 +1,1536 @@
+/**
+ * Report Service
+ *
+ * Builds the standard reports (sales performance, pipeline analysis,
+ * dashboard summary, customer insights), renders them as PDF, XLSX, CSV
+ * or HTML and stores the file so it can be downloaded later. PDF and HTML
+ * output follow the tenant's report template. Amounts are in the tenant's
+ * reporting currency, with the original amounts per deal currency in a
+ * table of their own.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+const Joi = require('joi');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+const { v4: uuidv4 } = require('uuid');
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const db = require('../db');
+const emailService = require('./emailService');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const salesPerformanceService = require('./salesPerformanceService');
+const currencyService = require('./currencyService');
+const reportTemplateService = require('./reportTemplateService');
+const logger = require('../utils/logger');
+
+const REPORT_FORMATS = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+/**
+ * Start of the fiscal month, quarter or year containing today
+ *
+ * @param {Object} calendar - Tenant fiscal calendar
+ * @param {string} granularity - 'month', 'quarter' or 'year'
+ * @returns {Object} moment
+ */
+const fiscalStart = (calendar, granularity) => moment(
+  fiscalCalendarService.getBucketContaining(calendar, moment().format('YYYY-MM-DD'), granularity).start_date
+);
+
+/**
+ * Periods relative to the day a report runs, so saved and scheduled reports
+ * keep covering the right window. Months, quarters and years are fiscal.
+ */
+const RELATIVE_PERIODS = {
+  last_7_days: () => [moment().subtract(6, 'days'), moment()],
+  last_30_days: () => [moment().subtract(29, 'days'), moment()],
+  month_to_date: (calendar) => [fiscalStart(calendar, 'month'), moment()],
+  last_month: (calendar) => {
+    const [previous] = fiscalCalendarService.getBucketsBefore(calendar, fiscalStart(calendar, 'month').format('YYYY-MM-DD'), 'month', 1);
+    return [moment(previous.start_date), moment(previous.end_date)];
+  },
+  quarter_to_date: (calendar) => [fiscalStart(calendar, 'quarter'), moment()],
+  year_to_date: (calendar) => [fiscalStart(calendar, 'year'), moment()]
+};
+
+const filtersSchema = Joi.object({
+  period: Joi.string().valid(...Object.keys(RELATIVE_PERIODS)),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')),
+  owner_id: Joi.number().integer(),
+  company_id: Joi.number().integer(),
+  industry: Joi.string().max(100)
+});
+
+const SCHEDULE_TYPES = ['cron', 'daily', 'weekly', 'monthly'];
+
+// Longest gap searched for the next run of a custom cron expression
+const MAX_SCHEDULE_LOOKAHEAD_DAYS = 366;
+
+const scheduleSchema = Joi.object({
+  type: Joi.string().valid(...SCHEDULE_TYPES).required(),
+  cron: Joi.string().when('type', { is: 'cron', then: Joi.required(), otherwise: Joi.forbidden() }),
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).when('type', { is: 'cron', then: Joi.forbidden(), otherwise: Joi.optional().default('08:00') }),
+  dayOfWeek: Joi.number().integer().min(0).max(6).when('type', { is: 'weekly', then: Joi.optional().default(1), otherwise: Joi.forbidden() }),
+  // Capped at 28 so a monthly report never skips a short month
+  dayOfMonth: Joi.number().integer().min(1).max(28).when('type', { is: 'monthly', then: Joi.optional().default(1), otherwise: Joi.forbidden() })
+});
+
+const XLSX_NUMBER_FORMATS = {
+  currency: '#,##0.00',
+  number: '#,##0',
+  percent: '0.0"%"'
+};
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation' or 'not_found'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const reportError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Appends the shared deal filters to a query
+ *
+ * @param {Object} filters - Validated report filters
+ * @param {Array} params - Query parameters, extended in place
+ * @param {Object} [options]
+ * @param {boolean} [options.dated=true] - Restrict to the report period by expected close date
+ * @returns {string} SQL fragment starting with AND, or an empty string
+ */
+const dealConditions = (filters, params, { dated = true } = {}) => {
+  const conditions = [];
+
+  if (dated) {
+    params.push(filters.start_date);
+    conditions.push(`d.expected_close_date >= $${params.length}`);
+    params.push(filters.end_date);
+    conditions.push(`d.expected_close_date <= $${params.length}`);
+  }
+
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    conditions.push(`d.assigned_user_id = $${params.length}`);
+  }
+
+  if (filters.company_id) {
+    params.push(filters.company_id);
+    conditions.push(`d.company_id = $${params.length}`);
+  }
+
+  if (filters.industry) {
+    params.push(filters.industry);
+    conditions.push(`d.company_id IN (SELECT id FROM companies WHERE industry = $${params.length})`);
+  }
+
+  return conditions.map(condition => ` AND ${condition}`).join('');
+};
+
+const toNumber = (value) => parseFloat(value || 0);
+
+/**
+ * Original and converted amounts per deal currency for the deals matching
+ * the report filters and a condition
+ *
+ * @param {Object} filters - Validated report filters
+ * @param {Object} context - { currency, tenantId }
+ * @param {string} condition - SQL condition on deals d
+ * @param {Object} [options] - Passed to dealConditions
+ * @returns {Promise<Array<Object>>} Result of currencyService.toCurrencyTotals
+ */
+const getCurrencyTotals = async (filters, { currency, tenantId }, condition, options) => {
+  const params = [];
+  const value = currencyService.convertedValue(params, { currency, tenantId });
+  const result = await db.query(`
+    SELECT ${currencyService.currencyTotalsColumns(value)}
+    FROM deals d
+    WHERE ${condition}${dealConditions(filters, params, options)}
+    GROUP BY COALESCE(d.currency, 'USD')
+    ORDER BY currency
+  `, params);
+  return currencyService.toCurrencyTotals(result.rows);
+};
+
+/**
+ * Table of per-currency totals
+ *
+ * @param {string} title - Table title
+ * @param {Array<Object>} rows - Result of getCurrencyTotals
+ * @param {string} currency - Reporting currency
+ * @returns {Object} { title, columns, rows }
+ */
+const currencyTable = (title, rows, currency) => ({
+  title,
+  columns: [
+    { key: 'currency', header: 'Currency' },
+    { key: 'deal_count', header: 'Deals', format: 'number' },
+    { key: 'value', header: 'Original Value', format: 'currency' },
+    { key: 'converted_value', header: `Value (${currency})`, format: 'currency' },
+    { key: 'unconverted_deals', header: 'Deals Without a Rate', format: 'number' }
+  ],
+  rows
+});
+
+/**
+ * Report builders. Each takes the normalized filters and { calendar,
+ * currency, tenantId }: the tenant's fiscal calendar, reporting currency
+ * and ID. It returns format-neutral report data:
+ * { summary: [{ label, value, format }], tables: [{ title, columns, rows }] }
+ */
+const REPORT_TYPES = {
+  'sales-performance': {
+    name: 'Sales Performance',
+    build: async (filters, context) => {
+      const { calendar, currency, tenantId } = context;
+      const totalsParams = [];
+      const totalsValue = currencyService.convertedValue(totalsParams, { currency, tenantId });
+      const totals = await db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE d.status = 'closed_won') as won_deals,
+          COUNT(*) FILTER (WHERE d.status = 'closed_lost') as lost_deals,
+          COALESCE(SUM(${totalsValue}) FILTER (WHERE d.status = 'closed_won'), 0) as revenue
+        FROM deals d
+        WHERE true${dealConditions(filters, totalsParams)}
+      `, totalsParams);
+
+      const periods = fiscalCalendarService.getBuckets(calendar, filters.start_date, filters.end_date, 'month');
+      const periodParams = [];
+      const periodTable = fiscalCalendarService.bucketTable(periods, periodParams);
+      const periodValue = currencyService.convertedValue(periodParams, { currency, tenantId });
+      const periodRevenue = await db.query(`
+        SELECT
+          b.position,
+          COUNT(d.id) FILTER (WHERE d.status = 'closed_won') as won_deals,
+          COALESCE(SUM(${periodValue}) FILTER (WHERE d.status = 'closed_won'), 0) as revenue
+        FROM ${periodTable}
+        LEFT JOIN deals d ON d.expected_close_date BETWEEN b.start_date AND b.end_date
+          ${dealConditions(filters, periodParams)}
+        GROUP BY b.position
+        ORDER BY b.position
+      `, periodParams);
+
+      const repParams = [];
+      const repValue = currencyService.convertedValue(repParams, { currency, tenantId });
+      const reps = await db.query(`
+        SELECT
+          COALESCE(u.first_name || ' ' || u.last_name, 'Unassigned') as rep,
+          COUNT(*) FILTER (WHERE d.status = 'closed_won') as won_deals,
+          COUNT(*) FILTER (WHERE d.status = 'closed_lost') as lost_deals,
+          COALESCE(SUM(${repValue}) FILTER (WHERE d.status = 'closed_won'), 0) as revenue
+        FROM deals d
+        LEFT JOIN users u ON d.assigned_user_id = u.id
+        WHERE d.status IN ('closed_won', 'closed_lost')${dealConditions(filters, repParams)}
+        GROUP BY u.id, u.first_name, u.last_name
+        ORDER BY revenue DESC
+      `, repParams);
+
+      const revenueByCurrency = await getCurrencyTotals(filters, context, "d.status = 'closed_won'");
+
+      const wonDeals = parseInt(totals.rows[0].won_deals);
+      const lostDeals = parseInt(totals.rows[0].lost_deals);
+      const revenue = toNumber(totals.rows[0].revenue);
+      const winRate = (won, lost) => (won + lost > 0 ? (won / (won + lost)) * 100 : 0);
+
+      return {
+        summary: [
+          { label: 'Revenue', value: revenue, format: 'currency' },
+          { label: 'Deals Won', value: wonDeals, format: 'number' },
+          { label: 'Deals Lost', value: lostDeals, format: 'number' },
+          { label: 'Win Rate', value: winRate(wonDeals, lostDeals), format: 'percent' },
+          { label: 'Average Deal Size', value: wonDeals > 0 ? revenue / wonDeals : 0, format: 'currency' }
+        ],
+        tables: [
+          {
+            title: 'Revenue by Fiscal Period',
+            columns: [
+              { key: 'period', header: 'Fiscal Period' },
+              { key: 'won_deals', header: 'Deals Won', format: 'number' },
+              { key: 'revenue', header: 'Revenue', format: 'currency' }
+            ],
+            rows: periodRevenue.rows.map(row => ({
+              period: periods[parseInt(row.position) - 1].label,
+              won_deals: parseInt(row.won_deals),
+              revenue: toNumber(row.revenue)
+            }))
+          },
+          {
+            title: 'Performance by Rep',
+            columns: [
+              { key: 'rep', header: 'Rep' },
+              { key: 'won_deals', header: 'Won', format: 'number' },
+              { key: 'lost_deals', header: 'Lost', format: 'number' },
+              { key: 'win_rate', header: 'Win Rate', format: 'percent' },
+              { key: 'revenue', header: 'Revenue', format: 'currency' }
+            ],
+            rows: reps.rows.map(row => ({
+              rep: row.rep,
+              won_deals: parseInt(row.won_deals),
+              lost_deals: parseInt(row.lost_deals),
+              win_rate: winRate(parseInt(row.won_deals), parseInt(row.lost_deals)),
+              revenue: toNumber(row.revenue)
+            }))
+          },
+          currencyTable('Revenue by Currency', revenueByCurrency, currency)
+        ]
+      };
+    }
+  },
+
+  'pipeline-analysis': {
+    name: 'Pipeline Analysis',
+    build: async (filters, context) => {
+      const { calendar, currency, tenantId } = context;
+      const stageParams = [];
+      const stageValue = currencyService.convertedValue(stageParams, { currency, tenantId });
+      const stages = await db.query(`
+        SELECT
+          p.name as pipeline,
+          ps.name as stage,
+          COUNT(d.id) as deal_count,
+          COALESCE(SUM(${stageValue}), 0) as value,
+          COALESCE(SUM(${stageValue} * COALESCE(d.probability, ps.probability) / 100.0), 0) as weighted_value,
+          AVG(EXTRACT(EPOCH FROM (NOW() - d.created_at)) / 86400) as avg_age_days
+        FROM pipeline_stages ps
+        JOIN pipelines p ON p.id = ps.pipeline_id AND p.is_active = true
+        LEFT JOIN deals d ON d.pipeline_stage_id = ps.id
+          AND d.status = 'open'${dealConditions(filters, stageParams, { dated: filters.explicit_period })}
+        WHERE ps.is_active = true
+        GROUP BY p.id, p.name, p.is_default, p.display_order, ps.id, ps.name, ps.display_order
+        ORDER BY p.is_default DESC, p.display_order, p.name, ps.display_order
+      `, stageParams);
+
+      const dealParams = [];
+      const dealValue = currencyService.convertedValue(dealParams, { currency, tenantId });
+      const topDeals = await db.query(`
+        SELECT
+          d.title,
+          c.name as company,
+          ps.name as stage,
+          COALESCE(d.currency, 'USD') as currency,
+          d.value as original_value,
+          ${dealValue} as value,
+          TO_CHAR(d.expected_close_date, 'YYYY-MM-DD') as expected_close_date,
+          CONCAT(u.first_name, ' ', u.last_name) as owner
+        FROM deals d
+        LEFT JOIN companies c ON d.company_id = c.id
+        LEFT JOIN pipeline_stages ps ON d.pipeline_stage_id = ps.id
+        LEFT JOIN users u ON d.assigned_user_id = u.id
+        WHERE d.status = 'open'${dealConditions(filters, dealParams, { dated: filters.explicit_period })}
+        ORDER BY ${dealValue} DESC NULLS LAST
+        LIMIT 25
+      `, dealParams);
+
+      const quarters = await salesPerformanceService.getPipelineByQuarter(filters, { calendar, tenantId });
+      const pipelineByCurrency = await getCurrencyTotals(filters, context, "d.status = 'open'", { dated: filters.explicit_period });
+
+      const rows = stages.rows.map(row => ({
+        pipeline: row.pipeline,
+        stage: row.stage,
+        deal_count: parseInt(row.deal_count),
+        value: toNumber(row.value),
+        weighted_value: toNumber(row.weighted_value),
+        avg_age_days: Math.round(toNumber(row.avg_age_days))
+      }));
+
+      return {
+        summary: [
+          { label: 'Open Deals', value: rows.reduce((sum, row) => sum + row.deal_count, 0), format: 'number' },
+          { label: 'Pipeline Value', value: rows.reduce((sum, row) => sum + row.value, 0), format: 'currency' },
+          { label: 'Weighted Value', value: rows.reduce((sum, row) => sum + row.weighted_value, 0), format: 'currency' }
+        ],
+        tables: [
+          {
+            title: 'Pipeline by Stage',
+            columns: [
+              { key: 'pipeline', header: 'Pipeline' },
+              { key: 'stage', header: 'Stage' },
+              { key: 'deal_count', header: 'Deals', format: 'number' },
+              { key: 'value', header: 'Value', format: 'currency' },
+              { key: 'weighted_value', header: 'Weighted Value', format: 'currency' },
+              { key: 'avg_age_days', header: 'Avg Age (days)', format: 'number' }
+            ],
+            rows
+          },
+          {
+            title: 'Largest Open Deals',
+            columns: [
+              { key: 'title', header: 'Deal' },
+              { key: 'company', header: 'Company' },
+              { key: 'stage', header: 'Stage' },
+              { key: 'currency', header: 'Currency' },
+              { key: 'original_value', header: 'Original Value', format: 'currency' },
+              { key: 'value', header: 'Value', format: 'currency' },
+              { key: 'expected_close_date', header: 'Expected Close' },
+              { key: 'owner', header: 'Owner' }
+            ],
+            rows: topDeals.rows.map(row => ({
+              ...row,
+              original_value: toNumber(row.original_value),
+              value: row.value === null ? null : toNumber(row.value)
+            }))
+          },
+          {
+            title: 'Pipeline by Fiscal Quarter',
+            columns: [
+              { key: 'quarter', header: 'Fiscal Quarter' },
+              { key: 'deal_count', header: 'Deals', format: 'number' },
+              { key: 'value', header: 'Value', format: 'currency' },
+              { key: 'weighted_value', header: 'Weighted Value', format: 'currency' }
+            ],
+            rows: quarters.map(quarter => ({
+              quarter: quarter.label,
+              deal_count: quarter.deal_count,
+              value: quarter.value,
+              weighted_value: quarter.weighted_value
+            }))
+          },
+          currencyTable('Pipeline by Currency', pipelineByCurrency, currency)
+        ]
+      };
+    }
+  },
+
+  'dashboard-summary': {
+    name: 'Dashboard Summary',
+    build: async (filters, context) => {
+      const { currency, tenantId } = context;
+      const kpiParams = [];
+      const kpiValue = currencyService.convertedValue(kpiParams, { currency, tenantId });
+      const kpis = await db.query(`
+        SELECT
+          COUNT(*) as total_deals,
+          COUNT(*) FILTER (WHERE d.status = 'closed_won') as won_deals,
+          COUNT(*) FILTER (WHERE d.status = 'closed_lost') as lost_deals,
+          COALESCE(SUM(${kpiValue}) FILTER (WHERE d.status = 'closed_won'), 0) as revenue
+        FROM deals d
+        WHERE true${dealConditions(filters, kpiParams)}
+      `, kpiParams);
+
+      const pipeline = await REPORT_TYPES['pipeline-analysis'].build({ ...filters, explicit_period: false }, context);
+      const sales = await REPORT_TYPES['sales-performance'].build(filters, context);
+
+      const winsParams = [];
+      const winValue = currencyService.convertedValue(winsParams, { currency, tenantId });
+      const recentWins = await db.query(`
+        SELECT
+          d.title,
+          c.name as company,
+          COALESCE(d.currency, 'USD') as currency,
+          d.value as original_value,
+          ${winValue} as value,
+          TO_CHAR(COALESCE(d.closed_at::date, d.expected_close_date), 'YYYY-MM-DD') as close_date
+        FROM deals d
+        LEFT JOIN companies c ON d.company_id = c.id
+        WHERE d.status = 'closed_won'${dealConditions(filters, winsParams)}
+        ORDER BY d.closed_at DESC NULLS LAST, d.updated_at DESC
+        LIMIT 10
+      `, winsParams);
+
+      const data = kpis.rows[0];
+      const totalDeals = parseInt(data.total_deals);
+      const wonDeals = parseInt(data.won_deals);
+      const lostDeals = parseInt(data.lost_deals);
+      const revenue = toNumber(data.revenue);
+
+      return {
+        summary: [
+          { label: 'Total Deals', value: totalDeals, format: 'number' },
+          { label: 'Revenue', value: revenue, format: 'currency' },
+          { label: 'Win Rate', value: wonDeals + lostDeals > 0 ? (wonDeals / (wonDeals + lostDeals)) * 100 : 0, format: 'percent' },
+          { label: 'Average Deal Size', value: wonDeals > 0 ? revenue / wonDeals : 0, format: 'currency' },
+          ...pipeline.summary
+        ],
+        tables: [
+          pipeline.tables[0],
+          sales.tables[0],
+          {
+            title: 'Recent Wins',
+            columns: [
+              { key: 'title', header: 'Deal' },
+              { key: 'company', header: 'Company' },
+              { key: 'currency', header: 'Currency' },
+              { key: 'original_value', header: 'Original Value', format: 'currency' },
+              { key: 'value', header: 'Value', format: 'currency' },
+              { key: 'close_date', header: 'Close Date' }
+            ],
+            rows: recentWins.rows.map(row => ({
+              ...row,
+              original_value: toNumber(row.original_value),
+              value: row.value === null ? null : toNumber(row.value)
+            }))
+          },
+          sales.tables.find(table => table.title === 'Revenue by Currency'),
+          pipeline.tables.find(table => table.title === 'Pipeline by Currency')
+        ]
+      };
+    }
+  },
+
+  'customer-insights': {
+    name: 'Customer Insights',
+    build: async (filters, context) => {
+      const { currency, tenantId } = context;
+      const customerParams = [];
+      const customerValue = currencyService.convertedValue(customerParams, { currency, tenantId });
+      const customers = await db.query(`
+        SELECT
+          c.name as company,
+          c.industry,
+          COUNT(d.id) as deal_count,
+          COALESCE(SUM(${customerValue}) FILTER (WHERE d.status = 'closed_won'), 0) as won_revenue,
+          COALESCE(SUM(${customerValue}) FILTER (WHERE d.status = 'open'), 0) as open_pipeline,
+          AVG(${customerValue}) as avg_deal_value,
+          (SELECT MAX(a.created_at) FROM activities a WHERE a.company_id = c.id) as last_activity
+        FROM companies c
+        JOIN deals d ON d.company_id = c.id${dealConditions(filters, customerParams)}
+        GROUP BY c.id, c.name, c.industry
+        ORDER BY won_revenue DESC, open_pipeline DESC
+        LIMIT 25
+      `, customerParams);
+
+      const industryParams = [];
+      const industryValue = currencyService.convertedValue(industryParams, { currency, tenantId });
+      const industries = await db.query(`
+        SELECT
+          COALESCE(c.industry, 'Unknown') as industry,
+          COUNT(DISTINCT c.id) as customer_count,
+          COUNT(d.id) as deal_count,
+          COALESCE(SUM(${industryValue}) FILTER (WHERE d.status = 'closed_won'), 0) as won_revenue
+        FROM companies c
+        JOIN deals d ON d.company_id = c.id${dealConditions(filters, industryParams)}
+        GROUP BY COALESCE(c.industry, 'Unknown')
+        ORDER BY won_revenue DESC
+      `, industryParams);
+
+      const industryRows = industries.rows.map(row => ({
+        industry: row.industry,
+        customer_count: parseInt(row.customer_count),
+        deal_count: parseInt(row.deal_count),
+        won_revenue: toNumber(row.won_revenue)
+      }));
+      const revenueByCurrency = await getCurrencyTotals(filters, context, "d.status = 'closed_won' AND d.company_id IS NOT NULL");
+
+      return {
+        summary: [
+          { label: 'Customers with Deals', value: industryRows.reduce((sum, row) => sum + row.customer_count, 0), format: 'number' },
+          { label: 'Won Revenue', value: industryRows.reduce((sum, row) => sum + row.won_revenue, 0), format: 'currency' }
+        ],
+        tables: [
+          {
+            title: 'Top Customers',
+            columns: [
+              { key: 'company', header: 'Company' },
+              { key: 'industry', header: 'Industry' },
+              { key: 'deal_count', header: 'Deals', format: 'number' },
+              { key: 'won_revenue', header: 'Won Revenue', format: 'currency' },
+              { key: 'open_pipeline', header: 'Open Pipeline', format: 'currency' },
+              { key: 'avg_deal_value', header: 'Avg Deal', format: 'currency' },
+              { key: 'last_activity', header: 'Last Activity' }
+            ],
+            rows: customers.rows.map(row => ({
+              company: row.company,
+              industry: row.industry,
+              deal_count: parseInt(row.deal_count),
+              won_revenue: toNumber(row.won_revenue),
+              open_pipeline: toNumber(row.open_pipeline),
+              avg_deal_value: toNumber(row.avg_deal_value),
+              last_activity: row.last_activity ? moment(row.last_activity).format('YYYY-MM-DD') : null
+            }))
+          },
+          {
+            title: 'Revenue by Industry',
+            columns: [
+              { key: 'industry', header: 'Industry' },
+              { key: 'customer_count', header: 'Customers', format: 'number' },
+              { key: 'deal_count', header: 'Deals', format: 'number' },
+              { key: 'won_revenue', header: 'Won Revenue', format: 'currency' }
+            ],
+            rows: industryRows
+          },
+          currencyTable('Won Revenue by Currency', revenueByCurrency, currency)
+        ]
+      };
+    }
+  }
+};
+
+const savedReportSchema = Joi.object({
+  name: Joi.string().max(255),
+  description: Joi.string().allow(null, ''),
+  reportType: Joi.string().valid(...Object.keys(REPORT_TYPES)),
+  format: Joi.string().valid(...Object.keys(REPORT_FORMATS)),
+  filters: filtersSchema,
+  schedule: scheduleSchema.allow(null),
+  recipients: Joi.array().items(Joi.string().email()).max(20),
+  isActive: Joi.boolean()
+});
+
+const createSavedReportSchema = savedReportSchema.fork(['name', 'reportType'], (field) => field.required());
+
+/**
+ * Turns a schedule into a five-field cron expression
+ *
+ * @param {Object} schedule - Validated schedule
+ * @returns {string} Cron expression
+ */
+const toCronExpression = (schedule) => {
+  if (schedule.type === 'cron') {
+    const expression = schedule.cron.trim();
+    // Runs are checked once a minute, so seconds are not supported
+    if (expression.split(/\s+/).length !== 5 || !cron.validate(expression)) {
+      throw reportError('validation', 'schedule.cron must be a valid five-field cron expression');
+    }
+    return expression;
+  }
+
+  const [hour, minute] = schedule.time.split(':').map(part => parseInt(part));
+  switch (schedule.type) {
+    case 'weekly':
+      return `${minute} ${hour} * * ${schedule.dayOfWeek}`;
+    case 'monthly':
+      return `${minute} ${hour} ${schedule.dayOfMonth} * *`;
+    default:
+      return `${minute} ${hour} * * *`;
+  }
+};
+
+/**
+ * Finds the first run after `from` of a cron expression in the given
+ * timezone. When both day of month and day of week are restricted, a day
+ * matching either one runs (standard cron semantics).
+ *
+ * @param {string} cronExpression - Five-field cron expression
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [from=new Date()] - Search start (exclusive)
+ * @returns {Date|null} Next run, or null if none within a year
+ */
+const computeNextRun = (cronExpression, timezone, from = new Date()) => {
+  try {
+    const interval = cronParser.parseExpression(cronExpression, {
+      currentDate: from,
+      endDate: new Date(from.getTime() + MAX_SCHEDULE_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000),
+      tz: timezone
+    });
+    return interval.next().toDate();
+  } catch (error) {
+    // Impossible dates such as 30 February, or no run before endDate
+    return null;
+  }
+};
+
+/**
+ * Reads a user's timezone from user_settings, falling back to UTC when it
+ * is missing or not a valid IANA name
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<string>}
+ */
+const getUserTimezone = async (userId) => {
+  const result = await db.query('SELECT timezone FROM user_settings WHERE user_id = $1', [userId]);
+  const timezone = result.rows[0] && result.rows[0].timezone;
+  if (!timezone) return 'UTC';
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Formats a value for display in a PDF or HTML report
+ *
+ * @param {*} value - Raw value
+ * @param {string} [format] - 'currency', 'number' or 'percent'
+ * @returns {string}
+ */
+const formatValue = (value, format) => {
+  if (value === null || value === undefined) return '';
+  switch (format) {
+    case 'currency':
+      return Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    case 'number':
+      return Number(value).toLocaleString('en-US');
+    case 'percent':
+      return `${Number(value).toFixed(1)}%`;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Waits for a write stream to flush
+ *
+ * @param {Object} stream - Writable file stream
+ * @returns {Promise<void>}
+ */
+const finished = (stream) => new Promise((resolve, reject) => {
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+});
+
+/**
+ * Shapes a report for Handlebars: values formatted for display, table rows
+ * as ordered cells and the template's branding under friendlier names
+ *
+ * @param {Object} report - Built report
+ * @param {Object} template - Complete report template
+ * @returns {Object} Template view
+ */
+const toHtmlView = (report, template) => ({
+  title: report.title,
+  period: report.period,
+  generatedAt: moment(report.generatedAt).format('YYYY-MM-DD HH:mm'),
+  orientation: template.orientation,
+  sections: template.sections,
+  branding: {
+    logo: template.logo,
+    primaryColor: template.primary_color,
+    accentColor: template.accent_color,
+    headerText: template.header_text,
+    footerText: template.footer_text
+  },
+  summary: report.summary.map(item => ({
+    label: item.label,
+    value: formatValue(item.value, item.format),
+    raw: item.value
+  })),
+  tables: report.tables.map(table => ({
+    title: table.title,
+    columns: table.columns.map(column => ({ header: column.header, numeric: Boolean(column.format) })),
+    rows: table.rows.map(row => table.columns.map(column => ({
+      value: formatValue(row[column.key], column.format),
+      numeric: Boolean(column.format)
+    })))
+  }))
+});
+
+const renderers = {
+  pdf: async (report, filePath, template = reportTemplateService.DEFAULT_TEMPLATE) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4', layout: template.orientation, bufferPages: true });
+    const stream = fs.createWriteStream(filePath);
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const rowHeight = 16;
+    const textColor = '#111827';
+
+    const ensureSpace = (height) => {
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    };
+
+    const sections = {
+      header: () => {
+        if (template.logo) {
+          const y = doc.y;
+          doc.image(template.logo, left, y, { fit: [150, 50] });
+          doc.x = left;
+          doc.y = y + 60;
+        }
+        doc.font('Helvetica-Bold').fontSize(18).fillColor(template.primary_color).text(report.title, left);
+        if (template.header_text) {
+          doc.font('Helvetica').fontSize(11).fillColor(textColor).text(template.header_text);
+        }
+        doc.font('Helvetica').fontSize(10).fillColor(template.accent_color);
+        if (report.period) doc.text(`Period: ${report.period}`);
+        doc.text(`Generated: ${moment(report.generatedAt).format('YYYY-MM-DD HH:mm')}`);
+        doc.moveDown();
+      },
+
+      summary: () => {
+        doc.fillColor(textColor);
+        report.summary.forEach(item => {
+          ensureSpace(rowHeight);
+          const y = doc.y;
+          doc.font('Helvetica').fontSize(10).text(item.label, left, y, { width: width / 2 });
+          doc.font('Helvetica-Bold').text(formatValue(item.value, item.format), left + width / 2, y, { width: width / 2, align: 'right' });
+          doc.x = left;
+        });
+      },
+
+      tables: () => {
+        report.tables.forEach(table => {
+          doc.moveDown();
+          ensureSpace(rowHeight * 3);
+          doc.font('Helvetica-Bold').fontSize(13).fillColor(template.primary_color).text(table.title, left);
+          doc.fillColor(textColor);
+          doc.moveDown(0.3);
+
+          const columnWidth = width / table.columns.length;
+          const drawRow = (cells, bold) => {
+            ensureSpace(rowHeight);
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            cells.forEach((cell, index) => {
+              doc.text(cell, left + index * columnWidth, y, {
+                width: columnWidth - 4,
+                lineBreak: false,
+                ellipsis: true,
+                align: table.columns[index].format ? 'right' : 'left'
+              });
+            });
+            doc.x = left;
+            doc.y = y + rowHeight;
+          };
+
+          drawRow(table.columns.map(column => column.header), true);
+          if (table.rows.length === 0) {
+            doc.font('Helvetica-Oblique').fontSize(9).text('No data for this period', left);
+          }
+          table.rows.forEach(row => {
+            drawRow(table.columns.map(column => formatValue(row[column.key], column.format)), false);
+          });
+        });
+      },
+
+      // Drawn on every page once the content is laid out
+      footer: () => {}
+    };
+
+    template.sections.forEach(section => sections[section]());
+
+    if (template.sections.includes('footer')) {
+      const range = doc.bufferedPageRange();
+      for (let index = range.start; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(template.accent_color);
+        const footer = [template.footer_text, `Page ${index - range.start + 1} of ${range.count}`].filter(Boolean).join('  |  ');
+        doc.text(footer, left, doc.page.height - bottom / 2 - 4, { width, align: 'center', lineBreak: false });
+        doc.page.margins.bottom = bottom;
+      }
+    }
+
+    doc.end();
+    await finished(stream);
+  },
+
+  html: async (report, filePath, template = reportTemplateService.DEFAULT_TEMPLATE) => {
+    const render = reportTemplateService.compileHtml(template.html_template);
+    await fs.promises.writeFile(filePath, render(toHtmlView(report, template)));
+  },
+
+  xlsx: async (report, filePath) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'SalesBase';
+    workbook.created = report.generatedAt;
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ width: 30 }, { width: 20 }];
+    summarySheet.addRow([report.title]).font = { bold: true, size: 14 };
+    if (report.period) summarySheet.addRow(['Period', report.period]);
+    summarySheet.addRow([]);
+    report.summary.forEach(item => {
+      const row = summarySheet.addRow([item.label, item.value]);
+      if (XLSX_NUMBER_FORMATS[item.format]) row.getCell(2).numFmt = XLSX_NUMBER_FORMATS[item.format];
+    });
+
+    report.tables.forEach(table => {
+      // Sheet names are limited to 31 characters
+      const sheet = workbook.addWorksheet(table.title.slice(0, 31));
+      sheet.columns = table.columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: 20,
+        style: XLSX_NUMBER_FORMATS[column.format] ? { numFmt: XLSX_NUMBER_FORMATS[column.format] } : {}
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.addRows(table.rows);
+    });
+
+    await workbook.xlsx.writeFile(filePath);
+  },
+
+  csv: async (report, filePath) => {
+    const sections = [
+      new Parser({ fields: ['Metric', 'Value'] }).parse(report.summary.map(item => ({ Metric: item.label, Value: item.value })))
+    ];
+
+    report.tables.forEach(table => {
+      const fields = table.columns.map(column => ({ label: column.header, value: column.key }));
+      sections.push(`"${table.title}"\n${new Parser({ fields }).parse(table.rows)}`);
+    });
+
+    await fs.promises.writeFile(filePath, `"${report.title}"\n\n${sections.join('\n\n')}\n`);
+  }
+};
+
+/**
+ * Report Service Class
+ */
+class ReportService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.reportsDir] - Where generated files are stored
+   */
+  constructor(options = {}) {
+    this.reportsDir = options.reportsDir || process.env.REPORTS_DIR || path.join(__dirname, '..', 'reports');
+  }
+
+  /**
+   * List the available report types
+   *
+   * @returns {Array<Object>} [{ id, name }]
+   */
+  getReportTypes() {
+    return Object.entries(REPORT_TYPES).map(([id, type]) => ({ id, name: type.name }));
+  }
+
+  /**
+   * Validates report filters and resolves the period: explicit dates win,
+   * then a relative period, then the current fiscal month and the five
+   * before it
+   *
+   * @param {Object} [filters] - Raw filters
+   * @param {Object} calendar - Tenant fiscal calendar
+   * @returns {Object} Filters with start_date and end_date as YYYY-MM-DD
+   */
+  normalizeFilters(filters, calendar) {
+    const { error, value } = filtersSchema.validate(filters || {}, { stripUnknown: true });
+    if (error) {
+      throw reportError('validation', error.details[0].message);
+    }
+
+    const [defaultStart, defaultEnd] = value.period
+      ? RELATIVE_PERIODS[value.period](calendar)
+      : [moment(fiscalCalendarService.getBucketsBefore(calendar, fiscalStart(calendar, 'month').format('YYYY-MM-DD'), 'month', 5)[0].start_date), moment()];
+
+    return {
+      ...value,
+      // Open pipeline is only limited by close date when a period was asked for
+      explicit_period: Boolean(value.start_date || value.end_date || value.period),
+      start_date: (value.start_date ? moment.utc(value.start_date) : defaultStart).format('YYYY-MM-DD'),
+      end_date: (value.end_date ? moment.utc(value.end_date) : defaultEnd).format('YYYY-MM-DD')
+    };
+  }
+
+  /**
+   * Runs a report and returns its data without rendering a file
+   *
+   * @param {string} reportType - One of the REPORT_TYPES keys
+   * @param {Object} [filters] - Report filters
+   * @param {Object} [options]
+   * @param {number} [options.tenantId] - Tenant whose fiscal calendar and reporting currency are used
+   * @returns {Promise<Object>} { title, period, currency, generatedAt, summary, tables }
+   */
+  async buildReport(reportType, filters = {}, { tenantId = null } = {}) {
+    const type = REPORT_TYPES[reportType];
+    if (!type) {
+      throw reportError('validation', `reportType must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`);
+    }
+
+    const calendar = await fiscalCalendarService.getCalendar(tenantId);
+    const currency = await currencyService.getReportingCurrency(tenantId);
+    const normalized = this.normalizeFilters(filters, calendar);
+    const data = await type.build(normalized, { calendar, currency, tenantId });
+
+    return {
+      title: type.name,
+      period: `${normalized.start_date} to ${normalized.end_date}`,
+      currency,
+      generatedAt: new Date(),
+      filters: normalized,
+      ...data
+    };
+  }
+
+  /**
+   * Generates a report file and records it for download
+   *
+   * @param {Object} params
+   * @param {string} params.reportType - One of the REPORT_TYPES keys
+   * @param {string} [params.format='pdf'] - 'pdf', 'xlsx', 'csv' or 'html'
+   * @param {Object} [params.filters] - Report filters
+   * @param {string} [params.name] - Display name, defaults to the report title and date
+   * @param {number} [params.userId] - Requesting user
+   * @param {number} [params.tenantId] - Tenant the report belongs to
+   * @param {number} [params.templateId] - Report template, defaults to the tenant's default
+   * @returns {Promise<Object>} Download handle
+   */
+  async generateReport(params) {
+    const row = await this.createReportFile(params);
+    return this.toHandle(row);
+  }
+
+  /**
+   * Renders a report to disk and inserts its reports row
+   *
+   * @param {Object} params - Same as generateReport
+   * @returns {Promise<Object>} reports row
+   */
+  async createReportFile({ reportType, format = 'pdf', filters = {}, name, userId = null, tenantId = null, templateId = null }) {
+    const formatConfig = REPORT_FORMATS[format];
+    if (!formatConfig) {
+      throw reportError('validation', `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+
+    const report = await this.buildReport(reportType, filters, { tenantId });
+    const template = ['pdf', 'html'].includes(format)
+      ? await reportTemplateService.resolveTemplate({ tenantId, reportType, templateId })
+      : null;
+    const fileName = `${reportType}-${moment(report.generatedAt).format('YYYYMMDD-HHmmss')}-${uuidv4().slice(0, 8)}.${formatConfig.extension}`;
+    const filePath = path.join(this.reportsDir, fileName);
+
+    await fs.promises.mkdir(this.reportsDir, { recursive: true });
+    await renderers[format](report, filePath, template || undefined);
+    const { size } = await fs.promises.stat(filePath);
+
+    const rowCount = report.tables.reduce((sum, table) => sum + table.rows.length, 0);
+    const result = await db.query(`
+      INSERT INTO reports (tenant_id, report_type, name, format, filters, file_name, file_size, row_count, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      tenantId,
+      reportType,
+      name || `${report.title} ${moment(report.generatedAt).format('YYYY-MM-DD')}`,
+      format,
+      JSON.stringify(report.filters),
+      fileName,
+      size,
+      rowCount,
+      userId
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Renders a template against live data without saving either. The
+   * template may be a saved one with unsaved changes applied on top.
+   *
+   * @param {Object} params
+   * @param {Object} [params.template] - Template fields (camelCase) to preview
+   * @param {number} [params.templateId] - Saved template to start from
+   * @param {string} [params.reportType] - Report to render, defaults to the template's report type
+   * @param {string} [params.format='html'] - 'html' or 'pdf'
+   * @param {Object} [params.filters] - Report filters
+   * @param {number} [params.tenantId] - Tenant ID
+   * @returns {Promise<Object>} { content: Buffer, mimeType }
+   */
+  async previewTemplate({ template: changes = {}, templateId, reportType, format = 'html', filters = {}, tenantId = null }) {
+    if (!['html', 'pdf'].includes(format)) {
+      throw reportError('validation', 'format must be one of: html, pdf');
+    }
+
+    const saved = templateId ? await reportTemplateService.getTemplate(templateId, tenantId) : {};
+    const columns = reportTemplateService.validateTemplate(changes, { partial: true });
+    const template = reportTemplateService.withDefaults({ ...saved, ...columns });
+
+    const report = await this.buildReport(reportType || template.report_type, filters, { tenantId });
+    const filePath = path.join(os.tmpdir(), `report-preview-${uuidv4()}.${format}`);
+
+    try {
+      await renderers[format](report, filePath, template);
+      const content = await fs.promises.readFile(filePath);
+      return { content, mimeType: REPORT_FORMATS[format].mimeType };
+    } finally {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Shapes a reports row into the handle returned to clients
+   *
+   * @param {Object} row - reports row
+   * @returns {Object}
+   */
+  toHandle(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      report_type: row.report_type,
+      format: row.format,
+      file_size: row.file_size,
+      row_count: row.row_count,
+      filters: row.filters,
+      created_at: row.created_at,
+      download_url: `/api/reports/files/${row.id}/download`
+    };
+  }
+
+  /**
+   * List generated reports. Admins and managers see every report, other
+   * users only their own.
+   *
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async listReports(user, { page = 1, limit = 20 } = {}) {
+    const seesAll = ['admin', 'manager'].includes(user.role);
+    const whereClause = seesAll ? '' : 'WHERE created_by = $1';
+    const params = seesAll ? [] : [user.id];
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM reports ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await db.query(`
+      SELECT * FROM reports
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      items: result.rows.map(row => this.toHandle(row)),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Locate a generated report file the user may download
+   *
+   * @param {number} reportId - Report ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { report, filePath, mimeType, downloadName }
+   */
+  async getReportFile(reportId, user) {
+    const result = await db.query('SELECT * FROM reports WHERE id = $1', [reportId]);
+    const report = result.rows[0];
+
+    if (!report || (!['admin', 'manager'].includes(user.role) && report.created_by !== user.id)) {
+      throw reportError('not_found', 'Report not found');
+    }
+
+    const filePath = path.join(this.reportsDir, path.basename(report.file_name));
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      throw reportError('not_found', 'Report file is no longer available');
+    }
+
+    return {
+      report,
+      filePath,
+      mimeType: REPORT_FORMATS[report.format].mimeType,
+      downloadName: `${report.name}.${REPORT_FORMATS[report.format].extension}`
+    };
+  }
+
+  /**
+   * Works out the stored schedule columns for a saved report
+   *
+   * @param {Object|null} schedule - Validated schedule, or null to unschedule
+   * @param {number} ownerId - Report owner whose timezone is used
+   * @param {boolean} isActive - Whether the saved report is active
+   * @returns {Promise<Object>} Column values
+   */
+  async resolveSchedule(schedule, ownerId, isActive) {
+    if (!schedule) {
+      return { schedule_type: null, schedule_config: {}, cron_expression: null, timezone: 'UTC', next_run_at: null };
+    }
+
+    const cronExpression = toCronExpression(schedule);
+    const timezone = await getUserTimezone(ownerId);
+
+    const nextRunAt = computeNextRun(cronExpression, timezone);
+    if (!nextRunAt) {
+      throw reportError('validation', 'schedule never runs within the next year');
+    }
+
+    return {
+      schedule_type: schedule.type,
+      schedule_config: schedule,
+      cron_expression: cronExpression,
+      timezone,
+      next_run_at: isActive ? nextRunAt : null
+    };
+  }
+
+  /**
+   * Load a saved report the user may see: their own, or any for admins and managers
+   *
+   * @param {number} savedReportId - Saved report ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} saved_reports row
+   */
+  async getSavedReport(savedReportId, user) {
+    const result = await db.query('SELECT * FROM saved_reports WHERE id = $1', [savedReportId]);
+    const saved = result.rows[0];
+
+    if (!saved || (!['admin', 'manager'].includes(user.role) && saved.created_by !== user.id)) {
+      throw reportError('not_found', 'Saved report not found');
+    }
+    return saved;
+  }
+
+  /**
+   * List saved reports with their latest run
+   *
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {boolean} [options.scheduled] - Only scheduled (true) or unscheduled (false) reports
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async listSavedReports(user, { scheduled, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (!['admin', 'manager'].includes(user.role)) {
+      conditions.push(`sr.created_by = $${paramCount++}`);
+      params.push(user.id);
+    }
+    if (scheduled === true) conditions.push('sr.schedule_type IS NOT NULL');
+    if (scheduled === false) conditions.push('sr.schedule_type IS NULL');
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM saved_reports sr ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await db.query(`
+      SELECT
+        sr.*,
+        last_run.status as last_run_status,
+        last_run.error_message as last_run_error
+      FROM saved_reports sr
+      LEFT JOIN LATERAL (
+        SELECT status, error_message
+        FROM saved_report_runs
+        WHERE saved_report_id = sr.id
+        ORDER BY started_at DESC
+        LIMIT 1
+      ) last_run ON true
+      ${whereClause}
+      ORDER BY sr.created_at DESC, sr.id DESC
+      LIMIT $${paramCount++} OFFSET $${paramCount}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      items: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Save a report definition, optionally with a delivery schedule
+   *
+   * @param {Object} data - { name, description, reportType, format, filters, schedule, recipients, isActive }
+   * @param {Object} user - Authenticated user
+   * @param {number} [tenantId] - Tenant the report belongs to
+   * @returns {Promise<Object>} saved_reports row
+   */
+  async createSavedReport(data, user, tenantId = null) {
+    const { error, value } = createSavedReportSchema.validate(data, { stripUnknown: true });
+    if (error) {
+      throw reportError('validation', error.details[0].message);
+    }
+
+    const isActive = value.isActive !== false;
+    const schedule = await this.resolveSchedule(value.schedule || null, user.id, isActive);
+
+    const result = await db.query(`
+      INSERT INTO saved_reports (
+        tenant_id, name, description, report_type, format, filters,
+        schedule_type, schedule_config, cron_expression, timezone,
+        recipients, is_active, next_run_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      tenantId,
+      value.name,
+      value.description || null,
+      value.reportType,
+      value.format || 'pdf',
+      JSON.stringify(value.filters || {}),
+      schedule.schedule_type,
+      JSON.stringify(schedule.schedule_config),
+      schedule.cron_expression,
+      schedule.timezone,
+      value.recipients || [],
+      isActive,
+      schedule.next_run_at,
+      user.id
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a saved report. Changing the schedule or re-activating the report
+   * recalculates the next run in the owner's current timezone.
+   *
+   * @param {number} savedReportId - Saved report ID
+   * @param {Object} data - Fields to change
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Updated saved_reports row
+   */
+  async updateSavedReport(savedReportId, data, user) {
+    const saved = await this.getSavedReport(savedReportId, user);
+
+    const { error, value } = savedReportSchema.validate(data, { stripUnknown: true });
+    if (error) {
+      throw reportError('validation', error.details[0].message);
+    }
+
+    const updates = {};
+    if (value.name !== undefined) updates.name = value.name;
+    if (value.description !== undefined) updates.description = value.description;
+    if (value.reportType !== undefined) updates.report_type = value.reportType;
+    if (value.format !== undefined) updates.format = value.format;
+    if (value.filters !== undefined) updates.filters = JSON.stringify(value.filters);
+    if (value.recipients !== undefined) updates.recipients = value.recipients;
+    if (value.isActive !== undefined) updates.is_active = value.isActive;
+
+    if (value.schedule !== undefined || value.isActive !== undefined) {
+      const schedule = value.schedule !== undefined
+        ? value.schedule
+        : (saved.schedule_type ? { ...saved.schedule_config, type: saved.schedule_type } : null);
+      const isActive = value.isActive !== undefined ? value.isActive : saved.is_active;
+      const resolved = await this.resolveSchedule(schedule, saved.created_by, isActive);
+
+      Object.assign(updates, resolved, { schedule_config: JSON.stringify(resolved.schedule_config) });
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      throw reportError('validation', 'No valid fields to update');
+    }
+
+    const result = await db.query(`
+      UPDATE saved_reports
+      SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${fields.length + 1}
+      RETURNING *
+    `, [...fields.map(field => updates[field]), saved.id]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a saved report and its run history
+   *
+   * @param {number} savedReportId - Saved report ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<void>}
+   */
+  async deleteSavedReport(savedReportId, user) {
+    const saved = await this.getSavedReport(savedReportId, user);
+    await db.query('DELETE FROM saved_reports WHERE id = $1', [saved.id]);
+  }
+
+  /**
+   * Renders a saved report and emails it to its recipients, recording the
+   * run. Failures are stored on the run rather than thrown.
+   *
+   * @param {Object} saved - saved_reports row
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} saved_report_runs row, with the download handle on success
+   */
+  async executeSavedReport(saved, trigger) {
+    let recipients = saved.recipients || [];
+    if (recipients.length === 0 && saved.created_by) {
+      const owner = await db.query('SELECT email FROM users WHERE id = $1', [saved.created_by]);
+      if (owner.rows[0]) recipients = [owner.rows[0].email];
+    }
+
+    const runResult = await db.query(`
+      INSERT INTO saved_report_runs (saved_report_id, trigger, recipients)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [saved.id, trigger, recipients]);
+    const run = runResult.rows[0];
+
+    try {
+      if (recipients.length === 0) {
+        throw new Error('Saved report has no recipients');
+      }
+
+      const runDate = moment().format('YYYY-MM-DD');
+      const file = await this.createReportFile({
+        reportType: saved.report_type,
+        format: saved.format,
+        filters: saved.filters,
+        name: `${saved.name} ${runDate}`,
+        userId: saved.created_by,
+        tenantId: saved.tenant_id
+      });
+
+      await emailService.sendEmail({
+        to: recipients,
+        subject: `${saved.name} - ${runDate}`,
+        text: `Your ${REPORT_TYPES[saved.report_type].name} report "${saved.name}" is attached.`,
+        attachments: [{
+          filename: `${file.name}.${REPORT_FORMATS[file.format].extension}`,
+          path: path.join(this.reportsDir, file.file_name),
+          contentType: REPORT_FORMATS[file.format].mimeType
+        }]
+      });
+
+      const updated = await db.query(`
+        UPDATE saved_report_runs
+        SET status = 'success', report_id = $1, finished_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [file.id, run.id]);
+
+      return { ...updated.rows[0], report: this.toHandle(file) };
+    } catch (error) {
+      logger.error(`Saved report ${saved.id} run failed:`, error);
+
+      const updated = await db.query(`
+        UPDATE saved_report_runs
+        SET status = 'failed', error_message = $1, finished_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [error.message, run.id]);
+
+      return updated.rows[0];
+    }
+  }
+
+  /**
+   * Run a saved report now and deliver it to its recipients
+   *
+   * @param {number} savedReportId - Saved report ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Run record
+   */
+  async runSavedReport(savedReportId, user) {
+    const saved = await this.getSavedReport(savedReportId, user);
+    return this.executeSavedReport(saved, 'manual');
+  }
+
+  /**
+   * Query run history, newest first
+   *
+   * @param {Object} user - Authenticated user
+   * @param {Object} [filters]
+   * @param {number} [filters.savedReportId] - Only runs of this saved report
+   * @param {string} [filters.status] - 'running', 'success' or 'failed'
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Page size
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async getSavedReportRuns(user, { savedReportId, status, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (savedReportId) {
+      await this.getSavedReport(savedReportId, user);
+      conditions.push(`r.saved_report_id = $${paramCount++}`);
+      params.push(savedReportId);
+    } else if (!['admin', 'manager'].includes(user.role)) {
+      conditions.push(`sr.created_by = $${paramCount++}`);
+      params.push(user.id);
+    }
+
+    if (status) {
+      conditions.push(`r.status = $${paramCount++}`);
+      params.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`
+      SELECT COUNT(*)
+      FROM saved_report_runs r
+      JOIN saved_reports sr ON r.saved_report_id = sr.id
+      ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await db.query(`
+      SELECT r.*, sr.name as saved_report_name, sr.report_type
+      FROM saved_report_runs r
+      JOIN saved_reports sr ON r.saved_report_id = sr.id
+      ${whereClause}
+      ORDER BY r.started_at DESC, r.id DESC
+      LIMIT $${paramCount++} OFFSET $${paramCount}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      items: result.rows.map(row => ({
+        ...row,
+        download_url: row.report_id ? `/api/reports/files/${row.report_id}/download` : null
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Run every saved report whose next run is due. Each report is claimed by
+   * moving next_run_at forward first, so overlapping scheduler instances
+   * never deliver the same run twice. Runs missed while the scheduler was
+   * down are delivered once, not once per missed slot.
+   *
+   * @returns {Promise<number>} Number of reports processed
+   */
+  async processScheduledReports() {
+    const due = await db.query(`
+      SELECT *
+      FROM saved_reports
+      WHERE is_active = true
+        AND schedule_type IS NOT NULL
+        AND next_run_at <= NOW()
+      ORDER BY next_run_at
+      LIMIT 20
+    `);
+
+    let processed = 0;
+    for (const saved of due.rows) {
+      const nextRunAt = computeNextRun(saved.cron_expression, saved.timezone);
+      const claimed = await db.query(`
+        UPDATE saved_reports
+        SET next_run_at = $1, last_run_at = NOW()
+        WHERE id = $2 AND next_run_at = $3
+      `, [nextRunAt, saved.id, saved.next_run_at]);
+
+      if (claimed.rowCount === 0) continue;
+
+      await this.executeSavedReport(saved, 'schedule');
+      processed++;
+    }
+
+    return processed;
+  }
+}
+
+module.exports = {
+  ReportService,
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  SCHEDULE_TYPES
+};
@@ -0,0 +1,374 @@
+/**
+ * Report Template Service
+ *
+ * Per-tenant report templates. A template controls the branding (logo,
+ * colors, header and footer text), page orientation and section layout of
+ * PDF and HTML reports, and can replace the built-in HTML layout with its
+ * own Handlebars source.
+ */
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const Handlebars = require('handlebars');
+const db = require('../db');
+
+const TEMPLATE_SECTIONS = ['header', 'summary', 'tables', 'footer'];
+const TEMPLATE_ORIENTATIONS = ['portrait', 'landscape'];
+
+// Keeps stored logos to roughly 500 KB of image data
+const MAX_LOGO_LENGTH = 700000;
+
+const DEFAULT_HTML_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'templates', 'reports', 'default.hbs'), 'utf8');
+
+/**
+ * Built-in template used when a tenant has no template for a report
+ */
+const DEFAULT_TEMPLATE = {
+  id: null,
+  name: 'Default',
+  report_type: null,
+  orientation: 'portrait',
+  sections: TEMPLATE_SECTIONS,
+  logo: null,
+  primary_color: '#111827',
+  accent_color: '#6B7280',
+  header_text: null,
+  footer_text: null,
+  html_template: null
+};
+
+const hexColor = Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).messages({
+  'string.pattern.base': '{{#label}} must be a hex color such as #1D4ED8'
+});
+
+const templateSchema = Joi.object({
+  name: Joi.string().max(255),
+  description: Joi.string().allow(null, ''),
+  reportType: Joi.string().max(50).allow(null),
+  orientation: Joi.string().valid(...TEMPLATE_ORIENTATIONS),
+  sections: Joi.array().items(Joi.string().valid(...TEMPLATE_SECTIONS)).unique().min(1),
+  logo: Joi.string()
+    .max(MAX_LOGO_LENGTH)
+    .pattern(/^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/)
+    .allow(null)
+    .messages({ 'string.pattern.base': 'logo must be a base64 PNG or JPEG data URI' }),
+  primaryColor: hexColor,
+  accentColor: hexColor,
+  headerText: Joi.string().max(1000).allow(null, ''),
+  footerText: Joi.string().max(1000).allow(null, ''),
+  htmlTemplate: Joi.string().max(100000).allow(null, ''),
+  isDefault: Joi.boolean()
+});
+
+const createTemplateSchema = templateSchema.fork(['name'], (field) => field.required());
+
+// Maps the API's camelCase fields onto report_templates columns
+const TEMPLATE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  reportType: 'report_type',
+  orientation: 'orientation',
+  sections: 'sections',
+  logo: 'logo',
+  primaryColor: 'primary_color',
+  accentColor: 'accent_color',
+  headerText: 'header_text',
+  footerText: 'footer_text',
+  htmlTemplate: 'html_template',
+  isDefault: 'is_default'
+};
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation' or 'not_found'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const templateError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+// Separate Handlebars environment so template helpers stay local to reports
+const handlebars = Handlebars.create();
+handlebars.registerHelper('eq', (a, b) => a === b);
+
+const compiledTemplates = new Map();
+
+/**
+ * Compiles Handlebars source, caching the result by source text
+ *
+ * @param {string} [source] - Handlebars source, defaults to the built-in layout
+ * @returns {Function} Template function taking the report view
+ */
+const compileHtml = (source) => {
+  const key = source || DEFAULT_HTML_SOURCE;
+  if (!compiledTemplates.has(key)) {
+    compiledTemplates.set(key, handlebars.compile(key, { strict: false }));
+  }
+  return compiledTemplates.get(key);
+};
+
+/**
+ * Validates template input and converts it to column values
+ *
+ * @param {Object} data - Raw template fields (camelCase)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (updates)
+ * @returns {Object} Column values for the provided fields
+ */
+const validateTemplate = (data, { partial = false } = {}) => {
+  const schema = partial ? templateSchema : createTemplateSchema;
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw templateError('validation', error.details[0].message);
+  }
+
+  if (value.reportType) {
+    // Required here rather than at load time: reportService depends on this module
+    const { REPORT_TYPES } = require('./reportService');
+    if (!REPORT_TYPES[value.reportType]) {
+      throw templateError('validation', `reportType must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`);
+    }
+  }
+
+  if (value.htmlTemplate) {
+    try {
+      handlebars.parse(value.htmlTemplate);
+    } catch (parseError) {
+      throw templateError('validation', `htmlTemplate is not valid Handlebars: ${parseError.message}`);
+    }
+  }
+
+  const columns = {};
+  Object.entries(TEMPLATE_COLUMNS).forEach(([field, column]) => {
+    if (value[field] === undefined) return;
+    columns[column] = value[field] === '' ? null : value[field];
+  });
+  return columns;
+};
+
+/**
+ * Fills in built-in defaults for anything a template leaves unset
+ *
+ * @param {Object} [row] - report_templates row or validated column values
+ * @returns {Object} Complete template
+ */
+const withDefaults = (row = {}) => {
+  const template = { ...DEFAULT_TEMPLATE };
+  Object.entries(row).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) template[key] = value;
+  });
+  return template;
+};
+
+/**
+ * List a tenant's templates
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [options]
+ * @param {string} [options.reportType] - Only templates that apply to this report type
+ * @returns {Promise<Array<Object>>} report_templates rows, without logos
+ */
+const listTemplates = async (tenantId, { reportType } = {}) => {
+  const params = [tenantId];
+  let typeCondition = '';
+  if (reportType) {
+    params.push(reportType);
+    typeCondition = 'AND (report_type = $2 OR report_type IS NULL)';
+  }
+
+  const result = await db.query(`
+    SELECT
+      id, tenant_id, name, description, report_type, orientation, sections,
+      primary_color, accent_color, header_text, footer_text,
+      logo IS NOT NULL as has_logo,
+      html_template IS NOT NULL as has_html_template,
+      is_default, created_by, created_at, updated_at
+    FROM report_templates
+    WHERE tenant_id IS NOT DISTINCT FROM $1 ${typeCondition}
+    ORDER BY is_default DESC, report_type NULLS LAST, name
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Get one of a tenant's templates
+ *
+ * @param {number} templateId - Template ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} report_templates row
+ */
+const getTemplate = async (templateId, tenantId) => {
+  const result = await db.query(
+    'SELECT * FROM report_templates WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2',
+    [templateId, tenantId]
+  );
+
+  if (result.rows.length === 0) {
+    throw templateError('not_found', 'Report template not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Clears the current default for a tenant and report type so another
+ * template can take its place
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {number|null} tenantId - Tenant ID
+ * @param {string|null} reportType - Report type, or null for the catch-all default
+ * @param {number} [exceptId] - Template that keeps its flag
+ */
+const clearDefault = async (client, tenantId, reportType, exceptId = null) => {
+  await client.query(`
+    UPDATE report_templates
+    SET is_default = false, updated_at = CURRENT_TIMESTAMP
+    WHERE tenant_id IS NOT DISTINCT FROM $1
+      AND report_type IS NOT DISTINCT FROM $2
+      AND is_default = true
+      AND id IS DISTINCT FROM $3
+  `, [tenantId, reportType, exceptId]);
+};
+
+/**
+ * Create a template
+ *
+ * @param {Object} data - Template fields (camelCase)
+ * @param {Object} user - Authenticated user
+ * @param {number|null} tenantId - Tenant the template belongs to
+ * @returns {Promise<Object>} report_templates row
+ */
+const createTemplate = async (data, user, tenantId) => {
+  const columns = validateTemplate(data);
+  if (columns.sections) columns.sections = JSON.stringify(columns.sections);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (columns.is_default) {
+      await clearDefault(client, tenantId, columns.report_type || null);
+    }
+
+    const fields = ['tenant_id', 'created_by', ...Object.keys(columns)];
+    const values = [tenantId, user.id, ...Object.values(columns)];
+    const result = await client.query(`
+      INSERT INTO report_templates (${fields.join(', ')})
+      VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+      RETURNING *
+    `, values);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a template
+ *
+ * @param {number} templateId - Template ID
+ * @param {Object} data - Fields to change (camelCase)
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Updated report_templates row
+ */
+const updateTemplate = async (templateId, data, tenantId) => {
+  const template = await getTemplate(templateId, tenantId);
+  const columns = validateTemplate(data, { partial: true });
+  if (columns.sections) columns.sections = JSON.stringify(columns.sections);
+
+  const fields = Object.keys(columns);
+  if (fields.length === 0) {
+    throw templateError('validation', 'No valid fields to update');
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const isDefault = columns.is_default !== undefined ? columns.is_default : template.is_default;
+    if (isDefault) {
+      const reportType = columns.report_type !== undefined ? columns.report_type : template.report_type;
+      await clearDefault(client, tenantId, reportType, template.id);
+    }
+
+    const result = await client.query(`
+      UPDATE report_templates
+      SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${fields.length + 1}
+      RETURNING *
+    `, [...fields.map(field => columns[field]), template.id]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a template
+ *
+ * @param {number} templateId - Template ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<void>}
+ */
+const deleteTemplate = async (templateId, tenantId) => {
+  const template = await getTemplate(templateId, tenantId);
+  await db.query('DELETE FROM report_templates WHERE id = $1', [template.id]);
+};
+
+/**
+ * Picks the template for a report: the requested one, else the tenant's
+ * default for the report type, else its catch-all default, else the
+ * built-in template
+ *
+ * @param {Object} options
+ * @param {number|null} options.tenantId - Tenant ID
+ * @param {string} options.reportType - Report type being rendered
+ * @param {number} [options.templateId] - Explicitly requested template
+ * @returns {Promise<Object>} Complete template
+ */
+const resolveTemplate = async ({ tenantId, reportType, templateId }) => {
+  if (templateId) {
+    return withDefaults(await getTemplate(templateId, tenantId));
+  }
+
+  const result = await db.query(`
+    SELECT *
+    FROM report_templates
+    WHERE tenant_id IS NOT DISTINCT FROM $1
+      AND is_default = true
+      AND (report_type = $2 OR report_type IS NULL)
+    ORDER BY report_type NULLS LAST
+    LIMIT 1
+  `, [tenantId, reportType]);
+
+  return withDefaults(result.rows[0]);
+};
+
+module.exports = {
+  TEMPLATE_SECTIONS,
+  DEFAULT_TEMPLATE,
+  compileHtml,
+  validateTemplate,
+  withDefaults,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  resolveTemplate
+};
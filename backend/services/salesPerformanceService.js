@@ -0,0 +1,498 @@
+/**
+ * Sales Performance Service
+ *
+ * Revenue and win/loss metrics for any date range, bucketed by day, week,
+ * fiscal month, fiscal quarter or fiscal year, compared against the previous
+ * period or the same period last year, and broken down by rep, industry or
+ * pipeline stage. Deals are placed in time by their expected close date.
+ * Amounts are in the tenant's reporting currency, converted at each deal's
+ * close date rate.
+ */
+const moment = require('moment');
+const Joi = require('joi');
+const db = require('../db');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const currencyService = require('./currencyService');
+
+const COMPARISONS = ['previous_period', 'previous_year', 'none'];
+
+// Keeps day buckets over long ranges from producing huge responses
+const MAX_BUCKETS = 400;
+
+const BREAKDOWNS = {
+  rep: {
+    select: `u.id as id, COALESCE(u.first_name || ' ' || u.last_name, 'Unassigned') as name`,
+    join: 'LEFT JOIN users u ON u.id = d.assigned_user_id',
+    groupBy: 'u.id, u.first_name, u.last_name',
+    orderBy: 'revenue DESC, name'
+  },
+  industry: {
+    select: `COALESCE(c.industry, 'Unknown') as name`,
+    join: 'LEFT JOIN companies c ON c.id = d.company_id',
+    groupBy: `COALESCE(c.industry, 'Unknown')`,
+    orderBy: 'revenue DESC, name'
+  },
+  stage: {
+    select: `ps.id as id, COALESCE(ps.name, 'No Stage') as name`,
+    join: 'LEFT JOIN pipeline_stages ps ON ps.id = d.pipeline_stage_id',
+    groupBy: 'ps.id, ps.name, ps.display_order',
+    orderBy: 'ps.display_order NULLS LAST, name'
+  }
+};
+
+const querySchema = Joi.object({
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().when('start_date', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('start_date'))
+  }),
+  granularity: Joi.string().valid(...fiscalCalendarService.BUCKET_GRANULARITIES).default('month'),
+  compare: Joi.string().valid(...COMPARISONS).default('previous_period'),
+  periods: Joi.number().integer().min(1).max(120).default(6),
+  breakdown: Joi.string().allow(''),
+  owner_id: Joi.number().integer().positive(),
+  company_id: Joi.number().integer().positive(),
+  industry: Joi.string().max(100),
+  pipeline_id: Joi.number().integer().positive()
+});
+
+/**
+ * Metric columns over deals aliased `d`
+ *
+ * @param {string} value - SQL expression for a deal's value in the reporting currency
+ * @returns {string} SQL select list
+ */
+const metricColumns = (value) => `
+  COUNT(d.id) as total_deals,
+  COUNT(d.id) FILTER (WHERE d.status = 'closed_won') as won_deals,
+  COUNT(d.id) FILTER (WHERE d.status = 'closed_lost') as lost_deals,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status = 'closed_won'), 0) as revenue,
+  COALESCE(SUM(${value}) FILTER (WHERE d.status NOT IN ('closed_won', 'closed_lost')), 0) as pipeline_value
+`;
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const salesPerformanceError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Turns a metrics row into numbers plus the derived rates
+ *
+ * @param {Object} row - Row selected with metricColumns
+ * @returns {Object} { total_deals, won_deals, lost_deals, open_deals, revenue, pipeline_value, win_rate, avg_deal_size }
+ */
+const toMetrics = (row) => {
+  const totalDeals = parseInt(row.total_deals || 0);
+  const wonDeals = parseInt(row.won_deals || 0);
+  const lostDeals = parseInt(row.lost_deals || 0);
+  const revenue = Number(parseFloat(row.revenue || 0).toFixed(2));
+
+  return {
+    total_deals: totalDeals,
+    won_deals: wonDeals,
+    lost_deals: lostDeals,
+    open_deals: totalDeals - wonDeals - lostDeals,
+    revenue,
+    pipeline_value: Number(parseFloat(row.pipeline_value || 0).toFixed(2)),
+    win_rate: wonDeals + lostDeals > 0 ? Number(((wonDeals / (wonDeals + lostDeals)) * 100).toFixed(2)) : 0,
+    avg_deal_size: wonDeals > 0 ? Number((revenue / wonDeals).toFixed(2)) : 0
+  };
+};
+
+/**
+ * Absolute and percentage change of every metric against a previous period
+ *
+ * @param {Object} current - Current period metrics
+ * @param {Object} previous - Comparison period metrics
+ * @returns {Object} { <metric>: { absolute, percent } }, percent is null when the previous value is 0
+ */
+const toChange = (current, previous) => {
+  const change = {};
+  Object.keys(current).forEach(key => {
+    const absolute = current[key] - previous[key];
+    change[key] = {
+      absolute: Number(absolute.toFixed(2)),
+      percent: previous[key] !== 0 ? Number(((absolute / Math.abs(previous[key])) * 100).toFixed(2)) : null
+    };
+  });
+  return change;
+};
+
+/**
+ * Appends the deal filters and the close date range to a query
+ *
+ * @param {Object} filters - Validated query
+ * @param {Object|null} range - { start, end } as YYYY-MM-DD, or null for any close date
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} SQL fragment starting with AND, or an empty string
+ */
+const dealConditions = (filters, range, params) => {
+  const conditions = [];
+
+  if (range) {
+    params.push(range.start, range.end);
+    conditions.push(`d.expected_close_date >= $${params.length - 1}`);
+    conditions.push(`d.expected_close_date <= $${params.length}`);
+  }
+
+  if (filters.owner_id) {
+    params.push(filters.owner_id);
+    conditions.push(`d.assigned_user_id = $${params.length}`);
+  }
+
+  if (filters.company_id) {
+    params.push(filters.company_id);
+    conditions.push(`d.company_id = $${params.length}`);
+  }
+
+  if (filters.industry) {
+    params.push(filters.industry);
+    conditions.push(`d.company_id IN (SELECT id FROM companies WHERE industry = $${params.length})`);
+  }
+
+  if (filters.pipeline_id) {
+    params.push(filters.pipeline_id);
+    conditions.push(`d.pipeline_id = $${params.length}`);
+  }
+
+  return conditions.map(condition => ` AND ${condition}`).join('');
+};
+
+/**
+ * Moves a range onto other buckets, keeping its offset from the start of
+ * the first bucket and from the start of the last one. Partial buckets stay
+ * partial ("to date"), whole buckets stay whole.
+ *
+ * @param {Object} range - { start, end }
+ * @param {Array<Object>} buckets - Buckets covering the range
+ * @param {Array<Object>} targets - Buckets to map onto, same length
+ * @returns {Object} { start, end }
+ */
+const mapRange = (range, buckets, targets) => {
+  const offset = (date, bucket) => moment.utc(date).diff(moment.utc(bucket.start_date), 'days');
+  const place = (bucket, days) => moment.min(
+    moment.utc(bucket.start_date).add(days, 'days'),
+    moment.utc(bucket.end_date)
+  ).format('YYYY-MM-DD');
+
+  const first = buckets[0];
+  const last = buckets[buckets.length - 1];
+  const targetLast = targets[targets.length - 1];
+
+  return {
+    start: place(targets[0], offset(range.start, first)),
+    end: range.end === last.end_date ? targetLast.end_date : place(targetLast, offset(range.end, last))
+  };
+};
+
+/**
+ * Validates the query and resolves the buckets plus the reporting and
+ * comparison ranges. Without a start date the range covers the last
+ * `periods` fiscal months, the current one included.
+ *
+ * @param {Object} query - Raw query parameters
+ * @param {Object} calendar - Tenant fiscal calendar
+ * @returns {Object} Validated query with range, buckets, comparisonRange and breakdowns
+ */
+const normalizeQuery = (query, calendar) => {
+  const { error, value } = querySchema.validate(query || {}, { stripUnknown: true });
+  if (error) {
+    throw salesPerformanceError('validation', error.details[0].message);
+  }
+
+  const end = value.end_date ? moment.utc(value.end_date).format('YYYY-MM-DD') : moment.utc().format('YYYY-MM-DD');
+  let start = value.start_date && moment.utc(value.start_date).format('YYYY-MM-DD');
+  if (!start) {
+    const current = fiscalCalendarService.getBucketContaining(calendar, end, 'month');
+    start = value.periods > 1
+      ? fiscalCalendarService.getBucketsBefore(calendar, current.start_date, 'month', value.periods - 1)[0].start_date
+      : current.start_date;
+  }
+
+  const range = { start, end };
+  const buckets = fiscalCalendarService.getBuckets(calendar, start, end, value.granularity, { maxBuckets: MAX_BUCKETS });
+
+  let comparisonRange = null;
+  if (value.compare === 'previous_period') {
+    // The same number of buckets immediately before, so periods line up
+    const previous = fiscalCalendarService.getBucketsBefore(calendar, buckets[0].start_date, value.granularity, buckets.length);
+    comparisonRange = mapRange(range, buckets, previous);
+  } else if (value.compare === 'previous_year') {
+    comparisonRange = fiscalCalendarService.getPriorYearRange(calendar, range);
+  }
+
+  const breakdowns = value.breakdown
+    ? [...new Set(value.breakdown.split(',').map(item => item.trim()).filter(Boolean))]
+    : [];
+  const unknown = breakdowns.filter(item => !BREAKDOWNS[item]);
+  if (unknown.length > 0) {
+    throw salesPerformanceError('validation', `breakdown must be a comma separated list of: ${Object.keys(BREAKDOWNS).join(', ')}`);
+  }
+
+  return {
+    ...value,
+    range,
+    buckets,
+    comparisonRange,
+    breakdowns
+  };
+};
+
+/**
+ * Totals for a date range
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Object>} Metrics
+ */
+const getTotals = async (filters, range) => {
+  const params = [];
+  const value = currencyService.convertedValue(params, filters);
+  const result = await db.query(`
+    SELECT ${metricColumns(value)}
+    FROM deals d
+    WHERE true${dealConditions(filters, range, params)}
+  `, params);
+
+  return toMetrics(result.rows[0]);
+};
+
+/**
+ * Metrics per bucket across a date range, including empty buckets. The
+ * first and last buckets are clipped to the range.
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Object} range - { start, end }
+ * @param {Array<Object>} buckets - Buckets covering the range
+ * @returns {Promise<Array<Object>>} [{ label, start_date, end_date, fiscal_year, fiscal_quarter, fiscal_period, ...metrics }]
+ */
+const getSeries = async (filters, range, buckets) => {
+  const params = [];
+  const table = fiscalCalendarService.bucketTable(buckets, params);
+  const value = currencyService.convertedValue(params, filters);
+
+  const result = await db.query(`
+    SELECT
+      b.position,
+      ${metricColumns(value)}
+    FROM ${table}
+    LEFT JOIN deals d ON d.expected_close_date BETWEEN b.start_date AND b.end_date${dealConditions(filters, range, params)}
+    GROUP BY b.position
+    ORDER BY b.position
+  `, params);
+
+  return result.rows.map(row => {
+    const bucket = buckets[parseInt(row.position) - 1];
+    return {
+      ...bucket,
+      start_date: bucket.start_date < range.start ? range.start : bucket.start_date,
+      end_date: bucket.end_date > range.end ? range.end : bucket.end_date,
+      ...toMetrics(row)
+    };
+  });
+};
+
+/**
+ * Metrics grouped by rep, industry or pipeline stage
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Object} range - { start, end }
+ * @param {string} breakdown - One of the BREAKDOWNS keys
+ * @returns {Promise<Array<Object>>} [{ id?, name, ...metrics, revenue_share }]
+ */
+const getBreakdown = async (filters, range, breakdown) => {
+  const config = BREAKDOWNS[breakdown];
+  const params = [];
+  const value = currencyService.convertedValue(params, filters);
+
+  const result = await db.query(`
+    SELECT
+      ${config.select},
+      ${metricColumns(value)}
+    FROM deals d
+    ${config.join}
+    WHERE true${dealConditions(filters, range, params)}
+    GROUP BY ${config.groupBy}
+    ORDER BY ${config.orderBy}
+  `, params);
+
+  const rows = result.rows.map(row => ({
+    ...(row.id !== undefined ? { id: row.id } : {}),
+    name: row.name,
+    ...toMetrics(row)
+  }));
+  const totalRevenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+
+  return rows.map(row => ({
+    ...row,
+    revenue_share: totalRevenue > 0 ? Number(((row.revenue / totalRevenue) * 100).toFixed(2)) : 0
+  }));
+};
+
+/**
+ * Revenue and open pipeline per deal currency, in the original amounts and
+ * converted. Deals without a rate for their close date are counted in
+ * unconverted_deals and left out of the converted amounts.
+ *
+ * @param {Object} filters - Normalized query
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Array<Object>>} [{ currency, deal_count, revenue, converted_revenue, pipeline_value, converted_pipeline_value, unconverted_deals }]
+ */
+const getCurrencyTotals = async (filters, range) => {
+  const params = [];
+  const value = currencyService.convertedValue(params, filters);
+
+  const result = await db.query(`
+    SELECT
+      COALESCE(d.currency, 'USD') as currency,
+      COUNT(d.id) as deal_count,
+      COALESCE(SUM(d.value) FILTER (WHERE d.status = 'closed_won'), 0) as revenue,
+      COALESCE(SUM(${value}) FILTER (WHERE d.status = 'closed_won'), 0) as converted_revenue,
+      COALESCE(SUM(d.value) FILTER (WHERE d.status NOT IN ('closed_won', 'closed_lost')), 0) as pipeline_value,
+      COALESCE(SUM(${value}) FILTER (WHERE d.status NOT IN ('closed_won', 'closed_lost')), 0) as converted_pipeline_value,
+      COUNT(d.id) FILTER (WHERE d.value IS NOT NULL AND ${value} IS NULL) as unconverted_deals
+    FROM deals d
+    WHERE true${dealConditions(filters, range, params)}
+    GROUP BY COALESCE(d.currency, 'USD')
+    ORDER BY converted_revenue DESC, currency
+  `, params);
+
+  return result.rows.map(row => ({
+    currency: row.currency,
+    deal_count: parseInt(row.deal_count),
+    revenue: parseFloat(row.revenue),
+    converted_revenue: Number(parseFloat(row.converted_revenue).toFixed(2)),
+    pipeline_value: parseFloat(row.pipeline_value),
+    converted_pipeline_value: Number(parseFloat(row.converted_pipeline_value).toFixed(2)),
+    unconverted_deals: parseInt(row.unconverted_deals)
+  }));
+};
+
+/**
+ * Open pipeline by the fiscal quarter deals are expected to close in, from
+ * the current quarter on. Later or undated deals are left out.
+ *
+ * @param {Object} [filters] - { owner_id, company_id, industry, pipeline_id }
+ * @param {Object} [options]
+ * @param {number} [options.tenantId] - Tenant whose fiscal calendar and reporting currency are used
+ * @param {Object} [options.calendar] - Fiscal calendar, when already loaded
+ * @param {number} [options.count=4] - Number of quarters
+ * @returns {Promise<Array<Object>>} [{ label, start_date, end_date, fiscal_year, fiscal_quarter, deal_count, value, weighted_value }]
+ */
+const getPipelineByQuarter = async (filters = {}, { tenantId = null, calendar = null, count = 4 } = {}) => {
+  const fiscalCalendar = calendar || await fiscalCalendarService.getCalendar(tenantId);
+  const quarters = fiscalCalendarService.getBucketsFrom(fiscalCalendar, moment.utc().format('YYYY-MM-DD'), 'quarter', count);
+  if (quarters.length === 0) return [];
+
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const params = [];
+  const table = fiscalCalendarService.bucketTable(quarters, params);
+  const value = currencyService.convertedValue(params, { currency, tenantId });
+
+  const result = await db.query(`
+    SELECT
+      b.position,
+      COUNT(d.id) as deal_count,
+      COALESCE(SUM(${value}), 0) as value,
+      COALESCE(SUM(${value} * COALESCE(d.probability, ps.probability, 0) / 100.0), 0) as weighted_value
+    FROM ${table}
+    LEFT JOIN deals d ON d.expected_close_date BETWEEN b.start_date AND b.end_date
+      AND d.status = 'open'${dealConditions(filters, null, params)}
+    LEFT JOIN pipeline_stages ps ON ps.id = d.pipeline_stage_id
+    GROUP BY b.position
+    ORDER BY b.position
+  `, params);
+
+  return result.rows.map(row => {
+    const { fiscal_period, ...quarter } = quarters[parseInt(row.position) - 1];
+    return {
+      ...quarter,
+      deal_count: parseInt(row.deal_count),
+      value: Number(parseFloat(row.value).toFixed(2)),
+      weighted_value: Number(parseFloat(row.weighted_value).toFixed(2))
+    };
+  });
+};
+
+/**
+ * Sales performance for a date range
+ *
+ * @param {Object} query - Query parameters
+ * @param {string} [query.start_date] - Range start (YYYY-MM-DD)
+ * @param {string} [query.end_date] - Range end (YYYY-MM-DD), defaults to today
+ * @param {number} [query.periods=6] - Fiscal months to cover when start_date is not given
+ * @param {string} [query.granularity='month'] - 'day', 'week', or fiscal 'month', 'quarter' or 'year'
+ * @param {string} [query.compare='previous_period'] - 'previous_period', 'previous_year' or 'none'
+ * @param {string} [query.breakdown] - Comma separated list of 'rep', 'industry', 'stage'
+ * @param {number} [query.owner_id] - Only deals assigned to this user
+ * @param {number} [query.company_id] - Only deals with this company
+ * @param {string} [query.industry] - Only deals with companies in this industry
+ * @param {number} [query.pipeline_id] - Only deals in this pipeline
+ * @param {Object} [options]
+ * @param {number} [options.tenantId] - Tenant whose fiscal calendar and reporting currency are used
+ * @returns {Promise<Object>} { period, currency, summary, by_currency, series, comparison, breakdowns }
+ */
+const getSalesPerformance = async (query = {}, { tenantId = null } = {}) => {
+  const calendar = await fiscalCalendarService.getCalendar(tenantId);
+  const currency = await currencyService.getReportingCurrency(tenantId);
+  const filters = { ...normalizeQuery(query, calendar), currency, tenantId };
+  const { range, comparisonRange } = filters;
+
+  const summary = await getTotals(filters, range);
+  const series = await getSeries(filters, range, filters.buckets);
+
+  let comparison = null;
+  if (comparisonRange) {
+    const previousSummary = await getTotals(filters, comparisonRange);
+    const previousBuckets = fiscalCalendarService.getBuckets(calendar, comparisonRange.start, comparisonRange.end, filters.granularity);
+    const previousSeries = await getSeries(filters, comparisonRange, previousBuckets);
+
+    // Buckets are matched by position, so the nth period is compared to the nth period before
+    series.forEach((bucket, index) => {
+      bucket.comparison = previousSeries[index] || null;
+    });
+
+    comparison = {
+      type: filters.compare,
+      start_date: comparisonRange.start,
+      end_date: comparisonRange.end,
+      summary: previousSummary,
+      change: toChange(summary, previousSummary)
+    };
+  }
+
+  const breakdowns = {};
+  for (const breakdown of filters.breakdowns) {
+    breakdowns[breakdown] = await getBreakdown(filters, range, breakdown);
+  }
+
+  return {
+    period: {
+      start_date: range.start,
+      end_date: range.end,
+      granularity: filters.granularity,
+      fiscal_calendar: calendar.calendar_type
+    },
+    currency,
+    summary,
+    by_currency: await getCurrencyTotals(filters, range),
+    series,
+    comparison,
+    breakdowns
+  };
+};
+
+module.exports = {
+  COMPARISONS,
+  BREAKDOWNS,
+  getSalesPerformance,
+  getPipelineByQuarter
+};
@@ -7,6 +7,8 @@
 const cron = require('node-cron');
 const { ReportService } = require('./reportService');
 const logger = require('../utils/logger');
+const deduplicationService = require('./deduplicationService');
+const pipelineSnapshotService = require('./pipelineSnapshotService');
 
 // Initialize services
 const reportService = new ReportService();
@@ -35,6 +37,8 @@ class TaskScheduler {
     // Register tasks
     this.registerScheduledReportTask();
     this.registerMaintenanceTasks();
+    this.registerDataQualityTasks();
+    this.registerAnalyticsTasks();
     
     this.isRunning = true;
     logger.info('Task scheduler started successfully');
@@ -117,7 +121,7 @@ class TaskScheduler {
   registerMaintenanceTasks() {
     // Database vacuum - run daily at 3 AM
     this.registerTask('database-vacuum', '0 3 * * *', async () => {
-      const pool = require('./db');
+      const pool = require('../db');
       await pool.query('VACUUM ANALYZE');
       logger.info('Database vacuum completed');
     });
@@ -128,7 +132,7 @@ class TaskScheduler {
       const path = require('path');
       const moment = require('moment');
       
-      const reportsDir = path.join(__dirname, 'reports');
+      const reportsDir = reportService.reportsDir;
       let deletedCount = 0;
       
       try {
@@ -161,7 +165,7 @@ class TaskScheduler {
     // Update statistics - run daily at 4 AM
     this.registerTask('update-statistics', '0 4 * * *', async () => {
       try {
-        const pool = require('./db');
+        const pool = require('../db');
         await pool.query(`
           WITH report_counts AS (
             SELECT 
@@ -170,6 +174,8 @@ class TaskScheduler {
               SUM(row_count) as total_rows
             FROM 
               reports
+            WHERE 
+              tenant_id IS NOT NULL
             GROUP BY 
               tenant_id
           )
@@ -191,6 +197,28 @@ class TaskScheduler {
       }
     });
   }
+  
+  /**
+   * Register data quality tasks such as duplicate detection
+   */
+  registerDataQualityTasks() {
+    // Duplicate contact detection - run daily at 1 AM
+    this.registerTask('detect-duplicate-contacts', '0 1 * * *', async () => {
+      const groupCount = await deduplicationService.scanContactDuplicates();
+      logger.info(`Found ${groupCount} duplicate contact groups`);
+    });
+  }
+
+  /**
+   * Register tasks that record history for analytics
+   */
+  registerAnalyticsTasks() {
+    // Pipeline snapshot - run daily at 11:55 PM so each day keeps its closing state
+    this.registerTask('pipeline-snapshot', '55 23 * * *', async () => {
+      const dealCount = await pipelineSnapshotService.takeSnapshot();
+      logger.info(`Captured ${dealCount} deals in the pipeline snapshot`);
+    });
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,239 @@
+/**
+ * Team Service
+ *
+ * Sales teams: a named group of reps with an optional manager. A rep is a
+ * member of at most one team.
+ */
+const Joi = require('joi');
+const db = require('../db');
+
+const teamSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow(null, ''),
+  manager_id: Joi.number().integer().positive().allow(null),
+  member_ids: Joi.array().items(Joi.number().integer().positive()).unique().max(500)
+});
+
+const createTeamSchema = teamSchema.fork(['name'], (field) => field.required());
+
+/**
+ * Creates an error carrying a type the routes translate into a status code
+ *
+ * @param {string} type - 'validation', 'not_found' or 'conflict'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const teamError = (type, message) => {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+};
+
+/**
+ * Validates team input
+ *
+ * @param {Object} data - Raw team fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow a missing name (updates)
+ * @returns {Object} Validated fields
+ */
+const validateTeam = (data, { partial = false } = {}) => {
+  const schema = partial ? teamSchema : createTeamSchema;
+  const { error, value } = schema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    throw teamError('validation', error.details[0].message);
+  }
+  if (partial && Object.keys(value).length === 0) {
+    throw teamError('validation', 'No valid fields to update');
+  }
+  return value;
+};
+
+/**
+ * Reads teams with their manager and members
+ *
+ * @param {Object} client - Database client or pool
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [filters]
+ * @param {number} [filters.teamId] - A single team
+ * @param {number} [filters.managerId] - Only teams this user manages
+ * @returns {Promise<Array<Object>>} Teams with members [{ id, first_name, last_name, email }]
+ */
+const queryTeams = async (client, tenantId, { teamId, managerId } = {}) => {
+  const params = [tenantId];
+  const conditions = ['t.tenant_id IS NOT DISTINCT FROM $1'];
+
+  if (teamId) {
+    params.push(teamId);
+    conditions.push(`t.id = $${params.length}`);
+  }
+
+  if (managerId) {
+    params.push(managerId);
+    conditions.push(`t.manager_id = $${params.length}`);
+  }
+
+  const result = await client.query(`
+    SELECT
+      t.*,
+      m.first_name || ' ' || m.last_name as manager_name,
+      COALESCE(
+        json_agg(json_build_object('id', u.id, 'first_name', u.first_name, 'last_name', u.last_name, 'email', u.email)
+          ORDER BY u.last_name, u.first_name) FILTER (WHERE u.id IS NOT NULL),
+        '[]'
+      ) as members
+    FROM teams t
+    LEFT JOIN users m ON m.id = t.manager_id
+    LEFT JOIN team_members tm ON tm.team_id = t.id
+    LEFT JOIN users u ON u.id = tm.user_id
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY t.id, m.first_name, m.last_name
+    ORDER BY t.name
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * List a tenant's teams
+ *
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [options]
+ * @param {number} [options.managerId] - Only teams this user manages
+ * @returns {Promise<Array<Object>>} Teams with members
+ */
+const listTeams = (tenantId, { managerId } = {}) => queryTeams(db, tenantId, { managerId });
+
+/**
+ * Get one of a tenant's teams
+ *
+ * @param {number} teamId - Team ID
+ * @param {number|null} tenantId - Tenant ID
+ * @param {Object} [client] - Database client, defaults to the pool
+ * @returns {Promise<Object>} Team with members
+ */
+const getTeam = async (teamId, tenantId, client = db) => {
+  const [team] = await queryTeams(client, tenantId, { teamId });
+  if (!team) {
+    throw teamError('not_found', 'Team not found');
+  }
+  return team;
+};
+
+/**
+ * Replaces a team's members. Reps in another team are moved to this one.
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} teamId - Team ID
+ * @param {Array<number>} memberIds - User IDs
+ */
+const replaceMembers = async (client, teamId, memberIds) => {
+  await client.query('DELETE FROM team_members WHERE team_id = $1 OR user_id = ANY($2::int[])', [teamId, memberIds]);
+  if (memberIds.length > 0) {
+    await client.query(
+      'INSERT INTO team_members (team_id, user_id) SELECT $1, unnest($2::int[])',
+      [teamId, memberIds]
+    );
+  }
+};
+
+/**
+ * Runs a team write in a transaction, translating constraint violations
+ *
+ * @param {Function} work - async (client) => team ID
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} The written team with members
+ */
+const writeTeam = async (work, tenantId) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const teamId = await work(client);
+    const team = await getTeam(teamId, tenantId, client);
+    await client.query('COMMIT');
+    return team;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw teamError('conflict', 'A team with this name already exists');
+    }
+    if (error.code === '23503') {
+      throw teamError('validation', 'Manager or member is not a known user');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Create a team
+ *
+ * @param {Object} data - { name, description, manager_id, member_ids }
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Team with members
+ */
+const createTeam = async (data, tenantId) => {
+  const { member_ids: memberIds, ...fields } = validateTeam(data);
+
+  return writeTeam(async (client) => {
+    const result = await client.query(`
+      INSERT INTO teams (tenant_id, name, description, manager_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [tenantId, fields.name, fields.description || null, fields.manager_id || null]);
+
+    const teamId = result.rows[0].id;
+    if (memberIds) {
+      await replaceMembers(client, teamId, memberIds);
+    }
+    return teamId;
+  }, tenantId);
+};
+
+/**
+ * Update a team. member_ids, when given, replaces the member list.
+ *
+ * @param {number} teamId - Team ID
+ * @param {Object} data - Fields to change
+ * @param {number|null} tenantId - Tenant ID
+ * @returns {Promise<Object>} Team with members
+ */
+const updateTeam = async (teamId, data, tenantId) => {
+  const { member_ids: memberIds, ...fields } = validateTeam(data, { partial: true });
+  const team = await getTeam(teamId, tenantId);
+
+  return writeTeam(async (client) => {
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await client.query(`
+        UPDATE teams
+        SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${columns.length + 1}
+      `, [...columns.map(column => (fields[column] === '' ? null : fields[column])), team.id]);
+    }
+    if (memberIds) {
+      await replaceMembers(client, team.id, memberIds);
+    }
+    return team.id;
+  }, tenantId);
+};
+
+/**
+ * Delete a team. Its members become unassigned and its quotas are removed.
+ *
+ * @param {number} teamId - Team ID
+ * @param {number|null} tenantId - Tenant ID
+ */
+const deleteTeam = async (teamId, tenantId) => {
+  const team = await getTeam(teamId, tenantId);
+  await db.query('DELETE FROM teams WHERE id = $1', [team.id]);
+};
+
+module.exports = {
+  listTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
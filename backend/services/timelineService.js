@@ -0,0 +1,223 @@
+/**
+ * Timeline Service
+ *
+ * Builds a single chronological feed for a deal, contact or company by
+ * merging activities, stage moves, sent emails and audit trail changes.
+ */
+const db = require('../db');
+
+const EVENT_TYPES = ['activity', 'note', 'stage_change', 'email', 'change'];
+
+/**
+ * Resolves the deal, contact and company ids whose events belong on the
+ * timeline of the given record. Companies roll up their contacts and deals,
+ * contacts roll up the deals they are the contact on.
+ *
+ * @param {string} entityType - 'deal', 'contact' or 'company'
+ * @param {number} entityId - ID of the record
+ * @returns {Promise<Object|null>} Id scope, or null if the record does not exist
+ */
+const resolveScope = async (entityType, entityId) => {
+  switch (entityType) {
+    case 'deal': {
+      const result = await db.query('SELECT id FROM deals WHERE id = $1', [entityId]);
+      if (result.rows.length === 0) return null;
+      return { dealIds: [entityId], contactIds: [], companyIds: [] };
+    }
+    case 'contact': {
+      const result = await db.query(
+        `SELECT c.id, ARRAY_REMOVE(ARRAY_AGG(d.id), NULL) as deal_ids
+         FROM contacts c
+         LEFT JOIN deals d ON d.contact_id = c.id
+         WHERE c.id = $1
+         GROUP BY c.id`,
+        [entityId]
+      );
+      if (result.rows.length === 0) return null;
+      return { dealIds: result.rows[0].deal_ids, contactIds: [entityId], companyIds: [] };
+    }
+    case 'company': {
+      const result = await db.query(
+        `SELECT
+           c.id,
+           ARRAY(SELECT id FROM deals WHERE company_id = c.id) as deal_ids,
+           ARRAY(SELECT id FROM contacts WHERE company_id = c.id) as contact_ids
+         FROM companies c
+         WHERE c.id = $1`,
+        [entityId]
+      );
+      if (result.rows.length === 0) return null;
+      return {
+        dealIds: result.rows[0].deal_ids,
+        contactIds: result.rows[0].contact_ids,
+        companyIds: [entityId]
+      };
+    }
+    default:
+      throw new Error(`Unsupported timeline entity type: ${entityType}`);
+  }
+};
+
+// Cursor timestamps are the UTC text Postgres renders, to the microsecond,
+// so the next page compares against exactly the value it stopped at
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/;
+
+/**
+ * Encodes the position of the last returned event as an opaque cursor
+ *
+ * @param {Object} row - Timeline row including cursor_at
+ * @returns {string} Cursor string
+ */
+const encodeCursor = (row) => {
+  return Buffer.from(`${row.cursor_at}|${row.event_key}`).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} { occurredAt, eventKey } or null when malformed
+ */
+const decodeCursor = (cursor) => {
+  const [occurredAt, eventKey] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (!eventKey || !CURSOR_TIMESTAMP.test(occurredAt)) return null;
+  return { occurredAt, eventKey };
+};
+
+/**
+ * Get the merged event timeline for a record, newest first
+ *
+ * @param {string} entityType - 'deal', 'contact' or 'company'
+ * @param {number} entityId - ID of the record
+ * @param {Object} [options] - Paging and filter options
+ * @param {string} [options.cursor] - Cursor returned as nextCursor by a previous call
+ * @param {number} [options.limit=25] - Number of events to return
+ * @param {Array<string>} [options.types] - Restrict to these event types
+ * @returns {Promise<Object|null>} { events, nextCursor }, or null if the record does not exist
+ */
+const getTimeline = async (entityType, entityId, options = {}) => {
+  const { cursor, limit = 25, types = EVENT_TYPES } = options;
+
+  const scope = await resolveScope(entityType, entityId);
+  if (!scope) return null;
+
+  const params = [scope.dealIds, scope.contactIds, scope.companyIds, types];
+  let cursorClause = '';
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      const error = new Error('Invalid cursor');
+      error.type = 'validation';
+      throw error;
+    }
+    params.push(position.occurredAt, position.eventKey);
+    cursorClause = `AND (occurred_at AT TIME ZONE 'UTC', event_key) < ($5::timestamp, $6::text)`;
+  }
+
+  params.push(limit + 1);
+
+  const result = await db.query(`
+    SELECT
+      timeline.*,
+      to_char(occurred_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US') as cursor_at
+    FROM (
+      SELECT
+        CASE WHEN a.type = 'note' THEN 'note' ELSE 'activity' END as event_type,
+        'activity:' || LPAD(a.id::text, 12, '0') as event_key,
+        COALESCE(a.completed_at, a.created_at) as occurred_at,
+        a.subject as title,
+        jsonb_build_object(
+          'activity_id', a.id,
+          'activity_type', a.type,
+          'description', a.description,
+          'status', a.status,
+          'due_date', a.due_date
+        ) as details,
+        a.user_id,
+        a.deal_id,
+        a.contact_id,
+        a.company_id
+      FROM activities a
+      WHERE a.deal_id = ANY($1) OR a.contact_id = ANY($2) OR a.company_id = ANY($3)
+
+      UNION ALL
+
+      SELECT
+        'stage_change',
+        'stage_change:' || LPAD(h.id::text, 12, '0'),
+        h.created_at,
+        CONCAT('Moved from ', COALESCE(fs.name, 'no stage'), ' to ', ts.name),
+        jsonb_build_object(
+          'from_stage_id', h.from_stage_id,
+          'from_stage', fs.name,
+          'to_stage_id', h.to_stage_id,
+          'to_stage', ts.name,
+          'notes', h.notes
+        ),
+        h.changed_by_user_id,
+        h.deal_id,
+        NULL::integer,
+        NULL::integer
+      FROM deal_stage_history h
+      LEFT JOIN pipeline_stages fs ON h.from_stage_id = fs.id
+      LEFT JOIN pipeline_stages ts ON h.to_stage_id = ts.id
+      WHERE h.deal_id = ANY($1)
+
+      UNION ALL
+
+      SELECT
+        'email',
+        'email:' || LPAD(e.id::text, 12, '0'),
+        e.sent_at,
+        CONCAT('Email sent: ', e.template_name),
+        jsonb_build_object(
+          'template_name', e.template_name,
+          'template_data', e.template_data,
+          'recipient_user_id', e.recipient_user_id
+        ),
+        NULL::integer,
+        e.deal_id,
+        NULL::integer,
+        NULL::integer
+      FROM email_queue e
+      WHERE e.deal_id = ANY($1) AND e.status = 'sent' AND e.sent_at IS NOT NULL
+
+      UNION ALL
+
+      SELECT
+        'change',
+        'change:' || LPAD(l.id::text, 12, '0'),
+        l.created_at,
+        CONCAT(INITCAP(l.action), ' ', l.entity_type),
+        l.details,
+        l.user_id,
+        CASE WHEN l.entity_type = 'deal' THEN l.entity_id END,
+        CASE WHEN l.entity_type = 'contact' THEN l.entity_id END,
+        CASE WHEN l.entity_type = 'company' THEN l.entity_id END
+      FROM audit_logs l
+      WHERE l.action <> 'READ'
+        AND (
+          (l.entity_type = 'deal' AND l.entity_id = ANY($1))
+          OR (l.entity_type = 'contact' AND l.entity_id = ANY($2))
+          OR (l.entity_type = 'company' AND l.entity_id = ANY($3))
+        )
+    ) timeline
+    WHERE event_type = ANY($4) ${cursorClause}
+    ORDER BY occurred_at DESC, event_key DESC
+    LIMIT $${params.length}
+  `, params);
+
+  const hasMore = result.rows.length > limit;
+  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  return {
+    events: rows.map(({ cursor_at, ...event }) => event),
+    nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  getTimeline
+};
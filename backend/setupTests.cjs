@@ -10,6 +10,7 @@ process.env.JWT_SECRET = 'VerySecure123!@#Complex';
 process.env.JWT_EXPIRES_IN = '1h';
 process.env.REDIS_URL = 'redis://localhost:6379';
 process.env.FRONTEND_URL = 'https://localhost:3000';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
 
 // Make sure JWT_SECRET is defined for tests
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-for-tests-only';
@@ -0,0 +1,298 @@
+/**
+ * List Filters - WHERE clause builders shared by the list endpoints and
+ * data export, so an export returns exactly what the list shows
+ *
+ * Each builder reads Express req.query and returns { whereClause, params }
+ * with params numbered from $1.
+ */
+const Joi = require('joi');
+
+const activityQuerySchema = Joi.object({
+  type: Joi.string(),
+  status: Joi.string(),
+  owner: Joi.alternatives().try(Joi.string().valid('me'), Joi.number().integer().positive()),
+  company_id: Joi.number().integer().positive(),
+  contact_id: Joi.number().integer().positive(),
+  deal_id: Joi.number().integer().positive(),
+  overdue: Joi.boolean(),
+  due_from: Joi.date().iso(),
+  due_to: Joi.date().iso(),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+}).unknown(true);
+
+/**
+ * Validates query string filters against a schema
+ *
+ * @param {Object} schema - Joi schema
+ * @param {Object} query - Express req.query
+ * @returns {Object} Validated filters
+ * @throws {Error} With type 'validation' when a filter is malformed
+ */
+const validateQuery = (schema, query) => {
+  const { error, value } = schema.validate(query || {});
+  if (error) {
+    const validationError = new Error(error.details[0].message);
+    validationError.type = 'validation';
+    throw validationError;
+  }
+  return value;
+};
+
+/**
+ * Splits a comma-separated query value
+ *
+ * @param {string} value - Raw query value
+ * @returns {Array<string>}
+ */
+const splitList = (value) => String(value).split(',').map(item => item.trim());
+
+/**
+ * Joins collected conditions into a WHERE clause
+ *
+ * @param {Array<string>} conditions - SQL conditions
+ * @param {Array} params - Query parameters
+ * @returns {{ whereClause: string, params: Array }}
+ */
+const toWhereClause = (conditions, params) => ({
+  whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+  params
+});
+
+/**
+ * Builds the WHERE clause for the company list from query string filters (alias c).
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ whereClause: string, params: Array }}
+ */
+const buildCompanyFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (query.search) {
+    conditions.push(`c.name ILIKE $${paramCount++}`);
+    params.push(`%${query.search}%`);
+  }
+
+  // industry and country accept a comma-separated list
+  if (query.industry) {
+    conditions.push(`c.industry = ANY($${paramCount++})`);
+    params.push(splitList(query.industry));
+  }
+
+  if (query.country) {
+    conditions.push(`c.country = ANY($${paramCount++})`);
+    params.push(splitList(query.country));
+  }
+
+  const ranges = [
+    ['min_revenue', 'c.annual_revenue', '>='],
+    ['max_revenue', 'c.annual_revenue', '<='],
+    ['min_employees', 'c.employee_count', '>='],
+    ['max_employees', 'c.employee_count', '<=']
+  ];
+
+  ranges.forEach(([param, column, operator]) => {
+    const value = parseFloat(query[param]);
+    if (!isNaN(value)) {
+      conditions.push(`${column} ${operator} $${paramCount++}`);
+      params.push(value);
+    }
+  });
+
+  return toWhereClause(conditions, params);
+};
+
+/**
+ * Builds the WHERE clause for the contact list from query string filters (alias c).
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ whereClause: string, params: Array }}
+ */
+const buildContactFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (query.search) {
+    conditions.push(`(c.first_name || ' ' || c.last_name ILIKE $${paramCount} OR c.email ILIKE $${paramCount})`);
+    params.push(`%${query.search}%`);
+    paramCount++;
+  }
+
+  if (query.company_id) {
+    conditions.push(`c.company_id = $${paramCount++}`);
+    params.push(parseInt(query.company_id));
+  }
+
+  if (query.department) {
+    conditions.push(`c.department = ANY($${paramCount++})`);
+    params.push(splitList(query.department));
+  }
+
+  return toWhereClause(conditions, params);
+};
+
+/**
+ * Builds the WHERE clause for the deal list from query string filters (alias d).
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} [user] - Authenticated user, needed for owner=me
+ * @returns {{ whereClause: string, params: Array }}
+ */
+const buildDealFilters = (query, user) => {
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (query.search) {
+    conditions.push(`d.title ILIKE $${paramCount++}`);
+    params.push(`%${query.search}%`);
+  }
+
+  if (query.status) {
+    conditions.push(`d.status = ANY($${paramCount++})`);
+    params.push(splitList(query.status));
+  }
+
+  if (query.pipeline_stage_id) {
+    conditions.push(`d.pipeline_stage_id = ANY($${paramCount++})`);
+    params.push(splitList(query.pipeline_stage_id).map(id => parseInt(id)));
+  }
+
+  if (query.pipeline_id) {
+    conditions.push(`d.pipeline_id = ANY($${paramCount++})`);
+    params.push(splitList(query.pipeline_id).map(id => parseInt(id)));
+  }
+
+  if (query.company_id) {
+    conditions.push(`d.company_id = $${paramCount++}`);
+    params.push(parseInt(query.company_id));
+  }
+
+  if (query.owner && (query.owner !== 'me' || user)) {
+    conditions.push(`d.assigned_user_id = $${paramCount++}`);
+    params.push(query.owner === 'me' ? user.id : parseInt(query.owner));
+  }
+
+  const minValue = parseFloat(query.min_value);
+  if (!isNaN(minValue)) {
+    conditions.push(`d.value >= $${paramCount++}`);
+    params.push(minValue);
+  }
+
+  const maxValue = parseFloat(query.max_value);
+  if (!isNaN(maxValue)) {
+    conditions.push(`d.value <= $${paramCount++}`);
+    params.push(maxValue);
+  }
+
+  if (query.close_from) {
+    conditions.push(`d.expected_close_date >= $${paramCount++}`);
+    params.push(query.close_from);
+  }
+
+  if (query.close_to) {
+    conditions.push(`d.expected_close_date <= $${paramCount++}`);
+    params.push(query.close_to);
+  }
+
+  // Deals without a category count as pipeline
+  if (query.forecast_category) {
+    conditions.push(`COALESCE(d.forecast_category, 'pipeline') = ANY($${paramCount++})`);
+    params.push(splitList(query.forecast_category));
+  }
+
+  return toWhereClause(conditions, params);
+};
+
+/**
+ * Builds the WHERE clause for the activity list from query string filters (alias a).
+ *
+ * @param {Object} rawQuery - Express req.query
+ * @param {Object} user - Authenticated user, needed for owner=me
+ * @returns {{ whereClause: string, params: Array }}
+ * @throws {Error} With type 'validation' for a malformed owner, id, due date or page
+ */
+const buildActivityFilters = (rawQuery, user) => {
+  const query = validateQuery(activityQuerySchema, rawQuery);
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (query.type) {
+    conditions.push(`a.type = ANY($${paramCount++})`);
+    params.push(splitList(query.type));
+  }
+
+  if (query.status) {
+    conditions.push(`a.status = ANY($${paramCount++})`);
+    params.push(splitList(query.status));
+  }
+
+  if (query.owner) {
+    conditions.push(`a.user_id = $${paramCount++}`);
+    params.push(query.owner === 'me' ? user.id : query.owner);
+  }
+
+  ['company_id', 'contact_id', 'deal_id'].forEach(column => {
+    if (query[column]) {
+      conditions.push(`a.${column} = $${paramCount++}`);
+      params.push(query[column]);
+    }
+  });
+
+  if (query.overdue) {
+    conditions.push(`a.status = 'pending' AND a.due_date < NOW()`);
+  }
+
+  if (query.due_from) {
+    conditions.push(`a.due_date >= $${paramCount++}`);
+    params.push(query.due_from);
+  }
+
+  if (query.due_to) {
+    conditions.push(`a.due_date <= $${paramCount++}`);
+    params.push(query.due_to);
+  }
+
+  return toWhereClause(conditions, params);
+};
+
+/**
+ * Builds the WHERE clause for the product list from query string filters (alias p).
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ whereClause: string, params: Array }}
+ */
+const buildProductFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (query.search) {
+    conditions.push(`p.name ILIKE $${paramCount++}`);
+    params.push(`%${query.search}%`);
+  }
+
+  if (query.category) {
+    conditions.push(`p.category = ANY($${paramCount++})`);
+    params.push(splitList(query.category));
+  }
+
+  if (query.is_active === 'true' || query.is_active === 'false') {
+    conditions.push(`p.is_active = $${paramCount++}`);
+    params.push(query.is_active === 'true');
+  }
+
+  return toWhereClause(conditions, params);
+};
+
+module.exports = {
+  buildCompanyFilters,
+  buildContactFilters,
+  buildDealFilters,
+  buildActivityFilters,
+  buildProductFilters
+};
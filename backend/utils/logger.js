@@ -0,0 +1,17 @@
+/**
+ * Logger - Shared winston logger for background jobs and scripts
+ */
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'salesbase-api' },
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+module.exports = logger;